@@ -0,0 +1,47 @@
+import type { puppeteer } from '@cityssm/puppeteer-launch';
+/**
+ * The cookies of a logged in FASTER Web session.
+ */
+export interface FasterAuthState {
+    /** The FASTER Web base URL the cookies belong to. */
+    baseUrl: string;
+    /** The user name that logged in. */
+    userName: string;
+    /** When the login was saved, as an ISO date string. */
+    savedAt: string;
+    cookies: puppeteer.Cookie[];
+}
+/**
+ * Saves and loads the FASTER Web login between runs.
+ * The state includes session cookies, so it should be stored securely.
+ */
+export interface FasterAuthStateStore {
+    /**
+     * Loads the saved login.
+     * @returns The saved login, or `undefined` when none is saved.
+     */
+    load: () => Promise<FasterAuthState | undefined>;
+    /**
+     * Saves the login, replacing any saved login.
+     * @param authState - The login to save.
+     */
+    save: (authState: FasterAuthState) => Promise<void>;
+}
+/**
+ * Creates a store that saves the FASTER Web login to a file,
+ * encrypted with AES-256-GCM.
+ * A file that is missing, or cannot be decrypted with the key,
+ * loads as no saved login.
+ * @param filePath - The file where the login is saved.
+ *                   The folder is created if it does not exist.
+ * @param encryptionKey - The secret used to encrypt the file.
+ * @returns The store.
+ */
+export declare function createEncryptedFileAuthStateStore(filePath: string, encryptionKey: string): FasterAuthStateStore;
+/**
+ * Gets the cookies that are sent to a URL's host.
+ * @param cookies - Browser cookies.
+ * @param url - The URL, like the FASTER Web base URL.
+ * @returns The cookies for the URL's host.
+ */
+export declare function getCookiesForUrl(cookies: puppeteer.Cookie[], url: string): puppeteer.Cookie[];
@@ -0,0 +1,99 @@
+import { createCipheriv, createDecipheriv, randomBytes, randomUUID, scryptSync } from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import Debug from 'debug';
+import { DEBUG_NAMESPACE } from './debug.config.js';
+const debug = Debug(`${DEBUG_NAMESPACE}:authState`);
+const encryptionAlgorithm = 'aes-256-gcm';
+const encryptionKeyByteLength = 32;
+const initializationVectorByteLength = 12;
+const saltByteLength = 16;
+const authStateFileVersion = 1;
+/**
+ * Creates a store that saves the FASTER Web login to a file,
+ * encrypted with AES-256-GCM.
+ * A file that is missing, or cannot be decrypted with the key,
+ * loads as no saved login.
+ * @param filePath - The file where the login is saved.
+ *                   The folder is created if it does not exist.
+ * @param encryptionKey - The secret used to encrypt the file.
+ * @returns The store.
+ */
+export function createEncryptedFileAuthStateStore(filePath, encryptionKey) {
+    if (encryptionKey === '') {
+        throw new Error('An encryption key is required to save the login.');
+    }
+    return {
+        async load() {
+            // eslint-disable-next-line @typescript-eslint/init-declarations
+            let fileContents;
+            try {
+                // eslint-disable-next-line security/detect-non-literal-fs-filename
+                fileContents = await fs.readFile(filePath, 'utf8');
+            }
+            catch {
+                debug(`No saved login found: ${filePath}`);
+                return undefined;
+            }
+            try {
+                const authStateFile = JSON.parse(fileContents);
+                if (authStateFile.version !== authStateFileVersion) {
+                    debug(`Unsupported saved login version: ${authStateFile.version}`);
+                    return undefined;
+                }
+                const decipher = createDecipheriv(encryptionAlgorithm, scryptSync(encryptionKey, Buffer.from(authStateFile.salt, 'base64'), encryptionKeyByteLength), Buffer.from(authStateFile.iv, 'base64'));
+                decipher.setAuthTag(Buffer.from(authStateFile.authTag, 'base64'));
+                const decryptedState = Buffer.concat([
+                    decipher.update(Buffer.from(authStateFile.encryptedState, 'base64')),
+                    decipher.final()
+                ]);
+                return JSON.parse(decryptedState.toString('utf8'));
+            }
+            catch {
+                debug(`Unable to decrypt the saved login: ${filePath}`);
+                return undefined;
+            }
+        },
+        async save(authState) {
+            const salt = randomBytes(saltByteLength);
+            const iv = randomBytes(initializationVectorByteLength);
+            const cipher = createCipheriv(encryptionAlgorithm, scryptSync(encryptionKey, salt, encryptionKeyByteLength), iv);
+            const encryptedState = Buffer.concat([
+                cipher.update(JSON.stringify(authState), 'utf8'),
+                cipher.final()
+            ]);
+            const authStateFile = {
+                version: authStateFileVersion,
+                salt: salt.toString('base64'),
+                iv: iv.toString('base64'),
+                authTag: cipher.getAuthTag().toString('base64'),
+                encryptedState: encryptedState.toString('base64')
+            };
+            // eslint-disable-next-line security/detect-non-literal-fs-filename
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            // Written to a temporary file first, so a concurrent load never reads a partial file.
+            const temporaryFilePath = `${filePath}.${randomUUID()}.tmp`;
+            // eslint-disable-next-line security/detect-non-literal-fs-filename
+            await fs.writeFile(temporaryFilePath, JSON.stringify(authStateFile), {
+                mode: 0o600
+            });
+            // eslint-disable-next-line security/detect-non-literal-fs-filename
+            await fs.rename(temporaryFilePath, filePath);
+        }
+    };
+}
+/**
+ * Gets the cookies that are sent to a URL's host.
+ * @param cookies - Browser cookies.
+ * @param url - The URL, like the FASTER Web base URL.
+ * @returns The cookies for the URL's host.
+ */
+export function getCookiesForUrl(cookies, url) {
+    const hostName = new URL(url).hostname.toLowerCase();
+    return cookies.filter((cookie) => {
+        const cookieDomain = cookie.domain.toLowerCase();
+        return cookieDomain.startsWith('.')
+            ? hostName === cookieDomain.slice(1) || hostName.endsWith(cookieDomain)
+            : hostName === cookieDomain;
+    });
+}
@@ -0,0 +1,78 @@
+import { type DateRangePreset } from './dateRanges.js';
+import { type ExportJob, type FasterCredentials } from './jobs.js';
+import type { ReportExportType, ReportTimeZone } from './types.js';
+export declare const cliCommands: readonly ["asset-list", "inventory", "work-order-details", "work-order-print", "part-order-print", "message-logger", "scheduled-report", "jobs"];
+export type CliCommand = (typeof cliCommands)[number];
+export declare const cliExitCodes: {
+    readonly success: 0;
+    readonly unknownError: 1;
+    readonly usageError: 2;
+    readonly loginError: 3;
+    readonly invalidCredentials: 4;
+    readonly permissionError: 5;
+    readonly notFound: 6;
+    readonly filterError: 7;
+    readonly timeout: 8;
+    readonly downloadCanceled: 9;
+};
+export declare const cliUsage: string;
+/**
+ * Thrown when the command line arguments are invalid.
+ */
+export declare class CliUsageError extends Error {
+}
+export interface CliArguments {
+    command: CliCommand;
+    positionals: string[];
+    format: ReportExportType;
+    outFolderPath?: string;
+    timeZone?: ReportTimeZone;
+    showBrowser: boolean;
+    configFilePath?: string;
+    startDate?: Date;
+    endDate?: Date;
+    dateRange?: DateRangePreset;
+    printType?: 'customer' | 'technician';
+    /** Keep running, and run export jobs on their schedules. */
+    schedule: boolean;
+}
+/**
+ * Parses the command line arguments.
+ * @param args - The arguments, without the node and script paths.
+ * @returns The parsed arguments, or undefined when help is requested.
+ */
+export declare function parseCliArguments(args: string[]): CliArguments | undefined;
+/**
+ * Loads the FASTER Web credentials.
+ * Environment variables take precedence over the config file.
+ * @param configFilePath - Optional path to a JSON config file.
+ * @param environment - Environment variables.
+ * @param jobsCredentials - Credentials from an export jobs config file.
+ * @returns The credentials.
+ */
+export declare function loadCliCredentials(configFilePath: string | undefined, environment?: NodeJS.ProcessEnv, jobsCredentials?: Partial<FasterCredentials>): Promise<FasterCredentials>;
+/**
+ * Gets the process exit code for an error.
+ * @param error - The error that stopped the command.
+ * @returns The exit code.
+ */
+export declare function getCliExitCode(error: unknown): number;
+/**
+ * Converts an export command to an export job.
+ * @param cliArguments - The parsed arguments.
+ * @returns The export job.
+ */
+export declare function cliArgumentsToExportJob(cliArguments: CliArguments): ExportJob;
+/**
+ * Runs an export command.
+ * @param cliArguments - The parsed arguments.
+ * @param credentials - The FASTER Web credentials.
+ * @returns The path to the exported report.
+ */
+export declare function runCliCommand(cliArguments: CliArguments, credentials: FasterCredentials): Promise<string>;
+/**
+ * Runs the command line interface.
+ * @param args - The arguments, without the node and script paths.
+ * @returns The process exit code.
+ */
+export declare function runCli(args: string[]): Promise<number>;
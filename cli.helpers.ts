@@ -0,0 +1,646 @@
+import fs from 'node:fs/promises'
+import { parseArgs } from 'node:util'
+
+import {
+  dateStringToDate,
+  dateToString,
+  isValidDateString
+} from '@cityssm/utils-datetime'
+
+import {
+  type DateRangePreset,
+  dateRangePresets,
+  isDateRangePreset
+} from './dateRanges.js'
+import {
+  DownloadCanceledError,
+  ExportTimeoutError,
+  FasterElementNotFoundError,
+  FasterInvalidCredentialsError,
+  FasterLoginError,
+  FasterPermissionError,
+  FasterReportExporterError,
+  ReportFilterNotFoundError,
+  ReportFilterValueError,
+  ScheduledReportNotFoundError
+} from './errors.js'
+import {
+  type FasterReportExporterOptions,
+  FasterReportExporter
+} from './index.js'
+import {
+  type ExportJob,
+  type ExportJobReport,
+  type ExportJobResult,
+  type FasterCredentials,
+  ExportJobsConfigError,
+  exportJobReports,
+  loadExportJobsConfig,
+  runExportJob,
+  runExportJobs,
+  scheduleExportJobs
+} from './jobs.js'
+import { reportExportTypes } from './lookups.js'
+import type { ReportExportType, ReportTimeZone } from './types.js'
+
+export const cliCommands = [...exportJobReports, 'jobs'] as const
+
+export type CliCommand = (typeof cliCommands)[number]
+
+export const cliExitCodes = {
+  success: 0,
+  unknownError: 1,
+  usageError: 2,
+  loginError: 3,
+  invalidCredentials: 4,
+  permissionError: 5,
+  notFound: 6,
+  filterError: 7,
+  timeout: 8,
+  downloadCanceled: 9
+} as const
+
+const cliOptions = {
+  config: { type: 'string' },
+  customer: { type: 'boolean' },
+  'date-range': { type: 'string' },
+  'end-date': { type: 'string' },
+  format: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+  out: { type: 'string' },
+  schedule: { type: 'boolean' },
+  'show-browser': { type: 'boolean' },
+  'start-date': { type: 'string' },
+  technician: { type: 'boolean' },
+  'time-zone': { type: 'string' }
+} as const
+
+const reportTimeZones: ReportTimeZone[] = [
+  'Atlantic',
+  'Central',
+  'Eastern',
+  'Mountain',
+  'Pacific'
+]
+
+export const cliUsage = `Usage: faster-report-exporter <command> [arguments] [options]
+
+Commands:
+  asset-list
+  inventory
+  work-order-details <workOrderNumber> [maxWorkOrderNumber]
+  work-order-print <workOrderNumber> --technician | --customer
+  part-order-print <partOrderNumber>
+  message-logger [--date-range <preset> | --start-date YYYY-MM-DD --end-date YYYY-MM-DD]
+  scheduled-report <scheduleName> [--date-range <preset> | --start-date ... --end-date ...]
+  jobs <jobsFile> [--schedule]
+
+Options:
+  --format <format>        ${Object.keys(reportExportTypes).join(', ')} (default: PDF)
+  --date-range <preset>    ${dateRangePresets.join(', ')}
+  --out <folder>           Folder where the report is saved
+  --time-zone <timeZone>   ${reportTimeZones.join(', ')}
+  --show-browser           Show the browser window
+  --schedule               Keep running, and run jobs on their schedules
+  --config <file>          JSON file with "tenant", "userName", and "password"
+  --help                   Show this help
+
+Credentials are read from the FASTER_TENANT, FASTER_USER_NAME,
+and FASTER_PASSWORD environment variables, or from the config file.`
+
+/**
+ * Thrown when the command line arguments are invalid.
+ */
+export class CliUsageError extends Error {}
+
+export interface CliArguments {
+  command: CliCommand
+  positionals: string[]
+
+  format: ReportExportType
+  outFolderPath?: string
+  timeZone?: ReportTimeZone
+  showBrowser: boolean
+  configFilePath?: string
+
+  startDate?: Date
+  endDate?: Date
+  dateRange?: DateRangePreset
+
+  printType?: 'customer' | 'technician'
+
+  /** Keep running, and run export jobs on their schedules. */
+  schedule: boolean
+}
+
+/**
+ * Parses a date option.
+ * @param optionName - The option name, for error messages.
+ * @param dateString - The option value, formatted YYYY-MM-DD.
+ * @returns The date, or undefined when the option is not set.
+ */
+function parseDateOption(
+  optionName: string,
+  dateString: string | undefined
+): Date | undefined {
+  if (dateString === undefined) {
+    return undefined
+  }
+
+  const date = isValidDateString(dateString)
+    ? dateStringToDate(dateString)
+    : undefined
+
+  if (date === undefined) {
+    throw new CliUsageError(
+      `Invalid --${optionName}, expected YYYY-MM-DD: ${dateString}`
+    )
+  }
+
+  return date
+}
+
+/**
+ * Parses the command line arguments.
+ * @param args - The arguments, without the node and script paths.
+ * @returns The parsed arguments, or undefined when help is requested.
+ */
+export function parseCliArguments(args: string[]): CliArguments | undefined {
+  // eslint-disable-next-line @typescript-eslint/init-declarations
+  let parsedArguments: ReturnType<
+    typeof parseArgs<{ allowPositionals: true; options: typeof cliOptions }>
+  >
+
+  try {
+    parsedArguments = parseArgs({
+      args,
+      allowPositionals: true,
+      options: cliOptions
+    })
+  } catch (error) {
+    throw new CliUsageError((error as Error).message)
+  }
+
+  const { positionals, values } = parsedArguments
+
+  if (values.help === true || positionals.length === 0) {
+    return undefined
+  }
+
+  const [command, ...commandPositionals] = positionals
+
+  if (!(cliCommands as readonly string[]).includes(command)) {
+    throw new CliUsageError(`Unknown command: ${command}`)
+  }
+
+  const format = values.format ?? 'PDF'
+
+  if (!Object.hasOwn(reportExportTypes, format)) {
+    throw new CliUsageError(`Unknown format: ${format}`)
+  }
+
+  if (
+    values['time-zone'] !== undefined &&
+    !reportTimeZones.includes(values['time-zone'] as ReportTimeZone)
+  ) {
+    throw new CliUsageError(`Unknown time zone: ${values['time-zone']}`)
+  }
+
+  const dateRange = values['date-range']
+
+  if (dateRange !== undefined) {
+    if (!isDateRangePreset(dateRange)) {
+      throw new CliUsageError(`Unknown date range: ${dateRange}`)
+    }
+
+    if (
+      values['start-date'] !== undefined ||
+      values['end-date'] !== undefined
+    ) {
+      throw new CliUsageError(
+        'Use either --date-range, or --start-date and --end-date.'
+      )
+    }
+  }
+
+  const cliArguments: CliArguments = {
+    command: command as CliCommand,
+    positionals: commandPositionals,
+
+    format: format as ReportExportType,
+    outFolderPath: values.out,
+    timeZone: values['time-zone'] as ReportTimeZone | undefined,
+    showBrowser: values['show-browser'] ?? false,
+    schedule: values.schedule ?? false,
+    configFilePath: values.config,
+
+    startDate: parseDateOption('start-date', values['start-date']),
+    endDate: parseDateOption('end-date', values['end-date']),
+    dateRange
+  }
+
+  switch (cliArguments.command) {
+    case 'part-order-print': {
+      if (
+        commandPositionals.length !== 1 ||
+        !/^\d+$/.test(commandPositionals[0])
+      ) {
+        throw new CliUsageError(
+          'part-order-print requires a part order number.'
+        )
+      }
+      break
+    }
+    case 'work-order-details': {
+      if (
+        commandPositionals.length === 0 ||
+        commandPositionals.length > 2 ||
+        commandPositionals.some((positional) => !/^\d+$/.test(positional))
+      ) {
+        throw new CliUsageError(
+          'work-order-details requires a work order number, and an optional maximum work order number.'
+        )
+      }
+      break
+    }
+    case 'jobs': {
+      if (commandPositionals.length !== 1) {
+        throw new CliUsageError('jobs requires a config file.')
+      }
+      break
+    }
+    case 'scheduled-report': {
+      if (commandPositionals.length !== 1) {
+        throw new CliUsageError('scheduled-report requires a schedule name.')
+      }
+      break
+    }
+    case 'work-order-print': {
+      if (
+        commandPositionals.length !== 1 ||
+        !/^\d+$/.test(commandPositionals[0])
+      ) {
+        throw new CliUsageError(
+          'work-order-print requires a work order number.'
+        )
+      }
+
+      if (values.customer === values.technician) {
+        throw new CliUsageError(
+          'work-order-print requires either --customer or --technician.'
+        )
+      }
+
+      cliArguments.printType =
+        values.customer === true ? 'customer' : 'technician'
+      break
+    }
+    default: {
+      if (commandPositionals.length > 0) {
+        throw new CliUsageError(
+          `${command} does not take arguments: ${commandPositionals.join(' ')}`
+        )
+      }
+      break
+    }
+  }
+
+  if (values.schedule === true && command !== 'jobs') {
+    throw new CliUsageError('--schedule can only be used with jobs.')
+  }
+
+  if (
+    (values.customer === true || values.technician === true) &&
+    command !== 'work-order-print'
+  ) {
+    throw new CliUsageError(
+      '--customer and --technician can only be used with work-order-print.'
+    )
+  }
+
+  return cliArguments
+}
+
+/**
+ * Loads the FASTER Web credentials.
+ * Environment variables take precedence over the config file.
+ * @param configFilePath - Optional path to a JSON config file.
+ * @param environment - Environment variables.
+ * @param jobsCredentials - Credentials from an export jobs config file.
+ * @returns The credentials.
+ */
+export async function loadCliCredentials(
+  configFilePath: string | undefined,
+  environment: NodeJS.ProcessEnv = process.env,
+  jobsCredentials: Partial<FasterCredentials> = {}
+): Promise<FasterCredentials> {
+  let configCredentials: Partial<FasterCredentials> = { ...jobsCredentials }
+
+  if (configFilePath !== undefined) {
+    try {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      const configFileContents = await fs.readFile(configFilePath, 'utf8')
+      configCredentials = {
+        ...configCredentials,
+        ...(JSON.parse(configFileContents) as Partial<FasterCredentials>)
+      }
+    } catch (error) {
+      throw new CliUsageError(
+        `Unable to read config file: ${configFilePath}. ${(error as Error).message}`
+      )
+    }
+  }
+
+  const credentials = {
+    tenant: environment.FASTER_TENANT ?? configCredentials.tenant,
+    userName: environment.FASTER_USER_NAME ?? configCredentials.userName,
+    password: environment.FASTER_PASSWORD ?? configCredentials.password
+  }
+
+  if (
+    credentials.tenant === undefined ||
+    credentials.userName === undefined ||
+    credentials.password === undefined
+  ) {
+    throw new CliUsageError(
+      'Missing credentials. Set FASTER_TENANT, FASTER_USER_NAME, and FASTER_PASSWORD, or use --config.'
+    )
+  }
+
+  return credentials as FasterCredentials
+}
+
+/**
+ * Gets the process exit code for an error.
+ * @param error - The error that stopped the command.
+ * @returns The exit code.
+ */
+export function getCliExitCode(error: unknown): number {
+  if (
+    error instanceof CliUsageError ||
+    error instanceof ExportJobsConfigError
+  ) {
+    return cliExitCodes.usageError
+  }
+
+  if (error instanceof FasterInvalidCredentialsError) {
+    return cliExitCodes.invalidCredentials
+  }
+
+  if (error instanceof FasterLoginError) {
+    return cliExitCodes.loginError
+  }
+
+  if (error instanceof FasterPermissionError) {
+    return cliExitCodes.permissionError
+  }
+
+  if (
+    error instanceof ScheduledReportNotFoundError ||
+    error instanceof FasterElementNotFoundError
+  ) {
+    return cliExitCodes.notFound
+  }
+
+  if (
+    error instanceof ReportFilterNotFoundError ||
+    error instanceof ReportFilterValueError
+  ) {
+    return cliExitCodes.filterError
+  }
+
+  if (error instanceof ExportTimeoutError) {
+    return cliExitCodes.timeout
+  }
+
+  if (error instanceof DownloadCanceledError) {
+    return cliExitCodes.downloadCanceled
+  }
+
+  return cliExitCodes.unknownError
+}
+
+/**
+ * Converts an export command to an export job.
+ * @param cliArguments - The parsed arguments.
+ * @returns The export job.
+ */
+export function cliArgumentsToExportJob(cliArguments: CliArguments): ExportJob {
+  const [firstPositional, secondPositional] = cliArguments.positionals
+
+  const job: ExportJob = {
+    name: cliArguments.command,
+    report: cliArguments.command as ExportJobReport,
+    exportType: cliArguments.format
+  }
+
+  switch (cliArguments.command) {
+    case 'part-order-print': {
+      job.partOrderNumber = Number.parseInt(firstPositional, 10)
+      break
+    }
+    case 'scheduled-report': {
+      job.scheduleName = firstPositional
+      break
+    }
+    case 'work-order-details': {
+      job.workOrderNumber = Number.parseInt(firstPositional, 10)
+
+      if (secondPositional !== undefined) {
+        job.maxWorkOrderNumber = Number.parseInt(secondPositional, 10)
+      }
+      break
+    }
+    case 'work-order-print': {
+      job.workOrderNumber = Number.parseInt(firstPositional, 10)
+      job.printType = cliArguments.printType
+      break
+    }
+    default: {
+      break
+    }
+  }
+
+  if (cliArguments.dateRange !== undefined) {
+    job.dateRange = cliArguments.dateRange
+  } else if (
+    cliArguments.startDate !== undefined ||
+    cliArguments.endDate !== undefined
+  ) {
+    job.dateRange = {
+      startDate: dateToString(cliArguments.startDate ?? new Date()),
+      endDate: dateToString(cliArguments.endDate ?? new Date())
+    }
+  }
+
+  return job
+}
+
+/**
+ * Checks that the --out folder exists.
+ * @param outFolderPath - The --out option value.
+ */
+async function assertCliOutFolder(outFolderPath: string): Promise<void> {
+  let isDirectory = false
+
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    isDirectory = (await fs.stat(outFolderPath)).isDirectory()
+  } catch {}
+
+  if (!isDirectory) {
+    throw new CliUsageError(`Invalid --out, folder not found: ${outFolderPath}`)
+  }
+}
+
+/**
+ * Runs an export command.
+ * @param cliArguments - The parsed arguments.
+ * @param credentials - The FASTER Web credentials.
+ * @returns The path to the exported report.
+ */
+export async function runCliCommand(
+  cliArguments: CliArguments,
+  credentials: FasterCredentials
+): Promise<string> {
+  const options: Partial<FasterReportExporterOptions> = {
+    showBrowserWindow: cliArguments.showBrowser
+  }
+
+  if (cliArguments.outFolderPath !== undefined) {
+    await assertCliOutFolder(cliArguments.outFolderPath)
+    options.downloadFolderPath = cliArguments.outFolderPath
+  }
+
+  if (cliArguments.timeZone !== undefined) {
+    options.timeZone = cliArguments.timeZone
+  }
+
+  const reportExporter = new FasterReportExporter(
+    credentials.tenant,
+    credentials.userName,
+    credentials.password,
+    options
+  )
+
+  return await runExportJob(
+    reportExporter,
+    cliArgumentsToExportJob(cliArguments)
+  )
+}
+
+/**
+ * Runs the export jobs in a config file, once or on their schedules.
+ * @param cliArguments - The parsed arguments.
+ * @returns The process exit code.
+ */
+async function runCliJobs(cliArguments: CliArguments): Promise<number> {
+  const config = await loadExportJobsConfig(cliArguments.positionals[0])
+
+  config.options = { ...config.options }
+
+  if (cliArguments.showBrowser) {
+    config.options.showBrowserWindow = true
+  }
+
+  if (cliArguments.timeZone !== undefined) {
+    config.options.timeZone = cliArguments.timeZone
+  }
+
+  if (cliArguments.outFolderPath !== undefined) {
+    config.outputFolderPath = cliArguments.outFolderPath
+  }
+
+  const credentials = await loadCliCredentials(
+    cliArguments.configFilePath,
+    process.env,
+    config.credentials
+  )
+
+  if (cliArguments.schedule) {
+    const stopSchedules = scheduleExportJobs(config, credentials, {
+      onJobComplete: logExportJobResult
+    })
+
+    process.once('SIGINT', stopSchedules)
+    process.once('SIGTERM', stopSchedules)
+
+    return cliExitCodes.success
+  }
+
+  const results = await runExportJobs(config, credentials)
+
+  let exitCode: number = cliExitCodes.success
+
+  for (const result of results) {
+    logExportJobResult(result)
+
+    if (!result.success && exitCode === cliExitCodes.success) {
+      exitCode = getCliExitCode(result.error)
+    }
+  }
+
+  return exitCode
+}
+
+/**
+ * Writes an export job result to the console.
+ * @param result - The job result.
+ */
+function logExportJobResult(result: ExportJobResult): void {
+  if (result.success) {
+    console.log(`${result.jobName}: ${result.reportPath}`)
+  } else {
+    console.error(`${result.jobName}: ${describeCliError(result.error)}`)
+  }
+}
+
+/**
+ * Describes an error for the console.
+ * @param error - The error.
+ * @returns The description.
+ */
+function describeCliError(error: unknown): string {
+  if (error instanceof FasterReportExporterError) {
+    return `${error.name} (${error.step ?? 'unknown step'}): ${error.message}`
+  }
+
+  return error instanceof Error ? error.message : String(error)
+}
+
+/**
+ * Runs the command line interface.
+ * @param args - The arguments, without the node and script paths.
+ * @returns The process exit code.
+ */
+export async function runCli(args: string[]): Promise<number> {
+  try {
+    const cliArguments = parseCliArguments(args)
+
+    if (cliArguments === undefined) {
+      console.log(cliUsage)
+      return cliExitCodes.success
+    }
+
+    if (cliArguments.command === 'jobs') {
+      return await runCliJobs(cliArguments)
+    }
+
+    const credentials = await loadCliCredentials(cliArguments.configFilePath)
+
+    const reportPath = await runCliCommand(cliArguments, credentials)
+
+    console.log(reportPath)
+
+    return cliExitCodes.success
+  } catch (error) {
+    if (error instanceof CliUsageError) {
+      console.error(error.message)
+      console.error(cliUsage)
+    } else {
+      console.error(describeCliError(error))
+    }
+
+    return getCliExitCode(error)
+  }
+}
@@ -0,0 +1,3 @@
+#!/usr/bin/env node
+import { runCli } from './cli.helpers.js';
+process.exitCode = await runCli(process.argv.slice(2));
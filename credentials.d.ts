@@ -0,0 +1,57 @@
+/**
+ * The user name and password used to log into FASTER Web.
+ */
+export interface FasterLoginCredentials {
+    userName: string;
+    password: string;
+}
+export interface FasterCredentialRequest {
+    /**
+     * `true` when FASTER Web rejected the last credentials,
+     * like after the password was rotated,
+     * and cached credentials should not be used.
+     */
+    refresh: boolean;
+}
+/**
+ * Returns the credentials each time FASTER Web is logged into.
+ */
+export type FasterCredentialProviderFunction = (request: FasterCredentialRequest) => FasterLoginCredentials | Promise<FasterLoginCredentials>;
+export interface FasterCredentialProviderObject {
+    /**
+     * Returns the credentials each time FASTER Web is logged into.
+     */
+    getCredentials: () => FasterLoginCredentials | Promise<FasterLoginCredentials>;
+    /**
+     * Returns fresh credentials when FASTER Web rejects the last ones.
+     * When not set, a rejected login is not tried again.
+     */
+    refreshCredentials?: () => FasterLoginCredentials | Promise<FasterLoginCredentials>;
+}
+/**
+ * Supplies the FASTER Web credentials at login time,
+ * so passwords can be read from a vault and rotated while running.
+ */
+export type FasterCredentialProvider = FasterCredentialProviderFunction | FasterCredentialProviderObject;
+/**
+ * Creates a credential provider that always returns the same credentials.
+ * @param userName - The user name
+ * @param password - The password
+ * @returns The credential provider, which cannot be refreshed.
+ */
+export declare function createStaticCredentialProvider(userName: string, password: string): FasterCredentialProviderObject;
+/**
+ * Checks if a credential provider can return fresh credentials
+ * after FASTER Web rejects a login.
+ * @param credentialProvider - The credential provider.
+ * @returns `true` if a rejected login should be tried again.
+ */
+export declare function canRefreshCredentials(credentialProvider: FasterCredentialProvider): boolean;
+/**
+ * Gets credentials from a credential provider.
+ * The credentials are not included in any error messages.
+ * @param credentialProvider - The credential provider.
+ * @param refresh - `true` to request fresh credentials.
+ * @returns The user name and password.
+ */
+export declare function getProviderCredentials(credentialProvider: FasterCredentialProvider, refresh: boolean): Promise<FasterLoginCredentials>;
@@ -0,0 +1,57 @@
+import { FasterLoginError } from './errors.js';
+/**
+ * Creates a credential provider that always returns the same credentials.
+ * @param userName - The user name
+ * @param password - The password
+ * @returns The credential provider, which cannot be refreshed.
+ */
+export function createStaticCredentialProvider(userName, password) {
+    return {
+        getCredentials: () => ({ userName, password })
+    };
+}
+/**
+ * Checks if a credential provider can return fresh credentials
+ * after FASTER Web rejects a login.
+ * @param credentialProvider - The credential provider.
+ * @returns `true` if a rejected login should be tried again.
+ */
+export function canRefreshCredentials(credentialProvider) {
+    return (typeof credentialProvider === 'function' ||
+        credentialProvider.refreshCredentials !== undefined);
+}
+/**
+ * Gets credentials from a credential provider.
+ * The credentials are not included in any error messages.
+ * @param credentialProvider - The credential provider.
+ * @param refresh - `true` to request fresh credentials.
+ * @returns The user name and password.
+ */
+export async function getProviderCredentials(credentialProvider, refresh) {
+    // eslint-disable-next-line @typescript-eslint/init-declarations
+    let credentials;
+    try {
+        if (typeof credentialProvider === 'function') {
+            credentials = await credentialProvider({ refresh });
+        }
+        else if (refresh && credentialProvider.refreshCredentials !== undefined) {
+            credentials = await credentialProvider.refreshCredentials();
+        }
+        else {
+            credentials = await credentialProvider.getCredentials();
+        }
+    }
+    catch (error) {
+        throw new FasterLoginError('Unable to get the FASTER credentials from the credential provider.', {}, { cause: error });
+    }
+    if (typeof credentials?.userName !== 'string' ||
+        credentials.userName === '' ||
+        typeof credentials.password !== 'string' ||
+        credentials.password === '') {
+        throw new FasterLoginError('The credential provider did not return a user name and password.');
+    }
+    return {
+        userName: credentials.userName,
+        password: credentials.password
+    };
+}
@@ -0,0 +1,123 @@
+import { FasterLoginError } from './errors.js'
+
+/**
+ * The user name and password used to log into FASTER Web.
+ */
+export interface FasterLoginCredentials {
+  userName: string
+  password: string
+}
+
+export interface FasterCredentialRequest {
+  /**
+   * `true` when FASTER Web rejected the last credentials,
+   * like after the password was rotated,
+   * and cached credentials should not be used.
+   */
+  refresh: boolean
+}
+
+/**
+ * Returns the credentials each time FASTER Web is logged into.
+ */
+export type FasterCredentialProviderFunction = (
+  request: FasterCredentialRequest
+) => FasterLoginCredentials | Promise<FasterLoginCredentials>
+
+export interface FasterCredentialProviderObject {
+  /**
+   * Returns the credentials each time FASTER Web is logged into.
+   */
+  getCredentials: () => FasterLoginCredentials | Promise<FasterLoginCredentials>
+
+  /**
+   * Returns fresh credentials when FASTER Web rejects the last ones.
+   * When not set, a rejected login is not tried again.
+   */
+  refreshCredentials?: () =>
+    FasterLoginCredentials | Promise<FasterLoginCredentials>
+}
+
+/**
+ * Supplies the FASTER Web credentials at login time,
+ * so passwords can be read from a vault and rotated while running.
+ */
+export type FasterCredentialProvider =
+  FasterCredentialProviderFunction | FasterCredentialProviderObject
+
+/**
+ * Creates a credential provider that always returns the same credentials.
+ * @param userName - The user name
+ * @param password - The password
+ * @returns The credential provider, which cannot be refreshed.
+ */
+export function createStaticCredentialProvider(
+  userName: string,
+  password: string
+): FasterCredentialProviderObject {
+  return {
+    getCredentials: () => ({ userName, password })
+  }
+}
+
+/**
+ * Checks if a credential provider can return fresh credentials
+ * after FASTER Web rejects a login.
+ * @param credentialProvider - The credential provider.
+ * @returns `true` if a rejected login should be tried again.
+ */
+export function canRefreshCredentials(
+  credentialProvider: FasterCredentialProvider
+): boolean {
+  return (
+    typeof credentialProvider === 'function' ||
+    credentialProvider.refreshCredentials !== undefined
+  )
+}
+
+/**
+ * Gets credentials from a credential provider.
+ * The credentials are not included in any error messages.
+ * @param credentialProvider - The credential provider.
+ * @param refresh - `true` to request fresh credentials.
+ * @returns The user name and password.
+ */
+export async function getProviderCredentials(
+  credentialProvider: FasterCredentialProvider,
+  refresh: boolean
+): Promise<FasterLoginCredentials> {
+  // eslint-disable-next-line @typescript-eslint/init-declarations
+  let credentials: Partial<FasterLoginCredentials> | undefined
+
+  try {
+    if (typeof credentialProvider === 'function') {
+      credentials = await credentialProvider({ refresh })
+    } else if (refresh && credentialProvider.refreshCredentials !== undefined) {
+      credentials = await credentialProvider.refreshCredentials()
+    } else {
+      credentials = await credentialProvider.getCredentials()
+    }
+  } catch (error) {
+    throw new FasterLoginError(
+      'Unable to get the FASTER credentials from the credential provider.',
+      {},
+      { cause: error }
+    )
+  }
+
+  if (
+    typeof credentials?.userName !== 'string' ||
+    credentials.userName === '' ||
+    typeof credentials.password !== 'string' ||
+    credentials.password === ''
+  ) {
+    throw new FasterLoginError(
+      'The credential provider did not return a user name and password.'
+    )
+  }
+
+  return {
+    userName: credentials.userName,
+    password: credentials.password
+  }
+}
@@ -0,0 +1,54 @@
+import type { ReportTimeZone } from './types.js';
+export declare const dateRangePresets: readonly ["today", "yesterday", "previousBusinessDay", "thisWeek", "lastWeek", "weekToDate", "thisMonth", "lastMonth", "monthToDate", "thisYear", "lastYear", "yearToDate", "thisFiscalYear", "lastFiscalYear", "fiscalYearToDate"];
+/**
+ * A named date range, relative to the current date.
+ * Weeks start on Sunday. Business days are Monday to Friday.
+ */
+export type DateRangePreset = (typeof dateRangePresets)[number];
+export interface DateRangeDescriptor {
+    preset: DateRangePreset;
+    /**
+     * Moves the range by a number of periods.
+     * Days for day presets, weeks for week presets, and so on.
+     * @example { preset: 'lastMonth', offset: -1 } // Two months ago
+     * @default 0
+     */
+    offset?: number;
+}
+export interface DateRange {
+    startDate: Date;
+    endDate: Date;
+}
+/**
+ * A date range preset, a preset with an offset, or fixed dates.
+ */
+export type DateRangeInput = DateRange | DateRangeDescriptor | DateRangePreset;
+export interface ResolveDateRangeOptions {
+    /**
+     * The time zone used to determine the current date.
+     * Defaults to the local time zone.
+     */
+    timeZone?: ReportTimeZone;
+    /**
+     * The first month of the fiscal year, from 1 (January) to 12 (December).
+     * @default 1
+     */
+    fiscalYearStartMonth?: number;
+    /** @default new Date() */
+    referenceDate?: Date;
+}
+/**
+ * Checks if a value is a date range preset.
+ * @param possiblePreset - The value to check.
+ * @returns True when the value is a preset name.
+ */
+export declare function isDateRangePreset(possiblePreset: unknown): possiblePreset is DateRangePreset;
+/**
+ * Resolves a date range input to start and end dates.
+ * Presets are resolved from the current date in the report time zone,
+ * and return local dates at midnight.
+ * @param dateRange - A preset, a preset with an offset, or fixed dates.
+ * @param options - Options.
+ * @returns The first and last days in the range.
+ */
+export declare function resolveDateRange(dateRange: DateRangeInput, options?: ResolveDateRangeOptions): DateRange;
@@ -0,0 +1,200 @@
+import { reportTimeZoneIanaNames } from './lookups.js';
+export const dateRangePresets = [
+    'today',
+    'yesterday',
+    'previousBusinessDay',
+    'thisWeek',
+    'lastWeek',
+    'weekToDate',
+    'thisMonth',
+    'lastMonth',
+    'monthToDate',
+    'thisYear',
+    'lastYear',
+    'yearToDate',
+    'thisFiscalYear',
+    'lastFiscalYear',
+    'fiscalYearToDate'
+];
+/**
+ * Gets a new date, at midnight, offset by a number of days.
+ * @param date - The date.
+ * @param days - The number of days to add.
+ * @returns The new date.
+ */
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+/**
+ * Gets a new date, at midnight, offset by a number of business days.
+ * @param date - The date.
+ * @param businessDays - The number of business days to add.
+ * @returns The new date.
+ */
+function addBusinessDays(date, businessDays) {
+    const step = businessDays < 0 ? -1 : 1;
+    let businessDate = addDays(date, 0);
+    let remainingBusinessDays = Math.abs(businessDays);
+    while (remainingBusinessDays > 0) {
+        businessDate = addDays(businessDate, step);
+        if (businessDate.getDay() !== 0 && businessDate.getDay() !== 6) {
+            remainingBusinessDays -= 1;
+        }
+    }
+    return businessDate;
+}
+/**
+ * Gets the current date in a report time zone, as a local date at midnight.
+ * @param referenceDate - The current moment.
+ * @param timeZone - The report time zone.
+ * @returns The date at midnight.
+ */
+function getTimeZoneDate(referenceDate, timeZone) {
+    if (timeZone === undefined) {
+        return addDays(referenceDate, 0);
+    }
+    const dateParts = new Intl.DateTimeFormat('en-CA', {
+        // eslint-disable-next-line security/detect-object-injection
+        timeZone: reportTimeZoneIanaNames[timeZone],
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric'
+    }).formatToParts(referenceDate);
+    const getDatePart = (partType) => Number.parseInt(dateParts.find((datePart) => datePart.type === partType)?.value ?? '', 10);
+    return new Date(getDatePart('year'), getDatePart('month') - 1, getDatePart('day'));
+}
+/**
+ * Checks if a value is a date range preset.
+ * @param possiblePreset - The value to check.
+ * @returns True when the value is a preset name.
+ */
+export function isDateRangePreset(possiblePreset) {
+    return dateRangePresets.includes(possiblePreset);
+}
+/**
+ * Resolves a date range preset, with an offset, from a given day.
+ * @param preset - The date range preset.
+ * @param offset - The number of periods to move the range.
+ * @param today - The current date, at midnight.
+ * @param fiscalYearStartMonth - The first month of the fiscal year, from 1 to 12.
+ * @returns The first and last days in the range.
+ */
+// eslint-disable-next-line complexity, @typescript-eslint/max-params
+function resolveDateRangePreset(preset, offset, today, fiscalYearStartMonth) {
+    const year = today.getFullYear();
+    const month = today.getMonth();
+    const fiscalYearStartMonthIndex = fiscalYearStartMonth - 1;
+    const fiscalYear = month >= fiscalYearStartMonthIndex ? year + offset : year - 1 + offset;
+    switch (preset) {
+        case 'fiscalYearToDate': {
+            return {
+                startDate: new Date(fiscalYear, fiscalYearStartMonthIndex, 1),
+                endDate: new Date(year + offset, month, today.getDate())
+            };
+        }
+        case 'lastFiscalYear': {
+            return {
+                startDate: new Date(fiscalYear - 1, fiscalYearStartMonthIndex, 1),
+                endDate: new Date(fiscalYear, fiscalYearStartMonthIndex, 0)
+            };
+        }
+        case 'lastMonth': {
+            return {
+                startDate: new Date(year, month - 1 + offset, 1),
+                endDate: new Date(year, month + offset, 0)
+            };
+        }
+        case 'lastWeek': {
+            const startDate = addDays(today, -today.getDay() - 7 + offset * 7);
+            return { startDate, endDate: addDays(startDate, 6) };
+        }
+        case 'lastYear': {
+            return {
+                startDate: new Date(year - 1 + offset, 0, 1),
+                endDate: new Date(year - 1 + offset, 11, 31)
+            };
+        }
+        case 'monthToDate': {
+            const endDate = new Date(year, month + offset, today.getDate());
+            return {
+                startDate: new Date(year, month + offset, 1),
+                // Keep the end date in the month, like March 31 less one month.
+                endDate: endDate.getMonth() === new Date(year, month + offset, 1).getMonth()
+                    ? endDate
+                    : new Date(year, month + offset + 1, 0)
+            };
+        }
+        case 'previousBusinessDay': {
+            const previousBusinessDay = addBusinessDays(today, offset - 1);
+            return { startDate: previousBusinessDay, endDate: previousBusinessDay };
+        }
+        case 'thisFiscalYear': {
+            return {
+                startDate: new Date(fiscalYear, fiscalYearStartMonthIndex, 1),
+                endDate: new Date(fiscalYear + 1, fiscalYearStartMonthIndex, 0)
+            };
+        }
+        case 'thisMonth': {
+            return {
+                startDate: new Date(year, month + offset, 1),
+                endDate: new Date(year, month + offset + 1, 0)
+            };
+        }
+        case 'thisWeek': {
+            const startDate = addDays(today, -today.getDay() + offset * 7);
+            return { startDate, endDate: addDays(startDate, 6) };
+        }
+        case 'thisYear': {
+            return {
+                startDate: new Date(year + offset, 0, 1),
+                endDate: new Date(year + offset, 11, 31)
+            };
+        }
+        case 'today': {
+            const day = addDays(today, offset);
+            return { startDate: day, endDate: day };
+        }
+        case 'weekToDate': {
+            const endDate = addDays(today, offset * 7);
+            return { startDate: addDays(endDate, -endDate.getDay()), endDate };
+        }
+        case 'yearToDate': {
+            return {
+                startDate: new Date(year + offset, 0, 1),
+                endDate: new Date(year + offset, month, today.getDate())
+            };
+        }
+        case 'yesterday': {
+            const day = addDays(today, offset - 1);
+            return { startDate: day, endDate: day };
+        }
+    }
+}
+/**
+ * Resolves a date range input to start and end dates.
+ * Presets are resolved from the current date in the report time zone,
+ * and return local dates at midnight.
+ * @param dateRange - A preset, a preset with an offset, or fixed dates.
+ * @param options - Options.
+ * @returns The first and last days in the range.
+ */
+export function resolveDateRange(dateRange, options = {}) {
+    if (typeof dateRange === 'object' && 'startDate' in dateRange) {
+        return dateRange;
+    }
+    const descriptor = typeof dateRange === 'string' ? { preset: dateRange } : dateRange;
+    if (!isDateRangePreset(descriptor.preset)) {
+        throw new TypeError(`Unknown date range preset: ${descriptor.preset}`);
+    }
+    const offset = descriptor.offset ?? 0;
+    if (!Number.isInteger(offset)) {
+        throw new TypeError(`Date range offset must be an integer: ${offset}`);
+    }
+    const fiscalYearStartMonth = options.fiscalYearStartMonth ?? 1;
+    if (!Number.isInteger(fiscalYearStartMonth) ||
+        fiscalYearStartMonth < 1 ||
+        fiscalYearStartMonth > 12) {
+        throw new RangeError(`Fiscal year start month must be from 1 to 12: ${fiscalYearStartMonth}`);
+    }
+    return resolveDateRangePreset(descriptor.preset, offset, getTimeZoneDate(options.referenceDate ?? new Date(), options.timeZone), fiscalYearStartMonth);
+}
@@ -0,0 +1,175 @@
+import { type ReportFileNameContext, type ReportFolderTemplate } from './fileNames.js';
+/**
+ * An exported report, ready to be copied to a destination.
+ */
+export interface ReportDestinationFile {
+    /** Path to the exported report. The file must not be moved or changed. */
+    filePath: string;
+    /** The file name, including the extension. */
+    fileName: string;
+    /** The file extension, without a leading dot. */
+    fileExtension: string;
+    contentType: string;
+    /** The report details, for building paths. */
+    context: ReportFileNameContext;
+}
+/**
+ * Somewhere exported reports are copied to, like a network share or object storage.
+ */
+export interface ReportDestination {
+    /** Identifies the destination in delivery results and errors. */
+    name: string;
+    /**
+     * Copies a report to the destination.
+     * @param report - The exported report.
+     * @param options - Options, including a signal that cancels the delivery.
+     * @returns Where the copy was saved, like a file path or URL.
+     */
+    deliver: (report: ReportDestinationFile, options: {
+        signal?: AbortSignal;
+    }) => Promise<string>;
+}
+export interface FolderDestinationOptions {
+    /**
+     * The base folder, like a network share.
+     * Created if it does not exist.
+     * @example '\\\\fileserver\\Reports\\FASTER'
+     */
+    folderPath: string;
+    /**
+     * Subfolders under the base folder, built from the report details.
+     * @example '{reportCode}/{startDate}'
+     */
+    folderTemplate?: ReportFolderTemplate;
+    /** @default folderPath */
+    name?: string;
+}
+/**
+ * Creates a destination that copies reports to a folder,
+ * like a mapped drive or a network share.
+ * If a file with the same name exists, a number is added to the new file name.
+ * @param options - Destination options.
+ * @returns The destination.
+ */
+export declare function createFolderDestination(options: FolderDestinationOptions): ReportDestination;
+export interface S3Credentials {
+    accessKeyId: string;
+    secretAccessKey: string;
+    /** Required for temporary credentials. */
+    sessionToken?: string;
+}
+export interface S3DestinationOptions extends S3Credentials {
+    bucket: string;
+    /**
+     * The storage endpoint, like a MinIO server.
+     * @default `https://s3.${region}.amazonaws.com`
+     */
+    endpoint?: string;
+    /** @default 'us-east-1' */
+    region?: string;
+    /**
+     * Include the bucket in the path, rather than in the host name.
+     * Most S3-compatible servers expect path-style URLs.
+     * @default true
+     */
+    forcePathStyle?: boolean;
+    /**
+     * The object key prefix, built from the report details.
+     * @example 'faster/{reportCode}/{startDate}'
+     */
+    folderTemplate?: ReportFolderTemplate;
+    /** @default `s3://${bucket}` */
+    name?: string;
+}
+export interface S3SignableRequest {
+    method: string;
+    /** The URL, with the path already encoded. */
+    url: URL;
+    /** The headers to sign, with lowercase names. Must include "x-amz-content-sha256". */
+    headers: Record<string, string>;
+}
+/**
+ * Encodes an object key for use in a URL path.
+ * @param objectKey - The object key, with folders separated by slashes.
+ * @returns The encoded key.
+ */
+export declare function encodeS3ObjectKey(objectKey: string): string;
+/**
+ * Signs a request to S3-compatible object storage with AWS Signature Version 4.
+ * @param request - The request to sign.
+ * @param credentials - The access key.
+ * @param region - The storage region.
+ * @param date - The request date.
+ * @returns The headers to send, including "Authorization" and "x-amz-date".
+ */
+export declare function signS3Request(request: S3SignableRequest, credentials: S3Credentials, region: string, date?: Date): Record<string, string>;
+/**
+ * Creates a destination that uploads reports to S3-compatible object storage,
+ * like Amazon S3 or MinIO.
+ * An existing object with the same key is replaced.
+ * @param options - Destination options, including the access key.
+ * @returns The destination.
+ */
+export declare function createS3Destination(options: S3DestinationOptions): ReportDestination;
+export interface SftpDestinationOptions {
+    host: string;
+    /** @default 22 */
+    port?: number;
+    userName: string;
+    /**
+     * The private key used to log in.
+     * Password logins are not supported.
+     */
+    identityFilePath?: string;
+    /**
+     * The known hosts file used to check the server's host key.
+     * @default The user's known hosts file.
+     */
+    knownHostsFilePath?: string;
+    /**
+     * The base folder on the server. The folder must exist.
+     * @default The user's home folder.
+     */
+    remoteFolderPath?: string;
+    /**
+     * Subfolders under the base folder, built from the report details.
+     * Created if they do not exist.
+     * @example '{reportCode}/{startDate}'
+     */
+    folderTemplate?: ReportFolderTemplate;
+    /**
+     * The maximum time for an upload.
+     * @default 300_000 (5 minutes)
+     */
+    timeoutMillis?: number;
+    /**
+     * The OpenSSH "sftp" command.
+     * @default 'sftp'
+     */
+    sftpCommand?: string;
+    /** @default `sftp://${userName}@${host}` */
+    name?: string;
+}
+/**
+ * Builds the sftp batch commands that upload a file,
+ * creating its folders first.
+ * @param localFilePath - The file to upload.
+ * @param remoteFolderPath - The base folder on the server, or an empty string for the home folder.
+ * @param folders - Subfolders under the base folder.
+ * @param fileName - The file name on the server.
+ * @returns The batch commands, and the uploaded file path.
+ */
+export declare function buildSftpBatchCommands(localFilePath: string, remoteFolderPath: string, folders: string[], fileName: string): {
+    commands: string[];
+    remoteFilePath: string;
+};
+/**
+ * Creates a destination that uploads reports to an SFTP server,
+ * using the OpenSSH "sftp" command in batch mode.
+ * The server must accept a key login, and its host key must be known.
+ * An existing file with the same name is replaced,
+ * unlike the folder destination, which adds a number to the new file name.
+ * @param options - Destination options.
+ * @returns The destination.
+ */
+export declare function createSftpDestination(options: SftpDestinationOptions): ReportDestination;
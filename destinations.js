@@ -0,0 +1,261 @@
+import { spawn } from 'node:child_process';
+import { createHash, createHmac } from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { minutesToMillis } from '@cityssm/to-millis';
+import { formatReportFolders, reserveFilePath } from './fileNames.js';
+/**
+ * Creates a destination that copies reports to a folder,
+ * like a mapped drive or a network share.
+ * If a file with the same name exists, a number is added to the new file name.
+ * @param options - Destination options.
+ * @returns The destination.
+ */
+export function createFolderDestination(options) {
+    return {
+        name: options.name ?? options.folderPath,
+        async deliver(report) {
+            const folderPath = path.join(options.folderPath, ...(options.folderTemplate === undefined
+                ? []
+                : formatReportFolders(options.folderTemplate, report.context)));
+            // eslint-disable-next-line security/detect-non-literal-fs-filename
+            await fs.promises.mkdir(folderPath, { recursive: true });
+            const filePath = await reserveFilePath(folderPath, path.basename(report.fileName, `.${report.fileExtension}`), report.fileExtension);
+            try {
+                // eslint-disable-next-line security/detect-non-literal-fs-filename
+                await fs.promises.copyFile(report.filePath, filePath);
+            }
+            catch (error) {
+                // Remove the empty placeholder, so the file name is not taken.
+                // eslint-disable-next-line security/detect-non-literal-fs-filename
+                await fs.promises.rm(filePath, { force: true });
+                throw error;
+            }
+            return filePath;
+        }
+    };
+}
+const s3SigningAlgorithm = 'AWS4-HMAC-SHA256';
+/**
+ * Encodes a value using the URI encoding required for AWS signatures.
+ * @param value - The value to encode.
+ * @returns The encoded value.
+ */
+function encodeS3UriComponent(value) {
+    return encodeURIComponent(value).replaceAll(/[!'()*]/g, (character) => `%${character.codePointAt(0)?.toString(16).toUpperCase()}`);
+}
+/**
+ * Encodes an object key for use in a URL path.
+ * @param objectKey - The object key, with folders separated by slashes.
+ * @returns The encoded key.
+ */
+export function encodeS3ObjectKey(objectKey) {
+    return objectKey.split('/').map(encodeS3UriComponent).join('/');
+}
+/**
+ * Gets the SHA-256 hash of a value.
+ * @param value - The value.
+ * @returns The hash, as lowercase hex.
+ */
+function sha256Hex(value) {
+    return createHash('sha256').update(value).digest('hex');
+}
+/**
+ * Formats a date for AWS signatures.
+ * @param date - The date.
+ * @returns The date, like "20130524T000000Z".
+ */
+function toAmzDate(date) {
+    return date.toISOString().replaceAll(/[:-]|\.\d{3}/g, '');
+}
+/**
+ * Signs a request to S3-compatible object storage with AWS Signature Version 4.
+ * @param request - The request to sign.
+ * @param credentials - The access key.
+ * @param region - The storage region.
+ * @param date - The request date.
+ * @returns The headers to send, including "Authorization" and "x-amz-date".
+ */
+// eslint-disable-next-line @typescript-eslint/max-params
+export function signS3Request(request, credentials, region, date = new Date()) {
+    const amzDate = toAmzDate(date);
+    const credentialDate = amzDate.slice(0, 8);
+    const credentialScope = `${credentialDate}/${region}/s3/aws4_request`;
+    const headers = {
+        ...request.headers,
+        host: request.url.host,
+        'x-amz-date': amzDate
+    };
+    if (credentials.sessionToken !== undefined) {
+        headers['x-amz-security-token'] = credentials.sessionToken;
+    }
+    const headerNames = Object.keys(headers).sort();
+    const canonicalQuery = [...request.url.searchParams]
+        .map(([parameterName, parameterValue]) => `${encodeS3UriComponent(parameterName)}=${encodeS3UriComponent(parameterValue)}`)
+        .sort()
+        .join('&');
+    const canonicalRequest = [
+        request.method,
+        request.url.pathname,
+        canonicalQuery,
+        ...headerNames.map(
+        // eslint-disable-next-line security/detect-object-injection
+        (headerName) => `${headerName}:${headers[headerName].trim()}`),
+        '',
+        headerNames.join(';'),
+        headers['x-amz-content-sha256']
+    ].join('\n');
+    const stringToSign = [
+        s3SigningAlgorithm,
+        amzDate,
+        credentialScope,
+        sha256Hex(canonicalRequest)
+    ].join('\n');
+    let signingKey = Buffer.from(`AWS4${credentials.secretAccessKey}`);
+    for (const scopePart of [credentialDate, region, 's3', 'aws4_request']) {
+        signingKey = createHmac('sha256', signingKey).update(scopePart).digest();
+    }
+    const signature = createHmac('sha256', signingKey)
+        .update(stringToSign)
+        .digest('hex');
+    headers.authorization = `${s3SigningAlgorithm} Credential=${credentials.accessKeyId}/${credentialScope},SignedHeaders=${headerNames.join(';')},Signature=${signature}`;
+    // The host header is set by fetch.
+    // eslint-disable-next-line @typescript-eslint/no-dynamic-delete
+    delete headers.host;
+    return headers;
+}
+/**
+ * Creates a destination that uploads reports to S3-compatible object storage,
+ * like Amazon S3 or MinIO.
+ * An existing object with the same key is replaced.
+ * @param options - Destination options, including the access key.
+ * @returns The destination.
+ */
+export function createS3Destination(options) {
+    const region = options.region ?? 'us-east-1';
+    const endpointUrl = new URL(options.endpoint ?? `https://s3.${region}.amazonaws.com`);
+    return {
+        name: options.name ?? `s3://${options.bucket}`,
+        async deliver(report, { signal }) {
+            const objectKey = [
+                ...(options.folderTemplate === undefined
+                    ? []
+                    : formatReportFolders(options.folderTemplate, report.context)),
+                report.fileName
+            ].join('/');
+            const objectUrl = new URL(endpointUrl.href);
+            const basePath = objectUrl.pathname.replace(/\/$/, '');
+            if (options.forcePathStyle ?? true) {
+                objectUrl.pathname = `${basePath}/${encodeS3UriComponent(options.bucket)}/${encodeS3ObjectKey(objectKey)}`;
+            }
+            else {
+                objectUrl.hostname = `${options.bucket}.${objectUrl.hostname}`;
+                objectUrl.pathname = `${basePath}/${encodeS3ObjectKey(objectKey)}`;
+            }
+            // eslint-disable-next-line security/detect-non-literal-fs-filename
+            const body = await fs.promises.readFile(report.filePath);
+            const headers = signS3Request({
+                method: 'PUT',
+                url: objectUrl,
+                headers: {
+                    'content-type': report.contentType,
+                    'x-amz-content-sha256': sha256Hex(body)
+                }
+            }, options, region);
+            const response = await fetch(objectUrl, {
+                method: 'PUT',
+                headers,
+                body,
+                signal
+            });
+            if (!response.ok) {
+                throw new Error(`Upload to ${objectUrl.href} failed with HTTP ${response.status}: ${(await response.text()).slice(0, 500)}`);
+            }
+            return objectUrl.href;
+        }
+    };
+}
+const defaultSftpTimeoutMinutes = 5;
+/**
+ * Quotes a path for an sftp batch file.
+ * @param filePath - The path.
+ * @returns The quoted path.
+ */
+function quoteSftpPath(filePath) {
+    return `"${filePath.replaceAll('\\', '\\\\').replaceAll('"', String.raw `\"`)}"`;
+}
+/**
+ * Builds the sftp batch commands that upload a file,
+ * creating its folders first.
+ * @param localFilePath - The file to upload.
+ * @param remoteFolderPath - The base folder on the server, or an empty string for the home folder.
+ * @param folders - Subfolders under the base folder.
+ * @param fileName - The file name on the server.
+ * @returns The batch commands, and the uploaded file path.
+ */
+// eslint-disable-next-line @typescript-eslint/max-params
+export function buildSftpBatchCommands(localFilePath, remoteFolderPath, folders, fileName) {
+    const commands = [];
+    let folderPath = remoteFolderPath.replace(/\/$/, '');
+    for (const folder of folders) {
+        folderPath = folderPath === '' ? folder : `${folderPath}/${folder}`;
+        // A leading dash ignores the error when the folder exists.
+        commands.push(`-mkdir ${quoteSftpPath(folderPath)}`);
+    }
+    const remoteFilePath = folderPath === '' ? fileName : `${folderPath}/${fileName}`;
+    commands.push(`put ${quoteSftpPath(localFilePath)} ${quoteSftpPath(remoteFilePath)}`);
+    return { commands, remoteFilePath };
+}
+/**
+ * Creates a destination that uploads reports to an SFTP server,
+ * using the OpenSSH "sftp" command in batch mode.
+ * The server must accept a key login, and its host key must be known.
+ * An existing file with the same name is replaced,
+ * unlike the folder destination, which adds a number to the new file name.
+ * @param options - Destination options.
+ * @returns The destination.
+ */
+export function createSftpDestination(options) {
+    const port = options.port ?? 22;
+    const sftpArguments = ['-b', '-', '-o', 'BatchMode=yes', '-P', String(port)];
+    if (options.identityFilePath !== undefined) {
+        sftpArguments.push('-i', options.identityFilePath);
+    }
+    if (options.knownHostsFilePath !== undefined) {
+        sftpArguments.push('-o', `UserKnownHostsFile=${options.knownHostsFilePath}`, '-o', 'StrictHostKeyChecking=yes');
+    }
+    sftpArguments.push(`${options.userName}@${options.host}`);
+    const serverUrl = `sftp://${options.userName}@${options.host}${port === 22 ? '' : `:${port}`}`;
+    return {
+        name: options.name ?? serverUrl,
+        async deliver(report, { signal }) {
+            const { commands, remoteFilePath } = buildSftpBatchCommands(report.filePath, options.remoteFolderPath ?? '', options.folderTemplate === undefined
+                ? []
+                : formatReportFolders(options.folderTemplate, report.context), report.fileName);
+            // eslint-disable-next-line promise/avoid-new
+            await new Promise((resolve, reject) => {
+                const sftpProcess = spawn(options.sftpCommand ?? 'sftp', sftpArguments, {
+                    signal,
+                    timeout: options.timeoutMillis ??
+                        minutesToMillis(defaultSftpTimeoutMinutes),
+                    windowsHide: true
+                });
+                let errorOutput = '';
+                sftpProcess.stderr.on('data', (chunk) => {
+                    errorOutput += chunk.toString();
+                });
+                sftpProcess.once('error', reject);
+                sftpProcess.once('close', (exitCode) => {
+                    if (exitCode === 0) {
+                        resolve();
+                    }
+                    else {
+                        reject(new Error(`sftp exited with code ${exitCode ?? 'null'}: ${errorOutput.trim()}`));
+                    }
+                });
+                sftpProcess.stdin.end(`${commands.join('\n')}\n`);
+            });
+            return `${serverUrl}${remoteFilePath.startsWith('/') ? '' : '/'}${remoteFilePath}`;
+        }
+    };
+}
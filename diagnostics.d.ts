@@ -0,0 +1,17 @@
+import type { puppeteer } from '@cityssm/puppeteer-launch';
+import type { FasterReportExporterErrorDiagnostics } from './errors.js';
+/**
+ * Removes password values from a URL.
+ * @param url - The page URL.
+ * @returns The URL, with password parameters redacted.
+ */
+export declare function redactUrl(url: string): string;
+/**
+ * Saves a screenshot and the HTML of a page, for diagnosing a failed export.
+ * Failures while saving are ignored, so the original error is not hidden.
+ * @param page - Puppeteer page
+ * @param diagnosticsFolderPath - The folder where the files are saved.
+ * @param fileNamePrefix - Added to the start of the file names, like the failed step.
+ * @returns The URL and the paths to the saved files.
+ */
+export declare function captureDiagnostics(page: puppeteer.Page, diagnosticsFolderPath: string, fileNamePrefix: string): Promise<FasterReportExporterErrorDiagnostics>;
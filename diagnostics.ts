@@ -0,0 +1,103 @@
+import { randomUUID } from 'node:crypto'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+
+import type { puppeteer } from '@cityssm/puppeteer-launch'
+
+import type { FasterReportExporterErrorDiagnostics } from './errors.js'
+
+const passwordParameterRegex = /pass|pwd/i
+
+/**
+ * Removes password values from a URL.
+ * @param url - The page URL.
+ * @returns The URL, with password parameters redacted.
+ */
+export function redactUrl(url: string): string {
+  try {
+    const redactedUrl = new URL(url)
+
+    for (const parameterName of redactedUrl.searchParams.keys()) {
+      if (passwordParameterRegex.test(parameterName)) {
+        redactedUrl.searchParams.set(parameterName, 'REDACTED')
+      }
+    }
+
+    return redactedUrl.href
+  } catch {
+    return url
+  }
+}
+
+/**
+ * Gets the page HTML, with the values of password fields removed.
+ * @param page - Puppeteer page
+ * @returns The page HTML.
+ */
+async function getRedactedPageHtml(page: puppeteer.Page): Promise<string> {
+  return await page.evaluate(() => {
+    const documentElement = document.documentElement.cloneNode(
+      true
+    ) as HTMLElement
+
+    for (const passwordElement of documentElement.querySelectorAll(
+      'input[type="password"]'
+    )) {
+      passwordElement.setAttribute('value', 'REDACTED')
+    }
+
+    return `<!DOCTYPE html>\n${documentElement.outerHTML}`
+  })
+}
+
+/**
+ * Saves a screenshot and the HTML of a page, for diagnosing a failed export.
+ * Failures while saving are ignored, so the original error is not hidden.
+ * @param page - Puppeteer page
+ * @param diagnosticsFolderPath - The folder where the files are saved.
+ * @param fileNamePrefix - Added to the start of the file names, like the failed step.
+ * @returns The URL and the paths to the saved files.
+ */
+export async function captureDiagnostics(
+  page: puppeteer.Page,
+  diagnosticsFolderPath: string,
+  fileNamePrefix: string
+): Promise<FasterReportExporterErrorDiagnostics> {
+  const diagnostics: FasterReportExporterErrorDiagnostics = {
+    url: redactUrl(page.url())
+  }
+
+  const fileNameBase = path.join(
+    diagnosticsFolderPath,
+    `${fileNamePrefix}-${new Date().toISOString().replaceAll(':', '')}-${randomUUID().slice(0, 8)}`
+  )
+
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    await fs.mkdir(diagnosticsFolderPath, { recursive: true })
+  } catch {
+    return diagnostics
+  }
+
+  try {
+    // Password fields are masked in screenshots.
+    await page.screenshot({
+      path: `${fileNameBase}.png`,
+      fullPage: true
+    })
+
+    diagnostics.screenshotPath = `${fileNameBase}.png`
+  } catch {}
+
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    await fs.writeFile(
+      `${fileNameBase}.html`,
+      `<!-- ${diagnostics.url} -->\n${await getRedactedPageHtml(page)}`
+    )
+
+    diagnostics.htmlPath = `${fileNameBase}.html`
+  } catch {}
+
+  return diagnostics
+}
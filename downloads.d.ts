@@ -0,0 +1,86 @@
+import type { ExportedReportBuffer, ExportedReportMetadata, ExportedReportStream, ReportExportType } from './types.js';
+export interface DownloadedReport {
+    /** Path to the downloaded file, in the browser's download folder. */
+    filePath: string;
+    /** The file name suggested by the Report Viewer. */
+    fileName: string;
+    exportType: ReportExportType;
+    /** The content type of the download, when known. */
+    contentType?: string;
+}
+/**
+ * Creates a temporary folder for browser downloads.
+ * @returns The path to the new folder.
+ */
+export declare function createDownloadFolder(): Promise<string>;
+/**
+ * Deletes a temporary download folder, including any files left in it.
+ * @param downloadFolderPath - The folder created by `createDownloadFolder()`.
+ */
+export declare function deleteDownloadFolder(downloadFolderPath: string): Promise<void>;
+/**
+ * Deletes an incomplete download, including Chrome's ".crdownload" file.
+ * @param downloadFolderPath - The browser's download folder.
+ * @param downloadGuid - The unique id of the download.
+ */
+export declare function deletePartialDownload(downloadFolderPath: string, downloadGuid: string): Promise<void>;
+/**
+ * Gets the file name from a "Content-Disposition" header.
+ * @param contentDisposition - The header value.
+ * @returns The file name, or undefined when the header does not include one.
+ */
+export declare function getContentDispositionFileName(contentDisposition: string | null): string | undefined;
+/**
+ * Saves the body of a fetch response to a file.
+ * The file is removed if the response cannot be saved.
+ * @param response - The fetch response.
+ * @param filePath - Where to save the file.
+ * @param onProgress - Called as each chunk is received.
+ * @returns The number of bytes saved.
+ */
+export declare function writeResponseToFile(response: Response, filePath: string, onProgress?: (receivedBytes: number) => void): Promise<number>;
+/**
+ * Moves a file, copying it when the destination is on a different device.
+ * @param fromFilePath - The current file path.
+ * @param toFilePath - The new file path.
+ */
+export declare function moveFile(fromFilePath: string, toFilePath: string): Promise<void>;
+/**
+ * Gets the file extension for a content type.
+ * @param contentType - The content type, with or without parameters.
+ * @returns The file extension, without a leading dot,
+ *          or undefined for unknown content types.
+ */
+export declare function getContentTypeExtension(contentType: string): string | undefined;
+/**
+ * Gets the file extension for a downloaded report.
+ * The content type of the download is preferred,
+ * followed by the extension of the suggested file name.
+ * @param downloadedReport - The downloaded report.
+ * @returns The file extension, without a leading dot.
+ */
+export declare function getDownloadedReportExtension(downloadedReport: DownloadedReport): string;
+/**
+ * Gets the metadata returned with a downloaded report.
+ * @param downloadedReport - The downloaded report.
+ * @param filePath - The current path to the downloaded file.
+ * @returns The report metadata.
+ */
+export declare function getDownloadedReportMetadata(downloadedReport: DownloadedReport, filePath: string): Promise<ExportedReportMetadata>;
+/**
+ * Reads a downloaded report into memory, and deletes the file.
+ * @param downloadedReport - The downloaded report.
+ * @returns The file contents and metadata.
+ */
+export declare function readDownloadedReport(downloadedReport: DownloadedReport): Promise<ExportedReportBuffer>;
+/**
+ * Opens a readable stream for a downloaded report.
+ * The file is moved out of the browser's download folder, opened,
+ * and removed right away, so nothing is left behind
+ * if the stream is never read or the process exits.
+ * Where open files cannot be removed, the file is removed when the stream closes.
+ * Read the stream to the end, or destroy it, to release the open file.
+ * @param downloadedReport - The downloaded report.
+ * @returns The file stream and metadata.
+ */
+export declare function streamDownloadedReport(downloadedReport: DownloadedReport): Promise<ExportedReportStream>;
@@ -0,0 +1,227 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { additionalContentTypeExtensions, reportExportContentTypes, reportExportTypes } from './lookups.js';
+/**
+ * Creates a temporary folder for browser downloads.
+ * @returns The path to the new folder.
+ */
+export async function createDownloadFolder() {
+    return await fs.promises.mkdtemp(path.join(os.tmpdir(), 'faster-report-exporter-'));
+}
+/**
+ * Deletes a temporary download folder, including any files left in it.
+ * @param downloadFolderPath - The folder created by `createDownloadFolder()`.
+ */
+export async function deleteDownloadFolder(downloadFolderPath) {
+    try {
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        await fs.promises.rm(downloadFolderPath, { force: true, recursive: true });
+    }
+    catch { }
+}
+/**
+ * Deletes an incomplete download, including Chrome's ".crdownload" file.
+ * @param downloadFolderPath - The browser's download folder.
+ * @param downloadGuid - The unique id of the download.
+ */
+export async function deletePartialDownload(downloadFolderPath, downloadGuid) {
+    const downloadFilePath = path.join(downloadFolderPath, downloadGuid);
+    for (const filePath of [downloadFilePath, `${downloadFilePath}.crdownload`]) {
+        try {
+            // eslint-disable-next-line security/detect-non-literal-fs-filename
+            await fs.promises.rm(filePath, { force: true });
+        }
+        catch { }
+    }
+}
+/**
+ * Gets the file name from a "Content-Disposition" header.
+ * @param contentDisposition - The header value.
+ * @returns The file name, or undefined when the header does not include one.
+ */
+export function getContentDispositionFileName(contentDisposition) {
+    if (contentDisposition === null) {
+        return undefined;
+    }
+    const encodedFileName = /filename\*=(?:[\w-]+)?'[^']*'([^;]+)/i.exec(contentDisposition)?.[1];
+    if (encodedFileName !== undefined) {
+        try {
+            return decodeURIComponent(encodedFileName.trim());
+        }
+        catch { }
+    }
+    const fileName = /filename=(?:"([^"]*)"|([^;]+))/i.exec(contentDisposition);
+    return (fileName?.[1] ?? fileName?.[2])?.trim();
+}
+/**
+ * Saves the body of a fetch response to a file.
+ * The file is removed if the response cannot be saved.
+ * @param response - The fetch response.
+ * @param filePath - Where to save the file.
+ * @param onProgress - Called as each chunk is received.
+ * @returns The number of bytes saved.
+ */
+export async function writeResponseToFile(response, filePath, onProgress) {
+    let receivedBytes = 0;
+    try {
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        const fileHandle = await fs.promises.open(filePath, 'w');
+        try {
+            if (response.body !== null) {
+                for await (const chunk of response.body) {
+                    await fileHandle.write(chunk);
+                    receivedBytes += chunk.byteLength;
+                    onProgress?.(receivedBytes);
+                }
+            }
+        }
+        finally {
+            await fileHandle.close();
+        }
+    }
+    catch (error) {
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        await fs.promises.rm(filePath, { force: true });
+        throw error;
+    }
+    return receivedBytes;
+}
+/**
+ * Moves a file, copying it when the destination is on a different device.
+ * @param fromFilePath - The current file path.
+ * @param toFilePath - The new file path.
+ */
+export async function moveFile(fromFilePath, toFilePath) {
+    try {
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        await fs.promises.rename(fromFilePath, toFilePath);
+    }
+    catch (error) {
+        if (error.code !== 'EXDEV') {
+            throw error;
+        }
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        await fs.promises.copyFile(fromFilePath, toFilePath);
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        await fs.promises.rm(fromFilePath, { force: true });
+    }
+}
+const contentTypeExtensions = new Map([
+    ...Object.entries(additionalContentTypeExtensions),
+    ...Object.keys(reportExportTypes).map((exportType) => [
+        reportExportContentTypes[exportType],
+        reportExportTypes[exportType]
+    ])
+]);
+/**
+ * Gets the file extension for a content type.
+ * @param contentType - The content type, with or without parameters.
+ * @returns The file extension, without a leading dot,
+ *          or undefined for unknown content types.
+ */
+export function getContentTypeExtension(contentType) {
+    const mimeType = contentType.split(';')[0].trim().toLowerCase();
+    return contentTypeExtensions.get(mimeType);
+}
+/**
+ * Gets the file extension for a downloaded report.
+ * The content type of the download is preferred,
+ * followed by the extension of the suggested file name.
+ * @param downloadedReport - The downloaded report.
+ * @returns The file extension, without a leading dot.
+ */
+export function getDownloadedReportExtension(downloadedReport) {
+    const contentTypeExtension = downloadedReport.contentType === undefined
+        ? undefined
+        : getContentTypeExtension(downloadedReport.contentType);
+    if (contentTypeExtension !== undefined) {
+        return contentTypeExtension;
+    }
+    const fileNameExtension = path
+        .extname(downloadedReport.fileName)
+        .slice(1)
+        .toLowerCase();
+    if (Object.values(reportExportTypes).includes(fileNameExtension)) {
+        return fileNameExtension;
+    }
+    return reportExportTypes[downloadedReport.exportType];
+}
+/**
+ * Gets the metadata returned with a downloaded report.
+ * @param downloadedReport - The downloaded report.
+ * @param filePath - The current path to the downloaded file.
+ * @returns The report metadata.
+ */
+export async function getDownloadedReportMetadata(downloadedReport, filePath) {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    const fileStats = await fs.promises.stat(filePath);
+    return {
+        exportType: downloadedReport.exportType,
+        contentType: downloadedReport.contentType ??
+            reportExportContentTypes[downloadedReport.exportType],
+        fileName: downloadedReport.fileName,
+        byteSize: fileStats.size
+    };
+}
+/**
+ * Reads a downloaded report into memory, and deletes the file.
+ * @param downloadedReport - The downloaded report.
+ * @returns The file contents and metadata.
+ */
+export async function readDownloadedReport(downloadedReport) {
+    try {
+        const metadata = await getDownloadedReportMetadata(downloadedReport, downloadedReport.filePath);
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        const buffer = await fs.promises.readFile(downloadedReport.filePath);
+        return {
+            ...metadata,
+            buffer
+        };
+    }
+    finally {
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        await fs.promises.rm(downloadedReport.filePath, { force: true });
+    }
+}
+/**
+ * Opens a readable stream for a downloaded report.
+ * The file is moved out of the browser's download folder, opened,
+ * and removed right away, so nothing is left behind
+ * if the stream is never read or the process exits.
+ * Where open files cannot be removed, the file is removed when the stream closes.
+ * Read the stream to the end, or destroy it, to release the open file.
+ * @param downloadedReport - The downloaded report.
+ * @returns The file stream and metadata.
+ */
+export async function streamDownloadedReport(downloadedReport) {
+    const streamFilePath = path.join(os.tmpdir(), `faster-report-exporter-${path.basename(downloadedReport.filePath)}.${getDownloadedReportExtension(downloadedReport)}`);
+    await moveFile(downloadedReport.filePath, streamFilePath);
+    try {
+        const metadata = await getDownloadedReportMetadata(downloadedReport, streamFilePath);
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        const fileHandle = await fs.promises.open(streamFilePath, 'r');
+        const stream = fileHandle.createReadStream();
+        try {
+            // eslint-disable-next-line security/detect-non-literal-fs-filename
+            await fs.promises.rm(streamFilePath);
+        }
+        catch {
+            stream.once('close', () => {
+                // eslint-disable-next-line security/detect-non-literal-fs-filename
+                fs.rm(streamFilePath, { force: true }, () => {
+                    // Ignore errors
+                });
+            });
+        }
+        return {
+            ...metadata,
+            stream
+        };
+    }
+    catch (error) {
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        await fs.promises.rm(streamFilePath, { force: true });
+        throw error;
+    }
+}
@@ -0,0 +1,137 @@
+import type { ReportDelivery, ReportExportType } from './types.js';
+/**
+ * The step of an export where an error occurred.
+ */
+export type ExportStep = 'deliver' | 'download' | 'export' | 'filter' | 'launch' | 'login' | 'navigate';
+export interface FasterReportExporterErrorContext {
+    /** The Report Viewer report key, when known. */
+    reportKey?: string;
+    /** The step of the export that failed. */
+    step?: ExportStep;
+}
+/**
+ * Files saved when an export fails, to help see what FASTER was showing.
+ */
+export interface FasterReportExporterErrorDiagnostics {
+    /** The page URL, with password parameters redacted. */
+    url: string;
+    /** A full page screenshot, when one could be saved. */
+    screenshotPath?: string;
+    /** The page HTML, with password fields redacted, when it could be saved. */
+    htmlPath?: string;
+}
+/**
+ * The base class for errors thrown by the FasterReportExporter.
+ */
+export declare class FasterReportExporterError extends Error {
+    reportKey: string | undefined;
+    step: ExportStep | undefined;
+    /** Set when the `diagnosticsFolderPath` option is used. */
+    diagnostics: FasterReportExporterErrorDiagnostics | undefined;
+    constructor(message: string, context?: FasterReportExporterErrorContext, options?: ErrorOptions);
+}
+/**
+ * Thrown when logging into FASTER Web fails.
+ */
+export declare class FasterLoginError extends FasterReportExporterError {
+    constructor(message: string, context?: FasterReportExporterErrorContext, options?: ErrorOptions);
+}
+/**
+ * Thrown when FASTER Web rejects the user name or password.
+ */
+export declare class FasterInvalidCredentialsError extends FasterLoginError {
+}
+/**
+ * Thrown when the FASTER Web account is locked or disabled.
+ */
+export declare class FasterAccountLockedError extends FasterLoginError {
+}
+/**
+ * Thrown when FASTER Web requires the password to be changed.
+ */
+export declare class FasterPasswordExpiredError extends FasterLoginError {
+}
+/**
+ * Thrown when the user does not have permission to access a report.
+ */
+export declare class FasterPermissionError extends FasterReportExporterError {
+}
+/**
+ * Thrown when an expected element cannot be found on a FASTER Web page.
+ */
+export declare class FasterElementNotFoundError extends FasterReportExporterError {
+    readonly selector: string;
+    constructor(message: string, selector: string, context?: FasterReportExporterErrorContext, options?: ErrorOptions);
+}
+/**
+ * Thrown when a report filter label cannot be found on the Report Viewer page.
+ */
+export declare class ReportFilterNotFoundError extends FasterReportExporterError {
+    readonly filterLabel: string;
+    constructor(filterLabel: string, context?: FasterReportExporterErrorContext, options?: ErrorOptions);
+}
+/**
+ * Thrown when a report filter value cannot be applied.
+ */
+export declare class ReportFilterValueError extends FasterReportExporterError {
+    readonly filterLabel: string;
+    constructor(message: string, filterLabel: string, context?: FasterReportExporterErrorContext, options?: ErrorOptions);
+}
+/**
+ * Thrown when a report does not offer the requested export type.
+ */
+export declare class ReportExportTypeNotAvailableError extends FasterReportExporterError {
+    readonly exportType: ReportExportType;
+    readonly availableExportTypes: ReportExportType[];
+    constructor(exportType: ReportExportType, availableExportTypes: ReportExportType[], context?: FasterReportExporterErrorContext, options?: ErrorOptions);
+}
+/**
+ * Thrown when a page, element, or download takes longer than the timeout.
+ */
+export declare class ExportTimeoutError extends FasterReportExporterError {
+}
+/**
+ * Thrown when the browser cancels a report download.
+ */
+export declare class DownloadCanceledError extends FasterReportExporterError {
+    constructor(message?: string, context?: FasterReportExporterErrorContext, options?: ErrorOptions);
+}
+/**
+ * Thrown when an export is canceled with its `AbortSignal`.
+ * The signal's reason is the cause.
+ */
+export declare class ExportAbortedError extends FasterReportExporterError {
+    constructor(message?: string, context?: FasterReportExporterErrorContext, options?: ErrorOptions);
+}
+/**
+ * Thrown when a report cannot be delivered to one or more destinations.
+ * The copies that were delivered are listed in `deliveries`.
+ */
+export declare class ReportDeliveryError extends FasterReportExporterError {
+    readonly deliveries: ReportDelivery[];
+    readonly failures: Array<{
+        destinationName: string;
+        error: unknown;
+    }>;
+    constructor(deliveries: ReportDelivery[], failures: Array<{
+        destinationName: string;
+        error: unknown;
+    }>, context?: FasterReportExporterErrorContext, options?: ErrorOptions);
+}
+/**
+ * Thrown when a scheduled report cannot be found by name.
+ */
+export declare class ScheduledReportNotFoundError extends FasterReportExporterError {
+    readonly scheduleName: string;
+    constructor(scheduleName: string, context?: FasterReportExporterErrorContext, options?: ErrorOptions);
+}
+/**
+ * Converts an error to a FasterReportExporterError, adding context.
+ * Context already set on a FasterReportExporterError is kept.
+ * Puppeteer timeouts become ExportTimeoutErrors,
+ * and aborted requests become ExportAbortedErrors.
+ * @param error - The error that was thrown.
+ * @param context - The report key and step to add.
+ * @returns The typed error.
+ */
+export declare function toFasterReportExporterError(error: unknown, context: FasterReportExporterErrorContext): FasterReportExporterError;
@@ -0,0 +1,156 @@
+// eslint-disable-next-line @eslint-community/eslint-comments/disable-enable-pair
+/* eslint-disable max-classes-per-file */
+/**
+ * The base class for errors thrown by the FasterReportExporter.
+ */
+export class FasterReportExporterError extends Error {
+    reportKey;
+    step;
+    /** Set when the `diagnosticsFolderPath` option is used. */
+    diagnostics;
+    constructor(message, context = {}, options) {
+        super(message, options);
+        this.name = new.target.name;
+        this.reportKey = context.reportKey;
+        this.step = context.step;
+    }
+}
+/**
+ * Thrown when logging into FASTER Web fails.
+ */
+export class FasterLoginError extends FasterReportExporterError {
+    constructor(message, context = {}, options) {
+        super(message, { step: 'login', ...context }, options);
+    }
+}
+/**
+ * Thrown when FASTER Web rejects the user name or password.
+ */
+export class FasterInvalidCredentialsError extends FasterLoginError {
+}
+/**
+ * Thrown when the FASTER Web account is locked or disabled.
+ */
+export class FasterAccountLockedError extends FasterLoginError {
+}
+/**
+ * Thrown when FASTER Web requires the password to be changed.
+ */
+export class FasterPasswordExpiredError extends FasterLoginError {
+}
+/**
+ * Thrown when the user does not have permission to access a report.
+ */
+export class FasterPermissionError extends FasterReportExporterError {
+}
+/**
+ * Thrown when an expected element cannot be found on a FASTER Web page.
+ */
+export class FasterElementNotFoundError extends FasterReportExporterError {
+    selector;
+    constructor(message, selector, context = {}, options) {
+        super(message, context, options);
+        this.selector = selector;
+    }
+}
+/**
+ * Thrown when a report filter label cannot be found on the Report Viewer page.
+ */
+export class ReportFilterNotFoundError extends FasterReportExporterError {
+    filterLabel;
+    constructor(filterLabel, context = {}, options) {
+        super(`No filter found with label: ${filterLabel}`, { step: 'filter', ...context }, options);
+        this.filterLabel = filterLabel;
+    }
+}
+/**
+ * Thrown when a report filter value cannot be applied.
+ */
+export class ReportFilterValueError extends FasterReportExporterError {
+    filterLabel;
+    constructor(message, filterLabel, context = {}, options) {
+        super(message, { step: 'filter', ...context }, options);
+        this.filterLabel = filterLabel;
+    }
+}
+/**
+ * Thrown when a report does not offer the requested export type.
+ */
+export class ReportExportTypeNotAvailableError extends FasterReportExporterError {
+    exportType;
+    availableExportTypes;
+    constructor(exportType, availableExportTypes, context = {}, options) {
+        super(`Export type "${exportType}" is not available. Available types: ${availableExportTypes.join(', ')}`, { step: 'export', ...context }, options);
+        this.exportType = exportType;
+        this.availableExportTypes = availableExportTypes;
+    }
+}
+/**
+ * Thrown when a page, element, or download takes longer than the timeout.
+ */
+export class ExportTimeoutError extends FasterReportExporterError {
+}
+/**
+ * Thrown when the browser cancels a report download.
+ */
+export class DownloadCanceledError extends FasterReportExporterError {
+    constructor(message = 'Download canceled.', context = {}, options) {
+        super(message, { step: 'download', ...context }, options);
+    }
+}
+/**
+ * Thrown when an export is canceled with its `AbortSignal`.
+ * The signal's reason is the cause.
+ */
+export class ExportAbortedError extends FasterReportExporterError {
+    constructor(message = 'Export aborted.', context = {}, options) {
+        super(message, context, options);
+    }
+}
+/**
+ * Thrown when a report cannot be delivered to one or more destinations.
+ * The copies that were delivered are listed in `deliveries`.
+ */
+export class ReportDeliveryError extends FasterReportExporterError {
+    deliveries;
+    failures;
+    constructor(deliveries, failures, context = {}, options) {
+        super(`Report not delivered to: ${failures.map((failure) => failure.destinationName).join(', ')}`, { step: 'deliver', ...context }, options);
+        this.deliveries = deliveries;
+        this.failures = failures;
+    }
+}
+/**
+ * Thrown when a scheduled report cannot be found by name.
+ */
+export class ScheduledReportNotFoundError extends FasterReportExporterError {
+    scheduleName;
+    constructor(scheduleName, context = {}, options) {
+        super(`No scheduled report found with name: ${scheduleName}`, { step: 'navigate', ...context }, options);
+        this.scheduleName = scheduleName;
+    }
+}
+/**
+ * Converts an error to a FasterReportExporterError, adding context.
+ * Context already set on a FasterReportExporterError is kept.
+ * Puppeteer timeouts become ExportTimeoutErrors,
+ * and aborted requests become ExportAbortedErrors.
+ * @param error - The error that was thrown.
+ * @param context - The report key and step to add.
+ * @returns The typed error.
+ */
+export function toFasterReportExporterError(error, context) {
+    if (error instanceof FasterReportExporterError) {
+        error.reportKey ??= context.reportKey;
+        error.step ??= context.step;
+        return error;
+    }
+    const message = error instanceof Error ? error.message : String(error);
+    if (error instanceof Error && error.name === 'TimeoutError') {
+        return new ExportTimeoutError(message, context, { cause: error });
+    }
+    if (error instanceof Error && error.name === 'AbortError') {
+        return new ExportAbortedError(message, context, { cause: error });
+    }
+    return new FasterReportExporterError(message, context, { cause: error });
+}
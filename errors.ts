@@ -0,0 +1,274 @@
+// eslint-disable-next-line @eslint-community/eslint-comments/disable-enable-pair
+/* eslint-disable max-classes-per-file */
+
+import type { ReportDelivery, ReportExportType } from './types.js'
+
+/**
+ * The step of an export where an error occurred.
+ */
+export type ExportStep =
+  'deliver' | 'download' | 'export' | 'filter' | 'launch' | 'login' | 'navigate'
+
+export interface FasterReportExporterErrorContext {
+  /** The Report Viewer report key, when known. */
+  reportKey?: string
+
+  /** The step of the export that failed. */
+  step?: ExportStep
+}
+
+/**
+ * Files saved when an export fails, to help see what FASTER was showing.
+ */
+export interface FasterReportExporterErrorDiagnostics {
+  /** The page URL, with password parameters redacted. */
+  url: string
+
+  /** A full page screenshot, when one could be saved. */
+  screenshotPath?: string
+
+  /** The page HTML, with password fields redacted, when it could be saved. */
+  htmlPath?: string
+}
+
+/**
+ * The base class for errors thrown by the FasterReportExporter.
+ */
+export class FasterReportExporterError extends Error {
+  reportKey: string | undefined
+  step: ExportStep | undefined
+
+  /** Set when the `diagnosticsFolderPath` option is used. */
+  diagnostics: FasterReportExporterErrorDiagnostics | undefined
+
+  constructor(
+    message: string,
+    context: FasterReportExporterErrorContext = {},
+    options?: ErrorOptions
+  ) {
+    super(message, options)
+
+    this.name = new.target.name
+    this.reportKey = context.reportKey
+    this.step = context.step
+  }
+}
+
+/**
+ * Thrown when logging into FASTER Web fails.
+ */
+export class FasterLoginError extends FasterReportExporterError {
+  constructor(
+    message: string,
+    context: FasterReportExporterErrorContext = {},
+    options?: ErrorOptions
+  ) {
+    super(message, { step: 'login', ...context }, options)
+  }
+}
+
+/**
+ * Thrown when FASTER Web rejects the user name or password.
+ */
+export class FasterInvalidCredentialsError extends FasterLoginError {}
+
+/**
+ * Thrown when the FASTER Web account is locked or disabled.
+ */
+export class FasterAccountLockedError extends FasterLoginError {}
+
+/**
+ * Thrown when FASTER Web requires the password to be changed.
+ */
+export class FasterPasswordExpiredError extends FasterLoginError {}
+
+/**
+ * Thrown when the user does not have permission to access a report.
+ */
+export class FasterPermissionError extends FasterReportExporterError {}
+
+/**
+ * Thrown when an expected element cannot be found on a FASTER Web page.
+ */
+export class FasterElementNotFoundError extends FasterReportExporterError {
+  readonly selector: string
+
+  constructor(
+    message: string,
+    selector: string,
+    context: FasterReportExporterErrorContext = {},
+    options?: ErrorOptions
+  ) {
+    super(message, context, options)
+    this.selector = selector
+  }
+}
+
+/**
+ * Thrown when a report filter label cannot be found on the Report Viewer page.
+ */
+export class ReportFilterNotFoundError extends FasterReportExporterError {
+  readonly filterLabel: string
+
+  constructor(
+    filterLabel: string,
+    context: FasterReportExporterErrorContext = {},
+    options?: ErrorOptions
+  ) {
+    super(
+      `No filter found with label: ${filterLabel}`,
+      { step: 'filter', ...context },
+      options
+    )
+    this.filterLabel = filterLabel
+  }
+}
+
+/**
+ * Thrown when a report filter value cannot be applied.
+ */
+export class ReportFilterValueError extends FasterReportExporterError {
+  readonly filterLabel: string
+
+  constructor(
+    message: string,
+    filterLabel: string,
+    context: FasterReportExporterErrorContext = {},
+    options?: ErrorOptions
+  ) {
+    super(message, { step: 'filter', ...context }, options)
+    this.filterLabel = filterLabel
+  }
+}
+
+/**
+ * Thrown when a report does not offer the requested export type.
+ */
+export class ReportExportTypeNotAvailableError extends FasterReportExporterError {
+  readonly exportType: ReportExportType
+  readonly availableExportTypes: ReportExportType[]
+
+  constructor(
+    exportType: ReportExportType,
+    availableExportTypes: ReportExportType[],
+    context: FasterReportExporterErrorContext = {},
+    options?: ErrorOptions
+  ) {
+    super(
+      `Export type "${exportType}" is not available. Available types: ${availableExportTypes.join(', ')}`,
+      { step: 'export', ...context },
+      options
+    )
+    this.exportType = exportType
+    this.availableExportTypes = availableExportTypes
+  }
+}
+
+/**
+ * Thrown when a page, element, or download takes longer than the timeout.
+ */
+export class ExportTimeoutError extends FasterReportExporterError {}
+
+/**
+ * Thrown when the browser cancels a report download.
+ */
+export class DownloadCanceledError extends FasterReportExporterError {
+  constructor(
+    message = 'Download canceled.',
+    context: FasterReportExporterErrorContext = {},
+    options?: ErrorOptions
+  ) {
+    super(message, { step: 'download', ...context }, options)
+  }
+}
+
+/**
+ * Thrown when an export is canceled with its `AbortSignal`.
+ * The signal's reason is the cause.
+ */
+export class ExportAbortedError extends FasterReportExporterError {
+  constructor(
+    message = 'Export aborted.',
+    context: FasterReportExporterErrorContext = {},
+    options?: ErrorOptions
+  ) {
+    super(message, context, options)
+  }
+}
+
+/**
+ * Thrown when a report cannot be delivered to one or more destinations.
+ * The copies that were delivered are listed in `deliveries`.
+ */
+export class ReportDeliveryError extends FasterReportExporterError {
+  readonly deliveries: ReportDelivery[]
+  readonly failures: Array<{ destinationName: string; error: unknown }>
+
+  constructor(
+    deliveries: ReportDelivery[],
+    failures: Array<{ destinationName: string; error: unknown }>,
+    context: FasterReportExporterErrorContext = {},
+    options?: ErrorOptions
+  ) {
+    super(
+      `Report not delivered to: ${failures.map((failure) => failure.destinationName).join(', ')}`,
+      { step: 'deliver', ...context },
+      options
+    )
+    this.deliveries = deliveries
+    this.failures = failures
+  }
+}
+
+/**
+ * Thrown when a scheduled report cannot be found by name.
+ */
+export class ScheduledReportNotFoundError extends FasterReportExporterError {
+  readonly scheduleName: string
+
+  constructor(
+    scheduleName: string,
+    context: FasterReportExporterErrorContext = {},
+    options?: ErrorOptions
+  ) {
+    super(
+      `No scheduled report found with name: ${scheduleName}`,
+      { step: 'navigate', ...context },
+      options
+    )
+    this.scheduleName = scheduleName
+  }
+}
+
+/**
+ * Converts an error to a FasterReportExporterError, adding context.
+ * Context already set on a FasterReportExporterError is kept.
+ * Puppeteer timeouts become ExportTimeoutErrors,
+ * and aborted requests become ExportAbortedErrors.
+ * @param error - The error that was thrown.
+ * @param context - The report key and step to add.
+ * @returns The typed error.
+ */
+export function toFasterReportExporterError(
+  error: unknown,
+  context: FasterReportExporterErrorContext
+): FasterReportExporterError {
+  if (error instanceof FasterReportExporterError) {
+    error.reportKey ??= context.reportKey
+    error.step ??= context.step
+
+    return error
+  }
+
+  const message = error instanceof Error ? error.message : String(error)
+
+  if (error instanceof Error && error.name === 'TimeoutError') {
+    return new ExportTimeoutError(message, context, { cause: error })
+  }
+
+  if (error instanceof Error && error.name === 'AbortError') {
+    return new ExportAbortedError(message, context, { cause: error })
+  }
+
+  return new FasterReportExporterError(message, context, { cause: error })
+}
@@ -0,0 +1,19 @@
+import { performance } from 'node:perf_hooks';
+/**
+ * Gets the current time, for measuring how long a step takes.
+ * @returns A high resolution timestamp, in milliseconds.
+ */
+export function startEventTimer() {
+    return performance.now();
+}
+/**
+ * Creates the timing details for an event.
+ * @param startMillis - The value returned by `startEventTimer()` when the step started.
+ * @returns The timing details.
+ */
+export function getEventTiming(startMillis) {
+    return {
+        timestamp: new Date(),
+        durationMillis: Math.round(performance.now() - startMillis)
+    };
+}
@@ -0,0 +1,78 @@
+import { performance } from 'node:perf_hooks'
+
+import type { ReportExportType } from './types.js'
+
+export interface ExportEventTiming {
+  /** When the step finished. */
+  timestamp: Date
+
+  /** How long the step took, in milliseconds. */
+  durationMillis: number
+}
+
+export interface FasterReportExporterEvents {
+  browserLaunched: [event: ExportEventTiming & { headless: boolean }]
+
+  loggedIn: [event: ExportEventTiming]
+
+  reportPageLoaded: [
+    event: ExportEventTiming & { reportKey?: string; url: string }
+  ]
+
+  filtersApplied: [
+    event: ExportEventTiming & { reportKey?: string; filterLabels: string[] }
+  ]
+
+  exportFormatSelected: [
+    event: ExportEventTiming & { exportType: ReportExportType }
+  ]
+
+  /** The duration is the time since the export format was selected. */
+  downloadStarted: [
+    event: ExportEventTiming & {
+      exportType: ReportExportType
+      fileName: string
+    }
+  ]
+
+  /** The duration is the time since the download started. */
+  downloadProgress: [
+    event: ExportEventTiming & { receivedBytes: number; totalBytes: number }
+  ]
+
+  /** The duration is the time since the download started. */
+  downloadCompleted: [
+    event: ExportEventTiming & {
+      exportType: ReportExportType
+      fileName: string
+      byteSize: number
+    }
+  ]
+
+  /** The duration is the time the copy took to deliver. */
+  reportDelivered: [
+    event: ExportEventTiming & { destinationName: string; location: string }
+  ]
+
+  browserClosed: [event: ExportEventTiming]
+}
+
+/**
+ * Gets the current time, for measuring how long a step takes.
+ * @returns A high resolution timestamp, in milliseconds.
+ */
+export function startEventTimer(): number {
+  return performance.now()
+}
+
+/**
+ * Creates the timing details for an event.
+ * @param startMillis - The value returned by `startEventTimer()` when the step started.
+ * @returns The timing details.
+ */
+export function getEventTiming(startMillis: number): ExportEventTiming {
+  return {
+    timestamp: new Date(),
+    durationMillis: Math.round(performance.now() - startMillis)
+  }
+}
@@ -0,0 +1,65 @@
+import type { ReportExportType } from './types.js';
+export interface ReportFileNameContext {
+    /** The report code, like "W114" or "W300N". Empty if unknown. */
+    reportCode: string;
+    /** The report or schedule name. */
+    reportName: string;
+    /** The work order or part order number, or a range like "100-110". */
+    itemNumber?: string;
+    startDate?: Date;
+    endDate?: Date;
+    exportType: ReportExportType;
+    /** When the export completed. */
+    timestamp: Date;
+    /** The unique id of the browser download. */
+    downloadId: string;
+}
+/**
+ * A file name template, or a function that returns a file name.
+ * Templates can include `{reportCode}`, `{reportName}`, `{itemNumber}`,
+ * `{startDate}`, `{endDate}`, `{exportType}`, `{timestamp}`, and `{downloadId}`.
+ * The file extension is added automatically.
+ */
+export type ReportFileNameTemplate = string | ((context: ReportFileNameContext) => string);
+/**
+ * A folder path template, or a function that returns a folder path.
+ * Folders are separated by slashes, like "{reportCode}/{startDate}".
+ * Templates can include the same placeholders as file name templates.
+ * Folders that would be empty are skipped.
+ */
+export type ReportFolderTemplate = string | ((context: ReportFileNameContext) => string);
+export type ReportDetails = Omit<ReportFileNameContext, 'downloadId' | 'exportType' | 'timestamp'>;
+/**
+ * Gets the report code and name from a Report Viewer report key.
+ * @param reportKey - The report path, like "/Inventory/W200 - Inventory Report".
+ * @returns The report code and name.
+ */
+export declare function getReportDetailsFromReportKey(reportKey: `/${string}`): ReportDetails;
+/**
+ * Builds a file name, without an extension, for an exported report.
+ * Placeholders without a value are removed, along with their leading separators.
+ * @param fileNameTemplate - The file name template, or a function that returns a file name.
+ * @param context - The report details.
+ * @returns The file name, or the download id if the file name would be empty.
+ */
+export declare function formatReportFileName(fileNameTemplate: ReportFileNameTemplate, context: ReportFileNameContext): string;
+/**
+ * Builds the folders for an exported report, from a folder template.
+ * Each folder is made safe to use as a file name,
+ * and empty, "." and ".." folders are skipped,
+ * so the folders cannot point outside the destination.
+ * @param folderTemplate - The folder template, or a function that returns a folder path.
+ * @param context - The report details.
+ * @returns The folder names, from outermost to innermost.
+ */
+export declare function formatReportFolders(folderTemplate: ReportFolderTemplate, context: ReportFileNameContext): string[];
+/**
+ * Reserves an unused file path by creating an empty file.
+ * If the file name is taken, a number is added, like "report (1).pdf".
+ * Callers remove the empty file if writing the report fails.
+ * @param folderPath - The folder for the file.
+ * @param fileName - The file name, without an extension.
+ * @param fileExtension - The file extension, without a leading dot.
+ * @returns The reserved file path.
+ */
+export declare function reserveFilePath(folderPath: string, fileName: string, fileExtension: string): Promise<string>;
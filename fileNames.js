@@ -0,0 +1,125 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { dateToString } from '@cityssm/utils-datetime';
+const reportCodeRegex = /\/(W\d+\w*)\s*-/i;
+/**
+ * Gets the report code and name from a Report Viewer report key.
+ * @param reportKey - The report path, like "/Inventory/W200 - Inventory Report".
+ * @returns The report code and name.
+ */
+export function getReportDetailsFromReportKey(reportKey) {
+    const reportFileName = reportKey.split('/').at(-1) ?? '';
+    return {
+        reportCode: reportCodeRegex.exec(reportKey)?.[1].toUpperCase() ?? '',
+        reportName: reportFileName.replace(/^W\d+\w*\s*-\s*/i, '')
+    };
+}
+/**
+ * Formats a timestamp for use in a file name.
+ * @param timestamp - The timestamp.
+ * @returns The timestamp, like "20250131-154500".
+ */
+function timestampToString(timestamp) {
+    const timeString = [
+        timestamp.getHours(),
+        timestamp.getMinutes(),
+        timestamp.getSeconds()
+    ]
+        .map((timePart) => timePart.toString().padStart(2, '0'))
+        .join('');
+    return `${dateToString(timestamp).replaceAll('-', '')}-${timeString}`;
+}
+/**
+ * Replaces characters that are not allowed in file names.
+ * @param fileName - The file name.
+ * @returns The safe file name.
+ */
+function sanitizeFileName(fileName) {
+    // eslint-disable-next-line no-control-regex
+    return fileName.replaceAll(/[\u0000-\u001F"*/:<>?\\|]/g, '_').trim();
+}
+/**
+ * Fills in the placeholders of a template.
+ * Placeholders without a value are removed, along with their leading separators.
+ * @param template - The template, or a function that returns the filled in template.
+ * @param context - The report details.
+ * @returns The filled in template.
+ */
+function applyReportTemplate(template, context) {
+    if (typeof template === 'function') {
+        return template(context);
+    }
+    const placeholderValues = {
+        reportCode: context.reportCode,
+        reportName: context.reportName,
+        itemNumber: context.itemNumber ?? '',
+        startDate: context.startDate === undefined ? '' : dateToString(context.startDate),
+        endDate: context.endDate === undefined ? '' : dateToString(context.endDate),
+        exportType: context.exportType,
+        timestamp: timestampToString(context.timestamp),
+        downloadId: context.downloadId
+    };
+    return template
+        .replaceAll(/([\s._-]*)\{(\w+)\}/g, (placeholder, separator, placeholderName) => {
+        // eslint-disable-next-line security/detect-object-injection
+        const placeholderValue = placeholderValues[placeholderName];
+        if (placeholderValue === undefined) {
+            return placeholder;
+        }
+        return placeholderValue === '' ? '' : separator + placeholderValue;
+    })
+        .replace(/^[\s._-]+/, '');
+}
+/**
+ * Builds a file name, without an extension, for an exported report.
+ * Placeholders without a value are removed, along with their leading separators.
+ * @param fileNameTemplate - The file name template, or a function that returns a file name.
+ * @param context - The report details.
+ * @returns The file name, or the download id if the file name would be empty.
+ */
+export function formatReportFileName(fileNameTemplate, context) {
+    const fileName = sanitizeFileName(applyReportTemplate(fileNameTemplate, context));
+    return fileName === '' ? context.downloadId : fileName;
+}
+/**
+ * Builds the folders for an exported report, from a folder template.
+ * Each folder is made safe to use as a file name,
+ * and empty, "." and ".." folders are skipped,
+ * so the folders cannot point outside the destination.
+ * @param folderTemplate - The folder template, or a function that returns a folder path.
+ * @param context - The report details.
+ * @returns The folder names, from outermost to innermost.
+ */
+export function formatReportFolders(folderTemplate, context) {
+    return applyReportTemplate(folderTemplate, context)
+        .split(/[/\\]/)
+        .map((folderName) => sanitizeFileName(folderName))
+        .filter((folderName) => folderName !== '' && folderName !== '.' && folderName !== '..');
+}
+/**
+ * Reserves an unused file path by creating an empty file.
+ * If the file name is taken, a number is added, like "report (1).pdf".
+ * Callers remove the empty file if writing the report fails.
+ * @param folderPath - The folder for the file.
+ * @param fileName - The file name, without an extension.
+ * @param fileExtension - The file extension, without a leading dot.
+ * @returns The reserved file path.
+ */
+export async function reserveFilePath(folderPath, fileName, fileExtension) {
+    for (let fileNumber = 0;; fileNumber += 1) {
+        const filePath = path.join(folderPath, fileNumber === 0
+            ? `${fileName}.${fileExtension}`
+            : `${fileName} (${fileNumber}).${fileExtension}`);
+        try {
+            // eslint-disable-next-line security/detect-non-literal-fs-filename
+            const fileHandle = await fs.promises.open(filePath, 'wx');
+            await fileHandle.close();
+            return filePath;
+        }
+        catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+    }
+}
@@ -1,18 +1,168 @@
+import { EventEmitter } from 'node:events';
 import FasterUrlBuilder from '@cityssm/faster-url-builder';
 import { type puppeteer } from '@cityssm/puppeteer-launch';
-import type { ReportExportType, ReportTimeZone } from './types.js';
+import { type FasterAuthStateStore } from './authState.js';
+import { type FasterCredentialProvider } from './credentials.js';
+import { type DateRangeInput } from './dateRanges.js';
+import type { ReportDestination } from './destinations.js';
+import { type FasterReportExporterEvents } from './events.js';
+import { type ReportFileNameTemplate } from './fileNames.js';
+import { type AssetListRecord, type InventoryRecord, type MessageLogRecord } from './reportParsers.js';
+import { type RetryPolicy } from './retries.js';
+import type { ExportResult, ExportResultType, ReportDomain, ReportExportStrategy, ReportExportType, ReportFilters, ReportParameterDescription, ReportParameters, ReportTimeZone, ScheduledReport } from './types.js';
+export { type FasterAuthState, type FasterAuthStateStore, createEncryptedFileAuthStateStore } from './authState.js';
+export type { FasterCredentialProvider, FasterCredentialProviderFunction, FasterCredentialProviderObject, FasterCredentialRequest, FasterLoginCredentials } from './credentials.js';
+export { type DateRange, type DateRangeDescriptor, type DateRangeInput, type DateRangePreset, dateRangePresets, resolveDateRange } from './dateRanges.js';
+export { type FolderDestinationOptions, type ReportDestination, type ReportDestinationFile, type S3Credentials, type S3DestinationOptions, type SftpDestinationOptions, createFolderDestination, createS3Destination, createSftpDestination } from './destinations.js';
+export { type ExportStep, type FasterReportExporterErrorContext, type FasterReportExporterErrorDiagnostics, DownloadCanceledError, ExportAbortedError, ExportTimeoutError, FasterAccountLockedError, FasterElementNotFoundError, FasterInvalidCredentialsError, FasterLoginError, FasterPasswordExpiredError, FasterPermissionError, FasterReportExporterError, ReportDeliveryError, ReportExportTypeNotAvailableError, ReportFilterNotFoundError, ReportFilterValueError, ScheduledReportNotFoundError } from './errors.js';
+export type { ExportEventTiming, FasterReportExporterEvents } from './events.js';
+export type { ReportFileNameContext, ReportFileNameTemplate, ReportFolderTemplate } from './fileNames.js';
+export type { AssetListRecord, InventoryRecord, MessageLogRecord, ReportRecord } from './reportParsers.js';
+export type { RetryAttempt, RetryPolicy } from './retries.js';
+export type { ExportedReportBuffer, ExportedReportDeliveries, ExportedReportMetadata, ExportedReportStream, ExportResult, ExportResultType, ReportDelivery, ReportDomain, ReportExportStrategy, ReportExportType, ReportFilters, ReportFilterValue, ReportParameterControlType, ReportParameterDescription, ReportParameters, ReportTimeZone, ScheduledReport } from './types.js';
 export interface FasterReportExporterOptions {
     downloadFolderPath: string;
     timeoutMillis: number;
+    /**
+     * The maximum time for a single export,
+     * from launching the browser and logging in to delivering the report.
+     * @default 600_000 (10 minutes)
+     */
+    exportTimeoutMillis: number;
     timeZone: ReportTimeZone;
+    /**
+     * The first month of the fiscal year, from 1 (January) to 12 (December).
+     * Used by fiscal year date range presets.
+     * @default 1
+     */
+    fiscalYearStartMonth: number;
+    /**
+     * How reports are exported from the Report Viewer.
+     * "exportUrl" is faster, but relies on the Report Viewer's client script.
+     * @default 'menu'
+     */
+    exportStrategy: ReportExportStrategy;
+    /**
+     * When set, a screenshot and the page HTML are saved to this folder
+     * when an export or login fails.
+     * The file paths are added to the error's `diagnostics`.
+     */
+    diagnosticsFolderPath: string;
+    /**
+     * Retries for login, navigation, filters, and downloads.
+     * By default, steps are not retried.
+     */
+    retryPolicy: Partial<RetryPolicy>;
     /**
      * Show the browser window.
      * Useful for debugging.
      * @default false
      */
     showBrowserWindow: boolean;
+    /**
+     * Accept invalid HTTPS certificates, like self-signed certificates
+     * on servers hosted on premises.
+     * Applies to the browser and to "exportUrl" strategy requests.
+     * @default false
+     */
+    acceptInsecureCerts: boolean;
+    /**
+     * The file name template, or a function that returns a file name,
+     * for reports saved in the download folder.
+     * By default, files are named with the unique id of the browser download.
+     * @example '{reportCode}_{itemNumber}_{startDate}_{endDate}_{timestamp}'
+     */
+    fileNameTemplate: ReportFileNameTemplate;
+    /**
+     * Saves the FASTER Web login after logging in,
+     * and restores it the next time a browser is launched,
+     * skipping the login while it is still valid.
+     * Use `createEncryptedFileAuthStateStore()`, or a custom store.
+     */
+    authStateStore: FasterAuthStateStore;
+    /**
+     * Where copies of exported reports are delivered,
+     * like network shares, SFTP servers, or object storage.
+     * Reports are delivered to every destination, in addition to the requested result.
+     */
+    destinations: ReportDestination[];
+}
+export interface ExportOptions<T extends ExportResultType = 'path'> {
+    exportType?: ReportExportType;
+    /**
+     * How the exported report is returned.
+     * - "path" saves the file in the download folder, and returns its path.
+     * - "buffer" returns the file contents with metadata.
+     * - "stream" returns a readable stream with metadata.
+     * - "deliveries" only delivers the report to the destinations,
+     *   and returns the metadata with where each copy was delivered.
+     * Temporary files used for "buffer", "stream", and "deliveries" results are cleaned up.
+     * @default 'path'
+     */
+    resultType?: T;
+    /**
+     * Overrides the destinations set on the exporter, for this export.
+     */
+    destinations?: ReportDestination[];
+    /**
+     * Cancels the export.
+     * When aborted, the export stops, its browser (or its tabs in a session) is closed,
+     * partial downloads are removed, and an `ExportAbortedError` is thrown.
+     */
+    signal?: AbortSignal;
 }
-export declare class FasterReportExporter {
+export interface ExportScheduledReportOptions<T extends ExportResultType = 'path'> extends ExportOptions<T> {
+    /**
+     * Filters applied to the scheduled report, by label.
+     * Applied after the "Start Date" and "End Date" filters,
+     * so they can be overridden.
+     */
+    filters?: ReportFilters;
+}
+export interface BatchExportOptions {
+    exportType: ReportExportType;
+    /**
+     * The number of reports exported at the same time,
+     * each in its own browser tab.
+     * Must be a positive integer, otherwise a `RangeError` is thrown.
+     * @default 3
+     */
+    concurrency: number;
+    /**
+     * Cancels the exports that have not finished.
+     * When aborted, the batch rejects with an `ExportAbortedError`.
+     */
+    signal: AbortSignal;
+}
+export interface ExportReportOptions<T extends ExportResultType = 'path'> extends ExportOptions<T> {
+    /**
+     * The report path, as found in the "R" parameter of the Report Viewer URL.
+     * @example '/Inventory/W200 - Inventory Report'
+     */
+    reportKey: `/${string}`;
+    /**
+     * The FASTER Web domain the report belongs to.
+     */
+    domain: ReportDomain;
+    /**
+     * Additional Report Viewer URL parameters.
+     * Overrides the default "ReportType" and "Parent" parameters.
+     */
+    parameters?: Record<string, string>;
+    /**
+     * Report filters, keyed by the filter label.
+     * Include "Time Zone" for reports that have one.
+     */
+    filters?: ReportFilters;
+}
+export type BatchExportResult = {
+    success: false;
+    error: unknown;
+} | {
+    success: true;
+    reportPath: string;
+};
+export declare class FasterReportExporter extends EventEmitter<FasterReportExporterEvents> {
     #private;
     readonly fasterUrlBuilder: FasterUrlBuilder;
     /**
@@ -24,6 +174,16 @@ export declare class FasterReportExporter {
      * @param options - Options
      */
     constructor(fasterTenantOrBaseUrl: string, fasterUserName: string, fasterPassword: string, options?: Partial<FasterReportExporterOptions>);
+    /**
+     * Initializes the FasterReportExporter,
+     * getting the credentials from a provider each time FASTER is logged into.
+     * @param fasterTenantOrBaseUrl - The subdomain of the FASTER Web URL before ".fasterwebcloud.com"
+     *                                or the full domain and path including "/FASTER"
+     * @param credentialProvider - A function, or an object with a `getCredentials()` function,
+     *                             that returns the user name and password.
+     * @param options - Options
+     */
+    constructor(fasterTenantOrBaseUrl: string, credentialProvider: FasterCredentialProvider, options?: Partial<FasterReportExporterOptions>);
     /**
      * Sets the folder where downloaded reports are saved.
      * @param downloadFolderPath - The folder where downloaded reports are saved.
@@ -34,6 +194,30 @@ export declare class FasterReportExporter {
      * @param timeoutMillis - Number of milliseconds.
      */
     setTimeoutMillis(timeoutMillis: number): void;
+    /**
+     * Changes the maximum time for a single export.
+     * Exports that take longer reject with an `ExportTimeoutError`.
+     * @param exportTimeoutMillis - Number of milliseconds.
+     */
+    setExportTimeoutMillis(exportTimeoutMillis: number): void;
+    /**
+     * Changes how failed steps are retried.
+     * Unset properties use the default policy.
+     * @param retryPolicy - The retry policy.
+     */
+    setRetryPolicy(retryPolicy: Partial<RetryPolicy>): void;
+    /**
+     * Saves a screenshot and the page HTML when an export or login fails.
+     * @param diagnosticsFolderPath - The folder where the files are saved.
+     *                                Created if it does not exist.
+     */
+    setDiagnosticsFolderPath(diagnosticsFolderPath: string): void;
+    /**
+     * Changes how reports are exported from the Report Viewer.
+     * @param exportStrategy - "menu" to click through the export menu,
+     *                         or "exportUrl" to request the export URL directly.
+     */
+    setExportStrategy(exportStrategy: ReportExportStrategy): void;
     /**
      * Switches off headless mode, making the browser window visible.
      * Useful for debugging.
@@ -44,71 +228,217 @@ export declare class FasterReportExporter {
      * @param timezone - The preferred report time zone.
      */
     setTimeZone(timezone: ReportTimeZone): void;
+    /**
+     * Changes how reports saved in the download folder are named.
+     * If a file with the same name exists, a number is added to the new file name.
+     * @param fileNameTemplate - A file name template, like "{reportCode}_{timestamp}",
+     *                           or a function that returns a file name.
+     *                           `undefined` names files with the unique id of the browser download.
+     */
+    setFileNameTemplate(fileNameTemplate: ReportFileNameTemplate | undefined): void;
+    /**
+     * Saves the FASTER Web login between runs,
+     * so new browsers can skip logging in while the login is still valid.
+     * @param authStateStore - Where the login is saved,
+     *                         like `createEncryptedFileAuthStateStore()`.
+     */
+    setAuthStateStore(authStateStore: FasterAuthStateStore): void;
+    /**
+     * Changes where copies of exported reports are delivered.
+     * @param destinations - The destinations, like `createFolderDestination()`.
+     *                       An empty list stops delivering copies.
+     */
+    setDestinations(destinations: ReportDestination[]): void;
+    /**
+     * Opens a browser session that stays logged into FASTER.
+     * While a session is open, exports run in new tabs of the same browser,
+     * skipping the browser launch and login for each export.
+     * Be sure to call `closeSession()` when done.
+     * @param options - Options.
+     * @param options.signal - Cancels the launch and login.
+     */
+    openSession(options?: Pick<ExportOptions, 'signal'>): Promise<void>;
+    /**
+     * Checks if a browser session is open.
+     * @returns `true` if a session opened with `openSession()` is still connected.
+     */
+    hasOpenSession(): boolean;
+    /**
+     * Closes the browser session opened with `openSession()`.
+     */
+    closeSession(): Promise<void>;
+    /**
+     * Runs a callback with an open browser session,
+     * closing the session when the callback completes.
+     * If a session is already open, it is reused and left open.
+     * @param callback - Function that runs exports using the exporter.
+     * @param options - Options.
+     * @param options.signal - Cancels opening the session.
+     * @returns The value returned by the callback.
+     */
+    withSession<T>(callback: (reportExporter: this) => Promise<T>, options?: Pick<ExportOptions, 'signal'>): Promise<T>;
     /**
      * Gets a browser and page that are logged into FASTER.
-     * @returns browser and page, be sure to close the browser when done.
+     * When a session is open, the page is a new tab in the session browser,
+     * and the login is repeated if the FASTER login has expired.
+     * When an auth state store is set, new browsers start with the saved login,
+     * and only log in when FASTER shows the login form.
+     * @param signal - Cancels the launch and login.
+     * @returns browser and page, be sure to close the browser
+     *          (or only the page when a session is open) when done.
      */
-    _getLoggedInFasterPage(): Promise<{
+    _getLoggedInFasterPage(signal?: AbortSignal): Promise<{
         browser: puppeteer.Browser;
         page: puppeteer.Page;
     }>;
+    /**
+     * Lists the export types offered by a Report Viewer report.
+     * @param reportKey - The report path, as found in the "R" parameter of the Report Viewer URL.
+     * @param reportParameters - Report Viewer URL parameters.
+     * @returns The available export types, like "PDF" and "Excel".
+     */
+    describeReportExportTypes(reportKey: `/${string}`, reportParameters: ReportParameters): Promise<ReportExportType[]>;
+    /**
+     * Lists the parameters on a Report Viewer report page.
+     * Useful for finding filter labels, and validating filters before exporting.
+     * @param reportKey - The report path, as found in the "R" parameter of the Report Viewer URL.
+     * @param reportParameters - Report Viewer URL parameters.
+     * @returns The parameter labels, input ids, control types, values, and options.
+     *          Empty if the report has no parameters.
+     */
+    describeReportParameters(reportKey: `/${string}`, reportParameters: ReportParameters): Promise<ReportParameterDescription[]>;
+    /**
+     * Exports any report available in the FASTER Web Report Viewer.
+     * @param options - The report key, domain, parameters, filters, and export options.
+     * @returns The path to the exported report, or the report contents with metadata.
+     */
+    exportReport<T extends ExportResultType = 'path'>(options: ExportReportOptions<T>): Promise<ExportResult<T>>;
     /**
      * Exports a Part Order Print (W299) report for a given order number.
      * @param orderNumber - The order number.
-     * @param exportType - The export type.
-     * @returns The path to the exported report.
+     * @param exportTypeOrOptions - The export type, or export options.
+     * @returns The path to the exported report, or the report contents with metadata.
      */
-    exportPartOrderPrint(orderNumber: number, exportType?: ReportExportType): Promise<string>;
+    exportPartOrderPrint<T extends ExportResultType = 'path'>(orderNumber: number, exportTypeOrOptions?: ExportOptions<T> | ReportExportType): Promise<ExportResult<T>>;
+    /**
+     * Exports Part Order Prints (W299) for a list of order numbers.
+     * @param orderNumbers - The order numbers.
+     * @param options - Batch options, including the export type and concurrency.
+     * @returns A map of order numbers to export results.
+     */
+    exportPartOrderPrints(orderNumbers: number[], options?: Partial<BatchExportOptions>): Promise<Map<number, BatchExportResult>>;
     /**
      * Exports an Inventory Report (W200).
-     * @param exportType - The export type.
-     * @returns The path to the exported report.
+     * @param exportTypeOrOptions - The export type, or export options.
+     * @returns The path to the exported report, or the report contents with metadata.
      */
-    exportInventory(exportType?: ReportExportType): Promise<string>;
+    exportInventory<T extends ExportResultType = 'path'>(exportTypeOrOptions?: ExportOptions<T> | ReportExportType): Promise<ExportResult<T>>;
     /**
      * Export an Asset Master List (W114) report.
-     * @param exportType - The export type.
-     * @returns The path to the exported report.
+     * @param exportTypeOrOptions - The export type, or export options.
+     * @returns The path to the exported report, or the report contents with metadata.
+     */
+    exportAssetList<T extends ExportResultType = 'path'>(exportTypeOrOptions?: ExportOptions<T> | ReportExportType): Promise<ExportResult<T>>;
+    /**
+     * Gets the Inventory Report (W200) as records.
+     * @param options - Options, including an abort signal.
+     * @returns The inventory items.
      */
-    exportAssetList(exportType?: ReportExportType): Promise<string>;
+    getInventory(options?: Pick<ExportOptions, 'signal'>): Promise<InventoryRecord[]>;
+    /**
+     * Gets the Asset Master List (W114) as records.
+     * @param options - Options, including an abort signal.
+     * @returns The assets.
+     */
+    getAssetList(options?: Pick<ExportOptions, 'signal'>): Promise<AssetListRecord[]>;
     /**
      * Export a Work Order Details by Work Order Number (W300N) report.
      * @param minWorkOrderNumber - Minimum work order number.
      * @param maxWorkOrderNumber - Maximum work order number.
-     * @param exportType - The export type.
-     * @returns The path to the exported report.
+     * @param exportTypeOrOptions - The export type, or export options.
+     * @returns The path to the exported report, or the report contents with metadata.
      */
-    exportWorkOrderDetails(minWorkOrderNumber: number, maxWorkOrderNumber?: number, exportType?: ReportExportType): Promise<string>;
+    exportWorkOrderDetails<T extends ExportResultType = 'path'>(minWorkOrderNumber: number, maxWorkOrderNumber?: number, exportTypeOrOptions?: ExportOptions<T> | ReportExportType): Promise<ExportResult<T>>;
     /**
      * Exports the Customer Print (W398) for a given work order.
      * @param workOrderNumber - The work order number.
-     * @param exportType - The export type.
-     * @returns The path to the exported report.
+     * @param exportTypeOrOptions - The export type, or export options.
+     * @returns The path to the exported report, or the report contents with metadata.
      */
-    exportWorkOrderCustomerPrint(workOrderNumber: number, exportType?: ReportExportType): Promise<string>;
+    exportWorkOrderCustomerPrint<T extends ExportResultType = 'path'>(workOrderNumber: number, exportTypeOrOptions?: ExportOptions<T> | ReportExportType): Promise<ExportResult<T>>;
     /**
      * Exports the Technician Print (W399) for a given work order.
      * @param workOrderNumber - The work order number.
-     * @param exportType - The export type.
-     * @returns The path to the exported report.
+     * @param exportTypeOrOptions - The export type, or export options.
+     * @returns The path to the exported report, or the report contents with metadata.
+     */
+    exportWorkOrderTechnicianPrint<T extends ExportResultType = 'path'>(workOrderNumber: number, exportTypeOrOptions?: ExportOptions<T> | ReportExportType): Promise<ExportResult<T>>;
+    /**
+     * Exports Customer Prints (W398) for a list of work orders.
+     * @param workOrderNumbers - The work order numbers.
+     * @param options - Batch options, including the export type and concurrency.
+     * @returns A map of work order numbers to export results.
      */
-    exportWorkOrderTechnicianPrint(workOrderNumber: number, exportType?: ReportExportType): Promise<string>;
+    exportWorkOrderCustomerPrints(workOrderNumbers: number[], options?: Partial<BatchExportOptions>): Promise<Map<number, BatchExportResult>>;
+    /**
+     * Exports Technician Prints (W399) for a list of work orders.
+     * @param workOrderNumbers - The work order numbers.
+     * @param options - Batch options, including the export type and concurrency.
+     * @returns A map of work order numbers to export results.
+     */
+    exportWorkOrderTechnicianPrints(workOrderNumbers: number[], options?: Partial<BatchExportOptions>): Promise<Map<number, BatchExportResult>>;
+    /**
+     * Exports the Message Logger (W603) report.
+     * @param dateRange - A date range preset like "yesterday", a preset with an offset, or fixed dates.
+     * @param exportTypeOrOptions - The export type, or export options
+     * @returns The path to the exported report, or the report contents with metadata.
+     */
+    exportMessageLogger<T extends ExportResultType = 'path'>(dateRange: DateRangeInput, exportTypeOrOptions?: ExportOptions<T> | ReportExportType): Promise<ExportResult<T>>;
     /**
      * Exports the Message Logger (W603) report.
      * @param startDate - The start date
      * @param endDate - The end date
-     * @param exportType - The export type
-     * @returns The path to the exported report.
+     * @param exportTypeOrOptions - The export type, or export options
+     * @returns The path to the exported report, or the report contents with metadata.
+     */
+    exportMessageLogger<T extends ExportResultType = 'path'>(startDate?: Date, endDate?: Date, exportTypeOrOptions?: ExportOptions<T> | ReportExportType): Promise<ExportResult<T>>;
+    /**
+     * Gets the Message Logger (W603) report as records.
+     * @param dateRange - A date range preset like "yesterday", a preset with an offset, or fixed dates.
+     * @param options - Options, including an abort signal.
+     * @returns The messages.
+     */
+    getMessageLog(dateRange: DateRangeInput, options?: Pick<ExportOptions, 'signal'>): Promise<MessageLogRecord[]>;
+    /**
+     * Gets the Message Logger (W603) report as records.
+     * @param startDate - The start date
+     * @param endDate - The end date
+     * @param options - Options, including an abort signal.
+     * @returns The messages.
+     */
+    getMessageLog(startDate?: Date, endDate?: Date, options?: Pick<ExportOptions, 'signal'>): Promise<MessageLogRecord[]>;
+    /**
+     * Lists the scheduled reports, from every page of the scheduled reports grid.
+     * @returns The schedule names, reports, owners, frequencies, and next run dates.
+     */
+    listScheduledReports(): Promise<ScheduledReport[]>;
+    /**
+     * Exports a scheduled report by name.
+     * Helpful for exporting reports with complex parameters.
+     * @param scheduleName - Schedule name
+     * @param dateRange - A date range preset like "lastWeek", a preset with an offset, or fixed dates.
+     * @param exportTypeOrOptions - The export type, or export options
+     * @returns The path to the exported report, or the report contents with metadata.
      */
-    exportMessageLogger(startDate?: Date, endDate?: Date, exportType?: ReportExportType): Promise<string>;
+    exportScheduledReport<T extends ExportResultType = 'path'>(scheduleName: string, dateRange: DateRangeInput, exportTypeOrOptions?: ExportScheduledReportOptions<T> | ReportExportType): Promise<ExportResult<T>>;
     /**
      * Exports a scheduled report by name.
      * Helpful for exporting reports with complex parameters.
      * @param scheduleName - Schedule name
      * @param startDate - The start date
      * @param endDate - The end date
-     * @param exportType - The export type
-     * @returns The path to the exported report.
+     * @param exportTypeOrOptions - The export type, or export options
+     * @returns The path to the exported report, or the report contents with metadata.
      */
-    exportScheduledReport(scheduleName: string, startDate?: Date, endDate?: Date, exportType?: ReportExportType): Promise<string>;
+    exportScheduledReport<T extends ExportResultType = 'path'>(scheduleName: string, startDate?: Date, endDate?: Date, exportTypeOrOptions?: ExportScheduledReportOptions<T> | ReportExportType): Promise<ExportResult<T>>;
 }
@@ -1,53 +1,206 @@
 // eslint-disable-next-line @eslint-community/eslint-comments/disable-enable-pair
 /* eslint-disable max-lines */
+import { randomUUID } from 'node:crypto';
+import { EventEmitter } from 'node:events';
 import fs from 'node:fs';
 import os from 'node:os';
 import path from 'node:path';
 import { URL } from 'node:url';
 import FasterUrlBuilder from '@cityssm/faster-url-builder';
 import puppeteerLaunch from '@cityssm/puppeteer-launch';
-import { secondsToMillis } from '@cityssm/to-millis';
+import { minutesToMillis, secondsToMillis } from '@cityssm/to-millis';
 import { dateToString } from '@cityssm/utils-datetime';
 import Debug from 'debug';
+import { Agent } from 'undici';
+import { getCookiesForUrl } from './authState.js';
+import { canRefreshCredentials, createStaticCredentialProvider, getProviderCredentials } from './credentials.js';
+import { resolveDateRange } from './dateRanges.js';
 import { DEBUG_NAMESPACE } from './debug.config.js';
-import { minimumRecommendedTimeoutSeconds, reportExportTypes } from './lookups.js';
-import { applyReportFilters } from './puppeteer.helpers.js';
-import { defaultDelayMillis, delay, longDelayMillis } from './utilities.js';
+import { captureDiagnostics } from './diagnostics.js';
+import { createDownloadFolder, deleteDownloadFolder, deletePartialDownload, getContentDispositionFileName, getDownloadedReportExtension, getDownloadedReportMetadata, moveFile, readDownloadedReport, streamDownloadedReport, writeResponseToFile } from './downloads.js';
+import { DownloadCanceledError, ExportAbortedError, ExportTimeoutError, FasterAccountLockedError, FasterElementNotFoundError, FasterInvalidCredentialsError, FasterLoginError, FasterPasswordExpiredError, FasterPermissionError, FasterReportExporterError, ReportDeliveryError, ReportExportTypeNotAvailableError, ScheduledReportNotFoundError, toFasterReportExporterError } from './errors.js';
+import { getEventTiming, startEventTimer } from './events.js';
+import { formatReportFileName, getReportDetailsFromReportKey, reserveFilePath } from './fileNames.js';
+import { defaultBatchExportConcurrency, defaultExportTimeoutMinutes, loginFailurePatterns, loginMessageSelector, maximumGridPages, minimumRecommendedTimeoutSeconds, reportExportContentTypes, reportExportTypes, reportViewerExportFormats, scheduledReportsGridColumnPatterns, scheduledReportsGridSelector } from './lookups.js';
+import { applyReportFilters, getGridValues, getPageFrameIds, getReportExportMenuItemSelector, getReportExportTypes, getReportParameters, getReportViewerExportUrl, goToNextGridPage } from './puppeteer.helpers.js';
+import { parseAssetListCsv, parseInventoryCsv, parseMessageLogCsv, parseReportDate } from './reportParsers.js';
+import { defaultRetryPolicy, withRetries } from './retries.js';
+import { assertValidConcurrency, delay, longDelayMillis, mapWithConcurrency, withAbortSignal, withDeadline } from './utilities.js';
+export { createEncryptedFileAuthStateStore } from './authState.js';
+export { dateRangePresets, resolveDateRange } from './dateRanges.js';
+export { createFolderDestination, createS3Destination, createSftpDestination } from './destinations.js';
+export { DownloadCanceledError, ExportAbortedError, ExportTimeoutError, FasterAccountLockedError, FasterElementNotFoundError, FasterInvalidCredentialsError, FasterLoginError, FasterPasswordExpiredError, FasterPermissionError, FasterReportExporterError, ReportDeliveryError, ReportExportTypeNotAvailableError, ReportFilterNotFoundError, ReportFilterValueError, ScheduledReportNotFoundError } from './errors.js';
 const debug = Debug(`${DEBUG_NAMESPACE}:index`);
-export class FasterReportExporter {
+/**
+ * Converts a row in the scheduled reports grid to a scheduled report.
+ * @param headers - The grid's column headers.
+ * @param row - The row values.
+ * @returns The scheduled report.
+ */
+function toScheduledReport(headers, row) {
+    const columns = {};
+    const scheduledReport = {
+        scheduleName: row[1],
+        reportName: '',
+        owner: '',
+        frequency: '',
+        nextRunDate: undefined,
+        columns
+    };
+    for (const [columnIndex, header] of headers.entries()) {
+        // eslint-disable-next-line security/detect-object-injection
+        const value = row[columnIndex] ?? '';
+        if (header !== '') {
+            // eslint-disable-next-line security/detect-object-injection
+            columns[header] = value;
+        }
+        // The first two columns are the actions and the schedule name.
+        if (columnIndex < 2) {
+            continue;
+        }
+        if (scheduledReportsGridColumnPatterns.nextRun.test(header)) {
+            scheduledReport.nextRunDate = parseReportDate(value);
+        }
+        else if (scheduledReportsGridColumnPatterns.frequency.test(header)) {
+            scheduledReport.frequency = value;
+        }
+        else if (scheduledReportsGridColumnPatterns.owner.test(header)) {
+            scheduledReport.owner = value;
+        }
+        else if (scheduledReportsGridColumnPatterns.reportName.test(header)) {
+            scheduledReport.reportName = value;
+        }
+    }
+    return scheduledReport;
+}
+/**
+ * Converts a failed export URL request to an exporter error.
+ * @param error - The error thrown by `fetch()`.
+ * @param timeoutMillis - The request timeout.
+ * @param signal - The export's abort signal, if any.
+ * @returns An `ExportAbortedError` when the export was aborted,
+ *          an `ExportTimeoutError` for timeouts, otherwise an exporter error.
+ */
+function toExportUrlError(error, timeoutMillis, signal) {
+    if (signal?.aborted === true) {
+        return new ExportAbortedError(undefined, { step: 'download' }, { cause: signal.reason });
+    }
+    if (error instanceof DOMException && error.name === 'TimeoutError') {
+        return new ExportTimeoutError(`Download did not complete within ${timeoutMillis} ms.`, { step: 'download' }, { cause: error });
+    }
+    return toFasterReportExporterError(error, { step: 'download' });
+}
+/**
+ * Creates the error thrown when an export is aborted.
+ * @param signal - The aborted signal.
+ * @returns The `ExportTimeoutError` when the export deadline aborted the signal,
+ *          otherwise an `ExportAbortedError`, caused by the signal's reason.
+ */
+function createExportAbortedError(signal) {
+    if (signal.reason instanceof ExportTimeoutError) {
+        return signal.reason;
+    }
+    return new ExportAbortedError(undefined, {}, { cause: signal.reason });
+}
+/**
+ * Throws an `ExportAbortedError` if the signal has been aborted,
+ * or the `ExportTimeoutError` if the export deadline aborted it.
+ * @param signal - The abort signal, if any.
+ */
+function throwIfAborted(signal) {
+    if (signal?.aborted === true) {
+        throw createExportAbortedError(signal);
+    }
+}
+function toExportOptions(exportTypeOrOptions) {
+    if (typeof exportTypeOrOptions === 'string') {
+        return { exportType: exportTypeOrOptions };
+    }
+    return exportTypeOrOptions ?? {};
+}
+export class FasterReportExporter extends EventEmitter {
     fasterUrlBuilder;
-    #fasterPassword;
-    #fasterUserName;
+    #credentialProvider;
+    /**
+     * The user name of the last login, to match against saved logins.
+     * Undefined with a credential provider, until FASTER is logged into.
+     */
+    #userName;
     #downloadFolderPath = os.tmpdir();
     #useHeadlessBrowser = true;
+    #acceptInsecureCerts = false;
+    /** Makes "exportUrl" requests when invalid certificates are accepted. */
+    #insecureRequestDispatcher;
     #timeoutMillis = secondsToMillis(
     // eslint-disable-next-line @typescript-eslint/no-magic-numbers
     Math.max(120, minimumRecommendedTimeoutSeconds));
+    #exportTimeoutMillis = minutesToMillis(defaultExportTimeoutMinutes);
     #timeZone = 'Eastern';
-    /**
-     * Initializes the FasterReportExporter.
-     * @param fasterTenantOrBaseUrl - The subdomain of the FASTER Web URL before ".fasterwebcloud.com"
-     *                                or the full domain and path including "/FASTER"
-     * @param fasterUserName - The user name
-     * @param fasterPassword - The password
-     * @param options - Options
-     */
-    constructor(fasterTenantOrBaseUrl, fasterUserName, fasterPassword, options = {}) {
+    #fiscalYearStartMonth = 1;
+    #retryPolicy = { ...defaultRetryPolicy };
+    #diagnosticsFolderPath;
+    #exportStrategy = 'menu';
+    #fileNameTemplate;
+    #authStateStore;
+    #destinations = [];
+    #sessionBrowser;
+    #browserDownloadFolderPaths = new WeakMap();
+    #browserDownloadSessions = new WeakMap();
+    // eslint-disable-next-line @typescript-eslint/max-params
+    constructor(fasterTenantOrBaseUrl, fasterUserNameOrCredentialProvider, fasterPasswordOrOptions, optionsAfterPassword = {}) {
+        super();
         this.fasterUrlBuilder = new FasterUrlBuilder(fasterTenantOrBaseUrl);
-        this.#fasterUserName = fasterUserName;
-        this.#fasterPassword = fasterPassword;
+        // eslint-disable-next-line @typescript-eslint/init-declarations
+        let options;
+        if (typeof fasterUserNameOrCredentialProvider === 'string') {
+            this.#userName = fasterUserNameOrCredentialProvider;
+            this.#credentialProvider = createStaticCredentialProvider(fasterUserNameOrCredentialProvider, fasterPasswordOrOptions);
+            options = optionsAfterPassword;
+        }
+        else {
+            this.#credentialProvider = fasterUserNameOrCredentialProvider;
+            options =
+                fasterPasswordOrOptions ?? {};
+        }
         if (options.downloadFolderPath !== undefined) {
             this.setDownloadFolderPath(options.downloadFolderPath);
         }
         if (options.timeoutMillis !== undefined) {
             this.setTimeoutMillis(options.timeoutMillis);
         }
+        if (options.exportTimeoutMillis !== undefined) {
+            this.setExportTimeoutMillis(options.exportTimeoutMillis);
+        }
         if (options.showBrowserWindow !== undefined && options.showBrowserWindow) {
             this.showBrowserWindow();
         }
+        if (options.acceptInsecureCerts !== undefined) {
+            this.#acceptInsecureCerts = options.acceptInsecureCerts;
+        }
         if (options.timeZone !== undefined) {
             this.#timeZone = options.timeZone;
         }
+        if (options.fiscalYearStartMonth !== undefined) {
+            this.#fiscalYearStartMonth = options.fiscalYearStartMonth;
+        }
+        if (options.retryPolicy !== undefined) {
+            this.setRetryPolicy(options.retryPolicy);
+        }
+        if (options.diagnosticsFolderPath !== undefined) {
+            this.setDiagnosticsFolderPath(options.diagnosticsFolderPath);
+        }
+        if (options.exportStrategy !== undefined) {
+            this.setExportStrategy(options.exportStrategy);
+        }
+        if (options.fileNameTemplate !== undefined) {
+            this.setFileNameTemplate(options.fileNameTemplate);
+        }
+        if (options.authStateStore !== undefined) {
+            this.setAuthStateStore(options.authStateStore);
+        }
+        if (options.destinations !== undefined) {
+            this.setDestinations(options.destinations);
+        }
     }
     /**
      * Sets the folder where downloaded reports are saved.
@@ -70,6 +223,38 @@ export class FasterReportExporter {
             debug(`Warning: Timeouts less than ${minimumRecommendedTimeoutSeconds}s are not recommended.`);
         }
     }
+    /**
+     * Changes the maximum time for a single export.
+     * Exports that take longer reject with an `ExportTimeoutError`.
+     * @param exportTimeoutMillis - Number of milliseconds.
+     */
+    setExportTimeoutMillis(exportTimeoutMillis) {
+        this.#exportTimeoutMillis = exportTimeoutMillis;
+    }
+    /**
+     * Changes how failed steps are retried.
+     * Unset properties use the default policy.
+     * @param retryPolicy - The retry policy.
+     */
+    setRetryPolicy(retryPolicy) {
+        this.#retryPolicy = { ...defaultRetryPolicy, ...retryPolicy };
+    }
+    /**
+     * Saves a screenshot and the page HTML when an export or login fails.
+     * @param diagnosticsFolderPath - The folder where the files are saved.
+     *                                Created if it does not exist.
+     */
+    setDiagnosticsFolderPath(diagnosticsFolderPath) {
+        this.#diagnosticsFolderPath = diagnosticsFolderPath;
+    }
+    /**
+     * Changes how reports are exported from the Report Viewer.
+     * @param exportStrategy - "menu" to click through the export menu,
+     *                         or "exportUrl" to request the export URL directly.
+     */
+    setExportStrategy(exportStrategy) {
+        this.#exportStrategy = exportStrategy;
+    }
     /**
      * Switches off headless mode, making the browser window visible.
      * Useful for debugging.
@@ -84,25 +269,277 @@ export class FasterReportExporter {
     setTimeZone(timezone) {
         this.#timeZone = timezone;
     }
+    /**
+     * Changes how reports saved in the download folder are named.
+     * If a file with the same name exists, a number is added to the new file name.
+     * @param fileNameTemplate - A file name template, like "{reportCode}_{timestamp}",
+     *                           or a function that returns a file name.
+     *                           `undefined` names files with the unique id of the browser download.
+     */
+    setFileNameTemplate(fileNameTemplate) {
+        this.#fileNameTemplate = fileNameTemplate;
+    }
+    /**
+     * Saves the FASTER Web login between runs,
+     * so new browsers can skip logging in while the login is still valid.
+     * @param authStateStore - Where the login is saved,
+     *                         like `createEncryptedFileAuthStateStore()`.
+     */
+    setAuthStateStore(authStateStore) {
+        this.#authStateStore = authStateStore;
+    }
+    /**
+     * Changes where copies of exported reports are delivered.
+     * @param destinations - The destinations, like `createFolderDestination()`.
+     *                       An empty list stops delivering copies.
+     */
+    setDestinations(destinations) {
+        this.#destinations = [...destinations];
+    }
+    /**
+     * Opens a browser session that stays logged into FASTER.
+     * While a session is open, exports run in new tabs of the same browser,
+     * skipping the browser launch and login for each export.
+     * Be sure to call `closeSession()` when done.
+     * @param options - Options.
+     * @param options.signal - Cancels the launch and login.
+     */
+    async openSession(options = {}) {
+        if (this.hasOpenSession()) {
+            return;
+        }
+        // The login page stays open, keeping the browser window alive between exports.
+        const { browser } = await this.#launchLoggedInFasterPage(options.signal);
+        this.#sessionBrowser = browser;
+    }
+    /**
+     * Checks if a browser session is open.
+     * @returns `true` if a session opened with `openSession()` is still connected.
+     */
+    hasOpenSession() {
+        return this.#sessionBrowser?.connected ?? false;
+    }
+    /**
+     * Closes the browser session opened with `openSession()`.
+     */
+    async closeSession() {
+        const sessionBrowser = this.#sessionBrowser;
+        this.#sessionBrowser = undefined;
+        if (sessionBrowser !== undefined) {
+            await this.#closeBrowser(sessionBrowser);
+        }
+    }
+    /**
+     * Runs a callback with an open browser session,
+     * closing the session when the callback completes.
+     * If a session is already open, it is reused and left open.
+     * @param callback - Function that runs exports using the exporter.
+     * @param options - Options.
+     * @param options.signal - Cancels opening the session.
+     * @returns The value returned by the callback.
+     */
+    async withSession(callback, options = {}) {
+        const sessionAlreadyOpen = this.hasOpenSession();
+        await this.openSession(options);
+        try {
+            return await callback(this);
+        }
+        finally {
+            if (!sessionAlreadyOpen) {
+                await this.closeSession();
+            }
+        }
+    }
     /**
      * Gets a browser and page that are logged into FASTER.
-     * @returns browser and page, be sure to close the browser when done.
+     * When a session is open, the page is a new tab in the session browser,
+     * and the login is repeated if the FASTER login has expired.
+     * When an auth state store is set, new browsers start with the saved login,
+     * and only log in when FASTER shows the login form.
+     * @param signal - Cancels the launch and login.
+     * @returns browser and page, be sure to close the browser
+     *          (or only the page when a session is open) when done.
+     */
+    async _getLoggedInFasterPage(signal) {
+        throwIfAborted(signal);
+        if (this.#sessionBrowser !== undefined && !this.hasOpenSession()) {
+            debug('Session browser disconnected, opening a new session...');
+            await this.closeSession();
+            await this.openSession({ signal });
+        }
+        const sessionBrowser = this.#sessionBrowser;
+        if (sessionBrowser === undefined) {
+            return await this.#launchLoggedInFasterPage(signal);
+        }
+        const page = await sessionBrowser.newPage();
+        try {
+            await withAbortSignal(this.#logInToFaster(page, signal), signal, createExportAbortedError);
+        }
+        catch (error) {
+            const loginError = await this.#attachDiagnostics(page, toFasterReportExporterError(error, { step: 'login' }));
+            try {
+                await page.close();
+            }
+            catch { }
+            throw loginError;
+        }
+        return {
+            browser: sessionBrowser,
+            page
+        };
+    }
+    /**
+     * Launches a browser, and logs into FASTER.
+     * The browser is closed if the login fails or the signal is aborted.
+     * @param signal - Cancels the launch and login.
+     * @returns The browser and the logged in page.
      */
-    async _getLoggedInFasterPage() {
+    async #launchLoggedInFasterPage(signal) {
         // eslint-disable-next-line @typescript-eslint/init-declarations
         let browser;
+        // eslint-disable-next-line @typescript-eslint/init-declarations
+        let page;
         try {
-            browser = await puppeteerLaunch({
+            const launchStartMillis = startEventTimer();
+            const launchPromise = puppeteerLaunch({
                 browser: 'chrome',
                 protocol: 'cdp',
                 headless: this.#useHeadlessBrowser,
+                acceptInsecureCerts: this.#acceptInsecureCerts,
                 timeout: this.#timeoutMillis
             });
+            try {
+                browser = await withAbortSignal(launchPromise, signal, createExportAbortedError);
+            }
+            catch (error) {
+                // A browser that finishes launching after an abort is closed.
+                launchPromise
+                    .then(async (launchedBrowser) => {
+                    await launchedBrowser.close();
+                })
+                    .catch(() => undefined);
+                throw toFasterReportExporterError(error, { step: 'launch' });
+            }
+            this.emit('browserLaunched', {
+                ...getEventTiming(launchStartMillis),
+                headless: this.#useHeadlessBrowser
+            });
+            page = await browser.newPage();
+            await this.#restoreAuthState(browser);
+            await withAbortSignal(this.#logInToFaster(page, signal), signal, createExportAbortedError);
+            return {
+                browser,
+                page
+            };
+        }
+        catch (error) {
+            const launchError = page === undefined
+                ? error
+                : await this.#attachDiagnostics(page, toFasterReportExporterError(error, { step: 'login' }));
+            if (browser !== undefined) {
+                await this.#closeBrowser(browser);
+            }
+            throw launchError;
+        }
+    }
+    /**
+     * Adds the saved FASTER Web login cookies to a new browser.
+     * A login that cannot be restored is skipped, and FASTER is logged into instead.
+     * A saved login for a different user than the configured or last logged in user is skipped.
+     * The credentials are not requested here.
+     * A credential provider is only called when the login form is displayed.
+     * @param browser - Puppeteer browser
+     */
+    async #restoreAuthState(browser) {
+        if (this.#authStateStore === undefined) {
+            return;
+        }
+        // eslint-disable-next-line @typescript-eslint/init-declarations
+        let authState;
+        try {
+            authState = await this.#authStateStore.load();
+        }
+        catch (error) {
+            debug('Unable to load saved FASTER login:', error);
+            return;
+        }
+        if (authState === undefined ||
+            authState.baseUrl !== this.fasterUrlBuilder.baseUrl) {
+            return;
+        }
+        if (this.#userName !== undefined && authState.userName !== this.#userName) {
+            debug('Saved FASTER login is for a different user.');
+            return;
+        }
+        try {
+            await browser.setCookie(...authState.cookies);
+            debug('Restored saved FASTER login.');
+        }
+        catch (error) {
+            debug('Unable to restore saved FASTER login:', error);
+        }
+    }
+    /**
+     * Saves the FASTER Web login cookies, when an auth state store is set.
+     * Failures are ignored, the next launch logs in again.
+     * @param page - Puppeteer page, logged into FASTER.
+     * @param userName - The user name that logged in.
+     */
+    async #saveAuthState(page, userName) {
+        if (this.#authStateStore === undefined) {
+            return;
+        }
+        try {
+            const cookies = getCookiesForUrl(await page.browser().cookies(), this.fasterUrlBuilder.baseUrl);
+            await this.#authStateStore.save({
+                baseUrl: this.fasterUrlBuilder.baseUrl,
+                userName,
+                savedAt: new Date().toISOString(),
+                cookies
+            });
+            debug('Saved FASTER login.');
+        }
+        catch (error) {
+            debug('Unable to save FASTER login:', error);
+        }
+    }
+    /**
+     * Loads FASTER, and logs in if the login form is displayed.
+     * Retried according to the retry policy.
+     * When FASTER rejects the credentials, and the credential provider
+     * can refresh them, the login is tried once more with fresh credentials.
+     * @param page - Puppeteer page
+     * @param signal - Stops retrying when aborted.
+     */
+    async #logInToFaster(page, signal) {
+        const loginStartMillis = startEventTimer();
+        await withRetries(this.#retryPolicy, { step: 'login', signal }, async () => {
+            try {
+                await this.#attemptLogInToFaster(page, false);
+            }
+            catch (error) {
+                if (!(error instanceof FasterInvalidCredentialsError) ||
+                    !canRefreshCredentials(this.#credentialProvider)) {
+                    throw error;
+                }
+                debug('FASTER rejected the credentials, refreshing them...');
+                await this.#attemptLogInToFaster(page, true);
+            }
+        });
+        this.emit('loggedIn', getEventTiming(loginStartMillis));
+    }
+    /**
+     * Loads FASTER, and logs in if the login form is displayed.
+     * The credentials are only requested when the login form is displayed.
+     * @param page - Puppeteer page
+     * @param refreshCredentials - `true` to request fresh credentials.
+     */
+    async #attemptLogInToFaster(page, refreshCredentials) {
+        try {
             /*
              * Load Faster
              */
             debug('Logging into FASTER...');
-            const page = await browser.newPage();
             await page.goto(this.fasterUrlBuilder.baseUrl, {
                 timeout: this.#timeoutMillis
             });
@@ -115,19 +552,20 @@ export class FasterReportExporter {
             const loginFormElement = await page.$('#form_Signin');
             if (loginFormElement !== null) {
                 debug('Filling out login form...');
+                const credentials = await getProviderCredentials(this.#credentialProvider, refreshCredentials);
                 const userNameElement = await loginFormElement.$('#LoginControl_UserName');
                 if (userNameElement === null) {
-                    throw new Error('Unable to locate user name field.');
+                    throw new FasterLoginError('Unable to locate user name field.');
                 }
-                await userNameElement.type(this.#fasterUserName);
+                await userNameElement.type(credentials.userName);
                 const passwordElement = await loginFormElement.$('#LoginControl_Password');
                 if (passwordElement === null) {
-                    throw new Error('Unable to locate password field.');
+                    throw new FasterLoginError('Unable to locate password field.');
                 }
-                await passwordElement.type(this.#fasterPassword);
+                await passwordElement.type(credentials.password);
                 const submitButtonElement = await loginFormElement.$('#LoginControl_SignInButton_input');
                 if (submitButtonElement === null) {
-                    throw new Error('Unable to locate Sign In button.');
+                    throw new FasterLoginError('Unable to locate Sign In button.');
                 }
                 await submitButtonElement.scrollIntoView();
                 await submitButtonElement.click();
@@ -148,32 +586,301 @@ export class FasterReportExporter {
                         });
                     }
                 }
+                await this.#verifyLoggedIn(page);
+                this.#userName = credentials.userName;
+                await this.#saveAuthState(page, credentials.userName);
             }
-            debug('Finished logging in.');
-            return {
-                browser,
-                page
-            };
         }
         catch (error) {
+            throw toFasterReportExporterError(error, { step: 'login' });
+        }
+        debug('Finished logging in.');
+    }
+    /**
+     * Checks that the login succeeded,
+     * throwing a login error that describes the page FASTER displayed instead.
+     * @param page - Puppeteer page, after submitting the login form.
+     */
+    async #verifyLoggedIn(page) {
+        const pageUrl = page.url();
+        const { loginFormExists, loginMessage, pageText } = await page.evaluate((loginMessageSelector) => ({
+            loginFormExists: document.querySelector('#form_Signin') !== null,
+            loginMessage: document.querySelector(loginMessageSelector)?.textContent?.trim() ??
+                '',
+            pageText: document.body.textContent
+        }), loginMessageSelector);
+        if (loginFailurePatterns.passwordExpired.test(pageUrl) ||
+            loginFailurePatterns.passwordExpired.test(loginMessage)) {
+            throw new FasterPasswordExpiredError(`FASTER password has expired. ${loginMessage}`.trim());
+        }
+        if (loginFailurePatterns.accountLocked.test(loginMessage) ||
+            (loginFormExists && loginFailurePatterns.accountLocked.test(pageText))) {
+            throw new FasterAccountLockedError(`FASTER account is locked. ${loginMessage}`.trim());
+        }
+        if (loginFormExists) {
+            throw new FasterInvalidCredentialsError(loginMessage === ''
+                ? 'Login failed. The login form is still displayed.'
+                : `Login failed: ${loginMessage}`);
+        }
+        if (!pageUrl
+            .toLowerCase()
+            .startsWith(this.fasterUrlBuilder.baseUrl.toLowerCase())) {
+            throw new FasterLoginError(`Unexpected page after login: ${pageUrl}`);
+        }
+    }
+    /**
+     * Saves a screenshot and the page HTML for a failed export,
+     * when a diagnostics folder is set.
+     * Aborted exports are skipped.
+     * @param page - Puppeteer page that was showing when the error occurred.
+     * @param error - The error.
+     * @returns The error, with the paths to the saved files.
+     */
+    async #attachDiagnostics(page, error) {
+        if (this.#diagnosticsFolderPath === undefined ||
+            error instanceof ExportAbortedError ||
+            error instanceof ReportDeliveryError ||
+            error.diagnostics !== undefined ||
+            page.isClosed()) {
+            return error;
+        }
+        debug(`Saving diagnostics to ${this.#diagnosticsFolderPath}...`);
+        error.diagnostics = await captureDiagnostics(page, this.#diagnosticsFolderPath, error.step ?? 'export');
+        return error;
+    }
+    /**
+     * Closes a page retrieved with `_getLoggedInFasterPage()`.
+     * When a session is open, only the page and any windows it opened are closed.
+     * Otherwise, the browser is closed.
+     * @param browser - Puppeteer browser
+     * @param page - Puppeteer page
+     */
+    async #closeFasterPage(browser, page) {
+        try {
+            if (browser === this.#sessionBrowser) {
+                for (const browserPage of await browser.pages()) {
+                    if (browserPage === page ||
+                        browserPage.target().opener() === page.target()) {
+                        await browserPage.close();
+                    }
+                }
+            }
+            else {
+                await this.#closeBrowser(browser);
+            }
+        }
+        catch { }
+    }
+    /**
+     * Closes a browser, and deletes its download folder.
+     * @param browser - Puppeteer browser
+     */
+    async #closeBrowser(browser) {
+        const closeStartMillis = startEventTimer();
+        try {
+            await browser.close();
+        }
+        catch { }
+        this.emit('browserClosed', getEventTiming(closeStartMillis));
+        this.#browserDownloadSessions.delete(browser);
+        const browserDownloadFolderPath = this.#browserDownloadFolderPaths.get(browser);
+        if (browserDownloadFolderPath !== undefined) {
+            this.#browserDownloadFolderPaths.delete(browser);
             try {
-                await browser?.close();
+                await deleteDownloadFolder(await browserDownloadFolderPath);
             }
             catch { }
-            throw error;
         }
     }
+    /**
+     * Gets the temporary folder where a browser saves downloads.
+     * Downloads are moved out of this folder once complete.
+     * @param browser - Puppeteer browser
+     * @returns The folder path.
+     */
+    async #getBrowserDownloadFolderPath(browser) {
+        let browserDownloadFolderPath = this.#browserDownloadFolderPaths.get(browser);
+        if (browserDownloadFolderPath === undefined) {
+            browserDownloadFolderPath = createDownloadFolder();
+            this.#browserDownloadFolderPaths.set(browser, browserDownloadFolderPath);
+        }
+        return await browserDownloadFolderPath;
+    }
+    /**
+     * Gets the browser's CDP session that saves downloads to its download folder.
+     * The download behavior is set once per browser,
+     * so tabs exporting at the same time do not reset it for each other.
+     * @param browser - Puppeteer browser
+     * @returns The CDP session, which receives the browser's download events.
+     */
+    async #getBrowserDownloadSession(browser) {
+        let downloadSession = this.#browserDownloadSessions.get(browser);
+        if (downloadSession === undefined) {
+            downloadSession = (async () => {
+                const downloadFolderPath = await this.#getBrowserDownloadFolderPath(browser);
+                const cdpSession = await browser.target().createCDPSession();
+                await cdpSession.send('Browser.setDownloadBehavior', {
+                    behavior: 'allowAndName',
+                    downloadPath: downloadFolderPath,
+                    eventsEnabled: true
+                });
+                return cdpSession;
+            })();
+            this.#browserDownloadSessions.set(browser, downloadSession);
+            // The next export tries again.
+            downloadSession.catch(() => {
+                this.#browserDownloadSessions.delete(browser);
+            });
+        }
+        return await downloadSession;
+    }
+    /**
+     * Copies a downloaded report to each destination, at the same time.
+     * @param downloadedReport - The downloaded report, with its final file name.
+     * @param context - Report details used to build the destination paths.
+     * @param destinations - The destinations.
+     * @param signal - Cancels the deliveries.
+     * @returns Where each copy was delivered.
+     */
+    // eslint-disable-next-line @typescript-eslint/max-params
+    async #deliverToDestinations(downloadedReport, context, destinations, signal) {
+        const destinationFile = {
+            filePath: downloadedReport.filePath,
+            fileName: downloadedReport.fileName,
+            fileExtension: getDownloadedReportExtension(downloadedReport),
+            contentType: downloadedReport.contentType ??
+                reportExportContentTypes[downloadedReport.exportType],
+            context
+        };
+        const outcomes = await Promise.all(destinations.map(async (destination) => {
+            const deliverStartMillis = startEventTimer();
+            try {
+                const location = await destination.deliver(destinationFile, {
+                    signal
+                });
+                debug(`Delivered to ${destination.name}: ${location}`);
+                this.emit('reportDelivered', {
+                    ...getEventTiming(deliverStartMillis),
+                    destinationName: destination.name,
+                    location
+                });
+                return { destinationName: destination.name, location };
+            }
+            catch (error) {
+                return { destinationName: destination.name, error };
+            }
+        }));
+        // Listed in the order the destinations are set, not the order they finish.
+        const deliveries = [];
+        const failures = [];
+        for (const outcome of outcomes) {
+            if ('error' in outcome) {
+                failures.push(outcome);
+            }
+            else {
+                deliveries.push(outcome);
+            }
+        }
+        throwIfAborted(signal);
+        if (failures.length > 0) {
+            throw new ReportDeliveryError(deliveries, failures, {}, {
+                cause: failures[0].error
+            });
+        }
+        return deliveries;
+    }
+    /**
+     * Checks that an export has somewhere to deliver its report,
+     * before the browser is launched.
+     * @param exportOptions - The result type and destinations.
+     */
+    #assertExportDestinations(exportOptions) {
+        if (exportOptions.resultType === 'deliveries' &&
+            (exportOptions.destinations ?? this.#destinations).length === 0) {
+            throw new FasterReportExporterError('No destinations are set for the "deliveries" result type.', { step: 'deliver' });
+        }
+    }
+    /**
+     * Returns a downloaded report in the requested form,
+     * after delivering copies to the destinations.
+     * @param downloadedReport - The downloaded report.
+     * @param exportOptions - The result type and destinations.
+     * @param reportDetails - Report details used to name the file.
+     * @param signal - Cancels the delivery. Nothing is delivered once aborted.
+     * @returns The file path, or the file contents with metadata.
+     */
     // eslint-disable-next-line @typescript-eslint/max-params
-    async #navigateToFasterReportPage(browser, page, reportKey, reportParameters, reportFilters) {
+    async #deliverDownloadedReport(downloadedReport, exportOptions, reportDetails, signal) {
+        throwIfAborted(signal);
+        const downloadId = path.basename(downloadedReport.filePath);
+        const fileNameContext = {
+            ...reportDetails,
+            exportType: downloadedReport.exportType,
+            timestamp: new Date(),
+            downloadId
+        };
+        const fileName = this.#fileNameTemplate === undefined
+            ? undefined
+            : formatReportFileName(this.#fileNameTemplate, fileNameContext);
+        const fileExtension = getDownloadedReportExtension(downloadedReport);
+        const namedDownloadedReport = fileName === undefined
+            ? downloadedReport
+            : {
+                ...downloadedReport,
+                fileName: `${fileName}.${fileExtension}`
+            };
+        const destinations = exportOptions.destinations ?? this.#destinations;
+        const deliveries = await this.#deliverToDestinations({
+            ...downloadedReport,
+            fileName: `${fileName ?? downloadId}.${fileExtension}`
+        }, fileNameContext, destinations, signal);
+        throwIfAborted(signal);
         try {
-            /*
-             * Navigate to report
-             */
-            const reportUrl = new URL(this.fasterUrlBuilder.reportViewerUrl);
-            reportUrl.searchParams.set('R', reportKey);
-            for (const [parameterKey, parameterValue] of Object.entries(reportParameters)) {
-                reportUrl.searchParams.set(parameterKey, parameterValue);
+            switch (exportOptions.resultType) {
+                case 'buffer': {
+                    return (await readDownloadedReport(namedDownloadedReport));
+                }
+                case 'deliveries': {
+                    const metadata = await getDownloadedReportMetadata(namedDownloadedReport, downloadedReport.filePath);
+                    // eslint-disable-next-line security/detect-non-literal-fs-filename
+                    await fs.promises.rm(downloadedReport.filePath, { force: true });
+                    return { ...metadata, deliveries };
+                }
+                case 'stream': {
+                    return (await streamDownloadedReport(namedDownloadedReport));
+                }
+                default: {
+                    const reportFilePath = await reserveFilePath(this.#downloadFolderPath, fileName ?? downloadId, fileExtension);
+                    try {
+                        await moveFile(downloadedReport.filePath, reportFilePath);
+                    }
+                    catch (error) {
+                        // Free the reserved name, so later exports do not skip to " (1)".
+                        // eslint-disable-next-line security/detect-non-literal-fs-filename
+                        await fs.promises.rm(reportFilePath, { force: true });
+                        throw error;
+                    }
+                    debug(`File: ${reportFilePath}`);
+                    return reportFilePath;
+                }
             }
+        }
+        catch (error) {
+            throw toFasterReportExporterError(error, { step: 'download' });
+        }
+    }
+    // eslint-disable-next-line @typescript-eslint/max-params
+    async #navigateToFasterReportPage(page, reportKey, reportParameters, reportFilters, signal) {
+        /*
+         * Navigate to report
+         */
+        const reportUrl = new URL(this.fasterUrlBuilder.reportViewerUrl);
+        reportUrl.searchParams.set('R', reportKey);
+        for (const [parameterKey, parameterValue] of Object.entries(reportParameters)) {
+            reportUrl.searchParams.set(parameterKey, parameterValue);
+        }
+        const navigateStartMillis = startEventTimer();
+        await withRetries(this.#retryPolicy, { reportKey, step: 'navigate', signal }, async () => {
             await page.goto(reportUrl.href, {
                 timeout: this.#timeoutMillis
             });
@@ -181,171 +888,563 @@ export class FasterReportExporter {
             await page.waitForNetworkIdle({
                 timeout: this.#timeoutMillis
             });
-            if (reportFilters !== undefined) {
+        });
+        this.emit('reportPageLoaded', {
+            ...getEventTiming(navigateStartMillis),
+            reportKey,
+            url: page.url()
+        });
+        if (reportFilters !== undefined) {
+            const filterStartMillis = startEventTimer();
+            await withRetries(this.#retryPolicy, { reportKey, step: 'filter', signal }, async () => {
                 await applyReportFilters(page, reportFilters, {
                     timeoutMillis: this.#timeoutMillis
                 });
-            }
-            return {
-                browser,
-                page
-            };
+            });
+            this.emit('filtersApplied', {
+                ...getEventTiming(filterStartMillis),
+                reportKey,
+                filterLabels: Object.keys(reportFilters)
+            });
         }
-        catch (error) {
+    }
+    /**
+     * Navigates to a Report Viewer report, and exports it to a file.
+     * @param reportKey - The report path, starting with a slash.
+     * @param reportParameters - Report Viewer URL parameters.
+     * @param reportFilters - Filters applied to the report.
+     * @param exportOptions - Export options
+     * @param reportDetails - Report details used to name the file, like the work order number.
+     * @returns - Path to the exported file, or the file contents with metadata.
+     */
+    // eslint-disable-next-line @typescript-eslint/max-params
+    async #exportReportViewerReport(reportKey, reportParameters, reportFilters, exportOptions, reportDetails = {}) {
+        this.#assertExportDestinations(exportOptions);
+        return await this.#withExportDeadline(async (signal) => {
+            const { browser, page } = await this._getLoggedInFasterPage(signal);
+            const runExport = async () => {
+                await this.#navigateToFasterReportPage(page, reportKey, reportParameters, reportFilters, signal);
+                const downloadedReport = await this.#exportFasterReport(browser, page, exportOptions.exportType, signal);
+                return await this.#deliverDownloadedReport(downloadedReport, exportOptions, {
+                    ...getReportDetailsFromReportKey(reportKey),
+                    ...reportDetails
+                }, signal);
+            };
             try {
-                await browser.close();
+                return await withAbortSignal(runExport(), signal, createExportAbortedError);
             }
-            catch { }
-            throw error;
+            catch (error) {
+                throw await this.#attachDiagnostics(page, toFasterReportExporterError(error, { reportKey, step: 'export' }));
+            }
+            finally {
+                await this.#closeFasterPage(browser, page);
+            }
+        }, exportOptions.signal);
+    }
+    /**
+     * Runs an export, from launching the browser to delivering the report,
+     * within the export deadline.
+     * The export is given a signal that is aborted with the caller's signal,
+     * or with an `ExportTimeoutError` when the deadline passes.
+     * @param exportFunction - The export, which stops when its signal is aborted.
+     * @param signal - Cancels the export.
+     * @returns - The result of the export.
+     */
+    async #withExportDeadline(exportFunction, signal) {
+        const exportTimeoutMillis = this.#exportTimeoutMillis;
+        const deadlineController = new AbortController();
+        const deadlineTimeout = setTimeout(() => {
+            deadlineController.abort(new ExportTimeoutError(`Export did not finish within ${exportTimeoutMillis} ms.`));
+        }, exportTimeoutMillis);
+        try {
+            return await exportFunction(signal === undefined
+                ? deadlineController.signal
+                : AbortSignal.any([signal, deadlineController.signal]));
+        }
+        finally {
+            clearTimeout(deadlineTimeout);
         }
     }
     /**
-     * Exports a FASTER report to a file.
+     * Exports a FASTER report to a file in the browser's download folder.
+     * Retried according to the retry policy.
      * @param browser - Puppeteer browser
      * @param page - Puppeteer page on a report page
      * @param exportType - Output file type
-     * @returns - Path to the exported file.
+     * @param signal - Cancels the download.
+     * @returns - The downloaded report.
      */
-    async #exportFasterReport(browser, page, exportType = 'PDF') {
-        await page.bringToFront();
+    // eslint-disable-next-line @typescript-eslint/max-params
+    async #exportFasterReport(browser, page, exportType = 'PDF', signal) {
+        return await withRetries(this.#retryPolicy, { step: 'download', signal }, async () => this.#exportStrategy === 'exportUrl'
+            ? await this.#fetchFasterReport(browser, page, exportType, signal)
+            : await this.#downloadFasterReport(browser, page, exportType, signal));
+    }
+    /**
+     * Checks that the report page did not return a permissions error.
+     * @param page - Puppeteer page on a report page
+     */
+    async #assertReportPermission(page) {
         await page.waitForNetworkIdle({
             timeout: this.#timeoutMillis
         });
-        debug(`Report Page Title: ${await page.title()}`);
-        // eslint-disable-next-line @typescript-eslint/no-misused-promises, no-async-promise-executor, promise/avoid-new
-        return await new Promise(async (resolve) => {
-            let downloadStarted = false;
-            try {
-                /*
-                 * Catch the download
-                 */
-                const cdpSession = await browser.target().createCDPSession();
-                await cdpSession.send('Browser.setDownloadBehavior', {
-                    behavior: 'allowAndName',
-                    downloadPath: this.#downloadFolderPath,
-                    eventsEnabled: true
-                });
-                cdpSession.on('Browser.downloadProgress', (event) => {
-                    if (event.state === 'completed') {
-                        debug('Download complete.');
-                        const downloadedFilePath = path.join(this.#downloadFolderPath, event.guid);
-                        // eslint-disable-next-line security/detect-object-injection
-                        const newFilePath = `${downloadedFilePath}.${reportExportTypes[exportType]}`;
-                        // eslint-disable-next-line security/detect-non-literal-fs-filename
-                        fs.rename(downloadedFilePath, newFilePath, (error) => {
-                            if (error === null) {
-                                debug(`File: ${newFilePath}`);
-                                resolve(newFilePath);
-                            }
-                            else {
-                                debug(`File: ${downloadedFilePath}`);
-                                resolve(downloadedFilePath);
-                            }
-                        });
-                        downloadStarted = false;
-                    }
-                    else if (event.state === 'canceled') {
-                        downloadStarted = false;
-                        throw new Error('Download cancelled.');
-                    }
-                });
-                /*
-                 * Ensure the user has permission.
-                 * (or that the report exists)
-                 */
-                await page.waitForNetworkIdle({
-                    timeout: this.#timeoutMillis
+        const bodyHandle = await page.$('body');
+        const reportErrorTextExists = (await page.evaluate((body) => body?.textContent.includes('You do not have permissions to access the reports.'), bodyHandle)) ?? false;
+        await bodyHandle?.dispose();
+        if (reportErrorTextExists) {
+            throw new FasterPermissionError('Report generation failed: insufficient permissions.', { step: 'export' });
+        }
+    }
+    /**
+     * Checks that the report offers an export type.
+     * Skipped when the export menu cannot be read.
+     * @param page - Puppeteer page on a report page
+     * @param exportType - Output file type
+     */
+    async #assertExportTypeAvailable(page, exportType) {
+        const availableExportTypes = await getReportExportTypes(page);
+        if (availableExportTypes.length > 0 &&
+            !availableExportTypes.includes(exportType)) {
+            throw new ReportExportTypeNotAvailableError(exportType, availableExportTypes);
+        }
+    }
+    /**
+     * Gets the dispatcher for "exportUrl" requests.
+     * @returns A dispatcher that skips certificate checks when `acceptInsecureCerts` is set,
+     * otherwise `undefined` to use Node's defaults.
+     */
+    #getExportUrlDispatcher() {
+        if (!this.#acceptInsecureCerts) {
+            return undefined;
+        }
+        this.#insecureRequestDispatcher ??= new Agent({
+            connect: { rejectUnauthorized: false }
+        });
+        return this.#insecureRequestDispatcher;
+    }
+    /**
+     * Exports a FASTER report by requesting the Report Viewer's export URL
+     * with the page's cookies, without using the export menu.
+     * Partial downloads are removed when the export fails.
+     * @param browser - Puppeteer browser
+     * @param page - Puppeteer page on a report page
+     * @param exportType - Output file type
+     * @param signal - Cancels the request.
+     * @returns - The downloaded report.
+     */
+    // eslint-disable-next-line @typescript-eslint/max-params
+    async #fetchFasterReport(browser, page, exportType, signal) {
+        const exportStartMillis = startEventTimer();
+        await page.bringToFront();
+        debug(`Report Page Title: ${await page.title()}`);
+        await this.#assertReportPermission(page);
+        await this.#assertExportTypeAvailable(page, exportType);
+        // eslint-disable-next-line security/detect-object-injection
+        const exportFormat = reportViewerExportFormats[exportType];
+        const exportUrl = await getReportViewerExportUrl(page, exportFormat);
+        debug(`Export URL found for "${exportType}".`);
+        this.emit('exportFormatSelected', {
+            ...getEventTiming(exportStartMillis),
+            exportType
+        });
+        const formatSelectedMillis = startEventTimer();
+        /*
+         * Request the export with the page's session cookies
+         */
+        const pageCdpSession = await page.createCDPSession();
+        let cookieHeader = '';
+        try {
+            const { cookies } = await pageCdpSession.send('Network.getCookies', {
+                urls: [exportUrl]
+            });
+            cookieHeader = cookies
+                .map((cookie) => `${cookie.name}=${cookie.value}`)
+                .join('; ');
+        }
+        finally {
+            try {
+                await pageCdpSession.detach();
+            }
+            catch { }
+        }
+        const timeoutSignal = AbortSignal.timeout(this.#timeoutMillis);
+        const requestSignal = signal === undefined
+            ? timeoutSignal
+            : AbortSignal.any([timeoutSignal, signal]);
+        // Node's fetch accepts an undici dispatcher, which RequestInit does not declare.
+        const requestInit = {
+            headers: {
+                Cookie: cookieHeader,
+                Referer: page.url(),
+                'User-Agent': await browser.userAgent()
+            },
+            signal: requestSignal,
+            dispatcher: this.#getExportUrlDispatcher()
+        };
+        // eslint-disable-next-line @typescript-eslint/init-declarations
+        let response;
+        try {
+            response = await fetch(exportUrl, requestInit);
+        }
+        catch (error) {
+            throw toExportUrlError(error, this.#timeoutMillis, signal);
+        }
+        const contentType = response.headers.get('Content-Type') ?? '';
+        if (!response.ok || contentType.startsWith('text/html')) {
+            throw new FasterReportExporterError(`Report Viewer export failed with status ${response.status} (${contentType}). The report session may have expired.`, { step: 'download' });
+        }
+        // eslint-disable-next-line security/detect-object-injection
+        const fileExtension = reportExportTypes[exportType];
+        const fileName = getContentDispositionFileName(response.headers.get('Content-Disposition')) ?? `report.${fileExtension}`;
+        this.emit('downloadStarted', {
+            ...getEventTiming(formatSelectedMillis),
+            exportType,
+            fileName
+        });
+        const downloadStartedMillis = startEventTimer();
+        const totalBytes = Number.parseInt(response.headers.get('Content-Length') ?? '0', 10);
+        const filePath = path.join(await this.#getBrowserDownloadFolderPath(browser), randomUUID());
+        // eslint-disable-next-line @typescript-eslint/init-declarations
+        let byteSize;
+        try {
+            byteSize = await writeResponseToFile(response, filePath, (receivedBytes) => {
+                this.emit('downloadProgress', {
+                    ...getEventTiming(downloadStartedMillis),
+                    receivedBytes,
+                    totalBytes
                 });
-                const bodyHandle = await page.$('body');
-                const reportErrorTextExists = (await page.evaluate((body) => body?.textContent.includes('You do not have permissions to access the reports.'), bodyHandle)) ?? false;
-                await bodyHandle?.dispose();
-                if (reportErrorTextExists) {
-                    throw new Error('Report generation failed: insufficient permissions.');
-                }
-                /*
-                 * Print to PDF
-                 */
-                debug(`Finding the print button for "${exportType}"...`);
-                const printOptionsMenuElement = await page.waitForSelector('#RvDetails_ctl05_ctl04_ctl00_ButtonLink', { timeout: this.#timeoutMillis });
-                if (printOptionsMenuElement === null) {
-                    throw new Error('Unable to locate print options. Consider extending the timeout millis.');
+            });
+        }
+        catch (error) {
+            throw toExportUrlError(error, this.#timeoutMillis, signal);
+        }
+        debug('Download complete.');
+        this.emit('downloadCompleted', {
+            ...getEventTiming(downloadStartedMillis),
+            exportType,
+            fileName,
+            byteSize
+        });
+        return {
+            filePath,
+            fileName,
+            exportType,
+            contentType
+        };
+    }
+    /**
+     * Exports a FASTER report to a file in the browser's download folder.
+     * Partial downloads are removed when the export fails or is aborted.
+     * @param browser - Puppeteer browser
+     * @param page - Puppeteer page on a report page
+     * @param exportType - Output file type
+     * @param signal - Cancels the download.
+     * @returns - The downloaded report.
+     */
+    // eslint-disable-next-line @typescript-eslint/max-params
+    async #downloadFasterReport(browser, page, exportType, signal) {
+        const exportStartMillis = startEventTimer();
+        await page.bringToFront();
+        await page.waitForNetworkIdle({
+            timeout: this.#timeoutMillis
+        });
+        debug(`Report Page Title: ${await page.title()}`);
+        const browserDownloadFolderPath = await this.#getBrowserDownloadFolderPath(browser);
+        /*
+         * Catch the download
+         */
+        const cdpSession = await this.#getBrowserDownloadSession(browser);
+        // eslint-disable-next-line @typescript-eslint/init-declarations
+        let pageCdpSession;
+        const pageDownloadGuids = new Set();
+        let completedDownloadGuid = '';
+        // Removes this export's listeners from the shared browser session.
+        let removeDownloadListeners = () => undefined;
+        try {
+            /*
+             * Only handle downloads started by this page,
+             * as other pages in a session may be downloading at the same time.
+             */
+            const downloadPageCdpSession = await page.createCDPSession();
+            pageCdpSession = downloadPageCdpSession;
+            const pageDownloadChecks = new Map();
+            const suggestedFileNames = new Map();
+            /*
+             * Download events do not include the content type,
+             * so read it from the Report Viewer's export response.
+             */
+            // eslint-disable-next-line @typescript-eslint/init-declarations
+            let exportContentType;
+            downloadPageCdpSession.on('Network.responseReceived', (event) => {
+                if (event.response.url.includes('OpType=Export')) {
+                    exportContentType = event.response.mimeType;
                 }
-                await printOptionsMenuElement.click();
-                await delay(longDelayMillis);
-                await page.waitForNetworkIdle({
-                    timeout: this.#timeoutMillis
-                });
-                const printOptionElement = await page.waitForSelector(`#RvDetails_ctl05_ctl04_ctl00_Menu a[title^='${exportType}']`, { timeout: this.#timeoutMillis });
-                if (printOptionElement === null) {
-                    throw new Error(`Unable to locate "${exportType}" print type.`);
+            });
+            await downloadPageCdpSession.send('Network.enable');
+            let formatSelectedMillis = startEventTimer();
+            let downloadStartedMillis = formatSelectedMillis;
+            // eslint-disable-next-line promise/avoid-new
+            const downloadPromise = new Promise((resolve, reject) => {
+                const onDownloadWillBegin = (event) => {
+                    suggestedFileNames.set(event.guid, event.suggestedFilename);
+                    pageDownloadChecks.set(event.guid, getPageFrameIds(downloadPageCdpSession).then((frameIds) => {
+                        const isPageDownload = frameIds.has(event.frameId);
+                        if (isPageDownload) {
+                            pageDownloadGuids.add(event.guid);
+                            this.emit('downloadStarted', {
+                                ...getEventTiming(formatSelectedMillis),
+                                exportType,
+                                fileName: event.suggestedFilename
+                            });
+                            downloadStartedMillis = startEventTimer();
+                        }
+                        return isPageDownload;
+                    }, () => false));
+                };
+                const onDownloadProgress = (event) => {
+                    void pageDownloadChecks.get(event.guid)?.then((isPageDownload) => {
+                        if (!isPageDownload) {
+                            return;
+                        }
+                        if (event.state === 'inProgress') {
+                            this.emit('downloadProgress', {
+                                ...getEventTiming(downloadStartedMillis),
+                                receivedBytes: event.receivedBytes,
+                                totalBytes: event.totalBytes
+                            });
+                        }
+                        else if (event.state === 'completed') {
+                            debug('Download complete.');
+                            completedDownloadGuid = event.guid;
+                            this.emit('downloadCompleted', {
+                                ...getEventTiming(downloadStartedMillis),
+                                exportType,
+                                fileName: suggestedFileNames.get(event.guid) ?? event.guid,
+                                byteSize: event.receivedBytes
+                            });
+                            resolve({
+                                filePath: path.join(browserDownloadFolderPath, event.guid),
+                                fileName: suggestedFileNames.get(event.guid) ?? event.guid,
+                                exportType,
+                                contentType: exportContentType
+                            });
+                        }
+                        else {
+                            debug('Download canceled.');
+                            reject(new DownloadCanceledError());
+                        }
+                    });
+                };
+                cdpSession.on('Browser.downloadWillBegin', onDownloadWillBegin);
+                cdpSession.on('Browser.downloadProgress', onDownloadProgress);
+                removeDownloadListeners = () => {
+                    cdpSession.off('Browser.downloadWillBegin', onDownloadWillBegin);
+                    cdpSession.off('Browser.downloadProgress', onDownloadProgress);
+                };
+            });
+            // Rejections are handled when the download is awaited below.
+            downloadPromise.catch(() => undefined);
+            /*
+             * Ensure the user has permission.
+             * (or that the report exists)
+             */
+            await this.#assertReportPermission(page);
+            /*
+             * Print to PDF
+             */
+            debug(`Finding the print button for "${exportType}"...`);
+            const printOptionsMenuElement = await this.#waitForExportElement(page, '#RvDetails_ctl05_ctl04_ctl00_ButtonLink', 'Unable to locate print options. Consider extending the timeout millis.');
+            await printOptionsMenuElement.click();
+            await delay(longDelayMillis);
+            await page.waitForNetworkIdle({
+                timeout: this.#timeoutMillis
+            });
+            await this.#assertExportTypeAvailable(page, exportType);
+            const printOptionElement = await this.#waitForExportElement(page, getReportExportMenuItemSelector(exportType), `Unable to locate "${exportType}" print type.`);
+            debug(`Print button found for "${exportType}"...`);
+            await delay();
+            await printOptionElement.scrollIntoView();
+            await printOptionElement.click();
+            debug('Print selected.');
+            this.emit('exportFormatSelected', {
+                ...getEventTiming(exportStartMillis),
+                exportType
+            });
+            formatSelectedMillis = startEventTimer();
+            return await withAbortSignal(withDeadline(downloadPromise, this.#timeoutMillis, () => new ExportTimeoutError(`Download did not complete within ${this.#timeoutMillis} ms.`, { step: 'download' })), signal, createExportAbortedError);
+        }
+        finally {
+            removeDownloadListeners();
+            for (const downloadGuid of pageDownloadGuids) {
+                if (downloadGuid !== completedDownloadGuid) {
+                    try {
+                        await cdpSession.send('Browser.cancelDownload', {
+                            guid: downloadGuid
+                        });
+                    }
+                    catch { }
+                    await deletePartialDownload(browserDownloadFolderPath, downloadGuid);
                 }
-                debug(`Print button found for "${exportType}"...`);
-                await delay();
-                downloadStarted = true;
-                await printOptionElement.scrollIntoView();
-                await printOptionElement.click();
-                debug('Print selected.');
-                await delay(longDelayMillis);
-                await page.waitForNetworkIdle({
-                    timeout: this.#timeoutMillis
+            }
+            try {
+                await pageCdpSession?.detach();
+            }
+            catch { }
+        }
+    }
+    /**
+     * Waits for an element needed to export a report.
+     * @param page - Puppeteer page on a report page
+     * @param selector - The element selector.
+     * @param notFoundMessage - The error message when the element is missing.
+     * @returns - The element.
+     */
+    async #waitForExportElement(page, selector, notFoundMessage) {
+        // eslint-disable-next-line @typescript-eslint/init-declarations
+        let element;
+        try {
+            element = await page.waitForSelector(selector, {
+                timeout: this.#timeoutMillis
+            });
+        }
+        catch (error) {
+            throw new FasterElementNotFoundError(notFoundMessage, selector, { step: 'export' }, { cause: error });
+        }
+        if (element === null) {
+            throw new FasterElementNotFoundError(notFoundMessage, selector, {
+                step: 'export'
+            });
+        }
+        return element;
+    }
+    /**
+     * Exports a report for each number in a list, using a shared browser session.
+     * A failed export is recorded in the results, and does not stop the batch,
+     * unless the batch is aborted.
+     * @param itemNumbers - Work order or part order numbers.
+     * @param options - Batch options.
+     * @param exportFunction - Exports the report for a single number.
+     * @returns A map of numbers to export results.
+     */
+    async #exportBatch(itemNumbers, options, exportFunction) {
+        const { signal } = options;
+        throwIfAborted(signal);
+        const concurrency = options.concurrency ?? defaultBatchExportConcurrency;
+        assertValidConcurrency(concurrency);
+        const uniqueItemNumbers = [...new Set(itemNumbers)];
+        const results = await this.withSession(async () => await mapWithConcurrency(uniqueItemNumbers, concurrency, async (itemNumber) => {
+            try {
+                const reportPath = await exportFunction(itemNumber, {
+                    exportType: options.exportType,
+                    signal
                 });
-                let retries = this.#timeoutMillis / defaultDelayMillis;
-                // eslint-disable-next-line no-unmodified-loop-condition, @typescript-eslint/no-unnecessary-condition
-                while (downloadStarted && retries > 0) {
-                    await delay();
-                    retries--;
-                }
+                return [itemNumber, { success: true, reportPath }];
             }
-            finally {
-                try {
-                    await browser.close();
-                }
-                catch { }
+            catch (error) {
+                debug(`Export failed for ${itemNumber}: ${String(error)}`);
+                return [itemNumber, { success: false, error }];
             }
-        });
+        }), { signal });
+        throwIfAborted(signal);
+        return new Map(results);
+    }
+    /**
+     * Lists the export types offered by a Report Viewer report.
+     * @param reportKey - The report path, as found in the "R" parameter of the Report Viewer URL.
+     * @param reportParameters - Report Viewer URL parameters.
+     * @returns The available export types, like "PDF" and "Excel".
+     */
+    async describeReportExportTypes(reportKey, reportParameters) {
+        const { browser, page } = await this._getLoggedInFasterPage();
+        try {
+            await this.#navigateToFasterReportPage(page, reportKey, reportParameters);
+            return await getReportExportTypes(page);
+        }
+        finally {
+            await this.#closeFasterPage(browser, page);
+        }
+    }
+    /**
+     * Lists the parameters on a Report Viewer report page.
+     * Useful for finding filter labels, and validating filters before exporting.
+     * @param reportKey - The report path, as found in the "R" parameter of the Report Viewer URL.
+     * @param reportParameters - Report Viewer URL parameters.
+     * @returns The parameter labels, input ids, control types, values, and options.
+     *          Empty if the report has no parameters.
+     */
+    async describeReportParameters(reportKey, reportParameters) {
+        const { browser, page } = await this._getLoggedInFasterPage();
+        try {
+            await this.#navigateToFasterReportPage(page, reportKey, reportParameters);
+            return await getReportParameters(page, {
+                timeoutMillis: this.#timeoutMillis
+            });
+        }
+        finally {
+            await this.#closeFasterPage(browser, page);
+        }
+    }
+    /**
+     * Exports any report available in the FASTER Web Report Viewer.
+     * @param options - The report key, domain, parameters, filters, and export options.
+     * @returns The path to the exported report, or the report contents with metadata.
+     */
+    async exportReport(options) {
+        return await this.#exportReportViewerReport(options.reportKey, {
+            ReportType: 'S',
+            Parent: 'Reports',
+            ...options.parameters,
+            Domain: options.domain
+        }, options.filters, options);
     }
     /**
      * Exports a Part Order Print (W299) report for a given order number.
      * @param orderNumber - The order number.
-     * @param exportType - The export type.
-     * @returns The path to the exported report.
+     * @param exportTypeOrOptions - The export type, or export options.
+     * @returns The path to the exported report, or the report contents with metadata.
      */
-    async exportPartOrderPrint(orderNumber, exportType) {
-        const { browser, page } = await this._getLoggedInFasterPage();
-        await this.#navigateToFasterReportPage(browser, page, '/Part Order Print/W299 - OrderPrint', {
+    async exportPartOrderPrint(orderNumber, exportTypeOrOptions) {
+        return await this.#exportReportViewerReport('/Part Order Print/W299 - OrderPrint', {
             OrderID: orderNumber.toString(),
             ReportType: 'S',
             Domain: 'Inventory'
         }, {
             'Time Zone': this.#timeZone
+        }, toExportOptions(exportTypeOrOptions), {
+            itemNumber: orderNumber.toString()
         });
-        return await this.#exportFasterReport(browser, page, exportType);
+    }
+    /**
+     * Exports Part Order Prints (W299) for a list of order numbers.
+     * @param orderNumbers - The order numbers.
+     * @param options - Batch options, including the export type and concurrency.
+     * @returns A map of order numbers to export results.
+     */
+    async exportPartOrderPrints(orderNumbers, options = {}) {
+        return await this.#exportBatch(orderNumbers, options, async (orderNumber, exportOptions) => await this.exportPartOrderPrint(orderNumber, exportOptions));
     }
     /**
      * Exports an Inventory Report (W200).
-     * @param exportType - The export type.
-     * @returns The path to the exported report.
+     * @param exportTypeOrOptions - The export type, or export options.
+     * @returns The path to the exported report, or the report contents with metadata.
      */
-    async exportInventory(exportType) {
-        const { browser, page } = await this._getLoggedInFasterPage();
-        await this.#navigateToFasterReportPage(browser, page, '/Inventory/W200 - Inventory Report', {
+    async exportInventory(exportTypeOrOptions) {
+        return await this.#exportReportViewerReport('/Inventory/W200 - Inventory Report', {
             ReportType: 'S',
             Domain: 'Inventory',
             Parent: 'Reports'
         }, {
             'Time Zone': this.#timeZone,
             'Grouping within Storeroom': 'Item Category'
-        });
-        return await this.#exportFasterReport(browser, page, exportType);
+        }, toExportOptions(exportTypeOrOptions));
     }
     /**
      * Export an Asset Master List (W114) report.
-     * @param exportType - The export type.
-     * @returns The path to the exported report.
+     * @param exportTypeOrOptions - The export type, or export options.
+     * @returns The path to the exported report, or the report contents with metadata.
      */
-    async exportAssetList(exportType) {
-        const { browser, page } = await this._getLoggedInFasterPage();
-        await this.#navigateToFasterReportPage(browser, page, '/Assets/W114 - Asset Master List', {
+    async exportAssetList(exportTypeOrOptions) {
+        return await this.#exportReportViewerReport('/Assets/W114 - Asset Master List', {
             ReportType: 'S',
             Domain: 'Assets',
             Parent: 'Reports'
@@ -353,21 +1452,45 @@ export class FasterReportExporter {
             'Time Zone': this.#timeZone,
             'Primary Grouping': 'Organization',
             'Secondary Grouping': 'Department'
+        }, toExportOptions(exportTypeOrOptions));
+    }
+    /**
+     * Gets the Inventory Report (W200) as records.
+     * @param options - Options, including an abort signal.
+     * @returns The inventory items.
+     */
+    async getInventory(options = {}) {
+        const report = await this.exportInventory({
+            exportType: 'CSV',
+            resultType: 'buffer',
+            signal: options.signal
         });
-        return await this.#exportFasterReport(browser, page, exportType);
+        return parseInventoryCsv(report.buffer.toString('utf8'));
+    }
+    /**
+     * Gets the Asset Master List (W114) as records.
+     * @param options - Options, including an abort signal.
+     * @returns The assets.
+     */
+    async getAssetList(options = {}) {
+        const report = await this.exportAssetList({
+            exportType: 'CSV',
+            resultType: 'buffer',
+            signal: options.signal
+        });
+        return parseAssetListCsv(report.buffer.toString('utf8'));
     }
     /**
      * Export a Work Order Details by Work Order Number (W300N) report.
      * @param minWorkOrderNumber - Minimum work order number.
      * @param maxWorkOrderNumber - Maximum work order number.
-     * @param exportType - The export type.
-     * @returns The path to the exported report.
+     * @param exportTypeOrOptions - The export type, or export options.
+     * @returns The path to the exported report, or the report contents with metadata.
      */
-    async exportWorkOrderDetails(minWorkOrderNumber, maxWorkOrderNumber, exportType) {
+    async exportWorkOrderDetails(minWorkOrderNumber, maxWorkOrderNumber, exportTypeOrOptions) {
         const minWorkOrderNumberString = minWorkOrderNumber.toString();
         const maxWorkOrderNumberString = (maxWorkOrderNumber ?? minWorkOrderNumber).toString();
-        const { browser, page } = await this._getLoggedInFasterPage();
-        await this.#navigateToFasterReportPage(browser, page, 
+        return await this.#exportReportViewerReport(
         // eslint-disable-next-line no-secrets/no-secrets
         '/Maintenance/W300n - WorkOrderDetailsByWONumber', {
             ReportType: 'S',
@@ -377,79 +1500,149 @@ export class FasterReportExporter {
             'Time Zone': this.#timeZone,
             'Beginning Work Order Number': minWorkOrderNumberString,
             'Ending Work Order Number': maxWorkOrderNumberString
+        }, toExportOptions(exportTypeOrOptions), {
+            itemNumber: minWorkOrderNumberString === maxWorkOrderNumberString
+                ? minWorkOrderNumberString
+                : `${minWorkOrderNumberString}-${maxWorkOrderNumberString}`
         });
-        return await this.#exportFasterReport(browser, page, exportType);
     }
-    async #exportWorkOrderPrint(workOrderNumber, exportType, printButtonSelector) {
-        const { browser, page } = await this._getLoggedInFasterPage();
-        try {
-            await page.goto(this.fasterUrlBuilder.workOrderUrl(workOrderNumber), {
-                timeout: this.#timeoutMillis
-            });
-            await delay();
-            await page.waitForNetworkIdle({
-                timeout: this.#timeoutMillis
-            });
-            const printElement = await page.waitForSelector(printButtonSelector, {
-                timeout: this.#timeoutMillis
-            });
-            if (printElement === null) {
-                throw new Error('Unable to locate print link.');
-            }
-            await printElement.scrollIntoView();
-            await printElement.click();
-            const reportViewerTarget = await browser.waitForTarget((target) => target.url().toLowerCase().includes('reportviewer.aspx'), {
-                timeout: this.#timeoutMillis
-            });
-            const newPage = await reportViewerTarget.asPage();
-            await delay();
-            await newPage.bringToFront();
-            await delay();
-            await newPage.waitForNetworkIdle({
-                timeout: this.#timeoutMillis
-            });
-            return await this.#exportFasterReport(browser, newPage, exportType);
-        }
-        catch (error) {
+    // eslint-disable-next-line @typescript-eslint/max-params
+    async #exportWorkOrderPrint(workOrderNumber, exportOptions, printButtonSelector, reportDetails) {
+        this.#assertExportDestinations(exportOptions);
+        return await this.#withExportDeadline(async (signal) => {
+            const { browser, page } = await this._getLoggedInFasterPage(signal);
+            let reportPage = page;
+            let step = 'navigate';
+            const runExport = async () => {
+                const navigateStartMillis = startEventTimer();
+                await page.goto(this.fasterUrlBuilder.workOrderUrl(workOrderNumber), {
+                    timeout: this.#timeoutMillis
+                });
+                await delay();
+                await page.waitForNetworkIdle({
+                    timeout: this.#timeoutMillis
+                });
+                const printElement = await page.waitForSelector(printButtonSelector, {
+                    timeout: this.#timeoutMillis
+                });
+                if (printElement === null) {
+                    throw new FasterElementNotFoundError('Unable to locate print link.', printButtonSelector, { step: 'navigate' });
+                }
+                await printElement.scrollIntoView();
+                await printElement.click();
+                const reportViewerTarget = await browser.waitForTarget((target) => target.opener() === page.target() &&
+                    target.url().toLowerCase().includes('reportviewer.aspx'), {
+                    timeout: this.#timeoutMillis,
+                    signal
+                });
+                reportPage = await reportViewerTarget.asPage();
+                await delay();
+                await reportPage.bringToFront();
+                await delay();
+                await reportPage.waitForNetworkIdle({
+                    timeout: this.#timeoutMillis
+                });
+                this.emit('reportPageLoaded', {
+                    ...getEventTiming(navigateStartMillis),
+                    url: reportPage.url()
+                });
+                step = 'export';
+                const downloadedReport = await this.#exportFasterReport(browser, reportPage, exportOptions.exportType, signal);
+                return await this.#deliverDownloadedReport(downloadedReport, exportOptions, reportDetails, signal);
+            };
             try {
-                await browser.close();
+                return await withAbortSignal(runExport(), signal, createExportAbortedError);
             }
-            catch { }
-            throw error;
-        }
+            catch (error) {
+                throw await this.#attachDiagnostics(reportPage, toFasterReportExporterError(error, { step }));
+            }
+            finally {
+                await this.#closeFasterPage(browser, page);
+            }
+        }, exportOptions.signal);
     }
     /**
      * Exports the Customer Print (W398) for a given work order.
      * @param workOrderNumber - The work order number.
-     * @param exportType - The export type.
-     * @returns The path to the exported report.
+     * @param exportTypeOrOptions - The export type, or export options.
+     * @returns The path to the exported report, or the report contents with metadata.
      */
-    async exportWorkOrderCustomerPrint(workOrderNumber, exportType = 'PDF') {
-        return await this.#exportWorkOrderPrint(workOrderNumber, exportType, 
+    async exportWorkOrderCustomerPrint(workOrderNumber, exportTypeOrOptions) {
+        return await this.#exportWorkOrderPrint(workOrderNumber, toExportOptions(exportTypeOrOptions), 
         // eslint-disable-next-line no-secrets/no-secrets
-        '#ctl00_ContentPlaceHolder_Content_MasterWorkOrderDetailMenu_CustomerPrintLinkButton');
+        '#ctl00_ContentPlaceHolder_Content_MasterWorkOrderDetailMenu_CustomerPrintLinkButton', {
+            reportCode: 'W398',
+            reportName: 'Customer Print',
+            itemNumber: workOrderNumber.toString()
+        });
     }
     /**
      * Exports the Technician Print (W399) for a given work order.
      * @param workOrderNumber - The work order number.
-     * @param exportType - The export type.
-     * @returns The path to the exported report.
+     * @param exportTypeOrOptions - The export type, or export options.
+     * @returns The path to the exported report, or the report contents with metadata.
      */
-    async exportWorkOrderTechnicianPrint(workOrderNumber, exportType = 'PDF') {
-        return await this.#exportWorkOrderPrint(workOrderNumber, exportType, 
+    async exportWorkOrderTechnicianPrint(workOrderNumber, exportTypeOrOptions) {
+        return await this.#exportWorkOrderPrint(workOrderNumber, toExportOptions(exportTypeOrOptions), 
         // eslint-disable-next-line no-secrets/no-secrets
-        '#ctl00_ContentPlaceHolder_Content_MasterWorkOrderDetailMenu_WorkOrderPrintLinkButton');
+        '#ctl00_ContentPlaceHolder_Content_MasterWorkOrderDetailMenu_WorkOrderPrintLinkButton', {
+            reportCode: 'W399',
+            reportName: 'Technician Print',
+            itemNumber: workOrderNumber.toString()
+        });
     }
     /**
-     * Exports the Message Logger (W603) report.
-     * @param startDate - The start date
-     * @param endDate - The end date
-     * @param exportType - The export type
-     * @returns The path to the exported report.
+     * Exports Customer Prints (W398) for a list of work orders.
+     * @param workOrderNumbers - The work order numbers.
+     * @param options - Batch options, including the export type and concurrency.
+     * @returns A map of work order numbers to export results.
      */
-    async exportMessageLogger(startDate = new Date(), endDate = new Date(), exportType) {
-        const { browser, page } = await this._getLoggedInFasterPage();
-        await this.#navigateToFasterReportPage(browser, page, '/Setup/W603 - Message Logger', {
+    async exportWorkOrderCustomerPrints(workOrderNumbers, options = {}) {
+        return await this.#exportBatch(workOrderNumbers, options, async (workOrderNumber, exportOptions) => await this.exportWorkOrderCustomerPrint(workOrderNumber, exportOptions));
+    }
+    /**
+     * Exports Technician Prints (W399) for a list of work orders.
+     * @param workOrderNumbers - The work order numbers.
+     * @param options - Batch options, including the export type and concurrency.
+     * @returns A map of work order numbers to export results.
+     */
+    async exportWorkOrderTechnicianPrints(workOrderNumbers, options = {}) {
+        return await this.#exportBatch(workOrderNumbers, options, async (workOrderNumber, exportOptions) => await this.exportWorkOrderTechnicianPrint(workOrderNumber, exportOptions));
+    }
+    /**
+     * Resolves the dates for a date-driven report,
+     * given either a date range, or a start and end date.
+     * @param startDateOrDateRange - The start date, or a date range.
+     * @param endDateOrExportOptions - The end date, or the export options when a date range is given.
+     * @param exportTypeOrOptions - The export type, or export options, when start and end dates are given.
+     * @returns The start date, end date, and export options.
+     */
+    #resolveReportDates(startDateOrDateRange, endDateOrExportOptions, exportTypeOrOptions) {
+        if (startDateOrDateRange === undefined ||
+            startDateOrDateRange instanceof Date) {
+            return {
+                startDate: startDateOrDateRange ?? new Date(),
+                endDate: endDateOrExportOptions instanceof Date
+                    ? endDateOrExportOptions
+                    : new Date(),
+                exportOptions: toExportOptions(exportTypeOrOptions)
+            };
+        }
+        const { startDate, endDate } = resolveDateRange(startDateOrDateRange, {
+            timeZone: this.#timeZone,
+            fiscalYearStartMonth: this.#fiscalYearStartMonth
+        });
+        return {
+            startDate,
+            endDate,
+            exportOptions: toExportOptions(endDateOrExportOptions instanceof Date
+                ? exportTypeOrOptions
+                : endDateOrExportOptions)
+        };
+    }
+    async exportMessageLogger(startDateOrDateRange, endDateOrExportOptions, exportTypeOrOptions) {
+        const { startDate, endDate, exportOptions } = this.#resolveReportDates(startDateOrDateRange, endDateOrExportOptions, exportTypeOrOptions);
+        return await this.#exportReportViewerReport('/Setup/W603 - Message Logger', {
             ReportType: 'S',
             Domain: 'Setup',
             Parent: 'Reports'
@@ -457,75 +1650,173 @@ export class FasterReportExporter {
             'Time Zone': this.#timeZone,
             'Start Date': dateToString(startDate),
             'End Date': dateToString(endDate)
+        }, exportOptions, {
+            startDate,
+            endDate
+        });
+    }
+    async getMessageLog(startDateOrDateRange, endDateOrOptions, options) {
+        const { startDate, endDate, exportOptions } = this.#resolveReportDates(startDateOrDateRange, endDateOrOptions, options);
+        const report = await this.exportMessageLogger({ startDate, endDate }, { exportType: 'CSV', resultType: 'buffer', signal: exportOptions.signal });
+        return parseMessageLogCsv(report.buffer.toString('utf8'));
+    }
+    /**
+     * Opens the scheduled reports page.
+     * @param page - Puppeteer page, logged into FASTER Web
+     */
+    async #goToScheduledReports(page) {
+        await page.goto(this.fasterUrlBuilder.scheduledReportsUrl, {
+            timeout: this.#timeoutMillis
+        });
+        await page.waitForNetworkIdle({
+            timeout: this.#timeoutMillis
         });
-        return await this.#exportFasterReport(browser, page, exportType);
     }
     /**
-     * Exports a scheduled report by name.
-     * Helpful for exporting reports with complex parameters.
+     * Finds a scheduled report's row, paging through the scheduled reports grid.
+     * @param page - Puppeteer page on the scheduled reports page
      * @param scheduleName - Schedule name
-     * @param startDate - The start date
-     * @param endDate - The end date
-     * @param exportType - The export type
-     * @returns The path to the exported report.
+     * @returns The grid row, or undefined when no schedule has the name.
      */
-    async exportScheduledReport(scheduleName, startDate = new Date(), endDate = new Date(), exportType) {
-        let { browser, page } = await this._getLoggedInFasterPage();
-        try {
-            await page.goto(this.fasterUrlBuilder.scheduledReportsUrl, {
-                timeout: this.#timeoutMillis
-            });
-            await page.waitForNetworkIdle({
-                timeout: this.#timeoutMillis
-            });
-            // Find the report row
-            const scheduledReportsTableRowElements = await page.$$(
-            // eslint-disable-next-line no-secrets/no-secrets
-            '#ctl00_ContentPlaceHolder_Content_ScheduleRadDock_C_ScheduleRadGrid_ctl00 tbody tr');
-            for (const scheduledReportsTableRowElement of scheduledReportsTableRowElements) {
-                const reportNameElement = await scheduledReportsTableRowElement.$('td:nth-child(2) div span');
-                if (reportNameElement === null) {
-                    continue;
+    async #findScheduledReportRow(page, scheduleName) {
+        for (let gridPage = 1; gridPage <= maximumGridPages; gridPage += 1) {
+            const rowElements = await page.$$(`${scheduledReportsGridSelector} > tbody > tr`);
+            for (const rowElement of rowElements) {
+                const rowScheduleName = await rowElement.evaluate((row) => row.cells.item(1)?.textContent.trim());
+                if (rowScheduleName === scheduleName) {
+                    return rowElement;
                 }
-                const reportNameText = await reportNameElement.evaluate((cell) => cell.textContent?.trim());
-                if (reportNameText === scheduleName) {
-                    debug(`Scheduled report found: ${scheduleName}`);
-                    const actionLinkElements = await scheduledReportsTableRowElement.$$('td:nth-child(1) a');
-                    for (const actionLinkElement of actionLinkElements) {
-                        const actionLinkText = await actionLinkElement.evaluate((cell) => cell.textContent);
-                        if (actionLinkText === 'Parameter') {
-                            debug(`Opening report: ${scheduleName}`);
-                            await actionLinkElement.click();
-                            await delay();
-                            await page.waitForNetworkIdle({
-                                timeout: this.#timeoutMillis
-                            });
-                            const browserPages = await browser.pages();
-                            page = browserPages.at(-1);
-                            await page.bringToFront();
-                            await delay();
-                            await page.waitForNetworkIdle({
-                                timeout: this.#timeoutMillis
-                            });
-                            await applyReportFilters(page, {
-                                'Start Date': dateToString(startDate),
-                                'End Date': dateToString(endDate)
-                            }, {
-                                timeoutMillis: this.#timeoutMillis
-                            });
-                            break;
-                        }
-                    }
+            }
+            const hasNextPage = await goToNextGridPage(page, scheduledReportsGridSelector, this.#timeoutMillis);
+            if (!hasNextPage) {
+                break;
+            }
+        }
+        return undefined;
+    }
+    /**
+     * Finds an action link in a scheduled report's row.
+     * @param rowElement - The scheduled report's grid row.
+     * @param actionLinkText - The link text, like "Parameter".
+     * @returns The link, or undefined when the row has no such link.
+     */
+    async #findScheduledReportAction(rowElement, actionLinkText) {
+        const actionLinkElements = await rowElement.$$('td:nth-child(1) a');
+        for (const actionLinkElement of actionLinkElements) {
+            const linkText = await actionLinkElement.evaluate((link) => link.textContent.trim());
+            if (linkText === actionLinkText) {
+                return actionLinkElement;
+            }
+        }
+        return undefined;
+    }
+    /**
+     * Lists the scheduled reports, from every page of the scheduled reports grid.
+     * @returns The schedule names, reports, owners, frequencies, and next run dates.
+     */
+    async listScheduledReports() {
+        const { browser, page } = await this._getLoggedInFasterPage();
+        try {
+            await this.#goToScheduledReports(page);
+            const scheduledReports = [];
+            for (let gridPage = 1; gridPage <= maximumGridPages; gridPage += 1) {
+                const { headers, rows } = await getGridValues(page, scheduledReportsGridSelector);
+                scheduledReports.push(...rows
+                    .filter((row) => (row[1] ?? '') !== '')
+                    .map((row) => toScheduledReport(headers, row)));
+                const hasNextPage = await goToNextGridPage(page, scheduledReportsGridSelector, this.#timeoutMillis);
+                if (!hasNextPage) {
+                    break;
                 }
             }
+            return scheduledReports;
         }
         catch (error) {
+            throw toFasterReportExporterError(error, { step: 'navigate' });
+        }
+        finally {
+            await this.#closeFasterPage(browser, page);
+        }
+    }
+    // eslint-disable-next-line @typescript-eslint/max-params
+    async exportScheduledReport(scheduleName, startDateOrDateRange, endDateOrExportOptions, exportTypeOrOptions) {
+        const { startDate, endDate, exportOptions } = this.#resolveReportDates(startDateOrDateRange, endDateOrExportOptions, exportTypeOrOptions);
+        this.#assertExportDestinations(exportOptions);
+        return await this.#withExportDeadline(async (signal) => {
+            const { browser, page } = await this._getLoggedInFasterPage(signal);
+            let reportPage = page;
+            let step = 'navigate';
+            const runExport = async () => {
+                const navigateStartMillis = startEventTimer();
+                await this.#goToScheduledReports(page);
+                // Find the report row
+                const scheduledReportRowElement = await this.#findScheduledReportRow(page, scheduleName);
+                if (scheduledReportRowElement === undefined) {
+                    throw new ScheduledReportNotFoundError(scheduleName);
+                }
+                debug(`Scheduled report found: ${scheduleName}`);
+                // The report column holds the report file name, like "W200 - Inventory Report".
+                const scheduledReportFileName = await scheduledReportRowElement.evaluate((row) => row.cells.item(2)?.textContent.trim() ?? '');
+                const { reportCode } = getReportDetailsFromReportKey(`/${scheduledReportFileName}`);
+                const parameterLinkElement = await this.#findScheduledReportAction(scheduledReportRowElement, 'Parameter');
+                if (parameterLinkElement === undefined) {
+                    throw new FasterElementNotFoundError(`Unable to locate the "Parameter" link for scheduled report: ${scheduleName}`, 'td:nth-child(1) a', { step: 'navigate' });
+                }
+                debug(`Opening report: ${scheduleName}`);
+                await parameterLinkElement.click();
+                await delay();
+                await page.waitForNetworkIdle({
+                    timeout: this.#timeoutMillis
+                });
+                const browserPages = await browser.pages();
+                reportPage =
+                    browserPages
+                        .filter((browserPage) => browserPage.target().opener() === page.target())
+                        .at(-1) ?? page;
+                await reportPage.bringToFront();
+                await delay();
+                await reportPage.waitForNetworkIdle({
+                    timeout: this.#timeoutMillis
+                });
+                this.emit('reportPageLoaded', {
+                    ...getEventTiming(navigateStartMillis),
+                    url: reportPage.url()
+                });
+                step = 'filter';
+                const filterStartMillis = startEventTimer();
+                const { filters = {} } = exportOptions;
+                const reportFilters = {
+                    'Start Date': dateToString(startDate),
+                    'End Date': dateToString(endDate),
+                    ...filters
+                };
+                await withRetries(this.#retryPolicy, { step: 'filter', signal }, async () => {
+                    await applyReportFilters(reportPage, reportFilters, {
+                        timeoutMillis: this.#timeoutMillis
+                    });
+                });
+                this.emit('filtersApplied', {
+                    ...getEventTiming(filterStartMillis),
+                    filterLabels: Object.keys(reportFilters)
+                });
+                step = 'export';
+                const downloadedReport = await this.#exportFasterReport(browser, reportPage, exportOptions.exportType, signal);
+                return await this.#deliverDownloadedReport(downloadedReport, exportOptions, {
+                    reportCode,
+                    reportName: scheduleName,
+                    startDate,
+                    endDate
+                }, signal);
+            };
             try {
-                await browser.close();
+                return await withAbortSignal(runExport(), signal, createExportAbortedError);
             }
-            catch { }
-            throw error;
-        }
-        return await this.#exportFasterReport(browser, page, exportType);
+            catch (error) {
+                throw await this.#attachDiagnostics(reportPage, toFasterReportExporterError(error, { step }));
+            }
+            finally {
+                await this.#closeFasterPage(browser, page);
+            }
+        }, exportOptions.signal);
     }
 }
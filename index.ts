@@ -1,6 +1,8 @@
 // eslint-disable-next-line @eslint-community/eslint-comments/disable-enable-pair
 /* eslint-disable max-lines */
 
+import { randomUUID } from 'node:crypto'
+import { EventEmitter } from 'node:events'
 import fs from 'node:fs'
 import os from 'node:os'
 import path from 'node:path'
@@ -8,55 +10,553 @@ import { URL } from 'node:url'
 
 import FasterUrlBuilder from '@cityssm/faster-url-builder'
 import puppeteerLaunch, { type puppeteer } from '@cityssm/puppeteer-launch'
-import { secondsToMillis } from '@cityssm/to-millis'
+import { minutesToMillis, secondsToMillis } from '@cityssm/to-millis'
 import { dateToString } from '@cityssm/utils-datetime'
 import Debug from 'debug'
+import { Agent } from 'undici'
 
+import {
+  type FasterAuthState,
+  type FasterAuthStateStore,
+  getCookiesForUrl
+} from './authState.js'
+import {
+  type FasterCredentialProvider,
+  canRefreshCredentials,
+  createStaticCredentialProvider,
+  getProviderCredentials
+} from './credentials.js'
+import {
+  type DateRange,
+  type DateRangeInput,
+  resolveDateRange
+} from './dateRanges.js'
 import { DEBUG_NAMESPACE } from './debug.config.js'
+import type {
+  ReportDestination,
+  ReportDestinationFile
+} from './destinations.js'
+import { captureDiagnostics } from './diagnostics.js'
+import {
+  type DownloadedReport,
+  createDownloadFolder,
+  deleteDownloadFolder,
+  deletePartialDownload,
+  getContentDispositionFileName,
+  getDownloadedReportExtension,
+  getDownloadedReportMetadata,
+  moveFile,
+  readDownloadedReport,
+  streamDownloadedReport,
+  writeResponseToFile
+} from './downloads.js'
+import {
+  type ExportStep,
+  DownloadCanceledError,
+  ExportAbortedError,
+  ExportTimeoutError,
+  FasterAccountLockedError,
+  FasterElementNotFoundError,
+  FasterInvalidCredentialsError,
+  FasterLoginError,
+  FasterPasswordExpiredError,
+  FasterPermissionError,
+  FasterReportExporterError,
+  ReportDeliveryError,
+  ReportExportTypeNotAvailableError,
+  ScheduledReportNotFoundError,
+  toFasterReportExporterError
+} from './errors.js'
+import {
+  type FasterReportExporterEvents,
+  getEventTiming,
+  startEventTimer
+} from './events.js'
+import {
+  type ReportDetails,
+  type ReportFileNameContext,
+  type ReportFileNameTemplate,
+  formatReportFileName,
+  getReportDetailsFromReportKey,
+  reserveFilePath
+} from './fileNames.js'
 import {
+  defaultBatchExportConcurrency,
+  defaultExportTimeoutMinutes,
+  loginFailurePatterns,
+  loginMessageSelector,
+  maximumGridPages,
   minimumRecommendedTimeoutSeconds,
-  reportExportTypes
+  reportExportContentTypes,
+  reportExportTypes,
+  reportViewerExportFormats,
+  scheduledReportsGridColumnPatterns,
+  scheduledReportsGridSelector
 } from './lookups.js'
-import { applyReportFilters } from './puppeteer.helpers.js'
+import {
+  applyReportFilters,
+  getGridValues,
+  getPageFrameIds,
+  getReportExportMenuItemSelector,
+  getReportExportTypes,
+  getReportParameters,
+  getReportViewerExportUrl,
+  goToNextGridPage
+} from './puppeteer.helpers.js'
+import {
+  type AssetListRecord,
+  type InventoryRecord,
+  type MessageLogRecord,
+  parseAssetListCsv,
+  parseInventoryCsv,
+  parseMessageLogCsv,
+  parseReportDate
+} from './reportParsers.js'
+import { type RetryPolicy, defaultRetryPolicy, withRetries } from './retries.js'
 import type {
+  ExportResult,
+  ExportResultType,
+  ReportDelivery,
+  ReportDomain,
+  ReportExportStrategy,
+  ReportExportType,
+  ReportFilters,
+  ReportParameterDescription,
+  ReportParameters,
+  ReportTimeZone,
+  ScheduledReport
+} from './types.js'
+import {
+  assertValidConcurrency,
+  delay,
+  longDelayMillis,
+  mapWithConcurrency,
+  withAbortSignal,
+  withDeadline
+} from './utilities.js'
+
+export {
+  type FasterAuthState,
+  type FasterAuthStateStore,
+  createEncryptedFileAuthStateStore
+} from './authState.js'
+export type {
+  FasterCredentialProvider,
+  FasterCredentialProviderFunction,
+  FasterCredentialProviderObject,
+  FasterCredentialRequest,
+  FasterLoginCredentials
+} from './credentials.js'
+export {
+  type DateRange,
+  type DateRangeDescriptor,
+  type DateRangeInput,
+  type DateRangePreset,
+  dateRangePresets,
+  resolveDateRange
+} from './dateRanges.js'
+export {
+  type FolderDestinationOptions,
+  type ReportDestination,
+  type ReportDestinationFile,
+  type S3Credentials,
+  type S3DestinationOptions,
+  type SftpDestinationOptions,
+  createFolderDestination,
+  createS3Destination,
+  createSftpDestination
+} from './destinations.js'
+export {
+  type ExportStep,
+  type FasterReportExporterErrorContext,
+  type FasterReportExporterErrorDiagnostics,
+  DownloadCanceledError,
+  ExportAbortedError,
+  ExportTimeoutError,
+  FasterAccountLockedError,
+  FasterElementNotFoundError,
+  FasterInvalidCredentialsError,
+  FasterLoginError,
+  FasterPasswordExpiredError,
+  FasterPermissionError,
+  FasterReportExporterError,
+  ReportDeliveryError,
+  ReportExportTypeNotAvailableError,
+  ReportFilterNotFoundError,
+  ReportFilterValueError,
+  ScheduledReportNotFoundError
+} from './errors.js'
+export type { ExportEventTiming, FasterReportExporterEvents } from './events.js'
+export type {
+  ReportFileNameContext,
+  ReportFileNameTemplate,
+  ReportFolderTemplate
+} from './fileNames.js'
+export type {
+  AssetListRecord,
+  InventoryRecord,
+  MessageLogRecord,
+  ReportRecord
+} from './reportParsers.js'
+export type { RetryAttempt, RetryPolicy } from './retries.js'
+export type {
+  ExportedReportBuffer,
+  ExportedReportDeliveries,
+  ExportedReportMetadata,
+  ExportedReportStream,
+  ExportResult,
+  ExportResultType,
+  ReportDelivery,
+  ReportDomain,
+  ReportExportStrategy,
   ReportExportType,
+  ReportFilters,
+  ReportFilterValue,
+  ReportParameterControlType,
+  ReportParameterDescription,
   ReportParameters,
-  ReportTimeZone
+  ReportTimeZone,
+  ScheduledReport
 } from './types.js'
-import { defaultDelayMillis, delay, longDelayMillis } from './utilities.js'
 
 const debug = Debug(`${DEBUG_NAMESPACE}:index`)
 
+/**
+ * Converts a row in the scheduled reports grid to a scheduled report.
+ * @param headers - The grid's column headers.
+ * @param row - The row values.
+ * @returns The scheduled report.
+ */
+function toScheduledReport(headers: string[], row: string[]): ScheduledReport {
+  const columns: Record<string, string> = {}
+
+  const scheduledReport: ScheduledReport = {
+    scheduleName: row[1],
+    reportName: '',
+    owner: '',
+    frequency: '',
+    nextRunDate: undefined,
+    columns
+  }
+
+  for (const [columnIndex, header] of headers.entries()) {
+    // eslint-disable-next-line security/detect-object-injection
+    const value = row[columnIndex] ?? ''
+
+    if (header !== '') {
+      // eslint-disable-next-line security/detect-object-injection
+      columns[header] = value
+    }
+
+    // The first two columns are the actions and the schedule name.
+    if (columnIndex < 2) {
+      continue
+    }
+
+    if (scheduledReportsGridColumnPatterns.nextRun.test(header)) {
+      scheduledReport.nextRunDate = parseReportDate(value)
+    } else if (scheduledReportsGridColumnPatterns.frequency.test(header)) {
+      scheduledReport.frequency = value
+    } else if (scheduledReportsGridColumnPatterns.owner.test(header)) {
+      scheduledReport.owner = value
+    } else if (scheduledReportsGridColumnPatterns.reportName.test(header)) {
+      scheduledReport.reportName = value
+    }
+  }
+
+  return scheduledReport
+}
+
+/**
+ * Converts a failed export URL request to an exporter error.
+ * @param error - The error thrown by `fetch()`.
+ * @param timeoutMillis - The request timeout.
+ * @param signal - The export's abort signal, if any.
+ * @returns An `ExportAbortedError` when the export was aborted,
+ *          an `ExportTimeoutError` for timeouts, otherwise an exporter error.
+ */
+function toExportUrlError(
+  error: unknown,
+  timeoutMillis: number,
+  signal: AbortSignal | undefined
+): FasterReportExporterError {
+  if (signal?.aborted === true) {
+    return new ExportAbortedError(
+      undefined,
+      { step: 'download' },
+      { cause: signal.reason }
+    )
+  }
+
+  if (error instanceof DOMException && error.name === 'TimeoutError') {
+    return new ExportTimeoutError(
+      `Download did not complete within ${timeoutMillis} ms.`,
+      { step: 'download' },
+      { cause: error }
+    )
+  }
+
+  return toFasterReportExporterError(error, { step: 'download' })
+}
+
+/**
+ * Creates the error thrown when an export is aborted.
+ * @param signal - The aborted signal.
+ * @returns The `ExportTimeoutError` when the export deadline aborted the signal,
+ *          otherwise an `ExportAbortedError`, caused by the signal's reason.
+ */
+function createExportAbortedError(
+  signal: AbortSignal
+): ExportAbortedError | ExportTimeoutError {
+  if (signal.reason instanceof ExportTimeoutError) {
+    return signal.reason
+  }
+
+  return new ExportAbortedError(undefined, {}, { cause: signal.reason })
+}
+
+/**
+ * Throws an `ExportAbortedError` if the signal has been aborted,
+ * or the `ExportTimeoutError` if the export deadline aborted it.
+ * @param signal - The abort signal, if any.
+ */
+function throwIfAborted(signal: AbortSignal | undefined): void {
+  if (signal?.aborted === true) {
+    throw createExportAbortedError(signal)
+  }
+}
+
+function toExportOptions<T extends ExportResultType>(
+  exportTypeOrOptions: ExportOptions<T> | ReportExportType | undefined
+): ExportOptions<T> {
+  if (typeof exportTypeOrOptions === 'string') {
+    return { exportType: exportTypeOrOptions }
+  }
+
+  return exportTypeOrOptions ?? {}
+}
+
 export interface FasterReportExporterOptions {
   downloadFolderPath: string
   timeoutMillis: number
+
+  /**
+   * The maximum time for a single export,
+   * from launching the browser and logging in to delivering the report.
+   * @default 600_000 (10 minutes)
+   */
+  exportTimeoutMillis: number
+
   timeZone: ReportTimeZone
 
+  /**
+   * The first month of the fiscal year, from 1 (January) to 12 (December).
+   * Used by fiscal year date range presets.
+   * @default 1
+   */
+  fiscalYearStartMonth: number
+
+  /**
+   * How reports are exported from the Report Viewer.
+   * "exportUrl" is faster, but relies on the Report Viewer's client script.
+   * @default 'menu'
+   */
+  exportStrategy: ReportExportStrategy
+
+  /**
+   * When set, a screenshot and the page HTML are saved to this folder
+   * when an export or login fails.
+   * The file paths are added to the error's `diagnostics`.
+   */
+  diagnosticsFolderPath: string
+
+  /**
+   * Retries for login, navigation, filters, and downloads.
+   * By default, steps are not retried.
+   */
+  retryPolicy: Partial<RetryPolicy>
+
   /**
    * Show the browser window.
    * Useful for debugging.
    * @default false
    */
   showBrowserWindow: boolean
+
+  /**
+   * Accept invalid HTTPS certificates, like self-signed certificates
+   * on servers hosted on premises.
+   * Applies to the browser and to "exportUrl" strategy requests.
+   * @default false
+   */
+  acceptInsecureCerts: boolean
+
+  /**
+   * The file name template, or a function that returns a file name,
+   * for reports saved in the download folder.
+   * By default, files are named with the unique id of the browser download.
+   * @example '{reportCode}_{itemNumber}_{startDate}_{endDate}_{timestamp}'
+   */
+  fileNameTemplate: ReportFileNameTemplate
+
+  /**
+   * Saves the FASTER Web login after logging in,
+   * and restores it the next time a browser is launched,
+   * skipping the login while it is still valid.
+   * Use `createEncryptedFileAuthStateStore()`, or a custom store.
+   */
+  authStateStore: FasterAuthStateStore
+
+  /**
+   * Where copies of exported reports are delivered,
+   * like network shares, SFTP servers, or object storage.
+   * Reports are delivered to every destination, in addition to the requested result.
+   */
+  destinations: ReportDestination[]
+}
+
+export interface ExportOptions<T extends ExportResultType = 'path'> {
+  exportType?: ReportExportType
+
+  /**
+   * How the exported report is returned.
+   * - "path" saves the file in the download folder, and returns its path.
+   * - "buffer" returns the file contents with metadata.
+   * - "stream" returns a readable stream with metadata.
+   * - "deliveries" only delivers the report to the destinations,
+   *   and returns the metadata with where each copy was delivered.
+   * Temporary files used for "buffer", "stream", and "deliveries" results are cleaned up.
+   * @default 'path'
+   */
+  resultType?: T
+
+  /**
+   * Overrides the destinations set on the exporter, for this export.
+   */
+  destinations?: ReportDestination[]
+
+  /**
+   * Cancels the export.
+   * When aborted, the export stops, its browser (or its tabs in a session) is closed,
+   * partial downloads are removed, and an `ExportAbortedError` is thrown.
+   */
+  signal?: AbortSignal
+}
+
+export interface ExportScheduledReportOptions<
+  T extends ExportResultType = 'path'
+> extends ExportOptions<T> {
+  /**
+   * Filters applied to the scheduled report, by label.
+   * Applied after the "Start Date" and "End Date" filters,
+   * so they can be overridden.
+   */
+  filters?: ReportFilters
+}
+
+export interface BatchExportOptions {
+  exportType: ReportExportType
+
+  /**
+   * The number of reports exported at the same time,
+   * each in its own browser tab.
+   * Must be a positive integer, otherwise a `RangeError` is thrown.
+   * @default 3
+   */
+  concurrency: number
+
+  /**
+   * Cancels the exports that have not finished.
+   * When aborted, the batch rejects with an `ExportAbortedError`.
+   */
+  signal: AbortSignal
+}
+
+export interface ExportReportOptions<
+  T extends ExportResultType = 'path'
+> extends ExportOptions<T> {
+  /**
+   * The report path, as found in the "R" parameter of the Report Viewer URL.
+   * @example '/Inventory/W200 - Inventory Report'
+   */
+  reportKey: `/${string}`
+
+  /**
+   * The FASTER Web domain the report belongs to.
+   */
+  domain: ReportDomain
+
+  /**
+   * Additional Report Viewer URL parameters.
+   * Overrides the default "ReportType" and "Parent" parameters.
+   */
+  parameters?: Record<string, string>
+
+  /**
+   * Report filters, keyed by the filter label.
+   * Include "Time Zone" for reports that have one.
+   */
+  filters?: ReportFilters
 }
 
-export class FasterReportExporter {
+export type BatchExportResult =
+  { success: false; error: unknown } | { success: true; reportPath: string }
+
+export class FasterReportExporter extends EventEmitter<FasterReportExporterEvents> {
   readonly fasterUrlBuilder: FasterUrlBuilder
 
-  readonly #fasterPassword: string
-  readonly #fasterUserName: string
+  readonly #credentialProvider: FasterCredentialProvider
+
+  /**
+   * The user name of the last login, to match against saved logins.
+   * Undefined with a credential provider, until FASTER is logged into.
+   */
+  #userName: string | undefined
 
   #downloadFolderPath = os.tmpdir()
 
   #useHeadlessBrowser = true
 
+  #acceptInsecureCerts = false
+
+  /** Makes "exportUrl" requests when invalid certificates are accepted. */
+  #insecureRequestDispatcher: Agent | undefined
+
   #timeoutMillis = secondsToMillis(
     // eslint-disable-next-line @typescript-eslint/no-magic-numbers
     Math.max(120, minimumRecommendedTimeoutSeconds)
   )
 
+  #exportTimeoutMillis = minutesToMillis(defaultExportTimeoutMinutes)
+
   #timeZone: ReportTimeZone = 'Eastern'
 
+  #fiscalYearStartMonth = 1
+
+  #retryPolicy: RetryPolicy = { ...defaultRetryPolicy }
+
+  #diagnosticsFolderPath: string | undefined
+
+  #exportStrategy: ReportExportStrategy = 'menu'
+
+  #fileNameTemplate: ReportFileNameTemplate | undefined
+
+  #authStateStore: FasterAuthStateStore | undefined
+
+  #destinations: ReportDestination[] = []
+
+  #sessionBrowser: puppeteer.Browser | undefined
+
+  readonly #browserDownloadFolderPaths = new WeakMap<
+    puppeteer.Browser,
+    Promise<string>
+  >()
+
+  readonly #browserDownloadSessions = new WeakMap<
+    puppeteer.Browser,
+    Promise<puppeteer.CDPSession>
+  >()
+
   /**
    * Initializes the FasterReportExporter.
    * @param fasterTenantOrBaseUrl - The subdomain of the FASTER Web URL before ".fasterwebcloud.com"
@@ -69,12 +569,54 @@ export class FasterReportExporter {
     fasterTenantOrBaseUrl: string,
     fasterUserName: string,
     fasterPassword: string,
-    options: Partial<FasterReportExporterOptions> = {}
+    options?: Partial<FasterReportExporterOptions>
+  )
+
+  /**
+   * Initializes the FasterReportExporter,
+   * getting the credentials from a provider each time FASTER is logged into.
+   * @param fasterTenantOrBaseUrl - The subdomain of the FASTER Web URL before ".fasterwebcloud.com"
+   *                                or the full domain and path including "/FASTER"
+   * @param credentialProvider - A function, or an object with a `getCredentials()` function,
+   *                             that returns the user name and password.
+   * @param options - Options
+   */
+  constructor(
+    fasterTenantOrBaseUrl: string,
+    credentialProvider: FasterCredentialProvider,
+    options?: Partial<FasterReportExporterOptions>
+  )
+
+  // eslint-disable-next-line @typescript-eslint/max-params
+  constructor(
+    fasterTenantOrBaseUrl: string,
+    fasterUserNameOrCredentialProvider: FasterCredentialProvider | string,
+    fasterPasswordOrOptions?: Partial<FasterReportExporterOptions> | string,
+    optionsAfterPassword: Partial<FasterReportExporterOptions> = {}
   ) {
+    super()
+
     this.fasterUrlBuilder = new FasterUrlBuilder(fasterTenantOrBaseUrl)
 
-    this.#fasterUserName = fasterUserName
-    this.#fasterPassword = fasterPassword
+    // eslint-disable-next-line @typescript-eslint/init-declarations
+    let options: Partial<FasterReportExporterOptions>
+
+    if (typeof fasterUserNameOrCredentialProvider === 'string') {
+      this.#userName = fasterUserNameOrCredentialProvider
+
+      this.#credentialProvider = createStaticCredentialProvider(
+        fasterUserNameOrCredentialProvider,
+        fasterPasswordOrOptions as string
+      )
+
+      options = optionsAfterPassword
+    } else {
+      this.#credentialProvider = fasterUserNameOrCredentialProvider
+
+      options =
+        (fasterPasswordOrOptions as
+          Partial<FasterReportExporterOptions> | undefined) ?? {}
+    }
 
     if (options.downloadFolderPath !== undefined) {
       this.setDownloadFolderPath(options.downloadFolderPath)
@@ -84,13 +626,49 @@ export class FasterReportExporter {
       this.setTimeoutMillis(options.timeoutMillis)
     }
 
+    if (options.exportTimeoutMillis !== undefined) {
+      this.setExportTimeoutMillis(options.exportTimeoutMillis)
+    }
+
     if (options.showBrowserWindow !== undefined && options.showBrowserWindow) {
       this.showBrowserWindow()
     }
 
+    if (options.acceptInsecureCerts !== undefined) {
+      this.#acceptInsecureCerts = options.acceptInsecureCerts
+    }
+
     if (options.timeZone !== undefined) {
       this.#timeZone = options.timeZone
     }
+
+    if (options.fiscalYearStartMonth !== undefined) {
+      this.#fiscalYearStartMonth = options.fiscalYearStartMonth
+    }
+
+    if (options.retryPolicy !== undefined) {
+      this.setRetryPolicy(options.retryPolicy)
+    }
+
+    if (options.diagnosticsFolderPath !== undefined) {
+      this.setDiagnosticsFolderPath(options.diagnosticsFolderPath)
+    }
+
+    if (options.exportStrategy !== undefined) {
+      this.setExportStrategy(options.exportStrategy)
+    }
+
+    if (options.fileNameTemplate !== undefined) {
+      this.setFileNameTemplate(options.fileNameTemplate)
+    }
+
+    if (options.authStateStore !== undefined) {
+      this.setAuthStateStore(options.authStateStore)
+    }
+
+    if (options.destinations !== undefined) {
+      this.setDestinations(options.destinations)
+    }
   }
 
   /**
@@ -122,6 +700,42 @@ export class FasterReportExporter {
     }
   }
 
+  /**
+   * Changes the maximum time for a single export.
+   * Exports that take longer reject with an `ExportTimeoutError`.
+   * @param exportTimeoutMillis - Number of milliseconds.
+   */
+  setExportTimeoutMillis(exportTimeoutMillis: number): void {
+    this.#exportTimeoutMillis = exportTimeoutMillis
+  }
+
+  /**
+   * Changes how failed steps are retried.
+   * Unset properties use the default policy.
+   * @param retryPolicy - The retry policy.
+   */
+  setRetryPolicy(retryPolicy: Partial<RetryPolicy>): void {
+    this.#retryPolicy = { ...defaultRetryPolicy, ...retryPolicy }
+  }
+
+  /**
+   * Saves a screenshot and the page HTML when an export or login fails.
+   * @param diagnosticsFolderPath - The folder where the files are saved.
+   *                                Created if it does not exist.
+   */
+  setDiagnosticsFolderPath(diagnosticsFolderPath: string): void {
+    this.#diagnosticsFolderPath = diagnosticsFolderPath
+  }
+
+  /**
+   * Changes how reports are exported from the Report Viewer.
+   * @param exportStrategy - "menu" to click through the export menu,
+   *                         or "exportUrl" to request the export URL directly.
+   */
+  setExportStrategy(exportStrategy: ReportExportStrategy): void {
+    this.#exportStrategy = exportStrategy
+  }
+
   /**
    * Switches off headless mode, making the browser window visible.
    * Useful for debugging.
@@ -139,184 +753,1310 @@ export class FasterReportExporter {
   }
 
   /**
-   * Gets a browser and page that are logged into FASTER.
-   * @returns browser and page, be sure to close the browser when done.
+   * Changes how reports saved in the download folder are named.
+   * If a file with the same name exists, a number is added to the new file name.
+   * @param fileNameTemplate - A file name template, like "{reportCode}_{timestamp}",
+   *                           or a function that returns a file name.
+   *                           `undefined` names files with the unique id of the browser download.
    */
-  async _getLoggedInFasterPage(): Promise<{
-    browser: puppeteer.Browser
-    page: puppeteer.Page
-  }> {
-    // eslint-disable-next-line @typescript-eslint/init-declarations
-    let browser: puppeteer.Browser | undefined
+  setFileNameTemplate(
+    fileNameTemplate: ReportFileNameTemplate | undefined
+  ): void {
+    this.#fileNameTemplate = fileNameTemplate
+  }
 
-    try {
-      browser = await puppeteerLaunch({
-        browser: 'chrome',
-        protocol: 'cdp',
-        headless: this.#useHeadlessBrowser,
-        timeout: this.#timeoutMillis
-      })
+  /**
+   * Saves the FASTER Web login between runs,
+   * so new browsers can skip logging in while the login is still valid.
+   * @param authStateStore - Where the login is saved,
+   *                         like `createEncryptedFileAuthStateStore()`.
+   */
+  setAuthStateStore(authStateStore: FasterAuthStateStore): void {
+    this.#authStateStore = authStateStore
+  }
 
-      /*
-       * Load Faster
-       */
+  /**
+   * Changes where copies of exported reports are delivered.
+   * @param destinations - The destinations, like `createFolderDestination()`.
+   *                       An empty list stops delivering copies.
+   */
+  setDestinations(destinations: ReportDestination[]): void {
+    this.#destinations = [...destinations]
+  }
 
-      debug('Logging into FASTER...')
+  /**
+   * Opens a browser session that stays logged into FASTER.
+   * While a session is open, exports run in new tabs of the same browser,
+   * skipping the browser launch and login for each export.
+   * Be sure to call `closeSession()` when done.
+   * @param options - Options.
+   * @param options.signal - Cancels the launch and login.
+   */
+  async openSession(
+    options: Pick<ExportOptions, 'signal'> = {}
+  ): Promise<void> {
+    if (this.hasOpenSession()) {
+      return
+    }
 
-      const page = await browser.newPage()
+    // The login page stays open, keeping the browser window alive between exports.
+    const { browser } = await this.#launchLoggedInFasterPage(options.signal)
 
-      await page.goto(this.fasterUrlBuilder.baseUrl, {
-        timeout: this.#timeoutMillis
-      })
+    this.#sessionBrowser = browser
+  }
 
-      await page.waitForNetworkIdle({
-        timeout: this.#timeoutMillis
-      })
+  /**
+   * Checks if a browser session is open.
+   * @returns `true` if a session opened with `openSession()` is still connected.
+   */
+  hasOpenSession(): boolean {
+    return this.#sessionBrowser?.connected ?? false
+  }
 
-      /*
-       * Log in if need be
-       */
+  /**
+   * Closes the browser session opened with `openSession()`.
+   */
+  async closeSession(): Promise<void> {
+    const sessionBrowser = this.#sessionBrowser
 
-      const loginFormElement = await page.$('#form_Signin')
+    this.#sessionBrowser = undefined
 
-      if (loginFormElement !== null) {
-        debug('Filling out login form...')
+    if (sessionBrowser !== undefined) {
+      await this.#closeBrowser(sessionBrowser)
+    }
+  }
 
-        const userNameElement = await loginFormElement.$(
-          '#LoginControl_UserName'
-        )
+  /**
+   * Runs a callback with an open browser session,
+   * closing the session when the callback completes.
+   * If a session is already open, it is reused and left open.
+   * @param callback - Function that runs exports using the exporter.
+   * @param options - Options.
+   * @param options.signal - Cancels opening the session.
+   * @returns The value returned by the callback.
+   */
+  async withSession<T>(
+    callback: (reportExporter: this) => Promise<T>,
+    options: Pick<ExportOptions, 'signal'> = {}
+  ): Promise<T> {
+    const sessionAlreadyOpen = this.hasOpenSession()
 
-        if (userNameElement === null) {
-          throw new Error('Unable to locate user name field.')
-        }
+    await this.openSession(options)
 
-        await userNameElement.type(this.#fasterUserName)
+    try {
+      return await callback(this)
+    } finally {
+      if (!sessionAlreadyOpen) {
+        await this.closeSession()
+      }
+    }
+  }
 
-        const passwordElement = await loginFormElement.$(
-          '#LoginControl_Password'
-        )
+  /**
+   * Gets a browser and page that are logged into FASTER.
+   * When a session is open, the page is a new tab in the session browser,
+   * and the login is repeated if the FASTER login has expired.
+   * When an auth state store is set, new browsers start with the saved login,
+   * and only log in when FASTER shows the login form.
+   * @param signal - Cancels the launch and login.
+   * @returns browser and page, be sure to close the browser
+   *          (or only the page when a session is open) when done.
+   */
+  async _getLoggedInFasterPage(signal?: AbortSignal): Promise<{
+    browser: puppeteer.Browser
+    page: puppeteer.Page
+  }> {
+    throwIfAborted(signal)
 
-        if (passwordElement === null) {
-          throw new Error('Unable to locate password field.')
-        }
+    if (this.#sessionBrowser !== undefined && !this.hasOpenSession()) {
+      debug('Session browser disconnected, opening a new session...')
+      await this.closeSession()
+      await this.openSession({ signal })
+    }
 
-        await passwordElement.type(this.#fasterPassword)
+    const sessionBrowser = this.#sessionBrowser
 
-        const submitButtonElement = await loginFormElement.$(
-          '#LoginControl_SignInButton_input'
-        )
+    if (sessionBrowser === undefined) {
+      return await this.#launchLoggedInFasterPage(signal)
+    }
+
+    const page = await sessionBrowser.newPage()
+
+    try {
+      await withAbortSignal(
+        this.#logInToFaster(page, signal),
+        signal,
+        createExportAbortedError
+      )
+    } catch (error) {
+      const loginError = await this.#attachDiagnostics(
+        page,
+        toFasterReportExporterError(error, { step: 'login' })
+      )
+
+      try {
+        await page.close()
+      } catch {}
+
+      throw loginError
+    }
+
+    return {
+      browser: sessionBrowser,
+      page
+    }
+  }
+
+  /**
+   * Launches a browser, and logs into FASTER.
+   * The browser is closed if the login fails or the signal is aborted.
+   * @param signal - Cancels the launch and login.
+   * @returns The browser and the logged in page.
+   */
+  async #launchLoggedInFasterPage(signal?: AbortSignal): Promise<{
+    browser: puppeteer.Browser
+    page: puppeteer.Page
+  }> {
+    // eslint-disable-next-line @typescript-eslint/init-declarations
+    let browser: puppeteer.Browser | undefined
+
+    // eslint-disable-next-line @typescript-eslint/init-declarations
+    let page: puppeteer.Page | undefined
+
+    try {
+      const launchStartMillis = startEventTimer()
+
+      const launchPromise = puppeteerLaunch({
+        browser: 'chrome',
+        protocol: 'cdp',
+        headless: this.#useHeadlessBrowser,
+        acceptInsecureCerts: this.#acceptInsecureCerts,
+        timeout: this.#timeoutMillis
+      })
+
+      try {
+        browser = await withAbortSignal(
+          launchPromise,
+          signal,
+          createExportAbortedError
+        )
+      } catch (error) {
+        // A browser that finishes launching after an abort is closed.
+        launchPromise
+          .then(async (launchedBrowser) => {
+            await launchedBrowser.close()
+          })
+          .catch(() => undefined)
+
+        throw toFasterReportExporterError(error, { step: 'launch' })
+      }
+
+      this.emit('browserLaunched', {
+        ...getEventTiming(launchStartMillis),
+        headless: this.#useHeadlessBrowser
+      })
+
+      page = await browser.newPage()
+
+      await this.#restoreAuthState(browser)
+
+      await withAbortSignal(
+        this.#logInToFaster(page, signal),
+        signal,
+        createExportAbortedError
+      )
+
+      return {
+        browser,
+        page
+      }
+    } catch (error) {
+      const launchError =
+        page === undefined
+          ? error
+          : await this.#attachDiagnostics(
+              page,
+              toFasterReportExporterError(error, { step: 'login' })
+            )
+
+      if (browser !== undefined) {
+        await this.#closeBrowser(browser)
+      }
+
+      throw launchError
+    }
+  }
+
+  /**
+   * Adds the saved FASTER Web login cookies to a new browser.
+   * A login that cannot be restored is skipped, and FASTER is logged into instead.
+   * A saved login for a different user than the configured or last logged in user is skipped.
+   * The credentials are not requested here.
+   * A credential provider is only called when the login form is displayed.
+   * @param browser - Puppeteer browser
+   */
+  async #restoreAuthState(browser: puppeteer.Browser): Promise<void> {
+    if (this.#authStateStore === undefined) {
+      return
+    }
+
+    // eslint-disable-next-line @typescript-eslint/init-declarations
+    let authState: FasterAuthState | undefined
+
+    try {
+      authState = await this.#authStateStore.load()
+    } catch (error) {
+      debug('Unable to load saved FASTER login:', error)
+      return
+    }
+
+    if (
+      authState === undefined ||
+      authState.baseUrl !== this.fasterUrlBuilder.baseUrl
+    ) {
+      return
+    }
+
+    if (this.#userName !== undefined && authState.userName !== this.#userName) {
+      debug('Saved FASTER login is for a different user.')
+      return
+    }
+
+    try {
+      await browser.setCookie(...authState.cookies)
+
+      debug('Restored saved FASTER login.')
+    } catch (error) {
+      debug('Unable to restore saved FASTER login:', error)
+    }
+  }
+
+  /**
+   * Saves the FASTER Web login cookies, when an auth state store is set.
+   * Failures are ignored, the next launch logs in again.
+   * @param page - Puppeteer page, logged into FASTER.
+   * @param userName - The user name that logged in.
+   */
+  async #saveAuthState(page: puppeteer.Page, userName: string): Promise<void> {
+    if (this.#authStateStore === undefined) {
+      return
+    }
+
+    try {
+      const cookies = getCookiesForUrl(
+        await page.browser().cookies(),
+        this.fasterUrlBuilder.baseUrl
+      )
+
+      await this.#authStateStore.save({
+        baseUrl: this.fasterUrlBuilder.baseUrl,
+        userName,
+        savedAt: new Date().toISOString(),
+        cookies
+      })
+
+      debug('Saved FASTER login.')
+    } catch (error) {
+      debug('Unable to save FASTER login:', error)
+    }
+  }
+
+  /**
+   * Loads FASTER, and logs in if the login form is displayed.
+   * Retried according to the retry policy.
+   * When FASTER rejects the credentials, and the credential provider
+   * can refresh them, the login is tried once more with fresh credentials.
+   * @param page - Puppeteer page
+   * @param signal - Stops retrying when aborted.
+   */
+  async #logInToFaster(
+    page: puppeteer.Page,
+    signal?: AbortSignal
+  ): Promise<void> {
+    const loginStartMillis = startEventTimer()
+
+    await withRetries(
+      this.#retryPolicy,
+      { step: 'login', signal },
+      async () => {
+        try {
+          await this.#attemptLogInToFaster(page, false)
+        } catch (error) {
+          if (
+            !(error instanceof FasterInvalidCredentialsError) ||
+            !canRefreshCredentials(this.#credentialProvider)
+          ) {
+            throw error
+          }
+
+          debug('FASTER rejected the credentials, refreshing them...')
+
+          await this.#attemptLogInToFaster(page, true)
+        }
+      }
+    )
+
+    this.emit('loggedIn', getEventTiming(loginStartMillis))
+  }
+
+  /**
+   * Loads FASTER, and logs in if the login form is displayed.
+   * The credentials are only requested when the login form is displayed.
+   * @param page - Puppeteer page
+   * @param refreshCredentials - `true` to request fresh credentials.
+   */
+  async #attemptLogInToFaster(
+    page: puppeteer.Page,
+    refreshCredentials: boolean
+  ): Promise<void> {
+    try {
+      /*
+       * Load Faster
+       */
+
+      debug('Logging into FASTER...')
+
+      await page.goto(this.fasterUrlBuilder.baseUrl, {
+        timeout: this.#timeoutMillis
+      })
+
+      await page.waitForNetworkIdle({
+        timeout: this.#timeoutMillis
+      })
+
+      /*
+       * Log in if need be
+       */
+
+      const loginFormElement = await page.$('#form_Signin')
+
+      if (loginFormElement !== null) {
+        debug('Filling out login form...')
+
+        const credentials = await getProviderCredentials(
+          this.#credentialProvider,
+          refreshCredentials
+        )
+
+        const userNameElement = await loginFormElement.$(
+          '#LoginControl_UserName'
+        )
+
+        if (userNameElement === null) {
+          throw new FasterLoginError('Unable to locate user name field.')
+        }
+
+        await userNameElement.type(credentials.userName)
+
+        const passwordElement = await loginFormElement.$(
+          '#LoginControl_Password'
+        )
+
+        if (passwordElement === null) {
+          throw new FasterLoginError('Unable to locate password field.')
+        }
+
+        await passwordElement.type(credentials.password)
+
+        const submitButtonElement = await loginFormElement.$(
+          '#LoginControl_SignInButton_input'
+        )
 
         if (submitButtonElement === null) {
-          throw new Error('Unable to locate Sign In button.')
+          throw new FasterLoginError('Unable to locate Sign In button.')
+        }
+
+        await submitButtonElement.scrollIntoView()
+        await submitButtonElement.click()
+
+        await delay()
+
+        await page.waitForNetworkIdle({
+          timeout: this.#timeoutMillis
+        })
+
+        if (page.url().toLowerCase().includes('release/releasenotes.aspx')) {
+          debug('Release notes page, continuing...')
+
+          // eslint-disable-next-line @cspell/spellchecker
+          const continueButtonElement = await page.$('#OKRadButon_input')
+
+          if (continueButtonElement !== null) {
+            await continueButtonElement.scrollIntoView()
+            await continueButtonElement.click()
+
+            await delay()
+
+            await page.waitForNetworkIdle({
+              timeout: this.#timeoutMillis
+            })
+          }
+        }
+
+        await this.#verifyLoggedIn(page)
+
+        this.#userName = credentials.userName
+
+        await this.#saveAuthState(page, credentials.userName)
+      }
+    } catch (error) {
+      throw toFasterReportExporterError(error, { step: 'login' })
+    }
+
+    debug('Finished logging in.')
+  }
+
+  /**
+   * Checks that the login succeeded,
+   * throwing a login error that describes the page FASTER displayed instead.
+   * @param page - Puppeteer page, after submitting the login form.
+   */
+  async #verifyLoggedIn(page: puppeteer.Page): Promise<void> {
+    const pageUrl = page.url()
+
+    const { loginFormExists, loginMessage, pageText } = await page.evaluate(
+      (loginMessageSelector) => ({
+        loginFormExists: document.querySelector('#form_Signin') !== null,
+        loginMessage:
+          document.querySelector(loginMessageSelector)?.textContent?.trim() ??
+          '',
+        pageText: document.body.textContent
+      }),
+      loginMessageSelector
+    )
+
+    if (
+      loginFailurePatterns.passwordExpired.test(pageUrl) ||
+      loginFailurePatterns.passwordExpired.test(loginMessage)
+    ) {
+      throw new FasterPasswordExpiredError(
+        `FASTER password has expired. ${loginMessage}`.trim()
+      )
+    }
+
+    if (
+      loginFailurePatterns.accountLocked.test(loginMessage) ||
+      (loginFormExists && loginFailurePatterns.accountLocked.test(pageText))
+    ) {
+      throw new FasterAccountLockedError(
+        `FASTER account is locked. ${loginMessage}`.trim()
+      )
+    }
+
+    if (loginFormExists) {
+      throw new FasterInvalidCredentialsError(
+        loginMessage === ''
+          ? 'Login failed. The login form is still displayed.'
+          : `Login failed: ${loginMessage}`
+      )
+    }
+
+    if (
+      !pageUrl
+        .toLowerCase()
+        .startsWith(this.fasterUrlBuilder.baseUrl.toLowerCase())
+    ) {
+      throw new FasterLoginError(`Unexpected page after login: ${pageUrl}`)
+    }
+  }
+
+  /**
+   * Saves a screenshot and the page HTML for a failed export,
+   * when a diagnostics folder is set.
+   * Aborted exports are skipped.
+   * @param page - Puppeteer page that was showing when the error occurred.
+   * @param error - The error.
+   * @returns The error, with the paths to the saved files.
+   */
+  async #attachDiagnostics(
+    page: puppeteer.Page,
+    error: FasterReportExporterError
+  ): Promise<FasterReportExporterError> {
+    if (
+      this.#diagnosticsFolderPath === undefined ||
+      error instanceof ExportAbortedError ||
+      error instanceof ReportDeliveryError ||
+      error.diagnostics !== undefined ||
+      page.isClosed()
+    ) {
+      return error
+    }
+
+    debug(`Saving diagnostics to ${this.#diagnosticsFolderPath}...`)
+
+    error.diagnostics = await captureDiagnostics(
+      page,
+      this.#diagnosticsFolderPath,
+      error.step ?? 'export'
+    )
+
+    return error
+  }
+
+  /**
+   * Closes a page retrieved with `_getLoggedInFasterPage()`.
+   * When a session is open, only the page and any windows it opened are closed.
+   * Otherwise, the browser is closed.
+   * @param browser - Puppeteer browser
+   * @param page - Puppeteer page
+   */
+  async #closeFasterPage(
+    browser: puppeteer.Browser,
+    page: puppeteer.Page
+  ): Promise<void> {
+    try {
+      if (browser === this.#sessionBrowser) {
+        for (const browserPage of await browser.pages()) {
+          if (
+            browserPage === page ||
+            browserPage.target().opener() === page.target()
+          ) {
+            await browserPage.close()
+          }
         }
+      } else {
+        await this.#closeBrowser(browser)
+      }
+    } catch {}
+  }
+
+  /**
+   * Closes a browser, and deletes its download folder.
+   * @param browser - Puppeteer browser
+   */
+  async #closeBrowser(browser: puppeteer.Browser): Promise<void> {
+    const closeStartMillis = startEventTimer()
+
+    try {
+      await browser.close()
+    } catch {}
+
+    this.emit('browserClosed', getEventTiming(closeStartMillis))
+
+    this.#browserDownloadSessions.delete(browser)
+
+    const browserDownloadFolderPath =
+      this.#browserDownloadFolderPaths.get(browser)
+
+    if (browserDownloadFolderPath !== undefined) {
+      this.#browserDownloadFolderPaths.delete(browser)
+
+      try {
+        await deleteDownloadFolder(await browserDownloadFolderPath)
+      } catch {}
+    }
+  }
+
+  /**
+   * Gets the temporary folder where a browser saves downloads.
+   * Downloads are moved out of this folder once complete.
+   * @param browser - Puppeteer browser
+   * @returns The folder path.
+   */
+  async #getBrowserDownloadFolderPath(
+    browser: puppeteer.Browser
+  ): Promise<string> {
+    let browserDownloadFolderPath =
+      this.#browserDownloadFolderPaths.get(browser)
+
+    if (browserDownloadFolderPath === undefined) {
+      browserDownloadFolderPath = createDownloadFolder()
+      this.#browserDownloadFolderPaths.set(browser, browserDownloadFolderPath)
+    }
+
+    return await browserDownloadFolderPath
+  }
+
+  /**
+   * Gets the browser's CDP session that saves downloads to its download folder.
+   * The download behavior is set once per browser,
+   * so tabs exporting at the same time do not reset it for each other.
+   * @param browser - Puppeteer browser
+   * @returns The CDP session, which receives the browser's download events.
+   */
+  async #getBrowserDownloadSession(
+    browser: puppeteer.Browser
+  ): Promise<puppeteer.CDPSession> {
+    let downloadSession = this.#browserDownloadSessions.get(browser)
+
+    if (downloadSession === undefined) {
+      downloadSession = (async () => {
+        const downloadFolderPath =
+          await this.#getBrowserDownloadFolderPath(browser)
+
+        const cdpSession = await browser.target().createCDPSession()
+
+        await cdpSession.send('Browser.setDownloadBehavior', {
+          behavior: 'allowAndName',
+          downloadPath: downloadFolderPath,
+          eventsEnabled: true
+        })
+
+        return cdpSession
+      })()
+
+      this.#browserDownloadSessions.set(browser, downloadSession)
+
+      // The next export tries again.
+      downloadSession.catch(() => {
+        this.#browserDownloadSessions.delete(browser)
+      })
+    }
+
+    return await downloadSession
+  }
+
+  /**
+   * Copies a downloaded report to each destination, at the same time.
+   * @param downloadedReport - The downloaded report, with its final file name.
+   * @param context - Report details used to build the destination paths.
+   * @param destinations - The destinations.
+   * @param signal - Cancels the deliveries.
+   * @returns Where each copy was delivered.
+   */
+  // eslint-disable-next-line @typescript-eslint/max-params
+  async #deliverToDestinations(
+    downloadedReport: DownloadedReport,
+    context: ReportFileNameContext,
+    destinations: ReportDestination[],
+    signal: AbortSignal | undefined
+  ): Promise<ReportDelivery[]> {
+    const destinationFile: ReportDestinationFile = {
+      filePath: downloadedReport.filePath,
+      fileName: downloadedReport.fileName,
+      fileExtension: getDownloadedReportExtension(downloadedReport),
+      contentType:
+        downloadedReport.contentType ??
+        reportExportContentTypes[downloadedReport.exportType],
+      context
+    }
+
+    const outcomes = await Promise.all(
+      destinations.map(
+        async (
+          destination
+        ): Promise<
+          ReportDelivery | { destinationName: string; error: unknown }
+        > => {
+          const deliverStartMillis = startEventTimer()
+
+          try {
+            const location = await destination.deliver(destinationFile, {
+              signal
+            })
+
+            debug(`Delivered to ${destination.name}: ${location}`)
+
+            this.emit('reportDelivered', {
+              ...getEventTiming(deliverStartMillis),
+              destinationName: destination.name,
+              location
+            })
+
+            return { destinationName: destination.name, location }
+          } catch (error) {
+            return { destinationName: destination.name, error }
+          }
+        }
+      )
+    )
+
+    // Listed in the order the destinations are set, not the order they finish.
+    const deliveries: ReportDelivery[] = []
+    const failures: Array<{ destinationName: string; error: unknown }> = []
+
+    for (const outcome of outcomes) {
+      if ('error' in outcome) {
+        failures.push(outcome)
+      } else {
+        deliveries.push(outcome)
+      }
+    }
+
+    throwIfAborted(signal)
+
+    if (failures.length > 0) {
+      throw new ReportDeliveryError(
+        deliveries,
+        failures,
+        {},
+        {
+          cause: failures[0].error
+        }
+      )
+    }
+
+    return deliveries
+  }
+
+  /**
+   * Checks that an export has somewhere to deliver its report,
+   * before the browser is launched.
+   * @param exportOptions - The result type and destinations.
+   */
+  #assertExportDestinations(
+    exportOptions: ExportOptions<ExportResultType>
+  ): void {
+    if (
+      exportOptions.resultType === 'deliveries' &&
+      (exportOptions.destinations ?? this.#destinations).length === 0
+    ) {
+      throw new FasterReportExporterError(
+        'No destinations are set for the "deliveries" result type.',
+        { step: 'deliver' }
+      )
+    }
+  }
+
+  /**
+   * Returns a downloaded report in the requested form,
+   * after delivering copies to the destinations.
+   * @param downloadedReport - The downloaded report.
+   * @param exportOptions - The result type and destinations.
+   * @param reportDetails - Report details used to name the file.
+   * @param signal - Cancels the delivery. Nothing is delivered once aborted.
+   * @returns The file path, or the file contents with metadata.
+   */
+  // eslint-disable-next-line @typescript-eslint/max-params
+  async #deliverDownloadedReport<T extends ExportResultType>(
+    downloadedReport: DownloadedReport,
+    exportOptions: ExportOptions<T>,
+    reportDetails: ReportDetails,
+    signal: AbortSignal
+  ): Promise<ExportResult<T>> {
+    throwIfAborted(signal)
+
+    const downloadId = path.basename(downloadedReport.filePath)
+
+    const fileNameContext: ReportFileNameContext = {
+      ...reportDetails,
+      exportType: downloadedReport.exportType,
+      timestamp: new Date(),
+      downloadId
+    }
+
+    const fileName =
+      this.#fileNameTemplate === undefined
+        ? undefined
+        : formatReportFileName(this.#fileNameTemplate, fileNameContext)
+
+    const fileExtension = getDownloadedReportExtension(downloadedReport)
+
+    const namedDownloadedReport: DownloadedReport =
+      fileName === undefined
+        ? downloadedReport
+        : {
+            ...downloadedReport,
+            fileName: `${fileName}.${fileExtension}`
+          }
+
+    const destinations = exportOptions.destinations ?? this.#destinations
+
+    const deliveries = await this.#deliverToDestinations(
+      {
+        ...downloadedReport,
+        fileName: `${fileName ?? downloadId}.${fileExtension}`
+      },
+      fileNameContext,
+      destinations,
+      signal
+    )
+
+    throwIfAborted(signal)
+
+    try {
+      switch (exportOptions.resultType) {
+        case 'buffer': {
+          return (await readDownloadedReport(
+            namedDownloadedReport
+          )) as ExportResult<T>
+        }
+        case 'deliveries': {
+          const metadata = await getDownloadedReportMetadata(
+            namedDownloadedReport,
+            downloadedReport.filePath
+          )
+
+          // eslint-disable-next-line security/detect-non-literal-fs-filename
+          await fs.promises.rm(downloadedReport.filePath, { force: true })
+
+          return { ...metadata, deliveries } as ExportResult<T>
+        }
+        case 'stream': {
+          return (await streamDownloadedReport(
+            namedDownloadedReport
+          )) as ExportResult<T>
+        }
+        default: {
+          const reportFilePath = await reserveFilePath(
+            this.#downloadFolderPath,
+            fileName ?? downloadId,
+            fileExtension
+          )
+
+          try {
+            await moveFile(downloadedReport.filePath, reportFilePath)
+          } catch (error) {
+            // Free the reserved name, so later exports do not skip to " (1)".
+            // eslint-disable-next-line security/detect-non-literal-fs-filename
+            await fs.promises.rm(reportFilePath, { force: true })
+            throw error
+          }
+
+          debug(`File: ${reportFilePath}`)
+
+          return reportFilePath as ExportResult<T>
+        }
+      }
+    } catch (error) {
+      throw toFasterReportExporterError(error, { step: 'download' })
+    }
+  }
+
+  // eslint-disable-next-line @typescript-eslint/max-params
+  async #navigateToFasterReportPage(
+    page: puppeteer.Page,
+    reportKey: `/${string}`,
+    reportParameters: ReportParameters,
+    reportFilters?: ReportFilters,
+    signal?: AbortSignal
+  ): Promise<void> {
+    /*
+     * Navigate to report
+     */
+
+    const reportUrl = new URL(this.fasterUrlBuilder.reportViewerUrl)
+
+    reportUrl.searchParams.set('R', reportKey)
+
+    for (const [parameterKey, parameterValue] of Object.entries(
+      reportParameters
+    )) {
+      reportUrl.searchParams.set(parameterKey, parameterValue)
+    }
+
+    const navigateStartMillis = startEventTimer()
+
+    await withRetries(
+      this.#retryPolicy,
+      { reportKey, step: 'navigate', signal },
+      async () => {
+        await page.goto(reportUrl.href, {
+          timeout: this.#timeoutMillis
+        })
+
+        await delay()
+
+        await page.waitForNetworkIdle({
+          timeout: this.#timeoutMillis
+        })
+      }
+    )
+
+    this.emit('reportPageLoaded', {
+      ...getEventTiming(navigateStartMillis),
+      reportKey,
+      url: page.url()
+    })
+
+    if (reportFilters !== undefined) {
+      const filterStartMillis = startEventTimer()
+
+      await withRetries(
+        this.#retryPolicy,
+        { reportKey, step: 'filter', signal },
+        async () => {
+          await applyReportFilters(page, reportFilters, {
+            timeoutMillis: this.#timeoutMillis
+          })
+        }
+      )
+
+      this.emit('filtersApplied', {
+        ...getEventTiming(filterStartMillis),
+        reportKey,
+        filterLabels: Object.keys(reportFilters)
+      })
+    }
+  }
+
+  /**
+   * Navigates to a Report Viewer report, and exports it to a file.
+   * @param reportKey - The report path, starting with a slash.
+   * @param reportParameters - Report Viewer URL parameters.
+   * @param reportFilters - Filters applied to the report.
+   * @param exportOptions - Export options
+   * @param reportDetails - Report details used to name the file, like the work order number.
+   * @returns - Path to the exported file, or the file contents with metadata.
+   */
+  // eslint-disable-next-line @typescript-eslint/max-params
+  async #exportReportViewerReport<T extends ExportResultType>(
+    reportKey: `/${string}`,
+    reportParameters: ReportParameters,
+    reportFilters: ReportFilters | undefined,
+    exportOptions: ExportOptions<T>,
+    reportDetails: Partial<ReportDetails> = {}
+  ): Promise<ExportResult<T>> {
+    this.#assertExportDestinations(exportOptions)
+
+    return await this.#withExportDeadline(async (signal) => {
+      const { browser, page } = await this._getLoggedInFasterPage(signal)
+
+      const runExport = async (): Promise<ExportResult<T>> => {
+        await this.#navigateToFasterReportPage(
+          page,
+          reportKey,
+          reportParameters,
+          reportFilters,
+          signal
+        )
+
+        const downloadedReport = await this.#exportFasterReport(
+          browser,
+          page,
+          exportOptions.exportType,
+          signal
+        )
+
+        return await this.#deliverDownloadedReport(
+          downloadedReport,
+          exportOptions,
+          {
+            ...getReportDetailsFromReportKey(reportKey),
+            ...reportDetails
+          },
+          signal
+        )
+      }
+
+      try {
+        return await withAbortSignal(
+          runExport(),
+          signal,
+          createExportAbortedError
+        )
+      } catch (error) {
+        throw await this.#attachDiagnostics(
+          page,
+          toFasterReportExporterError(error, { reportKey, step: 'export' })
+        )
+      } finally {
+        await this.#closeFasterPage(browser, page)
+      }
+    }, exportOptions.signal)
+  }
+
+  /**
+   * Runs an export, from launching the browser to delivering the report,
+   * within the export deadline.
+   * The export is given a signal that is aborted with the caller's signal,
+   * or with an `ExportTimeoutError` when the deadline passes.
+   * @param exportFunction - The export, which stops when its signal is aborted.
+   * @param signal - Cancels the export.
+   * @returns - The result of the export.
+   */
+  async #withExportDeadline<T>(
+    exportFunction: (exportSignal: AbortSignal) => Promise<T>,
+    signal?: AbortSignal
+  ): Promise<T> {
+    const exportTimeoutMillis = this.#exportTimeoutMillis
+
+    const deadlineController = new AbortController()
+
+    const deadlineTimeout = setTimeout(() => {
+      deadlineController.abort(
+        new ExportTimeoutError(
+          `Export did not finish within ${exportTimeoutMillis} ms.`
+        )
+      )
+    }, exportTimeoutMillis)
+
+    try {
+      return await exportFunction(
+        signal === undefined
+          ? deadlineController.signal
+          : AbortSignal.any([signal, deadlineController.signal])
+      )
+    } finally {
+      clearTimeout(deadlineTimeout)
+    }
+  }
+
+  /**
+   * Exports a FASTER report to a file in the browser's download folder.
+   * Retried according to the retry policy.
+   * @param browser - Puppeteer browser
+   * @param page - Puppeteer page on a report page
+   * @param exportType - Output file type
+   * @param signal - Cancels the download.
+   * @returns - The downloaded report.
+   */
+  // eslint-disable-next-line @typescript-eslint/max-params
+  async #exportFasterReport(
+    browser: puppeteer.Browser,
+    page: puppeteer.Page,
+    exportType: ReportExportType = 'PDF',
+    signal?: AbortSignal
+  ): Promise<DownloadedReport> {
+    return await withRetries(
+      this.#retryPolicy,
+      { step: 'download', signal },
+      async () =>
+        this.#exportStrategy === 'exportUrl'
+          ? await this.#fetchFasterReport(browser, page, exportType, signal)
+          : await this.#downloadFasterReport(browser, page, exportType, signal)
+    )
+  }
+
+  /**
+   * Checks that the report page did not return a permissions error.
+   * @param page - Puppeteer page on a report page
+   */
+  async #assertReportPermission(page: puppeteer.Page): Promise<void> {
+    await page.waitForNetworkIdle({
+      timeout: this.#timeoutMillis
+    })
+
+    const bodyHandle = await page.$('body')
+
+    const reportErrorTextExists =
+      (await page.evaluate(
+        (body) =>
+          body?.textContent.includes(
+            'You do not have permissions to access the reports.'
+          ),
+        bodyHandle
+      )) ?? false
+
+    await bodyHandle?.dispose()
+
+    if (reportErrorTextExists) {
+      throw new FasterPermissionError(
+        'Report generation failed: insufficient permissions.',
+        { step: 'export' }
+      )
+    }
+  }
+
+  /**
+   * Checks that the report offers an export type.
+   * Skipped when the export menu cannot be read.
+   * @param page - Puppeteer page on a report page
+   * @param exportType - Output file type
+   */
+  async #assertExportTypeAvailable(
+    page: puppeteer.Page,
+    exportType: ReportExportType
+  ): Promise<void> {
+    const availableExportTypes = await getReportExportTypes(page)
+
+    if (
+      availableExportTypes.length > 0 &&
+      !availableExportTypes.includes(exportType)
+    ) {
+      throw new ReportExportTypeNotAvailableError(
+        exportType,
+        availableExportTypes
+      )
+    }
+  }
 
-        await submitButtonElement.scrollIntoView()
-        await submitButtonElement.click()
+  /**
+   * Gets the dispatcher for "exportUrl" requests.
+   * @returns A dispatcher that skips certificate checks when `acceptInsecureCerts` is set,
+   * otherwise `undefined` to use Node's defaults.
+   */
+  #getExportUrlDispatcher(): Agent | undefined {
+    if (!this.#acceptInsecureCerts) {
+      return undefined
+    }
 
-        await delay()
+    this.#insecureRequestDispatcher ??= new Agent({
+      connect: { rejectUnauthorized: false }
+    })
 
-        await page.waitForNetworkIdle({
-          timeout: this.#timeoutMillis
-        })
+    return this.#insecureRequestDispatcher
+  }
 
-        if (page.url().toLowerCase().includes('release/releasenotes.aspx')) {
-          debug('Release notes page, continuing...')
+  /**
+   * Exports a FASTER report by requesting the Report Viewer's export URL
+   * with the page's cookies, without using the export menu.
+   * Partial downloads are removed when the export fails.
+   * @param browser - Puppeteer browser
+   * @param page - Puppeteer page on a report page
+   * @param exportType - Output file type
+   * @param signal - Cancels the request.
+   * @returns - The downloaded report.
+   */
+  // eslint-disable-next-line @typescript-eslint/max-params
+  async #fetchFasterReport(
+    browser: puppeteer.Browser,
+    page: puppeteer.Page,
+    exportType: ReportExportType,
+    signal?: AbortSignal
+  ): Promise<DownloadedReport> {
+    const exportStartMillis = startEventTimer()
 
-          // eslint-disable-next-line @cspell/spellchecker
-          const continueButtonElement = await page.$('#OKRadButon_input')
+    await page.bringToFront()
 
-          if (continueButtonElement !== null) {
-            await continueButtonElement.scrollIntoView()
-            await continueButtonElement.click()
+    debug(`Report Page Title: ${await page.title()}`)
 
-            await delay()
+    await this.#assertReportPermission(page)
 
-            await page.waitForNetworkIdle({
-              timeout: this.#timeoutMillis
-            })
-          }
-        }
-      }
+    await this.#assertExportTypeAvailable(page, exportType)
 
-      debug('Finished logging in.')
+    // eslint-disable-next-line security/detect-object-injection
+    const exportFormat = reportViewerExportFormats[exportType]
 
-      return {
-        browser,
-        page
-      }
-    } catch (error) {
+    const exportUrl = await getReportViewerExportUrl(page, exportFormat)
+
+    debug(`Export URL found for "${exportType}".`)
+
+    this.emit('exportFormatSelected', {
+      ...getEventTiming(exportStartMillis),
+      exportType
+    })
+
+    const formatSelectedMillis = startEventTimer()
+
+    /*
+     * Request the export with the page's session cookies
+     */
+
+    const pageCdpSession = await page.createCDPSession()
+
+    let cookieHeader = ''
+
+    try {
+      const { cookies } = await pageCdpSession.send('Network.getCookies', {
+        urls: [exportUrl]
+      })
+
+      cookieHeader = cookies
+        .map((cookie) => `${cookie.name}=${cookie.value}`)
+        .join('; ')
+    } finally {
       try {
-        await browser?.close()
+        await pageCdpSession.detach()
       } catch {}
+    }
+
+    const timeoutSignal = AbortSignal.timeout(this.#timeoutMillis)
+
+    const requestSignal =
+      signal === undefined
+        ? timeoutSignal
+        : AbortSignal.any([timeoutSignal, signal])
 
-      throw error
+    // Node's fetch accepts an undici dispatcher, which RequestInit does not declare.
+    const requestInit: RequestInit & { dispatcher?: Agent } = {
+      headers: {
+        Cookie: cookieHeader,
+        Referer: page.url(),
+        'User-Agent': await browser.userAgent()
+      },
+      signal: requestSignal,
+      dispatcher: this.#getExportUrlDispatcher()
     }
-  }
 
-  // eslint-disable-next-line @typescript-eslint/max-params
-  async #navigateToFasterReportPage(
-    browser: puppeteer.Browser,
-    page: puppeteer.Page,
-    reportKey: `/${string}`,
-    reportParameters: ReportParameters,
-    reportFilters?: Record<string, string>
-  ): Promise<{ browser: puppeteer.Browser; page: puppeteer.Page }> {
+    // eslint-disable-next-line @typescript-eslint/init-declarations
+    let response: Response
+
     try {
-      /*
-       * Navigate to report
-       */
+      response = await fetch(exportUrl, requestInit)
+    } catch (error) {
+      throw toExportUrlError(error, this.#timeoutMillis, signal)
+    }
 
-      const reportUrl = new URL(this.fasterUrlBuilder.reportViewerUrl)
+    const contentType = response.headers.get('Content-Type') ?? ''
 
-      reportUrl.searchParams.set('R', reportKey)
+    if (!response.ok || contentType.startsWith('text/html')) {
+      throw new FasterReportExporterError(
+        `Report Viewer export failed with status ${response.status} (${contentType}). The report session may have expired.`,
+        { step: 'download' }
+      )
+    }
 
-      for (const [parameterKey, parameterValue] of Object.entries(
-        reportParameters
-      )) {
-        reportUrl.searchParams.set(parameterKey, parameterValue)
-      }
+    // eslint-disable-next-line security/detect-object-injection
+    const fileExtension = reportExportTypes[exportType]
 
-      await page.goto(reportUrl.href, {
-        timeout: this.#timeoutMillis
-      })
+    const fileName =
+      getContentDispositionFileName(
+        response.headers.get('Content-Disposition')
+      ) ?? `report.${fileExtension}`
 
-      await delay()
+    this.emit('downloadStarted', {
+      ...getEventTiming(formatSelectedMillis),
+      exportType,
+      fileName
+    })
 
-      await page.waitForNetworkIdle({
-        timeout: this.#timeoutMillis
-      })
+    const downloadStartedMillis = startEventTimer()
 
-      if (reportFilters !== undefined) {
-        await applyReportFilters(page, reportFilters, {
-          timeoutMillis: this.#timeoutMillis
-        })
-      }
+    const totalBytes = Number.parseInt(
+      response.headers.get('Content-Length') ?? '0',
+      10
+    )
 
-      return {
-        browser,
-        page
-      }
+    const filePath = path.join(
+      await this.#getBrowserDownloadFolderPath(browser),
+      randomUUID()
+    )
+
+    // eslint-disable-next-line @typescript-eslint/init-declarations
+    let byteSize: number
+
+    try {
+      byteSize = await writeResponseToFile(
+        response,
+        filePath,
+        (receivedBytes) => {
+          this.emit('downloadProgress', {
+            ...getEventTiming(downloadStartedMillis),
+            receivedBytes,
+            totalBytes
+          })
+        }
+      )
     } catch (error) {
-      try {
-        await browser.close()
-      } catch {}
+      throw toExportUrlError(error, this.#timeoutMillis, signal)
+    }
+
+    debug('Download complete.')
+
+    this.emit('downloadCompleted', {
+      ...getEventTiming(downloadStartedMillis),
+      exportType,
+      fileName,
+      byteSize
+    })
 
-      throw error
+    return {
+      filePath,
+      fileName,
+      exportType,
+      contentType
     }
   }
 
   /**
-   * Exports a FASTER report to a file.
+   * Exports a FASTER report to a file in the browser's download folder.
+   * Partial downloads are removed when the export fails or is aborted.
    * @param browser - Puppeteer browser
    * @param page - Puppeteer page on a report page
    * @param exportType - Output file type
-   * @returns - Path to the exported file.
+   * @param signal - Cancels the download.
+   * @returns - The downloaded report.
    */
-  async #exportFasterReport(
+  // eslint-disable-next-line @typescript-eslint/max-params
+  async #downloadFasterReport(
     browser: puppeteer.Browser,
     page: puppeteer.Page,
-    exportType: ReportExportType = 'PDF'
-  ): Promise<string> {
+    exportType: ReportExportType,
+    signal?: AbortSignal
+  ): Promise<DownloadedReport> {
+    const exportStartMillis = startEventTimer()
+
     await page.bringToFront()
 
     await page.waitForNetworkIdle({
@@ -325,160 +2065,394 @@ export class FasterReportExporter {
 
     debug(`Report Page Title: ${await page.title()}`)
 
-    // eslint-disable-next-line @typescript-eslint/no-misused-promises, no-async-promise-executor, promise/avoid-new
-    return await new Promise<string>(async (resolve) => {
-      let downloadStarted = false
+    const browserDownloadFolderPath =
+      await this.#getBrowserDownloadFolderPath(browser)
 
-      try {
-        /*
-         * Catch the download
-         */
+    /*
+     * Catch the download
+     */
 
-        const cdpSession = await browser.target().createCDPSession()
+    const cdpSession = await this.#getBrowserDownloadSession(browser)
 
-        await cdpSession.send('Browser.setDownloadBehavior', {
-          behavior: 'allowAndName',
-          downloadPath: this.#downloadFolderPath,
-          eventsEnabled: true
-        })
+    // eslint-disable-next-line @typescript-eslint/init-declarations
+    let pageCdpSession: puppeteer.CDPSession | undefined
+
+    const pageDownloadGuids = new Set<string>()
+    let completedDownloadGuid = ''
+
+    // Removes this export's listeners from the shared browser session.
+    let removeDownloadListeners = (): void => undefined
+
+    try {
+      /*
+       * Only handle downloads started by this page,
+       * as other pages in a session may be downloading at the same time.
+       */
+
+      const downloadPageCdpSession = await page.createCDPSession()
+      pageCdpSession = downloadPageCdpSession
+
+      const pageDownloadChecks = new Map<string, Promise<boolean>>()
+      const suggestedFileNames = new Map<string, string>()
+
+      /*
+       * Download events do not include the content type,
+       * so read it from the Report Viewer's export response.
+       */
+
+      // eslint-disable-next-line @typescript-eslint/init-declarations
+      let exportContentType: string | undefined
+
+      downloadPageCdpSession.on('Network.responseReceived', (event) => {
+        if (event.response.url.includes('OpType=Export')) {
+          exportContentType = event.response.mimeType
+        }
+      })
+
+      await downloadPageCdpSession.send('Network.enable')
+
+      let formatSelectedMillis = startEventTimer()
+      let downloadStartedMillis = formatSelectedMillis
 
-        cdpSession.on('Browser.downloadProgress', (event) => {
-          if (event.state === 'completed') {
-            debug('Download complete.')
+      // eslint-disable-next-line promise/avoid-new
+      const downloadPromise = new Promise<DownloadedReport>(
+        (resolve, reject) => {
+          const onDownloadWillBegin = (
+            event: puppeteer.Protocol.Browser.DownloadWillBeginEvent
+          ): void => {
+            suggestedFileNames.set(event.guid, event.suggestedFilename)
 
-            const downloadedFilePath = path.join(
-              this.#downloadFolderPath,
-              event.guid
+            pageDownloadChecks.set(
+              event.guid,
+              getPageFrameIds(downloadPageCdpSession).then(
+                (frameIds) => {
+                  const isPageDownload = frameIds.has(event.frameId)
+
+                  if (isPageDownload) {
+                    pageDownloadGuids.add(event.guid)
+
+                    this.emit('downloadStarted', {
+                      ...getEventTiming(formatSelectedMillis),
+                      exportType,
+                      fileName: event.suggestedFilename
+                    })
+
+                    downloadStartedMillis = startEventTimer()
+                  }
+
+                  return isPageDownload
+                },
+                () => false
+              )
             )
+          }
 
-            // eslint-disable-next-line security/detect-object-injection
-            const newFilePath = `${downloadedFilePath}.${reportExportTypes[exportType]}`
+          const onDownloadProgress = (
+            event: puppeteer.Protocol.Browser.DownloadProgressEvent
+          ): void => {
+            void pageDownloadChecks.get(event.guid)?.then((isPageDownload) => {
+              if (!isPageDownload) {
+                return
+              }
 
-            // eslint-disable-next-line security/detect-non-literal-fs-filename
-            fs.rename(downloadedFilePath, newFilePath, (error) => {
-              if (error === null) {
-                debug(`File: ${newFilePath}`)
-                resolve(newFilePath)
+              if (event.state === 'inProgress') {
+                this.emit('downloadProgress', {
+                  ...getEventTiming(downloadStartedMillis),
+                  receivedBytes: event.receivedBytes,
+                  totalBytes: event.totalBytes
+                })
+              } else if (event.state === 'completed') {
+                debug('Download complete.')
+
+                completedDownloadGuid = event.guid
+
+                this.emit('downloadCompleted', {
+                  ...getEventTiming(downloadStartedMillis),
+                  exportType,
+                  fileName: suggestedFileNames.get(event.guid) ?? event.guid,
+                  byteSize: event.receivedBytes
+                })
+
+                resolve({
+                  filePath: path.join(browserDownloadFolderPath, event.guid),
+                  fileName: suggestedFileNames.get(event.guid) ?? event.guid,
+                  exportType,
+                  contentType: exportContentType
+                })
               } else {
-                debug(`File: ${downloadedFilePath}`)
-                resolve(downloadedFilePath)
+                debug('Download canceled.')
+                reject(new DownloadCanceledError())
               }
             })
+          }
 
-            downloadStarted = false
-          } else if (event.state === 'canceled') {
-            downloadStarted = false
-            throw new Error('Download cancelled.')
+          cdpSession.on('Browser.downloadWillBegin', onDownloadWillBegin)
+          cdpSession.on('Browser.downloadProgress', onDownloadProgress)
+
+          removeDownloadListeners = () => {
+            cdpSession.off('Browser.downloadWillBegin', onDownloadWillBegin)
+            cdpSession.off('Browser.downloadProgress', onDownloadProgress)
           }
-        })
+        }
+      )
 
-        /*
-         * Ensure the user has permission.
-         * (or that the report exists)
-         */
+      // Rejections are handled when the download is awaited below.
+      downloadPromise.catch(() => undefined)
 
-        await page.waitForNetworkIdle({
-          timeout: this.#timeoutMillis
-        })
+      /*
+       * Ensure the user has permission.
+       * (or that the report exists)
+       */
 
-        const bodyHandle = await page.$('body')
+      await this.#assertReportPermission(page)
 
-        const reportErrorTextExists =
-          (await page.evaluate(
-            (body) =>
-              body?.textContent.includes(
-                'You do not have permissions to access the reports.'
-              ),
-            bodyHandle
-          )) ?? false
+      /*
+       * Print to PDF
+       */
 
-        await bodyHandle?.dispose()
+      debug(`Finding the print button for "${exportType}"...`)
 
-        if (reportErrorTextExists) {
-          throw new Error('Report generation failed: insufficient permissions.')
-        }
+      const printOptionsMenuElement = await this.#waitForExportElement(
+        page,
+        '#RvDetails_ctl05_ctl04_ctl00_ButtonLink',
+        'Unable to locate print options. Consider extending the timeout millis.'
+      )
 
-        /*
-         * Print to PDF
-         */
+      await printOptionsMenuElement.click()
 
-        debug(`Finding the print button for "${exportType}"...`)
+      await delay(longDelayMillis)
 
-        const printOptionsMenuElement = await page.waitForSelector(
-          '#RvDetails_ctl05_ctl04_ctl00_ButtonLink',
-          { timeout: this.#timeoutMillis }
-        )
+      await page.waitForNetworkIdle({
+        timeout: this.#timeoutMillis
+      })
 
-        if (printOptionsMenuElement === null) {
-          throw new Error(
-            'Unable to locate print options. Consider extending the timeout millis.'
-          )
-        }
+      await this.#assertExportTypeAvailable(page, exportType)
 
-        await printOptionsMenuElement.click()
+      const printOptionElement = await this.#waitForExportElement(
+        page,
+        getReportExportMenuItemSelector(exportType),
+        `Unable to locate "${exportType}" print type.`
+      )
 
-        await delay(longDelayMillis)
+      debug(`Print button found for "${exportType}"...`)
 
-        await page.waitForNetworkIdle({
-          timeout: this.#timeoutMillis
-        })
+      await delay()
 
-        const printOptionElement = await page.waitForSelector(
-          `#RvDetails_ctl05_ctl04_ctl00_Menu a[title^='${exportType}']`,
-          { timeout: this.#timeoutMillis }
-        )
+      await printOptionElement.scrollIntoView()
+      await printOptionElement.click()
+
+      debug('Print selected.')
+
+      this.emit('exportFormatSelected', {
+        ...getEventTiming(exportStartMillis),
+        exportType
+      })
+
+      formatSelectedMillis = startEventTimer()
+
+      return await withAbortSignal(
+        withDeadline(
+          downloadPromise,
+          this.#timeoutMillis,
+          () =>
+            new ExportTimeoutError(
+              `Download did not complete within ${this.#timeoutMillis} ms.`,
+              { step: 'download' }
+            )
+        ),
+        signal,
+        createExportAbortedError
+      )
+    } finally {
+      removeDownloadListeners()
+
+      for (const downloadGuid of pageDownloadGuids) {
+        if (downloadGuid !== completedDownloadGuid) {
+          try {
+            await cdpSession.send('Browser.cancelDownload', {
+              guid: downloadGuid
+            })
+          } catch {}
 
-        if (printOptionElement === null) {
-          throw new Error(`Unable to locate "${exportType}" print type.`)
+          await deletePartialDownload(browserDownloadFolderPath, downloadGuid)
         }
+      }
+
+      try {
+        await pageCdpSession?.detach()
+      } catch {}
+    }
+  }
 
-        debug(`Print button found for "${exportType}"...`)
+  /**
+   * Waits for an element needed to export a report.
+   * @param page - Puppeteer page on a report page
+   * @param selector - The element selector.
+   * @param notFoundMessage - The error message when the element is missing.
+   * @returns - The element.
+   */
+  async #waitForExportElement(
+    page: puppeteer.Page,
+    selector: string,
+    notFoundMessage: string
+  ): Promise<puppeteer.ElementHandle> {
+    // eslint-disable-next-line @typescript-eslint/init-declarations
+    let element: puppeteer.ElementHandle | null
 
-        await delay()
+    try {
+      element = await page.waitForSelector(selector, {
+        timeout: this.#timeoutMillis
+      })
+    } catch (error) {
+      throw new FasterElementNotFoundError(
+        notFoundMessage,
+        selector,
+        { step: 'export' },
+        { cause: error }
+      )
+    }
 
-        downloadStarted = true
+    if (element === null) {
+      throw new FasterElementNotFoundError(notFoundMessage, selector, {
+        step: 'export'
+      })
+    }
 
-        await printOptionElement.scrollIntoView()
-        await printOptionElement.click()
+    return element
+  }
 
-        debug('Print selected.')
+  /**
+   * Exports a report for each number in a list, using a shared browser session.
+   * A failed export is recorded in the results, and does not stop the batch,
+   * unless the batch is aborted.
+   * @param itemNumbers - Work order or part order numbers.
+   * @param options - Batch options.
+   * @param exportFunction - Exports the report for a single number.
+   * @returns A map of numbers to export results.
+   */
+  async #exportBatch(
+    itemNumbers: number[],
+    options: Partial<BatchExportOptions>,
+    exportFunction: (
+      itemNumber: number,
+      exportOptions: ExportOptions
+    ) => Promise<string>
+  ): Promise<Map<number, BatchExportResult>> {
+    const { signal } = options
+
+    throwIfAborted(signal)
+
+    const concurrency = options.concurrency ?? defaultBatchExportConcurrency
+
+    assertValidConcurrency(concurrency)
+
+    const uniqueItemNumbers = [...new Set(itemNumbers)]
+
+    const results = await this.withSession(
+      async () =>
+        await mapWithConcurrency(
+          uniqueItemNumbers,
+          concurrency,
+          async (itemNumber): Promise<[number, BatchExportResult]> => {
+            try {
+              const reportPath = await exportFunction(itemNumber, {
+                exportType: options.exportType,
+                signal
+              })
 
-        await delay(longDelayMillis)
+              return [itemNumber, { success: true, reportPath }]
+            } catch (error) {
+              debug(`Export failed for ${itemNumber}: ${String(error)}`)
+              return [itemNumber, { success: false, error }]
+            }
+          }
+        ),
+      { signal }
+    )
 
-        await page.waitForNetworkIdle({
-          timeout: this.#timeoutMillis
-        })
+    throwIfAborted(signal)
 
-        let retries = this.#timeoutMillis / defaultDelayMillis
+    return new Map(results)
+  }
 
-        // eslint-disable-next-line no-unmodified-loop-condition, @typescript-eslint/no-unnecessary-condition
-        while (downloadStarted && retries > 0) {
-          await delay()
-          retries--
-        }
-      } finally {
-        try {
-          await browser.close()
-        } catch {}
-      }
-    })
+  /**
+   * Lists the export types offered by a Report Viewer report.
+   * @param reportKey - The report path, as found in the "R" parameter of the Report Viewer URL.
+   * @param reportParameters - Report Viewer URL parameters.
+   * @returns The available export types, like "PDF" and "Excel".
+   */
+  async describeReportExportTypes(
+    reportKey: `/${string}`,
+    reportParameters: ReportParameters
+  ): Promise<ReportExportType[]> {
+    const { browser, page } = await this._getLoggedInFasterPage()
+
+    try {
+      await this.#navigateToFasterReportPage(page, reportKey, reportParameters)
+
+      return await getReportExportTypes(page)
+    } finally {
+      await this.#closeFasterPage(browser, page)
+    }
+  }
+
+  /**
+   * Lists the parameters on a Report Viewer report page.
+   * Useful for finding filter labels, and validating filters before exporting.
+   * @param reportKey - The report path, as found in the "R" parameter of the Report Viewer URL.
+   * @param reportParameters - Report Viewer URL parameters.
+   * @returns The parameter labels, input ids, control types, values, and options.
+   *          Empty if the report has no parameters.
+   */
+  async describeReportParameters(
+    reportKey: `/${string}`,
+    reportParameters: ReportParameters
+  ): Promise<ReportParameterDescription[]> {
+    const { browser, page } = await this._getLoggedInFasterPage()
+
+    try {
+      await this.#navigateToFasterReportPage(page, reportKey, reportParameters)
+
+      return await getReportParameters(page, {
+        timeoutMillis: this.#timeoutMillis
+      })
+    } finally {
+      await this.#closeFasterPage(browser, page)
+    }
+  }
+
+  /**
+   * Exports any report available in the FASTER Web Report Viewer.
+   * @param options - The report key, domain, parameters, filters, and export options.
+   * @returns The path to the exported report, or the report contents with metadata.
+   */
+  async exportReport<T extends ExportResultType = 'path'>(
+    options: ExportReportOptions<T>
+  ): Promise<ExportResult<T>> {
+    return await this.#exportReportViewerReport(
+      options.reportKey,
+      {
+        ReportType: 'S',
+        Parent: 'Reports',
+        ...options.parameters,
+        Domain: options.domain
+      },
+      options.filters,
+      options
+    )
   }
 
   /**
    * Exports a Part Order Print (W299) report for a given order number.
    * @param orderNumber - The order number.
-   * @param exportType - The export type.
-   * @returns The path to the exported report.
+   * @param exportTypeOrOptions - The export type, or export options.
+   * @returns The path to the exported report, or the report contents with metadata.
    */
-  async exportPartOrderPrint(
+  async exportPartOrderPrint<T extends ExportResultType = 'path'>(
     orderNumber: number,
-    exportType?: ReportExportType
-  ): Promise<string> {
-    const { browser, page } = await this._getLoggedInFasterPage()
-
-    await this.#navigateToFasterReportPage(
-      browser,
-      page,
+    exportTypeOrOptions?: ExportOptions<T> | ReportExportType
+  ): Promise<ExportResult<T>> {
+    return await this.#exportReportViewerReport(
       '/Part Order Print/W299 - OrderPrint',
       {
         OrderID: orderNumber.toString(),
@@ -487,23 +2461,41 @@ export class FasterReportExporter {
       },
       {
         'Time Zone': this.#timeZone
+      },
+      toExportOptions(exportTypeOrOptions),
+      {
+        itemNumber: orderNumber.toString()
       }
     )
+  }
 
-    return await this.#exportFasterReport(browser, page, exportType)
+  /**
+   * Exports Part Order Prints (W299) for a list of order numbers.
+   * @param orderNumbers - The order numbers.
+   * @param options - Batch options, including the export type and concurrency.
+   * @returns A map of order numbers to export results.
+   */
+  async exportPartOrderPrints(
+    orderNumbers: number[],
+    options: Partial<BatchExportOptions> = {}
+  ): Promise<Map<number, BatchExportResult>> {
+    return await this.#exportBatch(
+      orderNumbers,
+      options,
+      async (orderNumber, exportOptions) =>
+        await this.exportPartOrderPrint(orderNumber, exportOptions)
+    )
   }
 
   /**
    * Exports an Inventory Report (W200).
-   * @param exportType - The export type.
-   * @returns The path to the exported report.
+   * @param exportTypeOrOptions - The export type, or export options.
+   * @returns The path to the exported report, or the report contents with metadata.
    */
-  async exportInventory(exportType?: ReportExportType): Promise<string> {
-    const { browser, page } = await this._getLoggedInFasterPage()
-
-    await this.#navigateToFasterReportPage(
-      browser,
-      page,
+  async exportInventory<T extends ExportResultType = 'path'>(
+    exportTypeOrOptions?: ExportOptions<T> | ReportExportType
+  ): Promise<ExportResult<T>> {
+    return await this.#exportReportViewerReport(
       '/Inventory/W200 - Inventory Report',
       {
         ReportType: 'S',
@@ -513,23 +2505,20 @@ export class FasterReportExporter {
       {
         'Time Zone': this.#timeZone,
         'Grouping within Storeroom': 'Item Category'
-      }
+      },
+      toExportOptions(exportTypeOrOptions)
     )
-
-    return await this.#exportFasterReport(browser, page, exportType)
   }
 
   /**
    * Export an Asset Master List (W114) report.
-   * @param exportType - The export type.
-   * @returns The path to the exported report.
+   * @param exportTypeOrOptions - The export type, or export options.
+   * @returns The path to the exported report, or the report contents with metadata.
    */
-  async exportAssetList(exportType?: ReportExportType): Promise<string> {
-    const { browser, page } = await this._getLoggedInFasterPage()
-
-    await this.#navigateToFasterReportPage(
-      browser,
-      page,
+  async exportAssetList<T extends ExportResultType = 'path'>(
+    exportTypeOrOptions?: ExportOptions<T> | ReportExportType
+  ): Promise<ExportResult<T>> {
+    return await this.#exportReportViewerReport(
       '/Assets/W114 - Asset Master List',
       {
         ReportType: 'S',
@@ -540,34 +2529,63 @@ export class FasterReportExporter {
         'Time Zone': this.#timeZone,
         'Primary Grouping': 'Organization',
         'Secondary Grouping': 'Department'
-      }
+      },
+      toExportOptions(exportTypeOrOptions)
     )
+  }
+
+  /**
+   * Gets the Inventory Report (W200) as records.
+   * @param options - Options, including an abort signal.
+   * @returns The inventory items.
+   */
+  async getInventory(
+    options: Pick<ExportOptions, 'signal'> = {}
+  ): Promise<InventoryRecord[]> {
+    const report = await this.exportInventory({
+      exportType: 'CSV',
+      resultType: 'buffer',
+      signal: options.signal
+    })
+
+    return parseInventoryCsv(report.buffer.toString('utf8'))
+  }
+
+  /**
+   * Gets the Asset Master List (W114) as records.
+   * @param options - Options, including an abort signal.
+   * @returns The assets.
+   */
+  async getAssetList(
+    options: Pick<ExportOptions, 'signal'> = {}
+  ): Promise<AssetListRecord[]> {
+    const report = await this.exportAssetList({
+      exportType: 'CSV',
+      resultType: 'buffer',
+      signal: options.signal
+    })
 
-    return await this.#exportFasterReport(browser, page, exportType)
+    return parseAssetListCsv(report.buffer.toString('utf8'))
   }
 
   /**
    * Export a Work Order Details by Work Order Number (W300N) report.
    * @param minWorkOrderNumber - Minimum work order number.
    * @param maxWorkOrderNumber - Maximum work order number.
-   * @param exportType - The export type.
-   * @returns The path to the exported report.
+   * @param exportTypeOrOptions - The export type, or export options.
+   * @returns The path to the exported report, or the report contents with metadata.
    */
-  async exportWorkOrderDetails(
+  async exportWorkOrderDetails<T extends ExportResultType = 'path'>(
     minWorkOrderNumber: number,
     maxWorkOrderNumber?: number,
-    exportType?: ReportExportType
-  ): Promise<string> {
+    exportTypeOrOptions?: ExportOptions<T> | ReportExportType
+  ): Promise<ExportResult<T>> {
     const minWorkOrderNumberString = minWorkOrderNumber.toString()
     const maxWorkOrderNumberString = (
       maxWorkOrderNumber ?? minWorkOrderNumber
     ).toString()
 
-    const { browser, page } = await this._getLoggedInFasterPage()
-
-    await this.#navigateToFasterReportPage(
-      browser,
-      page,
+    return await this.#exportReportViewerReport(
       // eslint-disable-next-line no-secrets/no-secrets
       '/Maintenance/W300n - WorkOrderDetailsByWONumber',
       {
@@ -579,123 +2597,287 @@ export class FasterReportExporter {
         'Time Zone': this.#timeZone,
         'Beginning Work Order Number': minWorkOrderNumberString,
         'Ending Work Order Number': maxWorkOrderNumberString
+      },
+      toExportOptions(exportTypeOrOptions),
+      {
+        itemNumber:
+          minWorkOrderNumberString === maxWorkOrderNumberString
+            ? minWorkOrderNumberString
+            : `${minWorkOrderNumberString}-${maxWorkOrderNumberString}`
       }
     )
-
-    return await this.#exportFasterReport(browser, page, exportType)
   }
 
-  async #exportWorkOrderPrint(
+  // eslint-disable-next-line @typescript-eslint/max-params
+  async #exportWorkOrderPrint<T extends ExportResultType>(
     workOrderNumber: number,
-    exportType: ReportExportType,
-    printButtonSelector: string
-  ): Promise<string> {
-    const { browser, page } = await this._getLoggedInFasterPage()
+    exportOptions: ExportOptions<T>,
+    printButtonSelector: string,
+    reportDetails: ReportDetails
+  ): Promise<ExportResult<T>> {
+    this.#assertExportDestinations(exportOptions)
 
-    try {
-      await page.goto(this.fasterUrlBuilder.workOrderUrl(workOrderNumber), {
-        timeout: this.#timeoutMillis
-      })
+    return await this.#withExportDeadline(async (signal) => {
+      const { browser, page } = await this._getLoggedInFasterPage(signal)
 
-      await delay()
+      let reportPage = page
 
-      await page.waitForNetworkIdle({
-        timeout: this.#timeoutMillis
-      })
+      let step: ExportStep = 'navigate'
 
-      const printElement = await page.waitForSelector(printButtonSelector, {
-        timeout: this.#timeoutMillis
-      })
+      const runExport = async (): Promise<ExportResult<T>> => {
+        const navigateStartMillis = startEventTimer()
 
-      if (printElement === null) {
-        throw new Error('Unable to locate print link.')
-      }
+        await page.goto(this.fasterUrlBuilder.workOrderUrl(workOrderNumber), {
+          timeout: this.#timeoutMillis
+        })
 
-      await printElement.scrollIntoView()
-      await printElement.click()
+        await delay()
 
-      const reportViewerTarget = await browser.waitForTarget(
-        (target) => target.url().toLowerCase().includes('reportviewer.aspx'),
-        {
+        await page.waitForNetworkIdle({
           timeout: this.#timeoutMillis
+        })
+
+        const printElement = await page.waitForSelector(printButtonSelector, {
+          timeout: this.#timeoutMillis
+        })
+
+        if (printElement === null) {
+          throw new FasterElementNotFoundError(
+            'Unable to locate print link.',
+            printButtonSelector,
+            { step: 'navigate' }
+          )
         }
-      )
 
-      const newPage = await reportViewerTarget.asPage()
+        await printElement.scrollIntoView()
+        await printElement.click()
 
-      await delay()
+        const reportViewerTarget = await browser.waitForTarget(
+          (target) =>
+            target.opener() === page.target() &&
+            target.url().toLowerCase().includes('reportviewer.aspx'),
+          {
+            timeout: this.#timeoutMillis,
+            signal
+          }
+        )
 
-      await newPage.bringToFront()
+        reportPage = await reportViewerTarget.asPage()
 
-      await delay()
+        await delay()
 
-      await newPage.waitForNetworkIdle({
-        timeout: this.#timeoutMillis
-      })
+        await reportPage.bringToFront()
 
-      return await this.#exportFasterReport(browser, newPage, exportType)
-    } catch (error) {
-      try {
-        await browser.close()
-      } catch {}
+        await delay()
 
-      throw error
-    }
+        await reportPage.waitForNetworkIdle({
+          timeout: this.#timeoutMillis
+        })
+
+        this.emit('reportPageLoaded', {
+          ...getEventTiming(navigateStartMillis),
+          url: reportPage.url()
+        })
+
+        step = 'export'
+
+        const downloadedReport = await this.#exportFasterReport(
+          browser,
+          reportPage,
+          exportOptions.exportType,
+          signal
+        )
+
+        return await this.#deliverDownloadedReport(
+          downloadedReport,
+          exportOptions,
+          reportDetails,
+          signal
+        )
+      }
+
+      try {
+        return await withAbortSignal(
+          runExport(),
+          signal,
+          createExportAbortedError
+        )
+      } catch (error) {
+        throw await this.#attachDiagnostics(
+          reportPage,
+          toFasterReportExporterError(error, { step })
+        )
+      } finally {
+        await this.#closeFasterPage(browser, page)
+      }
+    }, exportOptions.signal)
   }
 
   /**
    * Exports the Customer Print (W398) for a given work order.
    * @param workOrderNumber - The work order number.
-   * @param exportType - The export type.
-   * @returns The path to the exported report.
+   * @param exportTypeOrOptions - The export type, or export options.
+   * @returns The path to the exported report, or the report contents with metadata.
    */
-  async exportWorkOrderCustomerPrint(
+  async exportWorkOrderCustomerPrint<T extends ExportResultType = 'path'>(
     workOrderNumber: number,
-    exportType: ReportExportType = 'PDF'
-  ): Promise<string> {
+    exportTypeOrOptions?: ExportOptions<T> | ReportExportType
+  ): Promise<ExportResult<T>> {
     return await this.#exportWorkOrderPrint(
       workOrderNumber,
-      exportType,
+      toExportOptions(exportTypeOrOptions),
       // eslint-disable-next-line no-secrets/no-secrets
-      '#ctl00_ContentPlaceHolder_Content_MasterWorkOrderDetailMenu_CustomerPrintLinkButton'
+      '#ctl00_ContentPlaceHolder_Content_MasterWorkOrderDetailMenu_CustomerPrintLinkButton',
+      {
+        reportCode: 'W398',
+        reportName: 'Customer Print',
+        itemNumber: workOrderNumber.toString()
+      }
     )
   }
 
   /**
    * Exports the Technician Print (W399) for a given work order.
    * @param workOrderNumber - The work order number.
-   * @param exportType - The export type.
-   * @returns The path to the exported report.
+   * @param exportTypeOrOptions - The export type, or export options.
+   * @returns The path to the exported report, or the report contents with metadata.
    */
-  async exportWorkOrderTechnicianPrint(
+  async exportWorkOrderTechnicianPrint<T extends ExportResultType = 'path'>(
     workOrderNumber: number,
-    exportType: ReportExportType = 'PDF'
-  ): Promise<string> {
+    exportTypeOrOptions?: ExportOptions<T> | ReportExportType
+  ): Promise<ExportResult<T>> {
     return await this.#exportWorkOrderPrint(
       workOrderNumber,
-      exportType,
+      toExportOptions(exportTypeOrOptions),
       // eslint-disable-next-line no-secrets/no-secrets
-      '#ctl00_ContentPlaceHolder_Content_MasterWorkOrderDetailMenu_WorkOrderPrintLinkButton'
+      '#ctl00_ContentPlaceHolder_Content_MasterWorkOrderDetailMenu_WorkOrderPrintLinkButton',
+      {
+        reportCode: 'W399',
+        reportName: 'Technician Print',
+        itemNumber: workOrderNumber.toString()
+      }
+    )
+  }
+
+  /**
+   * Exports Customer Prints (W398) for a list of work orders.
+   * @param workOrderNumbers - The work order numbers.
+   * @param options - Batch options, including the export type and concurrency.
+   * @returns A map of work order numbers to export results.
+   */
+  async exportWorkOrderCustomerPrints(
+    workOrderNumbers: number[],
+    options: Partial<BatchExportOptions> = {}
+  ): Promise<Map<number, BatchExportResult>> {
+    return await this.#exportBatch(
+      workOrderNumbers,
+      options,
+      async (workOrderNumber, exportOptions) =>
+        await this.exportWorkOrderCustomerPrint(workOrderNumber, exportOptions)
+    )
+  }
+
+  /**
+   * Exports Technician Prints (W399) for a list of work orders.
+   * @param workOrderNumbers - The work order numbers.
+   * @param options - Batch options, including the export type and concurrency.
+   * @returns A map of work order numbers to export results.
+   */
+  async exportWorkOrderTechnicianPrints(
+    workOrderNumbers: number[],
+    options: Partial<BatchExportOptions> = {}
+  ): Promise<Map<number, BatchExportResult>> {
+    return await this.#exportBatch(
+      workOrderNumbers,
+      options,
+      async (workOrderNumber, exportOptions) =>
+        await this.exportWorkOrderTechnicianPrint(
+          workOrderNumber,
+          exportOptions
+        )
     )
   }
 
+  /**
+   * Resolves the dates for a date-driven report,
+   * given either a date range, or a start and end date.
+   * @param startDateOrDateRange - The start date, or a date range.
+   * @param endDateOrExportOptions - The end date, or the export options when a date range is given.
+   * @param exportTypeOrOptions - The export type, or export options, when start and end dates are given.
+   * @returns The start date, end date, and export options.
+   */
+  #resolveReportDates<T extends ExportResultType>(
+    startDateOrDateRange: Date | DateRangeInput | undefined,
+    endDateOrExportOptions:
+      Date | ExportOptions<T> | ReportExportType | undefined,
+    exportTypeOrOptions: ExportOptions<T> | ReportExportType | undefined
+  ): DateRange & { exportOptions: ExportOptions<T> } {
+    if (
+      startDateOrDateRange === undefined ||
+      startDateOrDateRange instanceof Date
+    ) {
+      return {
+        startDate: startDateOrDateRange ?? new Date(),
+        endDate:
+          endDateOrExportOptions instanceof Date
+            ? endDateOrExportOptions
+            : new Date(),
+        exportOptions: toExportOptions(exportTypeOrOptions)
+      }
+    }
+
+    const { startDate, endDate } = resolveDateRange(startDateOrDateRange, {
+      timeZone: this.#timeZone,
+      fiscalYearStartMonth: this.#fiscalYearStartMonth
+    })
+
+    return {
+      startDate,
+      endDate,
+      exportOptions: toExportOptions(
+        endDateOrExportOptions instanceof Date
+          ? exportTypeOrOptions
+          : endDateOrExportOptions
+      )
+    }
+  }
+
+  /**
+   * Exports the Message Logger (W603) report.
+   * @param dateRange - A date range preset like "yesterday", a preset with an offset, or fixed dates.
+   * @param exportTypeOrOptions - The export type, or export options
+   * @returns The path to the exported report, or the report contents with metadata.
+   */
+  async exportMessageLogger<T extends ExportResultType = 'path'>(
+    dateRange: DateRangeInput,
+    exportTypeOrOptions?: ExportOptions<T> | ReportExportType
+  ): Promise<ExportResult<T>>
+
   /**
    * Exports the Message Logger (W603) report.
    * @param startDate - The start date
    * @param endDate - The end date
-   * @param exportType - The export type
-   * @returns The path to the exported report.
+   * @param exportTypeOrOptions - The export type, or export options
+   * @returns The path to the exported report, or the report contents with metadata.
    */
-  async exportMessageLogger(
-    startDate: Date = new Date(),
-    endDate: Date = new Date(),
-    exportType?: ReportExportType
-  ): Promise<string> {
-    const { browser, page } = await this._getLoggedInFasterPage()
+  async exportMessageLogger<T extends ExportResultType = 'path'>(
+    startDate?: Date,
+    endDate?: Date,
+    exportTypeOrOptions?: ExportOptions<T> | ReportExportType
+  ): Promise<ExportResult<T>>
+
+  async exportMessageLogger<T extends ExportResultType = 'path'>(
+    startDateOrDateRange?: Date | DateRangeInput,
+    endDateOrExportOptions?: Date | ExportOptions<T> | ReportExportType,
+    exportTypeOrOptions?: ExportOptions<T> | ReportExportType
+  ): Promise<ExportResult<T>> {
+    const { startDate, endDate, exportOptions } = this.#resolveReportDates(
+      startDateOrDateRange,
+      endDateOrExportOptions,
+      exportTypeOrOptions
+    )
 
-    await this.#navigateToFasterReportPage(
-      browser,
-      page,
+    return await this.#exportReportViewerReport(
       '/Setup/W603 - Message Logger',
       {
         ReportType: 'S',
@@ -706,116 +2888,369 @@ export class FasterReportExporter {
         'Time Zone': this.#timeZone,
         'Start Date': dateToString(startDate),
         'End Date': dateToString(endDate)
+      },
+      exportOptions,
+      {
+        startDate,
+        endDate
       }
     )
+  }
+
+  /**
+   * Gets the Message Logger (W603) report as records.
+   * @param dateRange - A date range preset like "yesterday", a preset with an offset, or fixed dates.
+   * @param options - Options, including an abort signal.
+   * @returns The messages.
+   */
+  async getMessageLog(
+    dateRange: DateRangeInput,
+    options?: Pick<ExportOptions, 'signal'>
+  ): Promise<MessageLogRecord[]>
+
+  /**
+   * Gets the Message Logger (W603) report as records.
+   * @param startDate - The start date
+   * @param endDate - The end date
+   * @param options - Options, including an abort signal.
+   * @returns The messages.
+   */
+  async getMessageLog(
+    startDate?: Date,
+    endDate?: Date,
+    options?: Pick<ExportOptions, 'signal'>
+  ): Promise<MessageLogRecord[]>
+
+  async getMessageLog(
+    startDateOrDateRange?: Date | DateRangeInput,
+    endDateOrOptions?: Date | Pick<ExportOptions, 'signal'>,
+    options?: Pick<ExportOptions, 'signal'>
+  ): Promise<MessageLogRecord[]> {
+    const { startDate, endDate, exportOptions } = this.#resolveReportDates(
+      startDateOrDateRange,
+      endDateOrOptions,
+      options
+    )
+
+    const report = await this.exportMessageLogger(
+      { startDate, endDate },
+      { exportType: 'CSV', resultType: 'buffer', signal: exportOptions.signal }
+    )
+
+    return parseMessageLogCsv(report.buffer.toString('utf8'))
+  }
+
+  /**
+   * Opens the scheduled reports page.
+   * @param page - Puppeteer page, logged into FASTER Web
+   */
+  async #goToScheduledReports(page: puppeteer.Page): Promise<void> {
+    await page.goto(this.fasterUrlBuilder.scheduledReportsUrl, {
+      timeout: this.#timeoutMillis
+    })
+
+    await page.waitForNetworkIdle({
+      timeout: this.#timeoutMillis
+    })
+  }
+
+  /**
+   * Finds a scheduled report's row, paging through the scheduled reports grid.
+   * @param page - Puppeteer page on the scheduled reports page
+   * @param scheduleName - Schedule name
+   * @returns The grid row, or undefined when no schedule has the name.
+   */
+  async #findScheduledReportRow(
+    page: puppeteer.Page,
+    scheduleName: string
+  ): Promise<puppeteer.ElementHandle<HTMLTableRowElement> | undefined> {
+    for (let gridPage = 1; gridPage <= maximumGridPages; gridPage += 1) {
+      const rowElements = await page.$$(
+        `${scheduledReportsGridSelector} > tbody > tr`
+      )
+
+      for (const rowElement of rowElements) {
+        const rowScheduleName = await rowElement.evaluate((row) =>
+          row.cells.item(1)?.textContent.trim()
+        )
+
+        if (rowScheduleName === scheduleName) {
+          return rowElement
+        }
+      }
+
+      const hasNextPage = await goToNextGridPage(
+        page,
+        scheduledReportsGridSelector,
+        this.#timeoutMillis
+      )
+
+      if (!hasNextPage) {
+        break
+      }
+    }
 
-    return await this.#exportFasterReport(browser, page, exportType)
+    return undefined
   }
 
+  /**
+   * Finds an action link in a scheduled report's row.
+   * @param rowElement - The scheduled report's grid row.
+   * @param actionLinkText - The link text, like "Parameter".
+   * @returns The link, or undefined when the row has no such link.
+   */
+  async #findScheduledReportAction(
+    rowElement: puppeteer.ElementHandle<HTMLTableRowElement>,
+    actionLinkText: string
+  ): Promise<puppeteer.ElementHandle<HTMLAnchorElement> | undefined> {
+    const actionLinkElements = await rowElement.$$('td:nth-child(1) a')
+
+    for (const actionLinkElement of actionLinkElements) {
+      const linkText = await actionLinkElement.evaluate((link) =>
+        link.textContent.trim()
+      )
+
+      if (linkText === actionLinkText) {
+        return actionLinkElement
+      }
+    }
+
+    return undefined
+  }
+
+  /**
+   * Lists the scheduled reports, from every page of the scheduled reports grid.
+   * @returns The schedule names, reports, owners, frequencies, and next run dates.
+   */
+  async listScheduledReports(): Promise<ScheduledReport[]> {
+    const { browser, page } = await this._getLoggedInFasterPage()
+
+    try {
+      await this.#goToScheduledReports(page)
+
+      const scheduledReports: ScheduledReport[] = []
+
+      for (let gridPage = 1; gridPage <= maximumGridPages; gridPage += 1) {
+        const { headers, rows } = await getGridValues(
+          page,
+          scheduledReportsGridSelector
+        )
+
+        scheduledReports.push(
+          ...rows
+            .filter((row) => (row[1] ?? '') !== '')
+            .map((row) => toScheduledReport(headers, row))
+        )
+
+        const hasNextPage = await goToNextGridPage(
+          page,
+          scheduledReportsGridSelector,
+          this.#timeoutMillis
+        )
+
+        if (!hasNextPage) {
+          break
+        }
+      }
+
+      return scheduledReports
+    } catch (error) {
+      throw toFasterReportExporterError(error, { step: 'navigate' })
+    } finally {
+      await this.#closeFasterPage(browser, page)
+    }
+  }
+
+  /**
+   * Exports a scheduled report by name.
+   * Helpful for exporting reports with complex parameters.
+   * @param scheduleName - Schedule name
+   * @param dateRange - A date range preset like "lastWeek", a preset with an offset, or fixed dates.
+   * @param exportTypeOrOptions - The export type, or export options
+   * @returns The path to the exported report, or the report contents with metadata.
+   */
+  async exportScheduledReport<T extends ExportResultType = 'path'>(
+    scheduleName: string,
+    dateRange: DateRangeInput,
+    exportTypeOrOptions?: ExportScheduledReportOptions<T> | ReportExportType
+  ): Promise<ExportResult<T>>
+
   /**
    * Exports a scheduled report by name.
    * Helpful for exporting reports with complex parameters.
    * @param scheduleName - Schedule name
    * @param startDate - The start date
    * @param endDate - The end date
-   * @param exportType - The export type
-   * @returns The path to the exported report.
+   * @param exportTypeOrOptions - The export type, or export options
+   * @returns The path to the exported report, or the report contents with metadata.
    */
-  async exportScheduledReport(
+  async exportScheduledReport<T extends ExportResultType = 'path'>(
     scheduleName: string,
-    startDate: Date = new Date(),
-    endDate: Date = new Date(),
-    exportType?: ReportExportType
-  ): Promise<string> {
-    let { browser, page } = await this._getLoggedInFasterPage()
+    startDate?: Date,
+    endDate?: Date,
+    exportTypeOrOptions?: ExportScheduledReportOptions<T> | ReportExportType
+  ): Promise<ExportResult<T>>
 
-    try {
-      await page.goto(this.fasterUrlBuilder.scheduledReportsUrl, {
-        timeout: this.#timeoutMillis
-      })
+  // eslint-disable-next-line @typescript-eslint/max-params
+  async exportScheduledReport<T extends ExportResultType = 'path'>(
+    scheduleName: string,
+    startDateOrDateRange?: Date | DateRangeInput,
+    endDateOrExportOptions?:
+      Date | ExportScheduledReportOptions<T> | ReportExportType,
+    exportTypeOrOptions?: ExportScheduledReportOptions<T> | ReportExportType
+  ): Promise<ExportResult<T>> {
+    const { startDate, endDate, exportOptions } = this.#resolveReportDates(
+      startDateOrDateRange,
+      endDateOrExportOptions,
+      exportTypeOrOptions
+    )
 
-      await page.waitForNetworkIdle({
-        timeout: this.#timeoutMillis
-      })
+    this.#assertExportDestinations(exportOptions)
 
-      // Find the report row
+    return await this.#withExportDeadline(async (signal) => {
+      const { browser, page } = await this._getLoggedInFasterPage(signal)
 
-      const scheduledReportsTableRowElements = await page.$$(
-        // eslint-disable-next-line no-secrets/no-secrets
-        '#ctl00_ContentPlaceHolder_Content_ScheduleRadDock_C_ScheduleRadGrid_ctl00 tbody tr'
-      )
+      let reportPage = page
+
+      let step: ExportStep = 'navigate'
 
-      for (const scheduledReportsTableRowElement of scheduledReportsTableRowElements) {
-        const reportNameElement = await scheduledReportsTableRowElement.$(
-          'td:nth-child(2) div span'
+      const runExport = async (): Promise<ExportResult<T>> => {
+        const navigateStartMillis = startEventTimer()
+
+        await this.#goToScheduledReports(page)
+
+        // Find the report row
+
+        const scheduledReportRowElement = await this.#findScheduledReportRow(
+          page,
+          scheduleName
         )
 
-        if (reportNameElement === null) {
-          continue
+        if (scheduledReportRowElement === undefined) {
+          throw new ScheduledReportNotFoundError(scheduleName)
         }
 
-        const reportNameText = await reportNameElement.evaluate((cell) =>
-          cell.textContent?.trim()
+        debug(`Scheduled report found: ${scheduleName}`)
+
+        // The report column holds the report file name, like "W200 - Inventory Report".
+        const scheduledReportFileName =
+          await scheduledReportRowElement.evaluate(
+            (row) => row.cells.item(2)?.textContent.trim() ?? ''
+          )
+
+        const { reportCode } = getReportDetailsFromReportKey(
+          `/${scheduledReportFileName}`
+        )
+
+        const parameterLinkElement = await this.#findScheduledReportAction(
+          scheduledReportRowElement,
+          'Parameter'
         )
 
-        if (reportNameText === scheduleName) {
-          debug(`Scheduled report found: ${scheduleName}`)
+        if (parameterLinkElement === undefined) {
+          throw new FasterElementNotFoundError(
+            `Unable to locate the "Parameter" link for scheduled report: ${scheduleName}`,
+            'td:nth-child(1) a',
+            { step: 'navigate' }
+          )
+        }
 
-          const actionLinkElements =
-            await scheduledReportsTableRowElement.$$('td:nth-child(1) a')
+        debug(`Opening report: ${scheduleName}`)
 
-          for (const actionLinkElement of actionLinkElements) {
-            const actionLinkText = await actionLinkElement.evaluate(
-              (cell) => cell.textContent
-            )
+        await parameterLinkElement.click()
 
-            if (actionLinkText === 'Parameter') {
-              debug(`Opening report: ${scheduleName}`)
+        await delay()
 
-              await actionLinkElement.click()
+        await page.waitForNetworkIdle({
+          timeout: this.#timeoutMillis
+        })
 
-              await delay()
+        const browserPages = await browser.pages()
 
-              await page.waitForNetworkIdle({
-                timeout: this.#timeoutMillis
-              })
+        reportPage =
+          browserPages
+            .filter(
+              (browserPage) => browserPage.target().opener() === page.target()
+            )
+            .at(-1) ?? page
 
-              const browserPages = await browser.pages()
+        await reportPage.bringToFront()
 
-              page = browserPages.at(-1) as puppeteer.Page
+        await delay()
 
-              await page.bringToFront()
+        await reportPage.waitForNetworkIdle({
+          timeout: this.#timeoutMillis
+        })
 
-              await delay()
+        this.emit('reportPageLoaded', {
+          ...getEventTiming(navigateStartMillis),
+          url: reportPage.url()
+        })
 
-              await page.waitForNetworkIdle({
-                timeout: this.#timeoutMillis
-              })
+        step = 'filter'
 
-              await applyReportFilters(
-                page,
-                {
-                  'Start Date': dateToString(startDate),
-                  'End Date': dateToString(endDate)
-                },
-                {
-                  timeoutMillis: this.#timeoutMillis
-                }
-              )
+        const filterStartMillis = startEventTimer()
 
-              break
-            }
-          }
+        const { filters = {} } =
+          exportOptions as ExportScheduledReportOptions<T>
+
+        const reportFilters: ReportFilters = {
+          'Start Date': dateToString(startDate),
+          'End Date': dateToString(endDate),
+          ...filters
         }
-      }
-    } catch (error) {
-      try {
-        await browser.close()
-      } catch {}
 
-      throw error
-    }
+        await withRetries(
+          this.#retryPolicy,
+          { step: 'filter', signal },
+          async () => {
+            await applyReportFilters(reportPage, reportFilters, {
+              timeoutMillis: this.#timeoutMillis
+            })
+          }
+        )
+
+        this.emit('filtersApplied', {
+          ...getEventTiming(filterStartMillis),
+          filterLabels: Object.keys(reportFilters)
+        })
+
+        step = 'export'
+
+        const downloadedReport = await this.#exportFasterReport(
+          browser,
+          reportPage,
+          exportOptions.exportType,
+          signal
+        )
 
-    return await this.#exportFasterReport(browser, page, exportType)
+        return await this.#deliverDownloadedReport(
+          downloadedReport,
+          exportOptions,
+          {
+            reportCode,
+            reportName: scheduleName,
+            startDate,
+            endDate
+          },
+          signal
+        )
+      }
+
+      try {
+        return await withAbortSignal(
+          runExport(),
+          signal,
+          createExportAbortedError
+        )
+      } catch (error) {
+        throw await this.#attachDiagnostics(
+          reportPage,
+          toFasterReportExporterError(error, { step })
+        )
+      } finally {
+        await this.#closeFasterPage(browser, page)
+      }
+    }, exportOptions.signal)
   }
 }
@@ -0,0 +1,138 @@
+import { type DateRangeDescriptor, type DateRangeInput, type DateRangePreset } from './dateRanges.js';
+import { type FasterReportExporterOptions, FasterReportExporter } from './index.js';
+import type { ReportExportType, ReportFilters } from './types.js';
+export declare const exportJobReports: readonly ["asset-list", "inventory", "work-order-details", "work-order-print", "part-order-print", "message-logger", "scheduled-report"];
+export type ExportJobReport = (typeof exportJobReports)[number];
+export interface FasterCredentials {
+    tenant: string;
+    userName: string;
+    password: string;
+}
+export interface ExportJob {
+    /** A unique name for the job. */
+    name: string;
+    report: ExportJobReport;
+    /** @default 'PDF' */
+    exportType?: ReportExportType;
+    /**
+     * A cron expression, used when the jobs are scheduled.
+     * @example '0 6 * * 1-5'
+     */
+    schedule?: string;
+    /** Used by "work-order-details" and "work-order-print". */
+    workOrderNumber?: number;
+    /** Used by "work-order-details". */
+    maxWorkOrderNumber?: number;
+    /** Used by "work-order-print". */
+    printType?: 'customer' | 'technician';
+    /** Used by "part-order-print". */
+    partOrderNumber?: number;
+    /** Used by "scheduled-report". */
+    scheduleName?: string;
+    /**
+     * Used by "scheduled-report".
+     * Filters applied to the report, by label.
+     */
+    filters?: ReportFilters;
+    /**
+     * Used by "message-logger" and "scheduled-report".
+     * A preset like "yesterday", a preset with an offset,
+     * or dates formatted YYYY-MM-DD.
+     * @default 'today'
+     */
+    dateRange?: DateRangeDescriptor | DateRangePreset | {
+        startDate: string;
+        endDate: string;
+    };
+    /** Overrides the output folder for this job. */
+    outputFolderPath?: string;
+    /** Overrides the file name template for this job. */
+    fileNameTemplate?: string;
+}
+export interface ExportJobsConfig {
+    /**
+     * FASTER Web credentials.
+     * Can be omitted when they are supplied some other way.
+     */
+    credentials?: Partial<FasterCredentials>;
+    options?: Partial<Pick<FasterReportExporterOptions, 'acceptInsecureCerts' | 'diagnosticsFolderPath' | 'exportStrategy' | 'exportTimeoutMillis' | 'fiscalYearStartMonth' | 'retryPolicy' | 'showBrowserWindow' | 'timeoutMillis' | 'timeZone'>>;
+    /** The folder where exported reports are saved. */
+    outputFolderPath?: string;
+    /** The file name template for exported reports. */
+    fileNameTemplate?: string;
+    jobs: ExportJob[];
+}
+export type ExportJobResult = {
+    jobName: string;
+} & ({
+    success: false;
+    error: unknown;
+} | {
+    success: true;
+    reportPath: string;
+});
+export interface ScheduleExportJobsOptions {
+    /**
+     * Called after each scheduled job runs.
+     * Runs that fail, like when the browser cannot be launched,
+     * are passed as failed results.
+     * @param result - The job result.
+     */
+    onJobComplete?: (result: ExportJobResult) => void;
+}
+/**
+ * Thrown when an export jobs config file is invalid.
+ */
+export declare class ExportJobsConfigError extends Error {
+}
+/**
+ * Checks an export jobs config, throwing an error if it is invalid.
+ * @param config - The parsed config.
+ * @returns The config.
+ */
+export declare function validateExportJobsConfig(config: unknown): ExportJobsConfig;
+/**
+ * Loads an export jobs config from a JSON or YAML file.
+ * Relative output and diagnostics folders are resolved
+ * from the config file's folder.
+ * @param configFilePath - Path to a ".json", ".yaml", or ".yml" file.
+ * @returns The config.
+ */
+export declare function loadExportJobsConfig(configFilePath: string): Promise<ExportJobsConfig>;
+/**
+ * Gets the date range a job reports on.
+ * Presets are resolved when the report is exported,
+ * in the report time zone.
+ * @param job - The export job.
+ * @returns The date range.
+ */
+export declare function getExportJobDateRange(job: ExportJob): DateRangeInput;
+/**
+ * Runs a single export job.
+ * @param reportExporter - The report exporter.
+ * @param job - The export job.
+ * @returns The path to the exported report.
+ */
+export declare function runExportJob(reportExporter: FasterReportExporter, job: ExportJob): Promise<string>;
+/**
+ * Runs export jobs one after another, sharing a browser session.
+ * A failed job is recorded in the results, and does not stop the others.
+ * @param config - The export jobs config.
+ * @param credentials - FASTER Web credentials.
+ * @param jobNames - Only run the jobs with these names. Runs all jobs by default.
+ * @returns The result of each job.
+ */
+export declare function runExportJobs(config: ExportJobsConfig, credentials: FasterCredentials, jobNames?: string[]): Promise<ExportJobResult[]>;
+/**
+ * Runs export jobs on their cron schedules.
+ * Jobs without a schedule are skipped.
+ * Throws an `ExportJobsConfigError` when no job has a schedule.
+ * A job is not started again while its previous run is still running.
+ * Schedules follow the `timeZone` option when set,
+ * otherwise the time zone of the server.
+ * @param config - The export jobs config.
+ * @param credentials - FASTER Web credentials.
+ * @param options - Scheduling options.
+ * @returns A function that stops the schedules.
+ */
+export declare function scheduleExportJobs(config: ExportJobsConfig, credentials: FasterCredentials, options?: ScheduleExportJobsOptions): () => void;
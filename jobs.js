@@ -0,0 +1,275 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { dateStringToDate, isValidDateString } from '@cityssm/utils-datetime';
+import { Cron } from 'croner';
+import Debug from 'debug';
+import { parse as parseYaml } from 'yaml';
+import { resolveDateRange } from './dateRanges.js';
+import { DEBUG_NAMESPACE } from './debug.config.js';
+import { FasterReportExporter } from './index.js';
+import { reportExportTypes, reportTimeZoneIanaNames } from './lookups.js';
+const debug = Debug(`${DEBUG_NAMESPACE}:jobs`);
+export const exportJobReports = [
+    'asset-list',
+    'inventory',
+    'work-order-details',
+    'work-order-print',
+    'part-order-print',
+    'message-logger',
+    'scheduled-report'
+];
+/**
+ * Thrown when an export jobs config file is invalid.
+ */
+export class ExportJobsConfigError extends Error {
+}
+/**
+ * Checks an export jobs config, throwing an error if it is invalid.
+ * @param config - The parsed config.
+ * @returns The config.
+ */
+export function validateExportJobsConfig(config) {
+    const jobsConfig = config;
+    if (typeof jobsConfig !== 'object' ||
+        jobsConfig === null ||
+        !Array.isArray(jobsConfig.jobs)) {
+        throw new ExportJobsConfigError('Config must include a "jobs" list.');
+    }
+    const jobNames = new Set();
+    for (const job of jobsConfig.jobs) {
+        if (typeof job.name !== 'string' || job.name === '') {
+            throw new ExportJobsConfigError('Each job must have a "name".');
+        }
+        if (jobNames.has(job.name)) {
+            throw new ExportJobsConfigError(`Duplicate job name: ${job.name}`);
+        }
+        jobNames.add(job.name);
+        if (!exportJobReports.includes(job.report)) {
+            throw new ExportJobsConfigError(`Unknown report for job "${job.name}": ${job.report}`);
+        }
+        if (job.exportType !== undefined &&
+            !Object.hasOwn(reportExportTypes, job.exportType)) {
+            throw new ExportJobsConfigError(`Unknown export type for job "${job.name}": ${job.exportType}`);
+        }
+        if (job.schedule !== undefined) {
+            try {
+                new Cron(job.schedule, { paused: true }).stop();
+            }
+            catch (error) {
+                throw new ExportJobsConfigError(`Invalid schedule for job "${job.name}": ${job.schedule}`, { cause: error });
+            }
+        }
+        try {
+            resolveDateRange(getExportJobDateRange(job));
+        }
+        catch (error) {
+            throw new ExportJobsConfigError(`Invalid date range for job "${job.name}".`, { cause: error });
+        }
+    }
+    return jobsConfig;
+}
+/**
+ * Loads an export jobs config from a JSON or YAML file.
+ * Relative output and diagnostics folders are resolved
+ * from the config file's folder.
+ * @param configFilePath - Path to a ".json", ".yaml", or ".yml" file.
+ * @returns The config.
+ */
+export async function loadExportJobsConfig(configFilePath) {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    const configFileContents = await fs.readFile(configFilePath, 'utf8');
+    const isYaml = /\.ya?ml$/i.test(configFilePath);
+    // eslint-disable-next-line @typescript-eslint/init-declarations
+    let parsedConfig;
+    try {
+        parsedConfig = isYaml
+            ? parseYaml(configFileContents)
+            : JSON.parse(configFileContents);
+    }
+    catch (error) {
+        throw new ExportJobsConfigError(`Unable to parse config file: ${configFilePath}`, { cause: error });
+    }
+    const config = validateExportJobsConfig(parsedConfig);
+    const configFolderPath = path.dirname(path.resolve(configFilePath));
+    if (config.outputFolderPath !== undefined) {
+        config.outputFolderPath = path.resolve(configFolderPath, config.outputFolderPath);
+    }
+    if (config.options?.diagnosticsFolderPath !== undefined) {
+        config.options.diagnosticsFolderPath = path.resolve(configFolderPath, config.options.diagnosticsFolderPath);
+    }
+    for (const job of config.jobs) {
+        if (job.outputFolderPath !== undefined) {
+            job.outputFolderPath = path.resolve(configFolderPath, job.outputFolderPath);
+        }
+    }
+    return config;
+}
+/**
+ * Gets the date range a job reports on.
+ * Presets are resolved when the report is exported,
+ * in the report time zone.
+ * @param job - The export job.
+ * @returns The date range.
+ */
+export function getExportJobDateRange(job) {
+    const dateRange = job.dateRange ?? 'today';
+    if (typeof dateRange === 'string' || 'preset' in dateRange) {
+        return dateRange;
+    }
+    const startDate = isValidDateString(dateRange.startDate)
+        ? dateStringToDate(dateRange.startDate)
+        : undefined;
+    const endDate = isValidDateString(dateRange.endDate)
+        ? dateStringToDate(dateRange.endDate)
+        : undefined;
+    if (startDate === undefined || endDate === undefined) {
+        throw new Error(`Unknown date range: ${JSON.stringify(dateRange)}`);
+    }
+    return { startDate, endDate };
+}
+/**
+ * Gets a number parameter required by a job.
+ * @param job - The export job.
+ * @param parameterName - The parameter name.
+ * @returns The number.
+ */
+function getRequiredJobNumber(job, parameterName) {
+    // eslint-disable-next-line security/detect-object-injection
+    const parameterValue = job[parameterName];
+    if (parameterValue === undefined) {
+        throw new ExportJobsConfigError(`Job "${job.name}" requires a "${parameterName}".`);
+    }
+    return parameterValue;
+}
+/**
+ * Runs a single export job.
+ * @param reportExporter - The report exporter.
+ * @param job - The export job.
+ * @returns The path to the exported report.
+ */
+export async function runExportJob(reportExporter, job) {
+    const exportType = job.exportType ?? 'PDF';
+    switch (job.report) {
+        case 'asset-list': {
+            return await reportExporter.exportAssetList(exportType);
+        }
+        case 'inventory': {
+            return await reportExporter.exportInventory(exportType);
+        }
+        case 'message-logger': {
+            return await reportExporter.exportMessageLogger(getExportJobDateRange(job), exportType);
+        }
+        case 'part-order-print': {
+            return await reportExporter.exportPartOrderPrint(getRequiredJobNumber(job, 'partOrderNumber'), exportType);
+        }
+        case 'scheduled-report': {
+            if (job.scheduleName === undefined) {
+                throw new ExportJobsConfigError(`Job "${job.name}" requires a "scheduleName".`);
+            }
+            return await reportExporter.exportScheduledReport(job.scheduleName, getExportJobDateRange(job), { exportType, filters: job.filters });
+        }
+        case 'work-order-details': {
+            return await reportExporter.exportWorkOrderDetails(getRequiredJobNumber(job, 'workOrderNumber'), job.maxWorkOrderNumber, exportType);
+        }
+        case 'work-order-print': {
+            const workOrderNumber = getRequiredJobNumber(job, 'workOrderNumber');
+            return job.printType === 'customer'
+                ? await reportExporter.exportWorkOrderCustomerPrint(workOrderNumber, exportType)
+                : await reportExporter.exportWorkOrderTechnicianPrint(workOrderNumber, exportType);
+        }
+    }
+}
+/**
+ * Runs export jobs one after another, sharing a browser session.
+ * A failed job is recorded in the results, and does not stop the others.
+ * @param config - The export jobs config.
+ * @param credentials - FASTER Web credentials.
+ * @param jobNames - Only run the jobs with these names. Runs all jobs by default.
+ * @returns The result of each job.
+ */
+export async function runExportJobs(config, credentials, jobNames) {
+    const jobs = config.jobs.filter((job) => jobNames === undefined || jobNames.includes(job.name));
+    const reportExporter = new FasterReportExporter(credentials.tenant, credentials.userName, credentials.password, config.options);
+    // Applied to each job without an override, so overrides do not carry over.
+    const defaultOutputFolderPath = config.outputFolderPath ?? os.tmpdir();
+    const results = [];
+    try {
+        await reportExporter.withSession(async () => {
+            for (const job of jobs) {
+                debug(`Running job: ${job.name}`);
+                try {
+                    const outputFolderPath = job.outputFolderPath ?? defaultOutputFolderPath;
+                    // eslint-disable-next-line security/detect-non-literal-fs-filename
+                    await fs.mkdir(outputFolderPath, { recursive: true });
+                    reportExporter.setDownloadFolderPath(outputFolderPath);
+                    reportExporter.setFileNameTemplate(job.fileNameTemplate ?? config.fileNameTemplate);
+                    const reportPath = await runExportJob(reportExporter, job);
+                    results.push({ jobName: job.name, success: true, reportPath });
+                }
+                catch (error) {
+                    debug(`Job failed: ${job.name}`);
+                    results.push({ jobName: job.name, success: false, error });
+                }
+            }
+        });
+    }
+    catch (error) {
+        // The session could not be opened, so the remaining jobs did not run.
+        for (const job of jobs.slice(results.length)) {
+            results.push({ jobName: job.name, success: false, error });
+        }
+    }
+    return results;
+}
+/**
+ * Runs export jobs on their cron schedules.
+ * Jobs without a schedule are skipped.
+ * Throws an `ExportJobsConfigError` when no job has a schedule.
+ * A job is not started again while its previous run is still running.
+ * Schedules follow the `timeZone` option when set,
+ * otherwise the time zone of the server.
+ * @param config - The export jobs config.
+ * @param credentials - FASTER Web credentials.
+ * @param options - Scheduling options.
+ * @returns A function that stops the schedules.
+ */
+export function scheduleExportJobs(config, credentials, options = {}) {
+    const scheduledJobs = config.jobs.filter((job) => job.schedule !== undefined);
+    if (scheduledJobs.length === 0) {
+        throw new ExportJobsConfigError('No jobs have a "schedule".');
+    }
+    const cronJobs = [];
+    const reportTimeZone = config.options?.timeZone;
+    const timezone = reportTimeZone === undefined
+        ? undefined
+        : // eslint-disable-next-line security/detect-object-injection
+            reportTimeZoneIanaNames[reportTimeZone];
+    for (const job of scheduledJobs) {
+        debug(`Scheduling job: ${job.name} (${job.schedule})`);
+        cronJobs.push(new Cron(job.schedule, {
+            protect: true,
+            timezone,
+            catch: (error) => {
+                debug(`Scheduled job callback failed: ${job.name}`, error);
+            }
+        }, async () => {
+            // eslint-disable-next-line @typescript-eslint/init-declarations
+            let result;
+            try {
+                const results = await runExportJobs(config, credentials, [job.name]);
+                result = results[0];
+            }
+            catch (error) {
+                debug(`Scheduled job failed: ${job.name}`);
+                result = { jobName: job.name, success: false, error };
+            }
+            options.onJobComplete?.(result);
+        }));
+    }
+    return () => {
+        for (const cronJob of cronJobs) {
+            cronJob.stop();
+        }
+    };
+}
@@ -1,8 +1,58 @@
+import type { ReportTimeZone } from './types.js';
 export declare const minimumRecommendedTimeoutSeconds = 90;
+export declare const reportDomains: readonly ["Accounting", "Assets", "Fuel", "Inventory", "Maintenance", "Motor Pool", "Purchasing", "Setup"];
 export declare const reportExportTypes: {
     CSV: string;
     Excel: string;
+    Excel97: string;
+    MHTML: string;
     PDF: string;
+    TIFF: string;
     Word: string;
+    Word97: string;
     XML: string;
 };
+export declare const reportExportContentTypes: Record<keyof typeof reportExportTypes, string>;
+/**
+ * File extensions for content types returned by the Report Viewer
+ * that are not in `reportExportContentTypes`.
+ */
+export declare const additionalContentTypeExtensions: Record<string, string>;
+/**
+ * Report Viewer rendering format names,
+ * used in the "Format" parameter of export URLs,
+ * and in the export menu's click handlers.
+ */
+export declare const reportViewerExportFormats: Record<keyof typeof reportExportTypes, string>;
+/**
+ * Titles of the Report Viewer export menu items.
+ */
+export declare const reportViewerExportMenuTitles: Record<keyof typeof reportExportTypes, string>;
+export declare const reportViewerExportMenuSelector = "#RvDetails_ctl05_ctl04_ctl00_Menu";
+export declare const scheduledReportsGridSelector = "#ctl00_ContentPlaceHolder_Content_ScheduleRadDock_C_ScheduleRadGrid_ctl00";
+/**
+ * Scheduled reports grid columns, matched by header text.
+ * The first column holds action links, and the second holds the schedule name.
+ */
+export declare const scheduledReportsGridColumnPatterns: {
+    reportName: RegExp;
+    owner: RegExp;
+    frequency: RegExp;
+    nextRun: RegExp;
+};
+/** Stops paging through a grid that never reaches its last page. */
+export declare const maximumGridPages = 100;
+export declare const defaultBatchExportConcurrency = 3;
+export declare const defaultExportTimeoutMinutes = 10;
+/**
+ * Elements that may hold a message after a failed login.
+ */
+export declare const loginMessageSelector = "[id$=\"FailureText\"], [id$=\"ErrorMessage\"], .validation-summary-errors, .loginError";
+export declare const loginFailurePatterns: {
+    accountLocked: RegExp;
+    passwordExpired: RegExp;
+};
+/**
+ * Time zones used to determine the current date in a report time zone.
+ */
+export declare const reportTimeZoneIanaNames: Record<ReportTimeZone, string>;
@@ -1,8 +1,108 @@
 export const minimumRecommendedTimeoutSeconds = 90;
+export const reportDomains = [
+    'Accounting',
+    'Assets',
+    'Fuel',
+    'Inventory',
+    'Maintenance',
+    'Motor Pool',
+    'Purchasing',
+    'Setup'
+];
 export const reportExportTypes = {
     CSV: 'csv',
     Excel: 'xlsx',
+    Excel97: 'xls',
+    MHTML: 'mhtml',
     PDF: 'pdf',
+    TIFF: 'tif',
     Word: 'docx',
+    Word97: 'doc',
     XML: 'xml'
 };
+export const reportExportContentTypes = {
+    CSV: 'text/csv',
+    Excel: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    Excel97: 'application/vnd.ms-excel',
+    MHTML: 'multipart/related',
+    PDF: 'application/pdf',
+    TIFF: 'image/tiff',
+    Word: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    Word97: 'application/msword',
+    XML: 'text/xml'
+};
+/**
+ * File extensions for content types returned by the Report Viewer
+ * that are not in `reportExportContentTypes`.
+ */
+export const additionalContentTypeExtensions = {
+    'application/xml': 'xml',
+    'message/rfc822': 'mhtml',
+    'text/comma-separated-values': 'csv'
+};
+/**
+ * Report Viewer rendering format names,
+ * used in the "Format" parameter of export URLs,
+ * and in the export menu's click handlers.
+ */
+export const reportViewerExportFormats = {
+    CSV: 'CSV',
+    Excel: 'EXCELOPENXML',
+    Excel97: 'EXCEL',
+    MHTML: 'MHTML',
+    PDF: 'PDF',
+    TIFF: 'IMAGE',
+    Word: 'WORDOPENXML',
+    Word97: 'WORD',
+    XML: 'XML'
+};
+/**
+ * Titles of the Report Viewer export menu items.
+ */
+export const reportViewerExportMenuTitles = {
+    CSV: 'CSV (comma delimited)',
+    Excel: 'Excel',
+    Excel97: 'Excel 97-2003',
+    MHTML: 'MHTML (web archive)',
+    PDF: 'PDF',
+    TIFF: 'TIFF file',
+    Word: 'Word',
+    Word97: 'Word 97-2003',
+    XML: 'XML file with report data'
+};
+export const reportViewerExportMenuSelector = '#RvDetails_ctl05_ctl04_ctl00_Menu';
+export const scheduledReportsGridSelector = 
+// eslint-disable-next-line no-secrets/no-secrets
+'#ctl00_ContentPlaceHolder_Content_ScheduleRadDock_C_ScheduleRadGrid_ctl00';
+/**
+ * Scheduled reports grid columns, matched by header text.
+ * The first column holds action links, and the second holds the schedule name.
+ */
+export const scheduledReportsGridColumnPatterns = {
+    reportName: /report/i,
+    owner: /owner|created by|user/i,
+    frequency: /frequency|recurrence|interval/i,
+    nextRun: /next/i
+};
+/** Stops paging through a grid that never reaches its last page. */
+export const maximumGridPages = 100;
+export const defaultBatchExportConcurrency = 3;
+export const defaultExportTimeoutMinutes = 10;
+/**
+ * Elements that may hold a message after a failed login.
+ */
+export const loginMessageSelector = '[id$="FailureText"], [id$="ErrorMessage"], .validation-summary-errors, .loginError';
+export const loginFailurePatterns = {
+    accountLocked: /locked|disabled|inactive/i,
+    passwordExpired: /changepassword|passwordexpired|password (?:has )?expired|must change your password/i
+};
+/**
+ * Time zones used to determine the current date in a report time zone.
+ */
+export const reportTimeZoneIanaNames = {
+    Atlantic: 'America/Halifax',
+    Central: 'America/Winnipeg',
+    Eastern: 'America/Toronto',
+    Mountain: 'America/Edmonton',
+    Pacific: 'America/Vancouver'
+};
@@ -1,11 +1,96 @@
 import type { puppeteer } from '@cityssm/puppeteer-launch';
+import type { ReportExportType, ReportFilters, ReportFilterValue, ReportParameterDescription } from './types.js';
+/**
+ * Formats a filter value the way it is typed into a text input.
+ * Dates use the same format as `dateToString()`.
+ * @param filterValue - The filter value.
+ * @returns The text value.
+ */
+export declare function filterValueToString(filterValue: ReportFilterValue): string;
+/**
+ * Reads back the value of a filter control, to verify that a value was applied.
+ * @param page - FASTER Web Report Viewer page
+ * @param controlIdPrefix - The id prefix shared by the filter's controls.
+ * @param inputId - The id of the filter's input.
+ * @returns The current filter value.
+ */
+export declare function getReportFilterValue(page: puppeteer.Page, controlIdPrefix: string, inputId: string): Promise<ReportFilterValue>;
+/**
+ * Lists the parameters on a Report Viewer page.
+ * @param page - FASTER Web Report Viewer page
+ * @param options - Options.
+ * @param options.timeoutMillis - How long to wait for the parameters.
+ * @returns The parameter labels, input ids, control types, values, and options.
+ *          Empty if the report has no parameters.
+ */
+export declare function getReportParameters(page: puppeteer.Page, options: {
+    timeoutMillis: number;
+}): Promise<ReportParameterDescription[]>;
+/**
+ * Checks if a filter value read from the page matches the requested value.
+ * @param actualValue - The value read from the page.
+ * @param expectedValue - The requested value.
+ * @returns `true` if the values match.
+ */
+export declare function filterValuesMatch(actualValue: ReportFilterValue, expectedValue: ReportFilterValue): boolean;
 /**
  * Populates the report filters on a Report Viewer page.
+ * Supports text and date inputs, drop down lists, multi-select lists,
+ * true/false options, and the "NULL" checkbox.
  * @param page - FASTER Web Report Viewer page
  * @param reportFilters - Filters applied to the report.
  * @param options - Options.
  * @param options.timeoutMillis - The regular pause interval.
  */
-export declare function applyReportFilters(page: puppeteer.Page, reportFilters: Record<string, string>, options: {
+export declare function applyReportFilters(page: puppeteer.Page, reportFilters: ReportFilters, options: {
     timeoutMillis: number;
 }): Promise<void>;
+/**
+ * Gets the ids of all frames on a page.
+ * Used to match browser download events to the page that started them.
+ * @param pageCdpSession - A CDP session attached to the page.
+ * @returns The frame ids.
+ */
+export declare function getPageFrameIds(pageCdpSession: puppeteer.CDPSession): Promise<Set<string>>;
+/**
+ * Gets the URL the Report Viewer uses to export the rendered report.
+ * The URL is only available once the report has rendered.
+ * @param page - Puppeteer page on a rendered report page
+ * @param exportFormat - The Report Viewer format name, like "PDF" or "EXCELOPENXML".
+ * @returns The absolute export URL.
+ */
+export declare function getReportViewerExportUrl(page: puppeteer.Page, exportFormat: string): Promise<string>;
+/**
+ * Gets the selector for an item in the Report Viewer's export menu.
+ * Items are matched by the rendering format in their click handler,
+ * or by their title.
+ * @param exportType - The export type.
+ * @returns The menu item selector.
+ */
+export declare function getReportExportMenuItemSelector(exportType: ReportExportType): string;
+/**
+ * Gets the export types offered in the Report Viewer's export menu.
+ * The menu items are on the page, even when the menu is closed.
+ * @param page - Puppeteer page on a rendered report page
+ * @returns The available export types, or an empty array if the menu is missing.
+ */
+export declare function getReportExportTypes(page: puppeteer.Page): Promise<ReportExportType[]>;
+/**
+ * Gets the column headers and row values on the current page of a grid.
+ * @param page - Puppeteer page
+ * @param gridSelector - The selector for the grid's table.
+ * @returns The column headers, and the values in each row.
+ */
+export declare function getGridValues(page: puppeteer.Page, gridSelector: string): Promise<{
+    headers: string[];
+    rows: string[][];
+}>;
+/**
+ * Moves a paged grid to its next page.
+ * @param page - Puppeteer page
+ * @param gridSelector - The selector for the grid's table.
+ * @param timeoutMillis - The timeout for the page to reload.
+ * @returns True when the grid moved to the next page,
+ *          false when it was already on its last page.
+ */
+export declare function goToNextGridPage(page: puppeteer.Page, gridSelector: string, timeoutMillis: number): Promise<boolean>;
@@ -1,15 +1,338 @@
 // eslint-disable-next-line @eslint-community/eslint-comments/disable-enable-pair
 /* eslint-disable @typescript-eslint/no-unsafe-type-assertion */
+import { dateToString } from '@cityssm/utils-datetime';
+import { FasterElementNotFoundError, FasterReportExporterError, ReportFilterNotFoundError, ReportFilterValueError } from './errors.js';
+import { reportExportTypes, reportViewerExportFormats, reportViewerExportMenuSelector, reportViewerExportMenuTitles } from './lookups.js';
 import { delay, longDelayMillis } from './utilities.js';
+/**
+ * Report Viewer parameter controls share an id prefix,
+ * followed by one of these suffixes.
+ */
+const reportViewerControlIdSuffixRegex = /(?:cbNull|ddDropDownButton|ddValue|divDropDown|rbFalse|rbTrue|txtValue)$/;
+/**
+ * Finds the input id for a filter label.
+ * Exact label matches are preferred over partial matches.
+ * @param labelTextToInputId - Label text mapped to the label's "for" attribute.
+ * @param labelSearchText - The label to find.
+ * @returns The input id, or an empty string if no label matches.
+ */
+function findInputIdByLabel(labelTextToInputId, labelSearchText) {
+    const labelEntries = Object.entries(labelTextToInputId);
+    const exactLabelEntry = labelEntries.find(([labelText]) => labelText.trim() === labelSearchText.trim());
+    if (exactLabelEntry !== undefined) {
+        return exactLabelEntry[1];
+    }
+    return (labelEntries.find(([labelText]) => labelText.includes(labelSearchText))?.[1] ?? '');
+}
+/**
+ * Date formats shown in Report Viewer date inputs,
+ * like "2026-01-31", or "1/31/2026 12:00:00 AM" after a postback.
+ */
+const isoDateStringRegex = /^(?<year>\d{4})-(?<month>\d{1,2})-(?<day>\d{1,2})\b/;
+const usDateStringRegex = /^(?<month>\d{1,2})\/(?<day>\d{1,2})\/(?<year>\d{4})\b/;
+/**
+ * Reformats a date string in the same format as `dateToString()`.
+ * The date is not parsed into a `Date`, so it cannot shift between time zones.
+ * @param dateString - A date, like "2026-01-31" or "1/31/2026 12:00:00 AM".
+ * @returns The date formatted as YYYY-MM-DD, or `undefined` if it is not a date.
+ */
+function normalizeDateString(dateString) {
+    const trimmedDateString = dateString.trim();
+    const dateParts = (isoDateStringRegex.exec(trimmedDateString) ??
+        usDateStringRegex.exec(trimmedDateString))?.groups;
+    if (dateParts === undefined) {
+        return undefined;
+    }
+    return `${dateParts.year}-${dateParts.month.padStart(2, '0')}-${dateParts.day.padStart(2, '0')}`;
+}
+/**
+ * Formats a filter value the way it is typed into a text input.
+ * Dates use the same format as `dateToString()`.
+ * @param filterValue - The filter value.
+ * @returns The text value.
+ */
+export function filterValueToString(filterValue) {
+    if (filterValue instanceof Date) {
+        return dateToString(filterValue);
+    }
+    if (Array.isArray(filterValue)) {
+        return filterValue.join(', ');
+    }
+    return String(filterValue);
+}
+/**
+ * Checks or unchecks the "NULL" checkbox of a filter.
+ * @param page - FASTER Web Report Viewer page
+ * @param controlIdPrefix - The id prefix shared by the filter's controls.
+ * @param isNull - `true` to check the checkbox.
+ * @returns `true` if the filter has a "NULL" checkbox.
+ */
+async function setNullCheckbox(page, controlIdPrefix, isNull) {
+    const nullCheckboxElement = (await page.$(`#${controlIdPrefix}cbNull`));
+    if (nullCheckboxElement === null) {
+        return false;
+    }
+    const isChecked = await nullCheckboxElement.evaluate((element) => element.checked);
+    if (isChecked !== isNull) {
+        await nullCheckboxElement.click();
+    }
+    return true;
+}
+/**
+ * Selects the "True" or "False" option of a filter,
+ * or checks or unchecks a checkbox filter.
+ * @param page - FASTER Web Report Viewer page
+ * @param controlIdPrefix - The id prefix shared by the filter's controls.
+ * @param inputElement - The filter's input.
+ * @param filterValue - The filter value.
+ */
+async function setBooleanFilter(page, controlIdPrefix, inputElement, filterValue) {
+    const radioElement = (await page.$(`#${controlIdPrefix}${filterValue ? 'rbTrue' : 'rbFalse'}`));
+    if (radioElement === null) {
+        const isChecked = await inputElement.evaluate((element) => element.checked);
+        if (isChecked !== filterValue) {
+            await inputElement.click();
+        }
+    }
+    else {
+        await radioElement.click();
+    }
+}
+/**
+ * Selects a drop down list option by its label or value.
+ * @param inputElement - The drop down list.
+ * @param filterValue - The option label or value.
+ * @returns `true` if the option was found.
+ */
+async function setSelectFilter(inputElement, filterValue) {
+    const optionValue = await inputElement.evaluate((element, optionText) => [...element.options].find((option) => option.text.trim() === optionText || option.value === optionText)?.value, filterValue);
+    if (optionValue === undefined) {
+        return false;
+    }
+    await inputElement.select(optionValue);
+    return true;
+}
+/**
+ * Checks the given options in a multi-select list, and unchecks the rest.
+ * @param page - FASTER Web Report Viewer page
+ * @param controlIdPrefix - The id prefix shared by the filter's controls.
+ * @param inputElement - The text box that opens the list.
+ * @param filterValues - The option labels to check.
+ * @returns The option labels that were not found.
+ */
+async function setMultiSelectFilter(page, controlIdPrefix, inputElement, filterValues) {
+    // Open the drop down list of checkboxes
+    await inputElement.click();
+    await delay();
+    const missingOptionLabels = await page.evaluate((dropDownId, optionLabels) => {
+        const labelsToFind = new Set(optionLabels);
+        // eslint-disable-next-line unicorn/prefer-query-selector
+        const dropDownElement = document.getElementById(dropDownId);
+        for (const checkboxElement of dropDownElement?.querySelectorAll('input[type="checkbox"]') ?? []) {
+            const optionLabel = dropDownElement
+                ?.querySelector(`label[for="${checkboxElement.id}"]`)
+                ?.textContent?.trim() ?? '';
+            // "(Select All)" is driven by the other checkboxes.
+            if (optionLabel === '(Select All)') {
+                continue;
+            }
+            const shouldBeChecked = labelsToFind.delete(optionLabel);
+            if (checkboxElement.checked !== shouldBeChecked) {
+                ;
+                checkboxElement.click();
+            }
+        }
+        return [...labelsToFind];
+    }, `${controlIdPrefix}divDropDown`, filterValues);
+    // Close the drop down list
+    await inputElement.click();
+    return missingOptionLabels;
+}
+/**
+ * Replaces the value of a text or date input.
+ * @param inputElement - The input.
+ * @param filterValue - The text value.
+ */
+async function setTextFilter(inputElement, filterValue) {
+    await inputElement.evaluate((element) => {
+        if (element.tagName === 'INPUT') {
+            element.value = '';
+        }
+    });
+    await inputElement.type(filterValue);
+}
+/**
+ * Reads back the value of a filter control, to verify that a value was applied.
+ * @param page - FASTER Web Report Viewer page
+ * @param controlIdPrefix - The id prefix shared by the filter's controls.
+ * @param inputId - The id of the filter's input.
+ * @returns The current filter value.
+ */
+export async function getReportFilterValue(page, controlIdPrefix, inputId) {
+    return await page.evaluate((idPrefix, elementId) => {
+        const nullCheckboxElement = document.querySelector(`#${idPrefix}cbNull`);
+        if (nullCheckboxElement?.checked ?? false) {
+            return null;
+        }
+        const trueRadioElement = document.querySelector(`#${idPrefix}rbTrue`);
+        const falseRadioElement = document.querySelector(`#${idPrefix}rbFalse`);
+        if (trueRadioElement !== null && falseRadioElement !== null) {
+            return trueRadioElement.checked;
+        }
+        const dropDownElement = document.querySelector(`#${idPrefix}divDropDown`);
+        if (dropDownElement !== null) {
+            const checkedOptionLabels = [];
+            for (const checkboxElement of dropDownElement.querySelectorAll('input[type="checkbox"]:checked')) {
+                const optionLabel = dropDownElement
+                    .querySelector(`label[for="${checkboxElement.id}"]`)
+                    ?.textContent?.trim() ?? '';
+                if (optionLabel !== '(Select All)') {
+                    checkedOptionLabels.push(optionLabel);
+                }
+            }
+            return checkedOptionLabels;
+        }
+        const inputElement = document.querySelector(`#${elementId}`);
+        if (inputElement === null) {
+            return '';
+        }
+        if (inputElement instanceof HTMLSelectElement) {
+            return inputElement.selectedOptions.item(0)?.text.trim() ?? '';
+        }
+        if (inputElement.type === 'checkbox' || inputElement.type === 'radio') {
+            return inputElement.checked;
+        }
+        return inputElement.value;
+    }, controlIdPrefix, inputId);
+}
+/**
+ * Waits for the parameter labels on a Report Viewer page.
+ * @param page - FASTER Web Report Viewer page
+ * @param timeoutMillis - How long to wait for the labels.
+ * @returns `false` if no labels appear before the timeout,
+ *          like on reports without parameters.
+ */
+async function waitForParameterLabels(page, timeoutMillis) {
+    try {
+        await page.waitForSelector('label', { timeout: timeoutMillis });
+    }
+    catch (error) {
+        if (error instanceof Error && error.name === 'TimeoutError') {
+            return false;
+        }
+        throw error;
+    }
+    return true;
+}
+/**
+ * Lists the parameters on a Report Viewer page.
+ * @param page - FASTER Web Report Viewer page
+ * @param options - Options.
+ * @param options.timeoutMillis - How long to wait for the parameters.
+ * @returns The parameter labels, input ids, control types, values, and options.
+ *          Empty if the report has no parameters.
+ */
+export async function getReportParameters(page, options) {
+    if (!(await waitForParameterLabels(page, options.timeoutMillis))) {
+        return [];
+    }
+    const parameterControls = await page.evaluate((controlIdSuffixRegexSource) => {
+        const controlIdSuffixRegex = new RegExp(controlIdSuffixRegexSource);
+        const controls = [];
+        for (const labelElement of document.querySelectorAll('label')) {
+            const inputId = labelElement.getAttribute('for') ?? '';
+            // Skip labels that are not parameter prompts,
+            // like multi-select options and "NULL" checkboxes.
+            if (!/(?:ddValue|rbTrue|txtValue)$/.test(inputId) ||
+                labelElement.closest('[id$="divDropDown"]') !== null) {
+                continue;
+            }
+            const controlIdPrefix = inputId.replace(controlIdSuffixRegex, '');
+            const inputElement = document.querySelector(`#${inputId}`);
+            const dropDownElement = document.querySelector(`#${controlIdPrefix}divDropDown`);
+            let controlType = 'text';
+            let options = [];
+            if (dropDownElement !== null) {
+                controlType = 'multiSelect';
+                options = [...dropDownElement.querySelectorAll('label')]
+                    .map((optionLabelElement) => optionLabelElement.textContent.trim())
+                    .filter((optionLabel) => optionLabel !== '(Select All)');
+            }
+            else if (inputElement instanceof HTMLSelectElement) {
+                controlType = 'select';
+                options = [...inputElement.options].map((option) => option.text.trim());
+            }
+            else if (inputId.endsWith('rbTrue')) {
+                controlType = 'boolean';
+            }
+            else if (inputElement?.type === 'checkbox') {
+                controlType = 'checkbox';
+            }
+            else if (document.querySelector(`input[type="image"][id^="${controlIdPrefix}"], img[id^="${controlIdPrefix}"]`) !== null) {
+                controlType = 'date';
+            }
+            controls.push({
+                label: labelElement.textContent.trim(),
+                inputId,
+                controlIdPrefix,
+                controlType,
+                options,
+                allowsNull: document.querySelector(`#${controlIdPrefix}cbNull`) !== null,
+                isDisabled: inputElement?.disabled ?? false
+            });
+        }
+        return controls;
+    }, reportViewerControlIdSuffixRegex.source);
+    const parameters = [];
+    for (const { controlIdPrefix, ...parameterControl } of parameterControls) {
+        parameters.push({
+            ...parameterControl,
+            value: await getReportFilterValue(page, controlIdPrefix, parameterControl.inputId)
+        });
+    }
+    return parameters;
+}
+/**
+ * Checks if a filter value read from the page matches the requested value.
+ * @param actualValue - The value read from the page.
+ * @param expectedValue - The requested value.
+ * @returns `true` if the values match.
+ */
+export function filterValuesMatch(actualValue, expectedValue) {
+    if (Array.isArray(expectedValue)) {
+        return (Array.isArray(actualValue) &&
+            actualValue.length === expectedValue.length &&
+            expectedValue.every((value) => actualValue.includes(value)));
+    }
+    if (expectedValue === null ||
+        typeof expectedValue === 'boolean' ||
+        typeof actualValue === 'boolean' ||
+        actualValue === null) {
+        return actualValue === expectedValue;
+    }
+    // The Report Viewer may reformat dates after a postback.
+    const expectedDateString = expectedValue instanceof Date
+        ? dateToString(expectedValue)
+        : normalizeDateString(expectedValue);
+    if (expectedDateString !== undefined &&
+        normalizeDateString(filterValueToString(actualValue)) === expectedDateString) {
+        return true;
+    }
+    return (filterValueToString(actualValue).trim() ===
+        filterValueToString(expectedValue).trim());
+}
 /**
  * Populates the report filters on a Report Viewer page.
+ * Supports text and date inputs, drop down lists, multi-select lists,
+ * true/false options, and the "NULL" checkbox.
  * @param page - FASTER Web Report Viewer page
  * @param reportFilters - Filters applied to the report.
  * @param options - Options.
  * @param options.timeoutMillis - The regular pause interval.
  */
 export async function applyReportFilters(page, reportFilters, options) {
-    await page.waitForSelector('label');
+    // Without labels, the filters are reported as not found below.
+    await waitForParameterLabels(page, options.timeoutMillis);
     const labelElements = await page.$$('label');
     const labelTextToInputId = {};
     for (const labelElement of labelElements) {
@@ -19,31 +342,48 @@ export async function applyReportFilters(page, reportFilters, options) {
         }
         // eslint-disable-next-line security/detect-object-injection
         labelTextToInputId[labelText] =
-            (await labelElement.evaluate((element) => element.getAttribute('for'))) ?? '';
-    }
-    for (const [labelSearchText, inputValue] of Object.entries(reportFilters)) {
-        let inputId = '';
-        for (const [labelText, possibleInputId] of Object.entries(labelTextToInputId)) {
-            if (labelText.includes(labelSearchText)) {
-                inputId = possibleInputId;
-                break;
-            }
-        }
+            (await labelElement.evaluate((element) => element.getAttribute('for'))) ??
+                '';
+    }
+    for (const [labelSearchText, filterValue] of Object.entries(reportFilters)) {
+        const inputId = findInputIdByLabel(labelTextToInputId, labelSearchText);
         if (inputId === '') {
-            throw new Error(`No filter found with label: ${labelSearchText}`);
+            throw new ReportFilterNotFoundError(labelSearchText);
         }
-        const inputElement = (await page.waitForSelector(`#${inputId}`, {
+        // Dependent filters are disabled until the filters they depend on are set.
+        const inputElement = (await page.waitForSelector(`#${inputId}:not([disabled])`, {
             timeout: options.timeoutMillis
         }));
         if (inputElement === null) {
-            throw new Error(`No element found with id: ${inputId}`);
+            throw new FasterElementNotFoundError(`No element found with id: ${inputId}`, `#${inputId}`, { step: 'filter' });
         }
-        await inputElement.evaluate((element) => {
-            if (element.tagName === 'INPUT') {
-                element.value = '';
+        const controlIdPrefix = inputId.replace(reportViewerControlIdSuffixRegex, '');
+        const hasNullCheckbox = await setNullCheckbox(page, controlIdPrefix, filterValue === null);
+        if (filterValue === null) {
+            if (!hasNullCheckbox) {
+                throw new ReportFilterValueError(`Filter does not allow NULL: ${labelSearchText}`, labelSearchText);
             }
-        });
-        await inputElement.type(inputValue);
+        }
+        else if (typeof filterValue === 'boolean') {
+            await setBooleanFilter(page, controlIdPrefix, inputElement, filterValue);
+        }
+        else if ((await page.$(`#${controlIdPrefix}divDropDown`)) !== null) {
+            const missingOptionLabels = await setMultiSelectFilter(page, controlIdPrefix, inputElement, Array.isArray(filterValue)
+                ? filterValue
+                : [filterValueToString(filterValue)]);
+            if (missingOptionLabels.length > 0) {
+                throw new ReportFilterValueError(`No options found with labels: ${missingOptionLabels.join(', ')}`, labelSearchText);
+            }
+        }
+        else if ((await inputElement.evaluate((element) => element.tagName)) === 'SELECT') {
+            const optionFound = await setSelectFilter(inputElement, filterValueToString(filterValue));
+            if (!optionFound) {
+                throw new ReportFilterValueError(`No option found with label: ${filterValueToString(filterValue)}`, labelSearchText);
+            }
+        }
+        else {
+            await setTextFilter(inputElement, filterValueToString(filterValue));
+        }
         await inputElement.evaluate((element) => {
             ;
             element.blur();
@@ -54,8 +394,14 @@ export async function applyReportFilters(page, reportFilters, options) {
                 timeout: options.timeoutMillis
             });
         }
+        const appliedValue = await getReportFilterValue(page, controlIdPrefix, inputId);
+        if (!filterValuesMatch(appliedValue, filterValue)) {
+            throw new ReportFilterValueError(`Unable to set filter "${labelSearchText}" to "${filterValueToString(filterValue)}".`, labelSearchText);
+        }
     }
-    const submitButtonElement = await page.waitForSelector('a:has(input[type="submit"])');
+    const submitButtonElement = await page.waitForSelector('a:has(input[type="submit"])', {
+        timeout: options.timeoutMillis
+    });
     await submitButtonElement?.scrollIntoView();
     await submitButtonElement?.click();
     await delay(longDelayMillis);
@@ -63,3 +409,105 @@ export async function applyReportFilters(page, reportFilters, options) {
         timeout: options.timeoutMillis
     });
 }
+/**
+ * Gets the ids of all frames on a page.
+ * Used to match browser download events to the page that started them.
+ * @param pageCdpSession - A CDP session attached to the page.
+ * @returns The frame ids.
+ */
+export async function getPageFrameIds(pageCdpSession) {
+    const { frameTree } = await pageCdpSession.send('Page.getFrameTree');
+    const frameIds = new Set();
+    const frameTreesToCheck = [frameTree];
+    while (frameTreesToCheck.length > 0) {
+        const currentFrameTree = frameTreesToCheck.pop();
+        frameIds.add(currentFrameTree.frame.id);
+        frameTreesToCheck.push(...(currentFrameTree.childFrames ?? []));
+    }
+    return frameIds;
+}
+/**
+ * The Report Viewer's client script settings include the export URL,
+ * ending with an empty "Format" parameter.
+ */
+const reportViewerExportUrlBaseRegex = /"ExportUrlBase":"((?:[^"\\]|\\.)*)"/;
+/**
+ * Gets the URL the Report Viewer uses to export the rendered report.
+ * The URL is only available once the report has rendered.
+ * @param page - Puppeteer page on a rendered report page
+ * @param exportFormat - The Report Viewer format name, like "PDF" or "EXCELOPENXML".
+ * @returns The absolute export URL.
+ */
+export async function getReportViewerExportUrl(page, exportFormat) {
+    const pageHtml = await page.content();
+    const exportUrlBaseJson = reportViewerExportUrlBaseRegex.exec(pageHtml)?.[1];
+    if (exportUrlBaseJson === undefined) {
+        throw new FasterReportExporterError('Unable to find the Report Viewer export URL. The report may not have rendered.', { step: 'export' });
+    }
+    const exportUrlBase = JSON.parse(`"${exportUrlBaseJson}"`);
+    return new URL(`${exportUrlBase}${encodeURIComponent(exportFormat)}`, page.url()).href;
+}
+/**
+ * Gets the selector for an item in the Report Viewer's export menu.
+ * Items are matched by the rendering format in their click handler,
+ * or by their title.
+ * @param exportType - The export type.
+ * @returns The menu item selector.
+ */
+export function getReportExportMenuItemSelector(exportType) {
+    // eslint-disable-next-line security/detect-object-injection
+    const exportFormat = reportViewerExportFormats[exportType];
+    // eslint-disable-next-line security/detect-object-injection
+    const menuTitle = reportViewerExportMenuTitles[exportType];
+    return `${reportViewerExportMenuSelector} a[onclick*="'${exportFormat}'"], ${reportViewerExportMenuSelector} a[title='${menuTitle}']`;
+}
+/**
+ * Gets the export types offered in the Report Viewer's export menu.
+ * The menu items are on the page, even when the menu is closed.
+ * @param page - Puppeteer page on a rendered report page
+ * @returns The available export types, or an empty array if the menu is missing.
+ */
+export async function getReportExportTypes(page) {
+    const menuItems = await page.$$eval(`${reportViewerExportMenuSelector} a`, (anchorElements) => anchorElements.map((anchorElement) => ({
+        clickHandler: anchorElement.getAttribute('onclick') ??
+            anchorElement.getAttribute('href') ??
+            '',
+        title: anchorElement.getAttribute('title') ?? ''
+    })));
+    return Object.keys(reportExportTypes).filter((exportType) => menuItems.some((menuItem) => menuItem.clickHandler.includes(
+    // eslint-disable-next-line security/detect-object-injection
+    `'${reportViewerExportFormats[exportType]}'`) ||
+        // eslint-disable-next-line security/detect-object-injection
+        menuItem.title === reportViewerExportMenuTitles[exportType]));
+}
+/**
+ * Gets the column headers and row values on the current page of a grid.
+ * @param page - Puppeteer page
+ * @param gridSelector - The selector for the grid's table.
+ * @returns The column headers, and the values in each row.
+ */
+export async function getGridValues(page, gridSelector) {
+    const headers = await page.$$eval(`${gridSelector} > thead > tr:not(.rgPager) > th`, (headerElements) => headerElements.map((headerElement) => headerElement.textContent.trim()));
+    const rows = await page.$$eval(`${gridSelector} > tbody > tr`, (rowElements) => rowElements.map((rowElement) => [...rowElement.cells].map((cellElement) => cellElement.textContent.trim())));
+    return { headers, rows };
+}
+/**
+ * Moves a paged grid to its next page.
+ * @param page - Puppeteer page
+ * @param gridSelector - The selector for the grid's table.
+ * @param timeoutMillis - The timeout for the page to reload.
+ * @returns True when the grid moved to the next page,
+ *          false when it was already on its last page.
+ */
+export async function goToNextGridPage(page, gridSelector, timeoutMillis) {
+    const nextPageElement = await page.$(`${gridSelector} .rgNumPart a.rgCurrentPage + a`);
+    if (nextPageElement === null) {
+        return false;
+    }
+    await nextPageElement.click();
+    await delay(longDelayMillis);
+    await page.waitForNetworkIdle({
+        timeout: timeoutMillis
+    });
+    return true;
+}
@@ -3,10 +3,534 @@
 
 import type { puppeteer } from '@cityssm/puppeteer-launch'
 
+import { dateToString } from '@cityssm/utils-datetime'
+
+import {
+  FasterElementNotFoundError,
+  FasterReportExporterError,
+  ReportFilterNotFoundError,
+  ReportFilterValueError
+} from './errors.js'
+import {
+  reportExportTypes,
+  reportViewerExportFormats,
+  reportViewerExportMenuSelector,
+  reportViewerExportMenuTitles
+} from './lookups.js'
+import type {
+  ReportExportType,
+  ReportFilters,
+  ReportFilterValue,
+  ReportParameterControlType,
+  ReportParameterDescription
+} from './types.js'
 import { delay, longDelayMillis } from './utilities.js'
 
+/**
+ * Report Viewer parameter controls share an id prefix,
+ * followed by one of these suffixes.
+ */
+const reportViewerControlIdSuffixRegex =
+  /(?:cbNull|ddDropDownButton|ddValue|divDropDown|rbFalse|rbTrue|txtValue)$/
+
+/**
+ * Finds the input id for a filter label.
+ * Exact label matches are preferred over partial matches.
+ * @param labelTextToInputId - Label text mapped to the label's "for" attribute.
+ * @param labelSearchText - The label to find.
+ * @returns The input id, or an empty string if no label matches.
+ */
+function findInputIdByLabel(
+  labelTextToInputId: Record<string, string>,
+  labelSearchText: string
+): string {
+  const labelEntries = Object.entries(labelTextToInputId)
+
+  const exactLabelEntry = labelEntries.find(
+    ([labelText]) => labelText.trim() === labelSearchText.trim()
+  )
+
+  if (exactLabelEntry !== undefined) {
+    return exactLabelEntry[1]
+  }
+
+  return (
+    labelEntries.find(([labelText]) =>
+      labelText.includes(labelSearchText)
+    )?.[1] ?? ''
+  )
+}
+
+/**
+ * Date formats shown in Report Viewer date inputs,
+ * like "2026-01-31", or "1/31/2026 12:00:00 AM" after a postback.
+ */
+const isoDateStringRegex = /^(?<year>\d{4})-(?<month>\d{1,2})-(?<day>\d{1,2})\b/
+const usDateStringRegex =
+  /^(?<month>\d{1,2})\/(?<day>\d{1,2})\/(?<year>\d{4})\b/
+
+/**
+ * Reformats a date string in the same format as `dateToString()`.
+ * The date is not parsed into a `Date`, so it cannot shift between time zones.
+ * @param dateString - A date, like "2026-01-31" or "1/31/2026 12:00:00 AM".
+ * @returns The date formatted as YYYY-MM-DD, or `undefined` if it is not a date.
+ */
+function normalizeDateString(dateString: string): string | undefined {
+  const trimmedDateString = dateString.trim()
+
+  const dateParts = (
+    isoDateStringRegex.exec(trimmedDateString) ??
+    usDateStringRegex.exec(trimmedDateString)
+  )?.groups
+
+  if (dateParts === undefined) {
+    return undefined
+  }
+
+  return `${dateParts.year}-${dateParts.month.padStart(2, '0')}-${dateParts.day.padStart(2, '0')}`
+}
+
+/**
+ * Formats a filter value the way it is typed into a text input.
+ * Dates use the same format as `dateToString()`.
+ * @param filterValue - The filter value.
+ * @returns The text value.
+ */
+export function filterValueToString(filterValue: ReportFilterValue): string {
+  if (filterValue instanceof Date) {
+    return dateToString(filterValue)
+  }
+
+  if (Array.isArray(filterValue)) {
+    return filterValue.join(', ')
+  }
+
+  return String(filterValue)
+}
+
+/**
+ * Checks or unchecks the "NULL" checkbox of a filter.
+ * @param page - FASTER Web Report Viewer page
+ * @param controlIdPrefix - The id prefix shared by the filter's controls.
+ * @param isNull - `true` to check the checkbox.
+ * @returns `true` if the filter has a "NULL" checkbox.
+ */
+async function setNullCheckbox(
+  page: puppeteer.Page,
+  controlIdPrefix: string,
+  isNull: boolean
+): Promise<boolean> {
+  const nullCheckboxElement = (await page.$(
+    `#${controlIdPrefix}cbNull`
+  )) as puppeteer.ElementHandle<HTMLInputElement> | null
+
+  if (nullCheckboxElement === null) {
+    return false
+  }
+
+  const isChecked = await nullCheckboxElement.evaluate(
+    (element) => element.checked
+  )
+
+  if (isChecked !== isNull) {
+    await nullCheckboxElement.click()
+  }
+
+  return true
+}
+
+/**
+ * Selects the "True" or "False" option of a filter,
+ * or checks or unchecks a checkbox filter.
+ * @param page - FASTER Web Report Viewer page
+ * @param controlIdPrefix - The id prefix shared by the filter's controls.
+ * @param inputElement - The filter's input.
+ * @param filterValue - The filter value.
+ */
+async function setBooleanFilter(
+  page: puppeteer.Page,
+  controlIdPrefix: string,
+  inputElement: puppeteer.ElementHandle<HTMLInputElement | HTMLSelectElement>,
+  filterValue: boolean
+): Promise<void> {
+  const radioElement = (await page.$(
+    `#${controlIdPrefix}${filterValue ? 'rbTrue' : 'rbFalse'}`
+  )) as puppeteer.ElementHandle<HTMLInputElement> | null
+
+  if (radioElement === null) {
+    const isChecked = await inputElement.evaluate(
+      (element) => (element as HTMLInputElement).checked
+    )
+
+    if (isChecked !== filterValue) {
+      await inputElement.click()
+    }
+  } else {
+    await radioElement.click()
+  }
+}
+
+/**
+ * Selects a drop down list option by its label or value.
+ * @param inputElement - The drop down list.
+ * @param filterValue - The option label or value.
+ * @returns `true` if the option was found.
+ */
+async function setSelectFilter(
+  inputElement: puppeteer.ElementHandle<HTMLSelectElement>,
+  filterValue: string
+): Promise<boolean> {
+  const optionValue = await inputElement.evaluate(
+    (element, optionText) =>
+      [...element.options].find(
+        (option) =>
+          option.text.trim() === optionText || option.value === optionText
+      )?.value,
+    filterValue
+  )
+
+  if (optionValue === undefined) {
+    return false
+  }
+
+  await inputElement.select(optionValue)
+
+  return true
+}
+
+/**
+ * Checks the given options in a multi-select list, and unchecks the rest.
+ * @param page - FASTER Web Report Viewer page
+ * @param controlIdPrefix - The id prefix shared by the filter's controls.
+ * @param inputElement - The text box that opens the list.
+ * @param filterValues - The option labels to check.
+ * @returns The option labels that were not found.
+ */
+async function setMultiSelectFilter(
+  page: puppeteer.Page,
+  controlIdPrefix: string,
+  inputElement: puppeteer.ElementHandle<HTMLInputElement | HTMLSelectElement>,
+  filterValues: string[]
+): Promise<string[]> {
+  // Open the drop down list of checkboxes
+  await inputElement.click()
+  await delay()
+
+  const missingOptionLabels = await page.evaluate(
+    (dropDownId, optionLabels) => {
+      const labelsToFind = new Set(optionLabels)
+
+      // eslint-disable-next-line unicorn/prefer-query-selector
+      const dropDownElement = document.getElementById(dropDownId)
+
+      for (const checkboxElement of dropDownElement?.querySelectorAll(
+        'input[type="checkbox"]'
+      ) ?? []) {
+        const optionLabel =
+          dropDownElement
+            ?.querySelector(`label[for="${checkboxElement.id}"]`)
+            ?.textContent?.trim() ?? ''
+
+        // "(Select All)" is driven by the other checkboxes.
+        if (optionLabel === '(Select All)') {
+          continue
+        }
+
+        const shouldBeChecked = labelsToFind.delete(optionLabel)
+
+        if ((checkboxElement as HTMLInputElement).checked !== shouldBeChecked) {
+          ;(checkboxElement as HTMLInputElement).click()
+        }
+      }
+
+      return [...labelsToFind]
+    },
+    `${controlIdPrefix}divDropDown`,
+    filterValues
+  )
+
+  // Close the drop down list
+  await inputElement.click()
+
+  return missingOptionLabels
+}
+
+/**
+ * Replaces the value of a text or date input.
+ * @param inputElement - The input.
+ * @param filterValue - The text value.
+ */
+async function setTextFilter(
+  inputElement: puppeteer.ElementHandle<HTMLInputElement | HTMLSelectElement>,
+  filterValue: string
+): Promise<void> {
+  await inputElement.evaluate((element) => {
+    if (element.tagName === 'INPUT') {
+      element.value = ''
+    }
+  })
+
+  await inputElement.type(filterValue)
+}
+
+/**
+ * Reads back the value of a filter control, to verify that a value was applied.
+ * @param page - FASTER Web Report Viewer page
+ * @param controlIdPrefix - The id prefix shared by the filter's controls.
+ * @param inputId - The id of the filter's input.
+ * @returns The current filter value.
+ */
+export async function getReportFilterValue(
+  page: puppeteer.Page,
+  controlIdPrefix: string,
+  inputId: string
+): Promise<ReportFilterValue> {
+  return await page.evaluate(
+    (idPrefix, elementId) => {
+      const nullCheckboxElement = document.querySelector<HTMLInputElement>(
+        `#${idPrefix}cbNull`
+      )
+
+      if (nullCheckboxElement?.checked ?? false) {
+        return null
+      }
+
+      const trueRadioElement = document.querySelector<HTMLInputElement>(
+        `#${idPrefix}rbTrue`
+      )
+
+      const falseRadioElement = document.querySelector<HTMLInputElement>(
+        `#${idPrefix}rbFalse`
+      )
+
+      if (trueRadioElement !== null && falseRadioElement !== null) {
+        return trueRadioElement.checked
+      }
+
+      const dropDownElement = document.querySelector(`#${idPrefix}divDropDown`)
+
+      if (dropDownElement !== null) {
+        const checkedOptionLabels: string[] = []
+
+        for (const checkboxElement of dropDownElement.querySelectorAll<HTMLInputElement>(
+          'input[type="checkbox"]:checked'
+        )) {
+          const optionLabel =
+            dropDownElement
+              .querySelector(`label[for="${checkboxElement.id}"]`)
+              ?.textContent?.trim() ?? ''
+
+          if (optionLabel !== '(Select All)') {
+            checkedOptionLabels.push(optionLabel)
+          }
+        }
+
+        return checkedOptionLabels
+      }
+
+      const inputElement = document.querySelector<
+        HTMLInputElement | HTMLSelectElement
+      >(`#${elementId}`)
+
+      if (inputElement === null) {
+        return ''
+      }
+
+      if (inputElement instanceof HTMLSelectElement) {
+        return inputElement.selectedOptions.item(0)?.text.trim() ?? ''
+      }
+
+      if (inputElement.type === 'checkbox' || inputElement.type === 'radio') {
+        return inputElement.checked
+      }
+
+      return inputElement.value
+    },
+    controlIdPrefix,
+    inputId
+  )
+}
+
+/**
+ * Waits for the parameter labels on a Report Viewer page.
+ * @param page - FASTER Web Report Viewer page
+ * @param timeoutMillis - How long to wait for the labels.
+ * @returns `false` if no labels appear before the timeout,
+ *          like on reports without parameters.
+ */
+async function waitForParameterLabels(
+  page: puppeteer.Page,
+  timeoutMillis: number
+): Promise<boolean> {
+  try {
+    await page.waitForSelector('label', { timeout: timeoutMillis })
+  } catch (error) {
+    if (error instanceof Error && error.name === 'TimeoutError') {
+      return false
+    }
+
+    throw error
+  }
+
+  return true
+}
+
+/**
+ * Lists the parameters on a Report Viewer page.
+ * @param page - FASTER Web Report Viewer page
+ * @param options - Options.
+ * @param options.timeoutMillis - How long to wait for the parameters.
+ * @returns The parameter labels, input ids, control types, values, and options.
+ *          Empty if the report has no parameters.
+ */
+export async function getReportParameters(
+  page: puppeteer.Page,
+  options: {
+    timeoutMillis: number
+  }
+): Promise<ReportParameterDescription[]> {
+  if (!(await waitForParameterLabels(page, options.timeoutMillis))) {
+    return []
+  }
+
+  const parameterControls = await page.evaluate(
+    (controlIdSuffixRegexSource) => {
+      const controlIdSuffixRegex = new RegExp(controlIdSuffixRegexSource)
+
+      const controls: Array<
+        Omit<ReportParameterDescription, 'value'> & { controlIdPrefix: string }
+      > = []
+
+      for (const labelElement of document.querySelectorAll('label')) {
+        const inputId = labelElement.getAttribute('for') ?? ''
+
+        // Skip labels that are not parameter prompts,
+        // like multi-select options and "NULL" checkboxes.
+        if (
+          !/(?:ddValue|rbTrue|txtValue)$/.test(inputId) ||
+          labelElement.closest('[id$="divDropDown"]') !== null
+        ) {
+          continue
+        }
+
+        const controlIdPrefix = inputId.replace(controlIdSuffixRegex, '')
+
+        const inputElement = document.querySelector<
+          HTMLInputElement | HTMLSelectElement
+        >(`#${inputId}`)
+
+        const dropDownElement = document.querySelector(
+          `#${controlIdPrefix}divDropDown`
+        )
+
+        let controlType: ReportParameterControlType = 'text'
+        let options: string[] = []
+
+        if (dropDownElement !== null) {
+          controlType = 'multiSelect'
+          options = [...dropDownElement.querySelectorAll('label')]
+            .map((optionLabelElement) => optionLabelElement.textContent.trim())
+            .filter((optionLabel) => optionLabel !== '(Select All)')
+        } else if (inputElement instanceof HTMLSelectElement) {
+          controlType = 'select'
+          options = [...inputElement.options].map((option) =>
+            option.text.trim()
+          )
+        } else if (inputId.endsWith('rbTrue')) {
+          controlType = 'boolean'
+        } else if (inputElement?.type === 'checkbox') {
+          controlType = 'checkbox'
+        } else if (
+          document.querySelector(
+            `input[type="image"][id^="${controlIdPrefix}"], img[id^="${controlIdPrefix}"]`
+          ) !== null
+        ) {
+          controlType = 'date'
+        }
+
+        controls.push({
+          label: labelElement.textContent.trim(),
+          inputId,
+          controlIdPrefix,
+          controlType,
+          options,
+          allowsNull:
+            document.querySelector(`#${controlIdPrefix}cbNull`) !== null,
+          isDisabled: inputElement?.disabled ?? false
+        })
+      }
+
+      return controls
+    },
+    reportViewerControlIdSuffixRegex.source
+  )
+
+  const parameters: ReportParameterDescription[] = []
+
+  for (const { controlIdPrefix, ...parameterControl } of parameterControls) {
+    parameters.push({
+      ...parameterControl,
+      value: await getReportFilterValue(
+        page,
+        controlIdPrefix,
+        parameterControl.inputId
+      )
+    })
+  }
+
+  return parameters
+}
+
+/**
+ * Checks if a filter value read from the page matches the requested value.
+ * @param actualValue - The value read from the page.
+ * @param expectedValue - The requested value.
+ * @returns `true` if the values match.
+ */
+export function filterValuesMatch(
+  actualValue: ReportFilterValue,
+  expectedValue: ReportFilterValue
+): boolean {
+  if (Array.isArray(expectedValue)) {
+    return (
+      Array.isArray(actualValue) &&
+      actualValue.length === expectedValue.length &&
+      expectedValue.every((value) => actualValue.includes(value))
+    )
+  }
+
+  if (
+    expectedValue === null ||
+    typeof expectedValue === 'boolean' ||
+    typeof actualValue === 'boolean' ||
+    actualValue === null
+  ) {
+    return actualValue === expectedValue
+  }
+
+  // The Report Viewer may reformat dates after a postback.
+  const expectedDateString =
+    expectedValue instanceof Date
+      ? dateToString(expectedValue)
+      : normalizeDateString(expectedValue)
+
+  if (
+    expectedDateString !== undefined &&
+    normalizeDateString(filterValueToString(actualValue)) === expectedDateString
+  ) {
+    return true
+  }
+
+  return (
+    filterValueToString(actualValue).trim() ===
+    filterValueToString(expectedValue).trim()
+  )
+}
+
 /**
  * Populates the report filters on a Report Viewer page.
+ * Supports text and date inputs, drop down lists, multi-select lists,
+ * true/false options, and the "NULL" checkbox.
  * @param page - FASTER Web Report Viewer page
  * @param reportFilters - Filters applied to the report.
  * @param options - Options.
@@ -14,19 +538,23 @@ import { delay, longDelayMillis } from './utilities.js'
  */
 export async function applyReportFilters(
   page: puppeteer.Page,
-  reportFilters: Record<string, string>,
+  reportFilters: ReportFilters,
   options: {
     timeoutMillis: number
   }
 ): Promise<void> {
-  await page.waitForSelector('label')
+  // Without labels, the filters are reported as not found below.
+  await waitForParameterLabels(page, options.timeoutMillis)
 
   const labelElements = await page.$$('label')
 
   const labelTextToInputId: Record<string, string> = {}
 
   for (const labelElement of labelElements) {
-    const labelText = await labelElement.evaluate((element) => element.textContent, labelElement)
+    const labelText = await labelElement.evaluate(
+      (element) => element.textContent,
+      labelElement
+    )
 
     if (labelText === null) {
       continue
@@ -34,46 +562,91 @@ export async function applyReportFilters(
 
     // eslint-disable-next-line security/detect-object-injection
     labelTextToInputId[labelText] =
-      (await labelElement.evaluate((element) => element.getAttribute('for'))) ?? ''
+      (await labelElement.evaluate((element) => element.getAttribute('for'))) ??
+      ''
   }
 
-  for (const [labelSearchText, inputValue] of Object.entries(reportFilters)) {
-    let inputId = ''
-
-    for (const [labelText, possibleInputId] of Object.entries(
-      labelTextToInputId
-    )) {
-      if (labelText.includes(labelSearchText)) {
-        inputId = possibleInputId
-        break
-      }
-    }
+  for (const [labelSearchText, filterValue] of Object.entries(reportFilters)) {
+    const inputId = findInputIdByLabel(labelTextToInputId, labelSearchText)
 
     if (inputId === '') {
-      throw new Error(`No filter found with label: ${labelSearchText}`)
+      throw new ReportFilterNotFoundError(labelSearchText)
     }
 
-    const inputElement = (await page.waitForSelector(`#${inputId}`, {
-      timeout: options.timeoutMillis
-    })) as puppeteer.ElementHandle<HTMLInputElement | HTMLSelectElement> | null
+    // Dependent filters are disabled until the filters they depend on are set.
+    const inputElement = (await page.waitForSelector(
+      `#${inputId}:not([disabled])`,
+      {
+        timeout: options.timeoutMillis
+      }
+    )) as puppeteer.ElementHandle<HTMLInputElement | HTMLSelectElement> | null
 
     if (inputElement === null) {
-      throw new Error(`No element found with id: ${inputId}`)
+      throw new FasterElementNotFoundError(
+        `No element found with id: ${inputId}`,
+        `#${inputId}`,
+        { step: 'filter' }
+      )
     }
 
-    await inputElement.evaluate((element) => {
-      if (element.tagName === 'INPUT') {
-        element.value = ''
+    const controlIdPrefix = inputId.replace(
+      reportViewerControlIdSuffixRegex,
+      ''
+    )
+
+    const hasNullCheckbox = await setNullCheckbox(
+      page,
+      controlIdPrefix,
+      filterValue === null
+    )
+
+    if (filterValue === null) {
+      if (!hasNullCheckbox) {
+        throw new ReportFilterValueError(
+          `Filter does not allow NULL: ${labelSearchText}`,
+          labelSearchText
+        )
       }
-    })
+    } else if (typeof filterValue === 'boolean') {
+      await setBooleanFilter(page, controlIdPrefix, inputElement, filterValue)
+    } else if ((await page.$(`#${controlIdPrefix}divDropDown`)) !== null) {
+      const missingOptionLabels = await setMultiSelectFilter(
+        page,
+        controlIdPrefix,
+        inputElement,
+        Array.isArray(filterValue)
+          ? filterValue
+          : [filterValueToString(filterValue)]
+      )
 
-    await inputElement.type(inputValue)
+      if (missingOptionLabels.length > 0) {
+        throw new ReportFilterValueError(
+          `No options found with labels: ${missingOptionLabels.join(', ')}`,
+          labelSearchText
+        )
+      }
+    } else if (
+      (await inputElement.evaluate((element) => element.tagName)) === 'SELECT'
+    ) {
+      const optionFound = await setSelectFilter(
+        inputElement as puppeteer.ElementHandle<HTMLSelectElement>,
+        filterValueToString(filterValue)
+      )
+
+      if (!optionFound) {
+        throw new ReportFilterValueError(
+          `No option found with label: ${filterValueToString(filterValue)}`,
+          labelSearchText
+        )
+      }
+    } else {
+      await setTextFilter(inputElement, filterValueToString(filterValue))
+    }
 
     await inputElement.evaluate((element) => {
       ;(element as HTMLInputElement).blur()
     })
 
-     
     if (Object.keys(reportFilters).length > 1) {
       await delay(longDelayMillis)
 
@@ -81,10 +654,26 @@ export async function applyReportFilters(
         timeout: options.timeoutMillis
       })
     }
+
+    const appliedValue = await getReportFilterValue(
+      page,
+      controlIdPrefix,
+      inputId
+    )
+
+    if (!filterValuesMatch(appliedValue, filterValue)) {
+      throw new ReportFilterValueError(
+        `Unable to set filter "${labelSearchText}" to "${filterValueToString(filterValue)}".`,
+        labelSearchText
+      )
+    }
   }
 
   const submitButtonElement = await page.waitForSelector(
-    'a:has(input[type="submit"])'
+    'a:has(input[type="submit"])',
+    {
+      timeout: options.timeoutMillis
+    }
   )
 
   await submitButtonElement?.scrollIntoView()
@@ -96,3 +685,179 @@ export async function applyReportFilters(
     timeout: options.timeoutMillis
   })
 }
+
+/**
+ * Gets the ids of all frames on a page.
+ * Used to match browser download events to the page that started them.
+ * @param pageCdpSession - A CDP session attached to the page.
+ * @returns The frame ids.
+ */
+export async function getPageFrameIds(
+  pageCdpSession: puppeteer.CDPSession
+): Promise<Set<string>> {
+  const { frameTree } = await pageCdpSession.send('Page.getFrameTree')
+
+  const frameIds = new Set<string>()
+
+  const frameTreesToCheck = [frameTree]
+
+  while (frameTreesToCheck.length > 0) {
+    const currentFrameTree = frameTreesToCheck.pop() as typeof frameTree
+
+    frameIds.add(currentFrameTree.frame.id)
+    frameTreesToCheck.push(...(currentFrameTree.childFrames ?? []))
+  }
+
+  return frameIds
+}
+
+/**
+ * The Report Viewer's client script settings include the export URL,
+ * ending with an empty "Format" parameter.
+ */
+const reportViewerExportUrlBaseRegex = /"ExportUrlBase":"((?:[^"\\]|\\.)*)"/
+
+/**
+ * Gets the URL the Report Viewer uses to export the rendered report.
+ * The URL is only available once the report has rendered.
+ * @param page - Puppeteer page on a rendered report page
+ * @param exportFormat - The Report Viewer format name, like "PDF" or "EXCELOPENXML".
+ * @returns The absolute export URL.
+ */
+export async function getReportViewerExportUrl(
+  page: puppeteer.Page,
+  exportFormat: string
+): Promise<string> {
+  const pageHtml = await page.content()
+
+  const exportUrlBaseJson = reportViewerExportUrlBaseRegex.exec(pageHtml)?.[1]
+
+  if (exportUrlBaseJson === undefined) {
+    throw new FasterReportExporterError(
+      'Unable to find the Report Viewer export URL. The report may not have rendered.',
+      { step: 'export' }
+    )
+  }
+
+  const exportUrlBase = JSON.parse(`"${exportUrlBaseJson}"`) as string
+
+  return new URL(
+    `${exportUrlBase}${encodeURIComponent(exportFormat)}`,
+    page.url()
+  ).href
+}
+
+/**
+ * Gets the selector for an item in the Report Viewer's export menu.
+ * Items are matched by the rendering format in their click handler,
+ * or by their title.
+ * @param exportType - The export type.
+ * @returns The menu item selector.
+ */
+export function getReportExportMenuItemSelector(
+  exportType: ReportExportType
+): string {
+  // eslint-disable-next-line security/detect-object-injection
+  const exportFormat = reportViewerExportFormats[exportType]
+
+  // eslint-disable-next-line security/detect-object-injection
+  const menuTitle = reportViewerExportMenuTitles[exportType]
+
+  return `${reportViewerExportMenuSelector} a[onclick*="'${exportFormat}'"], ${reportViewerExportMenuSelector} a[title='${menuTitle}']`
+}
+
+/**
+ * Gets the export types offered in the Report Viewer's export menu.
+ * The menu items are on the page, even when the menu is closed.
+ * @param page - Puppeteer page on a rendered report page
+ * @returns The available export types, or an empty array if the menu is missing.
+ */
+export async function getReportExportTypes(
+  page: puppeteer.Page
+): Promise<ReportExportType[]> {
+  const menuItems = await page.$$eval(
+    `${reportViewerExportMenuSelector} a`,
+    (anchorElements) =>
+      anchorElements.map((anchorElement) => ({
+        clickHandler:
+          anchorElement.getAttribute('onclick') ??
+          anchorElement.getAttribute('href') ??
+          '',
+        title: anchorElement.getAttribute('title') ?? ''
+      }))
+  )
+
+  return (Object.keys(reportExportTypes) as ReportExportType[]).filter(
+    (exportType) =>
+      menuItems.some(
+        (menuItem) =>
+          menuItem.clickHandler.includes(
+            // eslint-disable-next-line security/detect-object-injection
+            `'${reportViewerExportFormats[exportType]}'`
+          ) ||
+          // eslint-disable-next-line security/detect-object-injection
+          menuItem.title === reportViewerExportMenuTitles[exportType]
+      )
+  )
+}
+
+/**
+ * Gets the column headers and row values on the current page of a grid.
+ * @param page - Puppeteer page
+ * @param gridSelector - The selector for the grid's table.
+ * @returns The column headers, and the values in each row.
+ */
+export async function getGridValues(
+  page: puppeteer.Page,
+  gridSelector: string
+): Promise<{ headers: string[]; rows: string[][] }> {
+  const headers = await page.$$eval(
+    `${gridSelector} > thead > tr:not(.rgPager) > th`,
+    (headerElements) =>
+      headerElements.map((headerElement) => headerElement.textContent.trim())
+  )
+
+  const rows = await page.$$eval(
+    `${gridSelector} > tbody > tr`,
+    (rowElements) =>
+      rowElements.map((rowElement) =>
+        [...rowElement.cells].map((cellElement) =>
+          cellElement.textContent.trim()
+        )
+      )
+  )
+
+  return { headers, rows }
+}
+
+/**
+ * Moves a paged grid to its next page.
+ * @param page - Puppeteer page
+ * @param gridSelector - The selector for the grid's table.
+ * @param timeoutMillis - The timeout for the page to reload.
+ * @returns True when the grid moved to the next page,
+ *          false when it was already on its last page.
+ */
+export async function goToNextGridPage(
+  page: puppeteer.Page,
+  gridSelector: string,
+  timeoutMillis: number
+): Promise<boolean> {
+  const nextPageElement = await page.$(
+    `${gridSelector} .rgNumPart a.rgCurrentPage + a`
+  )
+
+  if (nextPageElement === null) {
+    return false
+  }
+
+  await nextPageElement.click()
+
+  await delay(longDelayMillis)
+
+  await page.waitForNetworkIdle({
+    timeout: timeoutMillis
+  })
+
+  return true
+}
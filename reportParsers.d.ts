@@ -0,0 +1,80 @@
+export interface ReportRecord {
+    /** All values in the row, by their original column header. */
+    fields: Record<string, string>;
+}
+export interface AssetListRecord extends ReportRecord {
+    assetNumber: string;
+    description?: string;
+    year?: number;
+    make?: string;
+    model?: string;
+    serialNumber?: string;
+    licencePlate?: string;
+    organization?: string;
+    department?: string;
+    status?: string;
+    meterReading?: number;
+}
+export interface InventoryRecord extends ReportRecord {
+    itemNumber: string;
+    description?: string;
+    storeroom?: string;
+    itemCategory?: string;
+    binLocation?: string;
+    quantityOnHand?: number;
+    unitCost?: number;
+    totalCost?: number;
+}
+export interface MessageLogRecord extends ReportRecord {
+    message: string;
+    messageDate?: Date;
+    messageType?: string;
+    source?: string;
+    userName?: string;
+}
+/**
+ * Splits CSV text into rows of values.
+ * Handles quoted values, escaped quotes, and line breaks in quoted values.
+ * @param csvText - The CSV text.
+ * @returns The rows, including blank rows.
+ */
+export declare function parseCsv(csvText: string): string[][];
+/**
+ * Splits CSV rows into data regions.
+ * Reports with more than one table or list export each one
+ * with its own header row, separated by a blank row.
+ * @param rows - The CSV rows.
+ * @returns The data regions, each starting with its header row.
+ */
+export declare function splitCsvDataRegions(rows: string[][]): string[][][];
+/**
+ * Parses a number from a report, like "1,234.50", "$12.00" or "(5.00)".
+ * @param value - The report value.
+ * @returns The number, or undefined when the value is blank or not a number.
+ */
+export declare function parseReportNumber(value: string): number | undefined;
+/**
+ * Parses a date from a report,
+ * like "1/31/2025 2:05:00 PM" or "2025-01-31T14:05:00".
+ * @param value - The report value.
+ * @returns The local date, or undefined when the value is blank or not a date.
+ */
+export declare function parseReportDate(value: string): Date | undefined;
+/**
+ * Parses an Asset Master List (W114) CSV export.
+ * @param csvText - The CSV text.
+ * @returns The assets.
+ */
+export declare function parseAssetListCsv(csvText: string): AssetListRecord[];
+/**
+ * Parses an Inventory Report (W200) CSV export.
+ * @param csvText - The CSV text.
+ * @returns The inventory items.
+ */
+export declare function parseInventoryCsv(csvText: string): InventoryRecord[];
+/**
+ * Parses a Message Logger (W603) CSV export.
+ * @param csvText - The CSV text.
+ * @returns The messages.
+ */
+export declare function parseMessageLogCsv(csvText: string): MessageLogRecord[];
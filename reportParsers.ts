@@ -0,0 +1,521 @@
+type ReportFieldType = 'date' | 'number' | 'string'
+
+interface ReportFieldDefinition<K extends string> {
+  field: K
+  type: ReportFieldType
+
+  /** Normalized column headers that hold the field. */
+  headers: string[]
+}
+
+interface ReportRecordDefinition<K extends string> {
+  fields: Array<ReportFieldDefinition<K>>
+
+  /** Rows without this field are group headers, subtotals, or blank. */
+  keyField: K
+}
+
+export interface ReportRecord {
+  /** All values in the row, by their original column header. */
+  fields: Record<string, string>
+}
+
+export interface AssetListRecord extends ReportRecord {
+  assetNumber: string
+  description?: string
+  year?: number
+  make?: string
+  model?: string
+  serialNumber?: string
+  licencePlate?: string
+  organization?: string
+  department?: string
+  status?: string
+  meterReading?: number
+}
+
+export interface InventoryRecord extends ReportRecord {
+  itemNumber: string
+  description?: string
+  storeroom?: string
+  itemCategory?: string
+  binLocation?: string
+  quantityOnHand?: number
+  unitCost?: number
+  totalCost?: number
+}
+
+export interface MessageLogRecord extends ReportRecord {
+  message: string
+  messageDate?: Date
+  messageType?: string
+  source?: string
+  userName?: string
+}
+
+const assetListDefinition: ReportRecordDefinition<
+  Exclude<keyof AssetListRecord, 'fields'>
+> = {
+  keyField: 'assetNumber',
+  fields: [
+    {
+      field: 'assetNumber',
+      type: 'string',
+      headers: ['asset', 'assetnumber', 'assetno', 'assetid', 'unitnumber']
+    },
+    {
+      field: 'description',
+      type: 'string',
+      headers: ['description', 'assetdescription']
+    },
+    { field: 'year', type: 'number', headers: ['year', 'modelyear'] },
+    { field: 'make', type: 'string', headers: ['make', 'manufacturer'] },
+    { field: 'model', type: 'string', headers: ['model'] },
+    {
+      field: 'serialNumber',
+      type: 'string',
+      headers: ['serial', 'serialnumber', 'serialno', 'vin']
+    },
+    {
+      field: 'licencePlate',
+      type: 'string',
+      headers: ['licence', 'licenceplate', 'license', 'licenseplate', 'plate']
+    },
+    {
+      field: 'organization',
+      type: 'string',
+      headers: ['organization', 'organisation', 'org']
+    },
+    {
+      field: 'department',
+      type: 'string',
+      headers: ['department', 'dept']
+    },
+    {
+      field: 'status',
+      type: 'string',
+      headers: ['status', 'assetstatus']
+    },
+    {
+      field: 'meterReading',
+      type: 'number',
+      headers: ['meter', 'meterreading', 'odometer', 'primarymeter']
+    }
+  ]
+}
+
+const inventoryDefinition: ReportRecordDefinition<
+  Exclude<keyof InventoryRecord, 'fields'>
+> = {
+  keyField: 'itemNumber',
+  fields: [
+    {
+      field: 'itemNumber',
+      type: 'string',
+      headers: ['item', 'itemnumber', 'itemno', 'partnumber', 'partno']
+    },
+    {
+      field: 'description',
+      type: 'string',
+      headers: ['description', 'itemdescription', 'partdescription']
+    },
+    {
+      field: 'storeroom',
+      type: 'string',
+      headers: ['storeroom', 'storeroomname', 'location']
+    },
+    {
+      field: 'itemCategory',
+      type: 'string',
+      headers: ['category', 'itemcategory']
+    },
+    {
+      field: 'binLocation',
+      type: 'string',
+      headers: ['bin', 'binlocation']
+    },
+    {
+      field: 'quantityOnHand',
+      type: 'number',
+      headers: ['onhand', 'qtyonhand', 'quantity', 'quantityonhand']
+    },
+    {
+      field: 'unitCost',
+      type: 'number',
+      headers: ['unitcost', 'averagecost', 'avgcost', 'cost']
+    },
+    {
+      field: 'totalCost',
+      type: 'number',
+      headers: ['totalcost', 'extendedcost', 'totalvalue', 'value']
+    }
+  ]
+}
+
+const messageLogDefinition: ReportRecordDefinition<
+  Exclude<keyof MessageLogRecord, 'fields'>
+> = {
+  keyField: 'message',
+  fields: [
+    {
+      field: 'message',
+      type: 'string',
+      headers: ['message', 'messagetext', 'description']
+    },
+    {
+      field: 'messageDate',
+      type: 'date',
+      headers: ['date', 'datetime', 'messagedate', 'messagedatetime', 'logdate']
+    },
+    {
+      field: 'messageType',
+      type: 'string',
+      headers: ['type', 'messagetype', 'severity', 'level']
+    },
+    {
+      field: 'source',
+      type: 'string',
+      headers: ['source', 'module', 'application', 'process']
+    },
+    {
+      field: 'userName',
+      type: 'string',
+      headers: ['user', 'username', 'userid', 'loginid']
+    }
+  ]
+}
+
+/**
+ * Splits CSV text into rows of values.
+ * Handles quoted values, escaped quotes, and line breaks in quoted values.
+ * @param csvText - The CSV text.
+ * @returns The rows, including blank rows.
+ */
+export function parseCsv(csvText: string): string[][] {
+  const rows: string[][] = []
+
+  let row: string[] = []
+  let value = ''
+  let isQuoted = false
+
+  const text = csvText.replace(/^\uFEFF/, '')
+
+  for (let index = 0; index < text.length; index += 1) {
+    // eslint-disable-next-line security/detect-object-injection
+    const character = text[index]
+
+    if (isQuoted) {
+      if (character === '"' && text[index + 1] === '"') {
+        value += '"'
+        index += 1
+      } else if (character === '"') {
+        isQuoted = false
+      } else {
+        value += character
+      }
+    } else if (character === '"') {
+      isQuoted = true
+    } else if (character === ',') {
+      row.push(value)
+      value = ''
+    } else if (character === '\n' || character === '\r') {
+      row.push(value)
+      rows.push(row)
+
+      row = []
+      value = ''
+
+      if (character === '\r' && text[index + 1] === '\n') {
+        index += 1
+      }
+    } else {
+      value += character
+    }
+  }
+
+  if (value !== '' || row.length > 0) {
+    row.push(value)
+    rows.push(row)
+  }
+
+  return rows
+}
+
+/**
+ * Normalizes a column header for matching.
+ * Report Viewer CSV headers are textbox names, like "txtAssetNumber" or "Asset_Number2".
+ * @param header - The column header.
+ * @returns The header, lowercase, without punctuation or textbox prefixes.
+ */
+function normalizeHeader(header: string): string {
+  return header
+    .trim()
+    .replace(/^(?:txt|tb|textbox)(?=[A-Z_])/, '')
+    .toLowerCase()
+    .replaceAll(/[^a-z\d]/g, '')
+    .replace(/\d+$/, '')
+}
+
+/**
+ * Splits CSV rows into data regions.
+ * Reports with more than one table or list export each one
+ * with its own header row, separated by a blank row.
+ * @param rows - The CSV rows.
+ * @returns The data regions, each starting with its header row.
+ */
+export function splitCsvDataRegions(rows: string[][]): string[][][] {
+  const dataRegions: string[][][] = []
+
+  let dataRegion: string[][] = []
+
+  for (const row of rows) {
+    if (row.every((value) => value.trim() === '')) {
+      if (dataRegion.length > 0) {
+        dataRegions.push(dataRegion)
+        dataRegion = []
+      }
+    } else {
+      dataRegion.push(row)
+    }
+  }
+
+  if (dataRegion.length > 0) {
+    dataRegions.push(dataRegion)
+  }
+
+  return dataRegions
+}
+
+/**
+ * Parses a number from a report, like "1,234.50", "$12.00" or "(5.00)".
+ * @param value - The report value.
+ * @returns The number, or undefined when the value is blank or not a number.
+ */
+export function parseReportNumber(value: string): number | undefined {
+  const trimmedValue = value.trim()
+
+  const isNegative = /^\(.*\)$/.test(trimmedValue)
+
+  const numberValue = Number.parseFloat(
+    trimmedValue.replaceAll(/[$,()\s]/g, '')
+  )
+
+  if (Number.isNaN(numberValue)) {
+    return undefined
+  }
+
+  return isNegative ? -numberValue : numberValue
+}
+
+/**
+ * Parses a date from a report,
+ * like "1/31/2025 2:05:00 PM" or "2025-01-31T14:05:00".
+ * @param value - The report value.
+ * @returns The local date, or undefined when the value is blank or not a date.
+ */
+export function parseReportDate(value: string): Date | undefined {
+  const trimmedValue = value.trim()
+
+  const usDate =
+    /^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AP]M)?)?$/i.exec(
+      trimmedValue
+    )
+
+  if (usDate !== null) {
+    const [, month, day, year, hours, minutes, seconds, meridiem] = usDate
+
+    let hour = Number.parseInt(hours ?? '0', 10) % 12
+
+    if (meridiem === undefined) {
+      hour = Number.parseInt(hours ?? '0', 10)
+    } else if (meridiem.toUpperCase() === 'PM') {
+      hour += 12
+    }
+
+    return new Date(
+      Number.parseInt(year, 10),
+      Number.parseInt(month, 10) - 1,
+      Number.parseInt(day, 10),
+      hour,
+      Number.parseInt(minutes ?? '0', 10),
+      Number.parseInt(seconds ?? '0', 10)
+    )
+  }
+
+  const isoDate =
+    /^(\d{4})-(\d{2})-(\d{2})(?:[T\s](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(
+      trimmedValue
+    )
+
+  if (isoDate !== null) {
+    const [, year, month, day, hours, minutes, seconds] = isoDate
+
+    return new Date(
+      Number.parseInt(year, 10),
+      Number.parseInt(month, 10) - 1,
+      Number.parseInt(day, 10),
+      Number.parseInt(hours ?? '0', 10),
+      Number.parseInt(minutes ?? '0', 10),
+      Number.parseInt(seconds ?? '0', 10)
+    )
+  }
+
+  return undefined
+}
+
+/**
+ * Maps the columns in a header row to record fields.
+ * @param headerRow - The header row.
+ * @param definition - The record definition.
+ * @returns Column indexes mapped to field definitions.
+ */
+function getColumnFields<K extends string>(
+  headerRow: string[],
+  definition: ReportRecordDefinition<K>
+): Map<number, ReportFieldDefinition<K>> {
+  const columnFields = new Map<number, ReportFieldDefinition<K>>()
+
+  for (const [columnIndex, header] of headerRow.entries()) {
+    const normalizedHeader = normalizeHeader(header)
+
+    const fieldDefinition = definition.fields.find(
+      (possibleField) =>
+        possibleField.headers.includes(normalizedHeader) &&
+        ![...columnFields.values()].includes(possibleField)
+    )
+
+    if (fieldDefinition !== undefined) {
+      columnFields.set(columnIndex, fieldDefinition)
+    }
+  }
+
+  return columnFields
+}
+
+/**
+ * Checks if a row is a subtotal or grand total row.
+ * @param row - The row values.
+ * @returns True when a value starts with "Total", "Subtotal" or "Grand Total".
+ */
+function isTotalRow(row: string[]): boolean {
+  return row.some((value) =>
+    /^(?:sub\s*)?total\b|^grand\s+total\b/i.test(value.trim())
+  )
+}
+
+/**
+ * Parses a Report Viewer CSV export into records.
+ * The data region whose headers match the most fields is used,
+ * along with any other regions with the same headers.
+ * Group header, subtotal, and blank rows are skipped.
+ * @param csvText - The CSV text.
+ * @param definition - The record definition.
+ * @returns The records.
+ */
+function parseReportCsv<R extends ReportRecord, K extends string>(
+  csvText: string,
+  definition: ReportRecordDefinition<K>
+): R[] {
+  const dataRegions = splitCsvDataRegions(parseCsv(csvText))
+
+  let bestColumnFieldCount = 0
+  let bestHeaderRow: string[] = []
+
+  for (const dataRegion of dataRegions) {
+    const columnFields = getColumnFields(dataRegion[0], definition)
+
+    const hasKeyField = [...columnFields.values()].some(
+      (fieldDefinition) => fieldDefinition.field === definition.keyField
+    )
+
+    if (hasKeyField && columnFields.size > bestColumnFieldCount) {
+      bestColumnFieldCount = columnFields.size
+      bestHeaderRow = dataRegion[0]
+    }
+  }
+
+  if (bestColumnFieldCount === 0) {
+    return []
+  }
+
+  const columnFields = getColumnFields(bestHeaderRow, definition)
+  const headerRowKey = bestHeaderRow.join(',')
+
+  const records: R[] = []
+
+  for (const dataRegion of dataRegions) {
+    if (dataRegion[0].join(',') !== headerRowKey) {
+      continue
+    }
+
+    for (const row of dataRegion.slice(1)) {
+      if (isTotalRow(row)) {
+        continue
+      }
+
+      const record: Record<string, unknown> & ReportRecord = { fields: {} }
+
+      for (const [columnIndex, header] of bestHeaderRow.entries()) {
+        // eslint-disable-next-line security/detect-object-injection
+        const value = row[columnIndex] ?? ''
+
+        // eslint-disable-next-line security/detect-object-injection
+        record.fields[header] = value
+
+        const fieldDefinition = columnFields.get(columnIndex)
+
+        if (fieldDefinition === undefined || value.trim() === '') {
+          continue
+        }
+
+        switch (fieldDefinition.type) {
+          case 'date': {
+            record[fieldDefinition.field] = parseReportDate(value)
+            break
+          }
+          case 'number': {
+            record[fieldDefinition.field] = parseReportNumber(value)
+            break
+          }
+          case 'string': {
+            record[fieldDefinition.field] = value.trim()
+            break
+          }
+        }
+      }
+
+      if (record[definition.keyField] !== undefined) {
+        records.push(record as unknown as R)
+      }
+    }
+  }
+
+  return records
+}
+
+/**
+ * Parses an Asset Master List (W114) CSV export.
+ * @param csvText - The CSV text.
+ * @returns The assets.
+ */
+export function parseAssetListCsv(csvText: string): AssetListRecord[] {
+  return parseReportCsv(csvText, assetListDefinition)
+}
+
+/**
+ * Parses an Inventory Report (W200) CSV export.
+ * @param csvText - The CSV text.
+ * @returns The inventory items.
+ */
+export function parseInventoryCsv(csvText: string): InventoryRecord[] {
+  return parseReportCsv(csvText, inventoryDefinition)
+}
+
+/**
+ * Parses a Message Logger (W603) CSV export.
+ * @param csvText - The CSV text.
+ * @returns The messages.
+ */
+export function parseMessageLogCsv(csvText: string): MessageLogRecord[] {
+  return parseReportCsv(csvText, messageLogDefinition)
+}
@@ -0,0 +1,78 @@
+import { type ExportStep, type FasterReportExporterErrorContext, FasterReportExporterError } from './errors.js';
+type ErrorClass = abstract new (...args: any[]) => Error;
+export interface RetryAttempt {
+    /** The step that failed, like "login" or "download". */
+    step: ExportStep;
+    reportKey?: string;
+    /** The attempt that failed, starting at 1. */
+    attempt: number;
+    maxAttempts: number;
+    error: FasterReportExporterError;
+    /** True when the step will be attempted again. */
+    willRetry: boolean;
+    /** The time before the next attempt, in milliseconds. */
+    delayMillis: number;
+}
+export interface RetryPolicy {
+    /**
+     * The maximum number of attempts for each step, including the first.
+     * @default 1
+     */
+    maxAttempts: number;
+    /**
+     * The time to wait before the first retry, in milliseconds.
+     * @default 2000
+     */
+    initialDelayMillis: number;
+    /**
+     * The wait is multiplied by this amount after each retry.
+     * @default 2
+     */
+    backoffMultiplier: number;
+    /**
+     * The longest time to wait between attempts, in milliseconds.
+     * @default 30_000
+     */
+    maxDelayMillis: number;
+    /**
+     * The error classes that are retried, or a function that decides.
+     * By default, timeouts, canceled downloads, missing elements,
+     * and unexpected browser errors are retried.
+     * Login, permission, and filter errors are not.
+     */
+    retryableErrors: ErrorClass[] | ((error: FasterReportExporterError) => boolean);
+    /**
+     * Called after each failed attempt.
+     * @param attempt - Details about the failed attempt.
+     */
+    onAttempt?: (attempt: RetryAttempt) => void;
+}
+export declare const defaultRetryPolicy: RetryPolicy;
+/**
+ * Checks if a retry policy allows an error to be retried.
+ * @param error - The error.
+ * @param retryPolicy - The retry policy.
+ * @returns True when the error can be retried.
+ */
+export declare function isRetryableError(error: FasterReportExporterError, retryPolicy: RetryPolicy): boolean;
+/**
+ * Gets the time to wait before an attempt.
+ * @param retryPolicy - The retry policy.
+ * @param failedAttempt - The attempt that failed, starting at 1.
+ * @returns The time to wait, in milliseconds.
+ */
+export declare function getRetryDelayMillis(retryPolicy: RetryPolicy, failedAttempt: number): number;
+/**
+ * Runs a step, retrying it when it fails with a retryable error.
+ * Once the signal is aborted, the step is not retried,
+ * and fails with an `ExportAbortedError`.
+ * @param retryPolicy - The retry policy.
+ * @param context - The step and report key, added to errors, and the abort signal.
+ * @param operation - The step to run.
+ * @returns The result of the step.
+ */
+export declare function withRetries<T>(retryPolicy: RetryPolicy, context: FasterReportExporterErrorContext & {
+    step: ExportStep;
+    signal?: AbortSignal;
+}, operation: (attempt: number) => Promise<T>): Promise<T>;
+export {};
@@ -0,0 +1,88 @@
+import { DownloadCanceledError, ExportAbortedError, ExportTimeoutError, FasterElementNotFoundError, FasterReportExporterError, toFasterReportExporterError } from './errors.js';
+import { delay } from './utilities.js';
+/**
+ * Checks if an error is likely to succeed when tried again.
+ * @param error - The error.
+ * @returns True for timeouts, canceled downloads, missing elements,
+ *          and errors not raised by the exporter itself.
+ */
+function isTransientError(error) {
+    return (error instanceof ExportTimeoutError ||
+        error instanceof DownloadCanceledError ||
+        error instanceof FasterElementNotFoundError ||
+        error.constructor === FasterReportExporterError);
+}
+export const defaultRetryPolicy = {
+    maxAttempts: 1,
+    initialDelayMillis: 2000,
+    backoffMultiplier: 2,
+    maxDelayMillis: 30_000,
+    retryableErrors: isTransientError
+};
+/**
+ * Checks if a retry policy allows an error to be retried.
+ * @param error - The error.
+ * @param retryPolicy - The retry policy.
+ * @returns True when the error can be retried.
+ */
+export function isRetryableError(error, retryPolicy) {
+    if (typeof retryPolicy.retryableErrors === 'function') {
+        return retryPolicy.retryableErrors(error);
+    }
+    return retryPolicy.retryableErrors.some((retryableError) => error instanceof retryableError);
+}
+/**
+ * Gets the time to wait before an attempt.
+ * @param retryPolicy - The retry policy.
+ * @param failedAttempt - The attempt that failed, starting at 1.
+ * @returns The time to wait, in milliseconds.
+ */
+export function getRetryDelayMillis(retryPolicy, failedAttempt) {
+    return Math.min(retryPolicy.initialDelayMillis *
+        retryPolicy.backoffMultiplier ** (failedAttempt - 1), retryPolicy.maxDelayMillis);
+}
+/**
+ * Runs a step, retrying it when it fails with a retryable error.
+ * Once the signal is aborted, the step is not retried,
+ * and fails with an `ExportAbortedError`.
+ * @param retryPolicy - The retry policy.
+ * @param context - The step and report key, added to errors, and the abort signal.
+ * @param operation - The step to run.
+ * @returns The result of the step.
+ */
+export async function withRetries(retryPolicy, context, operation) {
+    const maxAttempts = Math.max(1, Math.floor(retryPolicy.maxAttempts));
+    for (let attempt = 1;; attempt += 1) {
+        try {
+            return await operation(attempt);
+        }
+        catch (error) {
+            const isAborted = context.signal?.aborted ?? false;
+            // Failures after an abort are caused by the export being stopped.
+            const exporterError = isAborted
+                ? new ExportAbortedError(undefined, context, {
+                    cause: context.signal?.reason
+                })
+                : toFasterReportExporterError(error, context);
+            const willRetry = !isAborted &&
+                attempt < maxAttempts &&
+                isRetryableError(exporterError, retryPolicy);
+            const delayMillis = willRetry
+                ? getRetryDelayMillis(retryPolicy, attempt)
+                : 0;
+            retryPolicy.onAttempt?.({
+                step: exporterError.step ?? context.step,
+                reportKey: exporterError.reportKey,
+                attempt,
+                maxAttempts,
+                error: exporterError,
+                willRetry,
+                delayMillis
+            });
+            if (!willRetry) {
+                throw exporterError;
+            }
+            await delay(delayMillis);
+        }
+    }
+}
@@ -0,0 +1,192 @@
+import {
+  type ExportStep,
+  type FasterReportExporterErrorContext,
+  DownloadCanceledError,
+  ExportAbortedError,
+  ExportTimeoutError,
+  FasterElementNotFoundError,
+  FasterReportExporterError,
+  toFasterReportExporterError
+} from './errors.js'
+import { delay } from './utilities.js'
+
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+type ErrorClass = abstract new (...args: any[]) => Error
+
+export interface RetryAttempt {
+  /** The step that failed, like "login" or "download". */
+  step: ExportStep
+  reportKey?: string
+
+  /** The attempt that failed, starting at 1. */
+  attempt: number
+  maxAttempts: number
+
+  error: FasterReportExporterError
+
+  /** True when the step will be attempted again. */
+  willRetry: boolean
+
+  /** The time before the next attempt, in milliseconds. */
+  delayMillis: number
+}
+
+export interface RetryPolicy {
+  /**
+   * The maximum number of attempts for each step, including the first.
+   * @default 1
+   */
+  maxAttempts: number
+
+  /**
+   * The time to wait before the first retry, in milliseconds.
+   * @default 2000
+   */
+  initialDelayMillis: number
+
+  /**
+   * The wait is multiplied by this amount after each retry.
+   * @default 2
+   */
+  backoffMultiplier: number
+
+  /**
+   * The longest time to wait between attempts, in milliseconds.
+   * @default 30_000
+   */
+  maxDelayMillis: number
+
+  /**
+   * The error classes that are retried, or a function that decides.
+   * By default, timeouts, canceled downloads, missing elements,
+   * and unexpected browser errors are retried.
+   * Login, permission, and filter errors are not.
+   */
+  retryableErrors:
+    ErrorClass[] | ((error: FasterReportExporterError) => boolean)
+
+  /**
+   * Called after each failed attempt.
+   * @param attempt - Details about the failed attempt.
+   */
+  onAttempt?: (attempt: RetryAttempt) => void
+}
+
+/**
+ * Checks if an error is likely to succeed when tried again.
+ * @param error - The error.
+ * @returns True for timeouts, canceled downloads, missing elements,
+ *          and errors not raised by the exporter itself.
+ */
+function isTransientError(error: FasterReportExporterError): boolean {
+  return (
+    error instanceof ExportTimeoutError ||
+    error instanceof DownloadCanceledError ||
+    error instanceof FasterElementNotFoundError ||
+    error.constructor === FasterReportExporterError
+  )
+}
+
+export const defaultRetryPolicy: RetryPolicy = {
+  maxAttempts: 1,
+  initialDelayMillis: 2000,
+  backoffMultiplier: 2,
+  maxDelayMillis: 30_000,
+  retryableErrors: isTransientError
+}
+
+/**
+ * Checks if a retry policy allows an error to be retried.
+ * @param error - The error.
+ * @param retryPolicy - The retry policy.
+ * @returns True when the error can be retried.
+ */
+export function isRetryableError(
+  error: FasterReportExporterError,
+  retryPolicy: RetryPolicy
+): boolean {
+  if (typeof retryPolicy.retryableErrors === 'function') {
+    return retryPolicy.retryableErrors(error)
+  }
+
+  return retryPolicy.retryableErrors.some(
+    (retryableError) => error instanceof retryableError
+  )
+}
+
+/**
+ * Gets the time to wait before an attempt.
+ * @param retryPolicy - The retry policy.
+ * @param failedAttempt - The attempt that failed, starting at 1.
+ * @returns The time to wait, in milliseconds.
+ */
+export function getRetryDelayMillis(
+  retryPolicy: RetryPolicy,
+  failedAttempt: number
+): number {
+  return Math.min(
+    retryPolicy.initialDelayMillis *
+      retryPolicy.backoffMultiplier ** (failedAttempt - 1),
+    retryPolicy.maxDelayMillis
+  )
+}
+
+/**
+ * Runs a step, retrying it when it fails with a retryable error.
+ * Once the signal is aborted, the step is not retried,
+ * and fails with an `ExportAbortedError`.
+ * @param retryPolicy - The retry policy.
+ * @param context - The step and report key, added to errors, and the abort signal.
+ * @param operation - The step to run.
+ * @returns The result of the step.
+ */
+export async function withRetries<T>(
+  retryPolicy: RetryPolicy,
+  context: FasterReportExporterErrorContext & {
+    step: ExportStep
+    signal?: AbortSignal
+  },
+  operation: (attempt: number) => Promise<T>
+): Promise<T> {
+  const maxAttempts = Math.max(1, Math.floor(retryPolicy.maxAttempts))
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await operation(attempt)
+    } catch (error) {
+      const isAborted = context.signal?.aborted ?? false
+
+      // Failures after an abort are caused by the export being stopped.
+      const exporterError = isAborted
+        ? new ExportAbortedError(undefined, context, {
+            cause: context.signal?.reason
+          })
+        : toFasterReportExporterError(error, context)
+
+      const willRetry =
+        !isAborted &&
+        attempt < maxAttempts &&
+        isRetryableError(exporterError, retryPolicy)
+
+      const delayMillis = willRetry
+        ? getRetryDelayMillis(retryPolicy, attempt)
+        : 0
+
+      retryPolicy.onAttempt?.({
+        step: exporterError.step ?? context.step,
+        reportKey: exporterError.reportKey,
+        attempt,
+        maxAttempts,
+        error: exporterError,
+        willRetry,
+        delayMillis
+      })
+
+      if (!willRetry) {
+        throw exporterError
+      }
+
+      await delay(delayMillis)
+    }
+  }
+}
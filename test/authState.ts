@@ -0,0 +1,118 @@
+import assert from 'node:assert'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { after, describe, it } from 'node:test'
+
+import type { puppeteer } from '@cityssm/puppeteer-launch'
+
+import {
+  type FasterAuthState,
+  createEncryptedFileAuthStateStore,
+  getCookiesForUrl
+} from '../authState.js'
+
+function createCookie(name: string, domain: string): puppeteer.Cookie {
+  return {
+    name,
+    value: `${name}-value`,
+    domain,
+    path: '/FASTER',
+    expires: -1,
+    size: 10,
+    httpOnly: true,
+    secure: true,
+    session: true
+  }
+}
+
+await describe('authState', async () => {
+  const authStateFolderPath = fs.mkdtempSync(
+    path.join(os.tmpdir(), 'faster-auth-state-test-')
+  )
+
+  const authState: FasterAuthState = {
+    baseUrl: 'https://example.fasterwebcloud.com/FASTER',
+    userName: 'test.user',
+    savedAt: new Date().toISOString(),
+    cookies: [createCookie('ASP.NET_SessionId', 'example.fasterwebcloud.com')]
+  }
+
+  after(() => {
+    fs.rmSync(authStateFolderPath, { recursive: true, force: true })
+  })
+
+  await it('Saves and loads an encrypted login', async () => {
+    const authStateFilePath = path.join(
+      authStateFolderPath,
+      'nested',
+      'login.json'
+    )
+
+    const authStateStore = createEncryptedFileAuthStateStore(
+      authStateFilePath,
+      'secret key'
+    )
+
+    await authStateStore.save(authState)
+
+    assert.ok(
+      !fs
+        .readFileSync(authStateFilePath, 'utf8')
+        .includes('ASP.NET_SessionId-value')
+    )
+
+    assert.deepStrictEqual(await authStateStore.load(), authState)
+  })
+
+  await it('Loads nothing when the file is missing or the key is wrong', async () => {
+    const authStateFilePath = path.join(authStateFolderPath, 'login.json')
+
+    assert.strictEqual(
+      await createEncryptedFileAuthStateStore(
+        authStateFilePath,
+        'secret key'
+      ).load(),
+      undefined
+    )
+
+    await createEncryptedFileAuthStateStore(
+      authStateFilePath,
+      'secret key'
+    ).save(authState)
+
+    assert.strictEqual(
+      await createEncryptedFileAuthStateStore(
+        authStateFilePath,
+        'other key'
+      ).load(),
+      undefined
+    )
+  })
+
+  await it('Requires an encryption key', () => {
+    assert.throws(() =>
+      createEncryptedFileAuthStateStore(
+        path.join(authStateFolderPath, 'login.json'),
+        ''
+      )
+    )
+  })
+
+  await it('Gets the cookies for a URL host', () => {
+    const cookies = getCookiesForUrl(
+      [
+        createCookie('host', 'example.fasterwebcloud.com'),
+        createCookie('parent', '.fasterwebcloud.com'),
+        createCookie('other', 'other.fasterwebcloud.com'),
+        createCookie('tracker', '.example.com')
+      ],
+      'https://example.fasterwebcloud.com/FASTER'
+    )
+
+    assert.deepStrictEqual(
+      cookies.map((cookie) => cookie.name),
+      ['host', 'parent']
+    )
+  })
+})
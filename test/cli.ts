@@ -0,0 +1,165 @@
+import assert from 'node:assert'
+import os from 'node:os'
+import path from 'node:path'
+import { describe, it } from 'node:test'
+
+import {
+  CliUsageError,
+  cliExitCodes,
+  getCliExitCode,
+  loadCliCredentials,
+  parseCliArguments,
+  runCliCommand
+} from '../cli.helpers.js'
+import {
+  FasterInvalidCredentialsError,
+  ScheduledReportNotFoundError
+} from '../errors.js'
+
+await describe('cli', async () => {
+  await it('Parses a work order print command', () => {
+    const cliArguments = parseCliArguments([
+      'work-order-print',
+      '12345',
+      '--customer',
+      '--format',
+      'Excel',
+      '--time-zone',
+      'Central'
+    ])
+
+    assert.strictEqual(cliArguments?.command, 'work-order-print')
+    assert.strictEqual(cliArguments.printType, 'customer')
+    assert.strictEqual(cliArguments.format, 'Excel')
+    assert.strictEqual(cliArguments.timeZone, 'Central')
+    assert.deepStrictEqual(cliArguments.positionals, ['12345'])
+  })
+
+  await it('Parses date options', () => {
+    const cliArguments = parseCliArguments([
+      'message-logger',
+      '--start-date',
+      '2025-01-01',
+      '--end-date',
+      '2025-01-31'
+    ])
+
+    assert.strictEqual(cliArguments?.startDate?.getDate(), 1)
+    assert.strictEqual(cliArguments.endDate?.getDate(), 31)
+  })
+
+  await it('Parses a date range preset', () => {
+    const cliArguments = parseCliArguments([
+      'message-logger',
+      '--date-range',
+      'previousBusinessDay'
+    ])
+
+    assert.strictEqual(cliArguments?.dateRange, 'previousBusinessDay')
+    assert.throws(
+      () => parseCliArguments(['message-logger', '--date-range', 'lastDecade']),
+      CliUsageError
+    )
+  })
+
+  await it('Returns undefined when help is requested', () => {
+    assert.strictEqual(parseCliArguments(['--help']), undefined)
+    assert.strictEqual(parseCliArguments([]), undefined)
+  })
+
+  await it('Rejects invalid arguments', () => {
+    assert.throws(() => parseCliArguments(['unknown-report']), CliUsageError)
+    assert.throws(
+      () => parseCliArguments(['inventory', '--format', 'GIF']),
+      CliUsageError
+    )
+    assert.throws(
+      () => parseCliArguments(['work-order-print', '12345']),
+      CliUsageError
+    )
+    assert.throws(
+      () => parseCliArguments(['message-logger', '--start-date', 'yesterday']),
+      CliUsageError
+    )
+    assert.throws(
+      () => parseCliArguments(['work-order-details', '100', '200', '300']),
+      CliUsageError
+    )
+    assert.throws(
+      () => parseCliArguments(['part-order-print', '100', '200']),
+      CliUsageError
+    )
+    assert.throws(() => parseCliArguments(['inventory', '123']), CliUsageError)
+    assert.throws(
+      () => parseCliArguments(['message-logger', 'yesterday']),
+      CliUsageError
+    )
+    assert.throws(
+      () => parseCliArguments(['asset-list', '--schedule']),
+      CliUsageError
+    )
+    assert.throws(
+      () => parseCliArguments(['part-order-print', '100', '--customer']),
+      CliUsageError
+    )
+    assert.throws(
+      () => parseCliArguments(['inventory', '--technician']),
+      CliUsageError
+    )
+  })
+
+  await it('Rejects a missing --out folder before exporting', async () => {
+    const cliArguments = parseCliArguments([
+      'inventory',
+      '--out',
+      path.join(os.tmpdir(), 'faster-report-exporter-missing-folder')
+    ])
+
+    assert.ok(cliArguments !== undefined)
+
+    await assert.rejects(
+      runCliCommand(cliArguments, {
+        tenant: 'tenant',
+        userName: 'user',
+        password: 'pass'
+      }),
+      (error) => {
+        assert.ok(error instanceof CliUsageError)
+        assert.strictEqual(getCliExitCode(error), cliExitCodes.usageError)
+
+        return true
+      }
+    )
+  })
+
+  await it('Reads credentials from environment variables', async () => {
+    const credentials = await loadCliCredentials(undefined, {
+      FASTER_TENANT: 'tenant',
+      FASTER_USER_NAME: 'user',
+      FASTER_PASSWORD: 'pass'
+    })
+
+    assert.deepStrictEqual(credentials, {
+      tenant: 'tenant',
+      userName: 'user',
+      password: 'pass'
+    })
+
+    await assert.rejects(loadCliCredentials(undefined, {}), CliUsageError)
+  })
+
+  await it('Returns an exit code for each error type', () => {
+    assert.strictEqual(
+      getCliExitCode(new FasterInvalidCredentialsError('Login failed.')),
+      cliExitCodes.invalidCredentials
+    )
+    assert.strictEqual(
+      getCliExitCode(new ScheduledReportNotFoundError('Weekly')),
+      cliExitCodes.notFound
+    )
+    assert.strictEqual(
+      getCliExitCode(new Error('Other')),
+      cliExitCodes.unknownError
+    )
+  })
+})
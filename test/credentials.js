@@ -0,0 +1,47 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { canRefreshCredentials, createStaticCredentialProvider, getProviderCredentials } from '../credentials.js';
+import { FasterLoginError } from '../errors.js';
+await describe('credentials', async () => {
+    await it('Gets credentials from a function, requesting a refresh', async () => {
+        const refreshRequests = [];
+        const credentialProvider = async ({ refresh }) => {
+            refreshRequests.push(refresh);
+            return {
+                userName: 'test.user',
+                password: refresh ? 'rotated' : 'original'
+            };
+        };
+        assert.ok(canRefreshCredentials(credentialProvider));
+        assert.deepStrictEqual(await getProviderCredentials(credentialProvider, false), { userName: 'test.user', password: 'original' });
+        assert.deepStrictEqual(await getProviderCredentials(credentialProvider, true), { userName: 'test.user', password: 'rotated' });
+        assert.deepStrictEqual(refreshRequests, [false, true]);
+    });
+    await it('Gets credentials from an object, refreshing when supported', async () => {
+        const credentialProvider = {
+            getCredentials: () => ({ userName: 'test.user', password: 'original' }),
+            refreshCredentials: async () => await Promise.resolve({ userName: 'test.user', password: 'rotated' })
+        };
+        assert.ok(canRefreshCredentials(credentialProvider));
+        assert.strictEqual((await getProviderCredentials(credentialProvider, true)).password, 'rotated');
+        const staticCredentialProvider = createStaticCredentialProvider('test.user', 'password');
+        assert.ok(!canRefreshCredentials(staticCredentialProvider));
+        assert.strictEqual((await getProviderCredentials(staticCredentialProvider, true)).password, 'password');
+    });
+    await it('Rejects with a login error that does not include the credentials', async () => {
+        await assert.rejects(getProviderCredentials(() => ({ userName: 'test.user', password: '' }), false), (error) => {
+            assert.ok(error instanceof FasterLoginError);
+            assert.strictEqual(error.step, 'login');
+            assert.ok(!error.message.includes('test.user'));
+            return true;
+        });
+        const vaultError = new Error('Vault unavailable');
+        await assert.rejects(getProviderCredentials(() => {
+            throw vaultError;
+        }, false), (error) => {
+            assert.ok(error instanceof FasterLoginError);
+            assert.strictEqual(error.cause, vaultError);
+            return true;
+        });
+    });
+});
@@ -0,0 +1,67 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { resolveDateRange } from '../dateRanges.js';
+await describe('dateRanges', async () => {
+    // Wednesday, March 12, 2025
+    const referenceDate = new Date(2025, 2, 12, 15, 30);
+    await it('Resolves date range presets', () => {
+        assert.deepStrictEqual(resolveDateRange('yesterday', { referenceDate }), {
+            startDate: new Date(2025, 2, 11),
+            endDate: new Date(2025, 2, 11)
+        });
+        assert.deepStrictEqual(resolveDateRange('lastWeek', { referenceDate }), {
+            startDate: new Date(2025, 2, 2),
+            endDate: new Date(2025, 2, 8)
+        });
+        assert.deepStrictEqual(resolveDateRange('lastMonth', { referenceDate }), {
+            startDate: new Date(2025, 1, 1),
+            endDate: new Date(2025, 1, 28)
+        });
+        assert.deepStrictEqual(resolveDateRange('monthToDate', { referenceDate }), {
+            startDate: new Date(2025, 2, 1),
+            endDate: new Date(2025, 2, 12)
+        });
+    });
+    await it('Skips weekends for the previous business day', () => {
+        // Monday, March 10, 2025
+        assert.deepStrictEqual(resolveDateRange('previousBusinessDay', {
+            referenceDate: new Date(2025, 2, 10, 9)
+        }), {
+            startDate: new Date(2025, 2, 7),
+            endDate: new Date(2025, 2, 7)
+        });
+    });
+    await it('Applies offsets', () => {
+        assert.deepStrictEqual(resolveDateRange({ preset: 'lastMonth', offset: -1 }, { referenceDate }), {
+            startDate: new Date(2025, 0, 1),
+            endDate: new Date(2025, 0, 31)
+        });
+        assert.deepStrictEqual(resolveDateRange({ preset: 'today', offset: -7 }, { referenceDate }), {
+            startDate: new Date(2025, 2, 5),
+            endDate: new Date(2025, 2, 5)
+        });
+    });
+    await it('Uses the fiscal year start month', () => {
+        assert.deepStrictEqual(resolveDateRange('lastFiscalYear', {
+            referenceDate,
+            fiscalYearStartMonth: 4
+        }), {
+            startDate: new Date(2023, 3, 1),
+            endDate: new Date(2024, 2, 31)
+        });
+    });
+    await it('Uses the current date in the report time zone', () => {
+        // 2:30 AM UTC is still the previous evening in Pacific time.
+        const utcReferenceDate = new Date(Date.UTC(2025, 2, 12, 2, 30));
+        assert.deepStrictEqual(resolveDateRange('today', {
+            referenceDate: utcReferenceDate,
+            timeZone: 'Pacific'
+        }), {
+            startDate: new Date(2025, 2, 11),
+            endDate: new Date(2025, 2, 11)
+        });
+    });
+    await it('Rejects unknown presets', () => {
+        assert.throws(() => resolveDateRange('lastFortnight', { referenceDate }));
+    });
+});
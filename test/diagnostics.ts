@@ -0,0 +1,25 @@
+import assert from 'node:assert'
+import { describe, it } from 'node:test'
+
+import { redactUrl } from '../diagnostics.js'
+
+await describe('diagnostics', async () => {
+  await it('Redacts password parameters from URLs', () => {
+    const redactedUrl = redactUrl(
+      'https://example.com/FASTER/Login.aspx?user=test&password=secret&pwd=secret2'
+    )
+
+    assert.ok(!redactedUrl.includes('secret'))
+    assert.ok(redactedUrl.includes('user=test'))
+  })
+
+  await it('Leaves URLs without passwords unchanged', () => {
+    const url = 'https://example.com/FASTER/Domains/Default.aspx?id=1'
+
+    assert.strictEqual(redactUrl(url), url)
+  })
+
+  await it('Returns invalid URLs unchanged', () => {
+    assert.strictEqual(redactUrl('not a url'), 'not a url')
+  })
+})
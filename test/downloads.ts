@@ -0,0 +1,159 @@
+import assert from 'node:assert'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { describe, it } from 'node:test'
+
+import {
+  getContentDispositionFileName,
+  getContentTypeExtension,
+  getDownloadedReportExtension,
+  streamDownloadedReport,
+  writeResponseToFile
+} from '../downloads.js'
+
+await describe('downloads', async () => {
+  await describe('getContentDispositionFileName()', async () => {
+    await it('Reads quoted file names', () => {
+      assert.strictEqual(
+        getContentDispositionFileName(
+          'attachment; filename="W200 - Inventory Report.pdf"'
+        ),
+        'W200 - Inventory Report.pdf'
+      )
+    })
+
+    await it('Reads unquoted file names', () => {
+      assert.strictEqual(
+        getContentDispositionFileName('attachment; filename=W200.csv'),
+        'W200.csv'
+      )
+    })
+
+    await it('Prefers encoded file names', () => {
+      assert.strictEqual(
+        getContentDispositionFileName(
+          "attachment; filename=W200.pdf; filename*=UTF-8''W200%20Inventory.pdf"
+        ),
+        'W200 Inventory.pdf'
+      )
+    })
+
+    await it('Returns undefined without a file name', () => {
+      assert.strictEqual(getContentDispositionFileName('inline'), undefined)
+      assert.strictEqual(getContentDispositionFileName(null), undefined)
+    })
+  })
+
+  await describe('getDownloadedReportExtension()', async () => {
+    await it('Uses the content type of the download', () => {
+      assert.strictEqual(
+        getDownloadedReportExtension({
+          filePath: '/tmp/download',
+          fileName: 'W200.xlsx',
+          exportType: 'Excel',
+          contentType: 'application/vnd.ms-excel'
+        }),
+        'xls'
+      )
+    })
+
+    await it('Uses the suggested file name without a content type', () => {
+      assert.strictEqual(
+        getDownloadedReportExtension({
+          filePath: '/tmp/download',
+          fileName: 'W200.mhtml',
+          exportType: 'PDF'
+        }),
+        'mhtml'
+      )
+    })
+
+    await it('Falls back to the export type', () => {
+      assert.strictEqual(
+        getDownloadedReportExtension({
+          filePath: '/tmp/download',
+          fileName: 'download',
+          exportType: 'TIFF',
+          contentType: 'application/octet-stream'
+        }),
+        'tif'
+      )
+    })
+
+    await it('Ignores content type parameters', () => {
+      assert.strictEqual(
+        getContentTypeExtension('text/csv; charset=utf-8'),
+        'csv'
+      )
+    })
+  })
+
+  await it('Writes a response to a file', async () => {
+    const filePath = path.join(
+      os.tmpdir(),
+      `faster-report-exporter-test-${Date.now()}.txt`
+    )
+
+    const progress: number[] = []
+
+    try {
+      const byteSize = await writeResponseToFile(
+        new Response('report contents'),
+        filePath,
+        (receivedBytes) => {
+          progress.push(receivedBytes)
+        }
+      )
+
+      assert.strictEqual(byteSize, 15)
+      assert.strictEqual(progress.at(-1), 15)
+      assert.strictEqual(await fs.readFile(filePath, 'utf8'), 'report contents')
+    } finally {
+      await fs.rm(filePath, { force: true })
+    }
+  })
+
+  await it('Streams a report without leaving a temporary file', async () => {
+    const downloadFolderPath = await fs.mkdtemp(
+      path.join(os.tmpdir(), 'faster-report-exporter-test-')
+    )
+
+    const filePath = path.join(downloadFolderPath, `download-${Date.now()}`)
+
+    await fs.writeFile(filePath, 'report contents')
+
+    try {
+      const report = await streamDownloadedReport({
+        filePath,
+        fileName: 'W200 - Inventory Report.csv',
+        exportType: 'CSV',
+        contentType: 'text/csv'
+      })
+
+      await assert.rejects(fs.access(filePath))
+      await assert.rejects(
+        fs.access(
+          path.join(
+            os.tmpdir(),
+            `faster-report-exporter-${path.basename(filePath)}.csv`
+          )
+        )
+      )
+
+      const chunks: Buffer[] = []
+
+      for await (const chunk of report.stream) {
+        chunks.push(chunk as Buffer)
+      }
+
+      assert.strictEqual(report.byteSize, 15)
+      assert.strictEqual(
+        Buffer.concat(chunks).toString('utf8'),
+        'report contents'
+      )
+    } finally {
+      await fs.rm(downloadFolderPath, { recursive: true, force: true })
+    }
+  })
+})
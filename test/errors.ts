@@ -0,0 +1,62 @@
+import assert from 'node:assert'
+import { describe, it } from 'node:test'
+
+import {
+  ExportAbortedError,
+  ExportTimeoutError,
+  FasterReportExporterError,
+  ReportFilterNotFoundError,
+  toFasterReportExporterError
+} from '../errors.js'
+
+await describe('errors', async () => {
+  await it('Keeps the context already set on a typed error', () => {
+    const error = toFasterReportExporterError(
+      new ReportFilterNotFoundError('Start Date'),
+      {
+        reportKey: '/Setup/W603 - Message Logger',
+        step: 'export'
+      }
+    )
+
+    assert.ok(error instanceof ReportFilterNotFoundError)
+    assert.strictEqual(error.name, 'ReportFilterNotFoundError')
+    assert.strictEqual(error.step, 'filter')
+    assert.strictEqual(error.reportKey, '/Setup/W603 - Message Logger')
+  })
+
+  await it('Converts timeouts to ExportTimeoutErrors', () => {
+    const timeoutError = new Error('Navigation timeout of 1000 ms exceeded')
+    timeoutError.name = 'TimeoutError'
+
+    const error = toFasterReportExporterError(timeoutError, {
+      step: 'navigate'
+    })
+
+    assert.ok(error instanceof ExportTimeoutError)
+    assert.strictEqual(error.cause, timeoutError)
+    assert.strictEqual(error.step, 'navigate')
+  })
+
+  await it('Converts aborted requests to ExportAbortedErrors', () => {
+    const abortError = new Error('This operation was aborted')
+    abortError.name = 'AbortError'
+
+    const error = toFasterReportExporterError(abortError, {
+      step: 'download'
+    })
+
+    assert.ok(error instanceof ExportAbortedError)
+    assert.strictEqual(error.cause, abortError)
+    assert.strictEqual(error.step, 'download')
+  })
+
+  await it('Wraps other errors', () => {
+    const error = toFasterReportExporterError(new Error('Other'), {
+      step: 'login'
+    })
+
+    assert.ok(error instanceof FasterReportExporterError)
+    assert.strictEqual(error.message, 'Other')
+  })
+})
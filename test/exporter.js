@@ -0,0 +1,498 @@
+// eslint-disable-next-line @eslint-community/eslint-comments/disable-enable-pair
+/* eslint-disable security/detect-non-literal-fs-filename, max-lines */
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import puppeteerLaunch from '@cityssm/puppeteer-launch';
+import { ExportAbortedError, ExportTimeoutError, FasterAccountLockedError, FasterElementNotFoundError, FasterInvalidCredentialsError, FasterPermissionError, FasterReportExporter, ReportDeliveryError, ReportExportTypeNotAvailableError, ScheduledReportNotFoundError, createEncryptedFileAuthStateStore, createFolderDestination } from '../index.js';
+import { runExportJobs } from '../jobs.js';
+import { delay } from '../utilities.js';
+import { mockWorkOrderPrintReportKeys, startMockFasterServer } from './mockFasterServer.js';
+const testTimeoutMillis = 120_000;
+const mockUserName = 'mock.user';
+const mockPassword = 'mock.password';
+/**
+ * Reads an exported report stream.
+ * @param report - The exported report.
+ * @returns The report contents.
+ */
+async function readReportStream(report) {
+    const chunks = [];
+    for await (const chunk of report.stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+/**
+ * Checks if a browser can be launched for the exporter.
+ * @returns The reason to skip the browser tests, or `false` if a browser launches.
+ */
+async function getBrowserSkipReason() {
+    try {
+        const browser = await puppeteerLaunch({
+            browser: 'chrome',
+            protocol: 'cdp',
+            headless: true
+        });
+        await browser.close();
+        return false;
+    }
+    catch (error) {
+        return `No browser can be launched. ${error.message}`;
+    }
+}
+const browserSkipReason = await getBrowserSkipReason();
+await describe('FasterReportExporter, with a mock FASTER Web server', {
+    skip: browserSkipReason
+}, async () => {
+    // eslint-disable-next-line @typescript-eslint/init-declarations
+    let server;
+    // eslint-disable-next-line @typescript-eslint/init-declarations
+    let reportExporter;
+    const downloadFolderPath = fs.mkdtempSync(path.join(os.tmpdir(), 'faster-report-exporter-test-'));
+    const diagnosticsFolderPath = path.join(downloadFolderPath, 'diagnostics');
+    before(async () => {
+        server = await startMockFasterServer({
+            userName: mockUserName,
+            password: mockPassword
+        });
+        reportExporter = new FasterReportExporter(server.baseUrl, mockUserName, mockPassword, {
+            acceptInsecureCerts: true,
+            downloadFolderPath,
+            diagnosticsFolderPath,
+            timeoutMillis: 30_000,
+            timeZone: 'Eastern'
+        });
+    });
+    after(async () => {
+        await reportExporter.closeSession();
+        await server.close();
+        fs.rmSync(downloadFolderPath, { recursive: true, force: true });
+    });
+    await it('Logs in past the release notes, and exports the inventory report', { timeout: testTimeoutMillis }, async () => {
+        const completedFileNames = [];
+        reportExporter.on('downloadCompleted', (event) => {
+            completedFileNames.push(event.fileName);
+        });
+        const reportPath = await reportExporter.exportInventory('PDF');
+        reportExporter.removeAllListeners('downloadCompleted');
+        assert.ok(fs.existsSync(reportPath));
+        assert.strictEqual(path.extname(reportPath), '.pdf');
+        assert.match(fs.readFileSync(reportPath, 'utf8'), /^Mock PDF export/);
+        assert.deepStrictEqual(completedFileNames, [
+            'W200 - Inventory Report.pdf'
+        ]);
+        assert.strictEqual(server.loginCount(), 1);
+        assert.deepStrictEqual(server.renderedReports.at(-1)?.filters, {
+            'Time Zone': 'Eastern',
+            'Grouping within Storeroom': 'Item Category'
+        });
+    });
+    await it('Rejects invalid credentials', { timeout: testTimeoutMillis }, async () => {
+        const invalidReportExporter = new FasterReportExporter(server.baseUrl, mockUserName, 'wrong.password', { acceptInsecureCerts: true });
+        await assert.rejects(invalidReportExporter.exportInventory(), FasterInvalidCredentialsError);
+    });
+    await it('Refreshes the credentials from a provider after a rejected login', { timeout: testTimeoutMillis }, async () => {
+        const refreshRequests = [];
+        const providerReportExporter = new FasterReportExporter(server.baseUrl, ({ refresh }) => {
+            refreshRequests.push(refresh);
+            return {
+                userName: mockUserName,
+                password: refresh ? mockPassword : 'expired.password'
+            };
+        }, { acceptInsecureCerts: true, downloadFolderPath });
+        const reportPath = await providerReportExporter.exportInventory();
+        assert.ok(fs.existsSync(reportPath));
+        assert.deepStrictEqual(refreshRequests, [false, true]);
+    });
+    await it('Rejects locked accounts', { timeout: testTimeoutMillis }, async () => {
+        const lockedReportExporter = new FasterReportExporter(server.baseUrl, 'locked.user', mockPassword, { acceptInsecureCerts: true });
+        await assert.rejects(lockedReportExporter.exportInventory(), FasterAccountLockedError);
+    });
+    await it('Aborts an export when its signal is aborted', { timeout: testTimeoutMillis }, async () => {
+        const abortController = new AbortController();
+        const exportRequestCount = server.exportRequests.length;
+        reportExporter.once('reportPageLoaded', () => {
+            abortController.abort();
+        });
+        await assert.rejects(reportExporter.exportInventory({ signal: abortController.signal }), ExportAbortedError);
+        reportExporter.removeAllListeners('reportPageLoaded');
+        assert.strictEqual(server.exportRequests.length, exportRequestCount);
+        await assert.rejects(reportExporter.exportInventory({ signal: AbortSignal.abort() }), ExportAbortedError);
+    });
+    await it('Aborts a batch export while its session is opening', { timeout: testTimeoutMillis }, async () => {
+        const batchReportExporter = new FasterReportExporter(server.baseUrl, mockUserName, mockPassword, { acceptInsecureCerts: true, downloadFolderPath });
+        const abortController = new AbortController();
+        batchReportExporter.once('browserLaunched', () => {
+            abortController.abort();
+        });
+        await assert.rejects(batchReportExporter.exportWorkOrderTechnicianPrints([301], {
+            signal: abortController.signal
+        }), ExportAbortedError);
+        assert.ok(!batchReportExporter.hasOpenSession());
+    });
+    await it('Stops an export at its deadline, including the launch and login', { timeout: testTimeoutMillis }, async () => {
+        const deadlineReportExporter = new FasterReportExporter(server.baseUrl, mockUserName, mockPassword, {
+            acceptInsecureCerts: true,
+            downloadFolderPath,
+            exportTimeoutMillis: 1,
+            timeoutMillis: 30_000
+        });
+        const loginCount = server.loginCount();
+        const deadlineFolderPath = path.join(downloadFolderPath, 'deadline');
+        await assert.rejects(deadlineReportExporter.exportInventory({
+            destinations: [
+                createFolderDestination({
+                    name: 'deadline',
+                    folderPath: deadlineFolderPath
+                })
+            ]
+        }), ExportTimeoutError);
+        // Give a late browser launch time to finish, and be closed.
+        await delay(5000);
+        assert.strictEqual(server.loginCount(), loginCount);
+        assert.ok(!fs.existsSync(deadlineFolderPath));
+    });
+    await it('Describes a report without parameters within the configured timeout', { timeout: testTimeoutMillis }, async () => {
+        const shortTimeoutReportExporter = new FasterReportExporter(server.baseUrl, mockUserName, mockPassword, {
+            acceptInsecureCerts: true,
+            downloadFolderPath,
+            timeoutMillis: 5000
+        });
+        const parameters = await shortTimeoutReportExporter.describeReportParameters('/Maintenance/W398 - Customer Print', { ReportType: 'S', Domain: 'Maintenance' });
+        assert.deepStrictEqual(parameters, []);
+    });
+    await it('Restores a saved login, and logs in again when it expires', { timeout: testTimeoutMillis }, async () => {
+        const authStateStore = createEncryptedFileAuthStateStore(path.join(downloadFolderPath, 'authState', 'login.json'), 'test encryption key');
+        const createAuthStateReportExporter = () => new FasterReportExporter(server.baseUrl, mockUserName, mockPassword, {
+            acceptInsecureCerts: true,
+            downloadFolderPath,
+            timeoutMillis: 30_000,
+            authStateStore
+        });
+        const loginCount = server.loginCount();
+        await createAuthStateReportExporter().exportInventory();
+        assert.strictEqual(server.loginCount(), loginCount + 1);
+        assert.notStrictEqual(await authStateStore.load(), undefined);
+        await createAuthStateReportExporter().exportInventory();
+        assert.strictEqual(server.loginCount(), loginCount + 1);
+        const credentialRequests = [];
+        await new FasterReportExporter(server.baseUrl, ({ refresh }) => {
+            credentialRequests.push(refresh);
+            return { userName: mockUserName, password: mockPassword };
+        }, {
+            acceptInsecureCerts: true,
+            downloadFolderPath,
+            timeoutMillis: 30_000,
+            authStateStore
+        }).exportInventory();
+        assert.strictEqual(server.loginCount(), loginCount + 1);
+        assert.deepStrictEqual(credentialRequests, []);
+        server.expireSessions();
+        await createAuthStateReportExporter().exportInventory();
+        assert.strictEqual(server.loginCount(), loginCount + 2);
+    });
+    await it('Runs export jobs, applying each override only to its own job', { timeout: testTimeoutMillis }, async () => {
+        const jobsFolderPath = path.join(downloadFolderPath, 'jobs');
+        const overrideFolderPath = path.join(jobsFolderPath, 'override');
+        const results = await runExportJobs({
+            outputFolderPath: jobsFolderPath,
+            options: { acceptInsecureCerts: true, timeoutMillis: 30_000 },
+            jobs: [
+                {
+                    name: 'With overrides',
+                    report: 'inventory',
+                    outputFolderPath: overrideFolderPath,
+                    fileNameTemplate: 'override_{reportCode}'
+                },
+                {
+                    name: 'Without overrides',
+                    report: 'inventory'
+                }
+            ]
+        }, {
+            tenant: server.baseUrl,
+            userName: mockUserName,
+            password: mockPassword
+        });
+        const [overrideResult, defaultResult] = results;
+        assert.ok(overrideResult.success);
+        assert.strictEqual(path.dirname(overrideResult.reportPath), overrideFolderPath);
+        assert.strictEqual(path.basename(overrideResult.reportPath), 'override_W200.pdf');
+        assert.ok(defaultResult.success);
+        assert.strictEqual(path.dirname(defaultResult.reportPath), jobsFolderPath);
+        assert.ok(!path.basename(defaultResult.reportPath).startsWith('override_'));
+    });
+    await describe('In a session', async () => {
+        before(async () => {
+            await reportExporter.openSession();
+        });
+        after(async () => {
+            await reportExporter.closeSession();
+        });
+        await it('Describes report parameters and export types', { timeout: testTimeoutMillis }, async () => {
+            const parameters = await reportExporter.describeReportParameters('/Test/W900 - Parameter Test', { ReportType: 'S', Domain: 'Inventory' });
+            assert.deepStrictEqual(parameters.map((parameter) => [
+                parameter.label,
+                parameter.controlType,
+                parameter.allowsNull
+            ]), [
+                ['Storeroom', 'text', true],
+                ['As Of Date', 'date', false],
+                ['Sort Order', 'select', false],
+                ['Item Categories', 'multiSelect', false],
+                ['Include Inactive Items', 'boolean', false]
+            ]);
+            assert.deepStrictEqual(parameters[3].options, [
+                'Brakes',
+                'Filters',
+                'Tires'
+            ]);
+            const exportTypes = await reportExporter.describeReportExportTypes('/Test/W900 - Parameter Test', { ReportType: 'S', Domain: 'Inventory' });
+            assert.deepStrictEqual(exportTypes, ['CSV', 'Excel', 'PDF', 'XML']);
+        });
+        await it('Exports any report, applying every type of filter', { timeout: testTimeoutMillis }, async () => {
+            const report = await reportExporter.exportReport({
+                reportKey: '/Test/W900 - Parameter Test',
+                domain: 'Inventory',
+                filters: {
+                    Storeroom: null,
+                    'As Of Date': new Date(2026, 0, 31),
+                    'Sort Order': 'Description',
+                    'Item Categories': ['Brakes', 'Tires'],
+                    'Include Inactive Items': true
+                },
+                exportType: 'Excel',
+                resultType: 'buffer'
+            });
+            assert.strictEqual(report.exportType, 'Excel');
+            assert.strictEqual(report.fileName, 'W900 - Parameter Test.xlsx');
+            assert.match(report.buffer.toString('utf8'), /^Mock Excel export/);
+            assert.deepStrictEqual(server.renderedReports.at(-1)?.filters, {
+                Storeroom: null,
+                'As Of Date': '2026-01-31',
+                'Sort Order': 'Description',
+                'Item Categories': ['Brakes', 'Tires'],
+                'Include Inactive Items': 'True'
+            });
+        });
+        await it('Rejects export types the report does not offer', { timeout: testTimeoutMillis }, async () => {
+            await assert.rejects(reportExporter.exportReport({
+                reportKey: '/Test/W900 - Parameter Test',
+                domain: 'Inventory',
+                exportType: 'Word'
+            }), ReportExportTypeNotAvailableError);
+        });
+        await it('Rejects reports without permission, saving diagnostics', { timeout: testTimeoutMillis }, async () => {
+            await assert.rejects(reportExporter.exportReport({
+                reportKey: '/Test/W999 - Restricted',
+                domain: 'Inventory'
+            }), (error) => {
+                assert.ok(error instanceof FasterPermissionError);
+                assert.ok(fs.existsSync(error.diagnostics?.screenshotPath ?? ''));
+                assert.ok(fs.existsSync(error.diagnostics?.htmlPath ?? ''));
+                return true;
+            });
+        });
+        await it('Exports the asset list as a stream', { timeout: testTimeoutMillis }, async () => {
+            const report = await reportExporter.exportAssetList({
+                exportType: 'CSV',
+                resultType: 'stream'
+            });
+            assert.match(await readReportStream(report), /txtAssetNumber/);
+            assert.deepStrictEqual(server.renderedReports.at(-1)?.filters, {
+                'Time Zone': 'Eastern',
+                'Primary Grouping': 'Organization',
+                'Secondary Grouping': 'Department'
+            });
+        });
+        await it('Delivers copies of a report to each destination', { timeout: testTimeoutMillis }, async () => {
+            const deliveredLocations = [];
+            reportExporter.on('reportDelivered', (event) => {
+                deliveredLocations.push(event.location);
+            });
+            const shareDestination = createFolderDestination({
+                name: 'share',
+                folderPath: path.join(downloadFolderPath, 'share'),
+                folderTemplate: '{reportCode}'
+            });
+            const report = await reportExporter.exportInventory({
+                exportType: 'CSV',
+                resultType: 'deliveries',
+                destinations: [
+                    {
+                        name: shareDestination.name,
+                        // Finishes last, but is still listed first.
+                        deliver: async (file, options) => {
+                            await delay(500);
+                            return await shareDestination.deliver(file, options);
+                        }
+                    },
+                    createFolderDestination({
+                        name: 'archive',
+                        folderPath: path.join(downloadFolderPath, 'archive')
+                    })
+                ]
+            });
+            reportExporter.removeAllListeners('reportDelivered');
+            assert.strictEqual(report.exportType, 'CSV');
+            assert.deepStrictEqual(report.deliveries.map((delivery) => delivery.destinationName), ['share', 'archive']);
+            for (const delivery of report.deliveries) {
+                assert.ok(fs.existsSync(delivery.location));
+                assert.ok(deliveredLocations.includes(delivery.location));
+            }
+            assert.strictEqual(path.basename(path.dirname(report.deliveries.find((delivery) => delivery.destinationName === 'share')?.location ?? '')), 'W200');
+            await assert.rejects(reportExporter.exportInventory({
+                destinations: [
+                    {
+                        name: 'offline',
+                        deliver: async () => {
+                            throw new Error('Share offline');
+                        }
+                    }
+                ]
+            }), (error) => {
+                assert.ok(error instanceof ReportDeliveryError);
+                assert.strictEqual(error.step, 'deliver');
+                assert.strictEqual(error.failures[0].destinationName, 'offline');
+                return true;
+            });
+            const renderedReportCount = server.renderedReports.length;
+            await assert.rejects(reportExporter.exportInventory({
+                resultType: 'deliveries',
+                destinations: []
+            }), { step: 'deliver' });
+            assert.strictEqual(server.renderedReports.length, renderedReportCount);
+        });
+        await it('Gets assets, inventory, and message log records', { timeout: testTimeoutMillis }, async () => {
+            const assets = await reportExporter.getAssetList();
+            assert.deepStrictEqual(assets.map((asset) => asset.assetNumber), ['1001', '1002']);
+            const inventory = await reportExporter.getInventory();
+            assert.strictEqual(inventory.length, 2);
+            assert.strictEqual(inventory[1].totalCost, 4600);
+            const messages = await reportExporter.getMessageLog(new Date(2026, 0, 1), new Date(2026, 0, 31));
+            assert.strictEqual(messages.length, 2);
+            assert.strictEqual(messages[1].message, 'Import failed, retrying');
+            assert.strictEqual(server.renderedReports.at(-1)?.filters['Start Date'], '2026-01-01');
+        });
+        await it('Exports the message logger for a date range', { timeout: testTimeoutMillis }, async () => {
+            const reportPath = await reportExporter.exportMessageLogger({ startDate: new Date(2026, 1, 1), endDate: new Date(2026, 1, 28) }, 'XML');
+            assert.strictEqual(path.extname(reportPath), '.xml');
+            assert.deepStrictEqual(server.renderedReports.at(-1)?.filters, {
+                'Time Zone': 'Eastern',
+                'Start Date': '2026-02-01',
+                'End Date': '2026-02-28'
+            });
+        });
+        await it('Exports work order details', { timeout: testTimeoutMillis }, async () => {
+            const reportPath = await reportExporter.exportWorkOrderDetails(100, 105, 'Word');
+            assert.strictEqual(path.extname(reportPath), '.docx');
+            assert.deepStrictEqual(server.renderedReports.at(-1)?.filters, {
+                'Time Zone': 'Eastern',
+                'Beginning Work Order Number': '100',
+                'Ending Work Order Number': '105'
+            });
+        });
+        await it('Exports part order prints', { timeout: testTimeoutMillis }, async () => {
+            const reportPath = await reportExporter.exportPartOrderPrint(42);
+            assert.ok(fs.existsSync(reportPath));
+            assert.strictEqual(server.renderedReports.at(-1)?.urlParameters.OrderID, '42');
+            const results = await reportExporter.exportPartOrderPrints([43, 44, 43], { concurrency: 2 });
+            assert.deepStrictEqual([...results.keys()], [43, 44]);
+            for (const result of results.values()) {
+                assert.ok(result.success);
+            }
+        });
+        await it('Exports work order prints from the work order print buttons', { timeout: testTimeoutMillis }, async () => {
+            await reportExporter.exportWorkOrderCustomerPrint(300);
+            assert.strictEqual(server.renderedReports.at(-1)?.reportKey, mockWorkOrderPrintReportKeys.customer);
+            assert.strictEqual(server.renderedReports.at(-1)?.urlParameters.WorkOrderID, '300');
+            const report = await reportExporter.exportWorkOrderTechnicianPrint(300, { exportType: 'Word', resultType: 'buffer' });
+            assert.strictEqual(report.fileName, 'W399 - Technician Print.docx');
+            const customerResults = await reportExporter.exportWorkOrderCustomerPrints([301, 302]);
+            const technicianResults = await reportExporter.exportWorkOrderTechnicianPrints([301, 302]);
+            for (const result of [
+                ...customerResults.values(),
+                ...technicianResults.values()
+            ]) {
+                assert.ok(result.success);
+            }
+        });
+        await it('Lists scheduled reports from every page of the grid', { timeout: testTimeoutMillis }, async () => {
+            const scheduledReports = await reportExporter.listScheduledReports();
+            assert.deepStrictEqual(scheduledReports.map((scheduledReport) => [
+                scheduledReport.scheduleName,
+                scheduledReport.reportName,
+                scheduledReport.owner,
+                scheduledReport.frequency
+            ]), [
+                [
+                    'Monthly Inventory',
+                    'W200 - Inventory Report',
+                    'JSMITH',
+                    'Monthly'
+                ],
+                [
+                    'Archived Asset List',
+                    'W114 - Asset Master List',
+                    'JSMITH',
+                    'Once'
+                ],
+                ['Weekly Message Log', 'W603 - Message Logger', 'ADMIN', 'Weekly']
+            ]);
+            assert.deepStrictEqual(scheduledReports[2].nextRunDate, new Date(2026, 0, 12, 6, 0, 0));
+            assert.strictEqual(scheduledReports[1].nextRunDate, undefined);
+        });
+        await it('Exports a scheduled report from the second page of the grid', { timeout: testTimeoutMillis }, async () => {
+            reportExporter.setFileNameTemplate('{reportCode}_{startDate}');
+            // eslint-disable-next-line @typescript-eslint/init-declarations
+            let reportPath;
+            try {
+                reportPath = await reportExporter.exportScheduledReport('Weekly Message Log', {
+                    startDate: new Date(2026, 0, 5),
+                    endDate: new Date(2026, 0, 11)
+                }, { exportType: 'CSV', filters: { 'Time Zone': 'Pacific' } });
+            }
+            finally {
+                reportExporter.setFileNameTemplate(undefined);
+            }
+            assert.strictEqual(path.basename(reportPath), 'W603_2026-01-05.csv');
+            assert.deepStrictEqual(server.renderedReports.at(-1)?.filters, {
+                'Time Zone': 'Pacific',
+                'Start Date': '2026-01-05',
+                'End Date': '2026-01-11'
+            });
+        });
+        await it('Rejects missing scheduled reports and schedules without parameters', { timeout: testTimeoutMillis }, async () => {
+            await assert.rejects(reportExporter.exportScheduledReport('Missing Schedule'), ScheduledReportNotFoundError);
+            await assert.rejects(reportExporter.exportScheduledReport('Archived Asset List'), FasterElementNotFoundError);
+        });
+        await it('Exports with the export URL strategy', { timeout: testTimeoutMillis }, async () => {
+            reportExporter.setExportStrategy('exportUrl');
+            try {
+                const report = await reportExporter.exportInventory({
+                    exportType: 'CSV',
+                    resultType: 'buffer'
+                });
+                assert.strictEqual(report.contentType, 'text/csv');
+                assert.match(report.buffer.toString('utf8'), /txtItemNumber/);
+                assert.deepStrictEqual(server.exportRequests.at(-1), {
+                    reportKey: '/Inventory/W200 - Inventory Report',
+                    exportType: 'CSV'
+                });
+            }
+            finally {
+                reportExporter.setExportStrategy('menu');
+            }
+        });
+        await it('Logs in again when the FASTER Web login expires', { timeout: testTimeoutMillis }, async () => {
+            const loginCount = server.loginCount();
+            server.expireSessions();
+            const reportPath = await reportExporter.exportPartOrderPrint(45);
+            assert.ok(fs.existsSync(reportPath));
+            assert.strictEqual(server.loginCount(), loginCount + 1);
+        });
+    });
+});
@@ -0,0 +1,65 @@
+// eslint-disable-next-line @eslint-community/eslint-comments/disable-enable-pair
+/* eslint-disable security/detect-non-literal-fs-filename */
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { formatReportFileName, formatReportFolders, getReportDetailsFromReportKey, reserveFilePath } from '../fileNames.js';
+await describe('fileNames', async () => {
+    await it('Gets the report code and name from a report key', () => {
+        assert.deepStrictEqual(
+        // eslint-disable-next-line no-secrets/no-secrets
+        getReportDetailsFromReportKey('/Maintenance/W300n - WorkOrderDetailsByWONumber'), {
+            reportCode: 'W300N',
+            // eslint-disable-next-line no-secrets/no-secrets
+            reportName: 'WorkOrderDetailsByWONumber'
+        });
+    });
+    await it('Formats a file name template, skipping empty placeholders', () => {
+        const fileName = formatReportFileName('{reportCode}_{itemNumber}_{startDate}_{endDate}', {
+            reportCode: 'W603',
+            reportName: 'Message Logger',
+            startDate: new Date(2025, 1 - 1, 1),
+            endDate: new Date(2025, 1 - 1, 31),
+            exportType: 'CSV',
+            timestamp: new Date(),
+            downloadId: 'abc'
+        });
+        assert.strictEqual(fileName, 'W603_2025-01-01_2025-01-31');
+    });
+    await it('Formats a file name with a callback, removing unsafe characters', () => {
+        const fileName = formatReportFileName((context) => `${context.reportName}: ${context.itemNumber ?? ''}`, {
+            reportCode: 'W399',
+            reportName: 'Technician Print',
+            itemNumber: '123',
+            exportType: 'PDF',
+            timestamp: new Date(),
+            downloadId: 'abc'
+        });
+        assert.strictEqual(fileName, 'Technician Print_ 123');
+    });
+    await it('Formats a folder template, skipping empty and unsafe folders', () => {
+        const folders = formatReportFolders('{reportCode}/{itemNumber}/../{startDate}/{reportName}', {
+            reportCode: 'W603',
+            reportName: 'Message: Logger',
+            startDate: new Date(2025, 1 - 1, 1),
+            exportType: 'CSV',
+            timestamp: new Date(),
+            downloadId: 'abc'
+        });
+        assert.deepStrictEqual(folders, ['W603', '2025-01-01', 'Message_ Logger']);
+    });
+    await it('Reserves a new file path when the file name is taken', async () => {
+        const folderPath = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'faster-report-exporter-test-'));
+        try {
+            const firstFilePath = await reserveFilePath(folderPath, 'report', 'pdf');
+            const secondFilePath = await reserveFilePath(folderPath, 'report', 'pdf');
+            assert.strictEqual(path.basename(firstFilePath), 'report.pdf');
+            assert.strictEqual(path.basename(secondFilePath), 'report (1).pdf');
+        }
+        finally {
+            await fs.promises.rm(folderPath, { force: true, recursive: true });
+        }
+    });
+});
@@ -0,0 +1,78 @@
+import assert from 'node:assert';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { describe, it } from 'node:test';
+import { resolveDateRange } from '../dateRanges.js';
+import { ExportJobsConfigError, getExportJobDateRange, loadExportJobsConfig, scheduleExportJobs, validateExportJobsConfig } from '../jobs.js';
+await describe('jobs', async () => {
+    await it('Resolves fixed job date ranges', () => {
+        const dateRange = resolveDateRange(getExportJobDateRange({
+            name: 'Message Logger',
+            report: 'message-logger',
+            dateRange: { startDate: '2025-01-01', endDate: '2025-01-31' }
+        }));
+        assert.strictEqual(dateRange.startDate.getMonth(), 0);
+        assert.strictEqual(dateRange.endDate.getDate(), 31);
+    });
+    await it('Rejects invalid configs', () => {
+        assert.throws(() => validateExportJobsConfig({}), ExportJobsConfigError);
+        assert.throws(() => validateExportJobsConfig({
+            jobs: [{ name: 'Inventory', report: 'inventory', schedule: 'daily' }]
+        }), ExportJobsConfigError);
+        assert.throws(() => validateExportJobsConfig({
+            jobs: [
+                { name: 'Inventory', report: 'inventory' },
+                { name: 'Inventory', report: 'asset-list' }
+            ]
+        }), ExportJobsConfigError);
+    });
+    await it('Rejects scheduling when no job has a schedule', () => {
+        assert.throws(() => scheduleExportJobs({ jobs: [{ name: 'Inventory', report: 'inventory' }] }, { tenant: 'tenant', userName: 'user', password: 'pass' }), ExportJobsConfigError);
+    });
+    await it('Passes failed scheduled runs to onJobComplete', async () => {
+        // eslint-disable-next-line @typescript-eslint/init-declarations
+        let stopSchedules;
+        const resultPromise = new Promise((resolve) => {
+            stopSchedules = scheduleExportJobs({
+                jobs: [
+                    { name: 'Inventory', report: 'inventory', schedule: '* * * * * *' }
+                ]
+            }, 
+            // Not a FASTER Web URL, so the exporter cannot be created, and every run fails.
+            { tenant: 'https://localhost', userName: 'user', password: 'pass' }, { onJobComplete: resolve });
+        });
+        try {
+            const result = await resultPromise;
+            assert.strictEqual(result.jobName, 'Inventory');
+            assert.ok(!result.success);
+            assert.ok(result.error instanceof Error);
+        }
+        finally {
+            stopSchedules?.();
+        }
+    });
+    await it('Loads a YAML config', async () => {
+        const configFolderPath = await fs.mkdtemp(path.join(os.tmpdir(), 'faster-report-exporter-test-'));
+        const configFilePath = path.join(configFolderPath, 'jobs.yaml');
+        try {
+            await fs.writeFile(configFilePath, `outputFolderPath: reports
+jobs:
+  - name: Morning Inventory
+    report: inventory
+    exportType: Excel
+    schedule: '0 6 * * 1-5'
+  - name: Message Logger
+    report: message-logger
+    dateRange: yesterday
+`);
+            const config = await loadExportJobsConfig(configFilePath);
+            assert.strictEqual(config.outputFolderPath, path.join(configFolderPath, 'reports'));
+            assert.strictEqual(config.jobs.length, 2);
+            assert.strictEqual(config.jobs[1].dateRange, 'yesterday');
+        }
+        finally {
+            await fs.rm(configFolderPath, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,76 @@
+import type { ReportExportType } from '../types.js';
+export interface MockReportParameter {
+    label: string;
+    controlType: 'boolean' | 'date' | 'multiSelect' | 'select' | 'text';
+    options?: string[];
+    allowsNull?: boolean;
+}
+export interface MockReport {
+    parameters: MockReportParameter[];
+    /**
+     * The export types offered in the export menu.
+     * Defaults to every export type.
+     */
+    exportTypes?: ReportExportType[];
+    /** The contents of CSV exports. */
+    csv?: string;
+    /** Shows the permissions error instead of the report. */
+    isRestricted?: boolean;
+}
+export interface MockScheduledReport {
+    scheduleName: string;
+    reportKey: `/${string}`;
+    owner: string;
+    frequency: string;
+    nextRunDate: string;
+    /** Schedules without parameters have no "Parameter" link. */
+    hasParameters: boolean;
+}
+export interface MockRenderedReport {
+    reportKey: string;
+    /** Report Viewer URL parameters, like "OrderID". */
+    urlParameters: Record<string, string>;
+    /** Submitted filter values, by label. `null` when "NULL" is checked. */
+    filters: Record<string, string | string[] | null>;
+}
+export interface MockExportRequest {
+    reportKey: string;
+    exportType: ReportExportType;
+}
+export interface MockFasterServerOptions {
+    userName: string;
+    password: string;
+    /** A user name that is shown the "account locked" message. */
+    lockedUserName: string;
+    /** Show the release notes page after logging in. */
+    showReleaseNotes: boolean;
+    /** Scheduled reports shown on each page of the grid. */
+    scheduledReportsPageSize: number;
+}
+export interface MockFasterServer {
+    /** The FASTER Web base URL, including "/FASTER". */
+    baseUrl: string;
+    /** Reports rendered in the Report Viewer, in order. */
+    renderedReports: MockRenderedReport[];
+    /** Export files served, in order. */
+    exportRequests: MockExportRequest[];
+    /** The number of successful logins. */
+    loginCount: () => number;
+    /** Logs out every user, as if the FASTER Web login expired. */
+    expireSessions: () => void;
+    close: () => Promise<void>;
+}
+export declare const mockReports: Record<string, MockReport>;
+export declare const mockScheduledReports: MockScheduledReport[];
+export declare const mockWorkOrderPrintReportKeys: {
+    customer: string;
+    technician: string;
+};
+/**
+ * Starts a local HTTPS server that mimics the FASTER Web pages used by the exporter.
+ * The server uses a self-signed certificate for "localhost", generated at start-up,
+ * so the exporter needs the `acceptInsecureCerts` option.
+ * @param options - Server options
+ * @returns The server, with its base URL and a record of requests.
+ */
+export declare function startMockFasterServer(options?: Partial<MockFasterServerOptions>): Promise<MockFasterServer>;
@@ -0,0 +1,990 @@
+// eslint-disable-next-line @eslint-community/eslint-comments/disable-enable-pair
+/* eslint-disable max-lines */
+
+import { randomUUID } from 'node:crypto'
+import https from 'node:https'
+import type { IncomingMessage, ServerResponse } from 'node:http'
+import type { AddressInfo } from 'node:net'
+
+import { generate as generateCertificate } from 'selfsigned'
+
+import {
+  reportExportContentTypes,
+  reportExportTypes,
+  reportViewerExportFormats,
+  reportViewerExportMenuTitles
+} from '../lookups.js'
+import type { ReportExportType } from '../types.js'
+
+/*
+ * A local stand-in for FASTER Web, for testing exports without network access.
+ * Only the pages and element ids used by the exporter are reproduced.
+ */
+
+const sessionCookieName = 'ASP.NET_SessionId'
+
+const reportViewerPath = '/faster/domains/reports/reportviewer.aspx'
+
+export interface MockReportParameter {
+  label: string
+  controlType: 'boolean' | 'date' | 'multiSelect' | 'select' | 'text'
+  options?: string[]
+  allowsNull?: boolean
+}
+
+export interface MockReport {
+  parameters: MockReportParameter[]
+
+  /**
+   * The export types offered in the export menu.
+   * Defaults to every export type.
+   */
+  exportTypes?: ReportExportType[]
+
+  /** The contents of CSV exports. */
+  csv?: string
+
+  /** Shows the permissions error instead of the report. */
+  isRestricted?: boolean
+}
+
+export interface MockScheduledReport {
+  scheduleName: string
+  reportKey: `/${string}`
+  owner: string
+  frequency: string
+  nextRunDate: string
+
+  /** Schedules without parameters have no "Parameter" link. */
+  hasParameters: boolean
+}
+
+export interface MockRenderedReport {
+  reportKey: string
+
+  /** Report Viewer URL parameters, like "OrderID". */
+  urlParameters: Record<string, string>
+
+  /** Submitted filter values, by label. `null` when "NULL" is checked. */
+  filters: Record<string, string | string[] | null>
+}
+
+export interface MockExportRequest {
+  reportKey: string
+  exportType: ReportExportType
+}
+
+export interface MockFasterServerOptions {
+  userName: string
+  password: string
+
+  /** A user name that is shown the "account locked" message. */
+  lockedUserName: string
+
+  /** Show the release notes page after logging in. */
+  showReleaseNotes: boolean
+
+  /** Scheduled reports shown on each page of the grid. */
+  scheduledReportsPageSize: number
+}
+
+export interface MockFasterServer {
+  /** The FASTER Web base URL, including "/FASTER". */
+  baseUrl: string
+
+  /** Reports rendered in the Report Viewer, in order. */
+  renderedReports: MockRenderedReport[]
+
+  /** Export files served, in order. */
+  exportRequests: MockExportRequest[]
+
+  /** The number of successful logins. */
+  loginCount: () => number
+
+  /** Logs out every user, as if the FASTER Web login expired. */
+  expireSessions: () => void
+
+  close: () => Promise<void>
+}
+
+const timeZoneParameter: MockReportParameter = {
+  label: 'Time Zone',
+  controlType: 'select',
+  options: ['Atlantic', 'Eastern', 'Central', 'Mountain', 'Pacific']
+}
+
+export const mockReports: Record<string, MockReport> = {
+  '/Assets/W114 - Asset Master List': {
+    parameters: [
+      timeZoneParameter,
+      {
+        label: 'Primary Grouping',
+        controlType: 'select',
+        options: ['Organization', 'Department', 'Asset Class']
+      },
+      {
+        label: 'Secondary Grouping',
+        controlType: 'select',
+        options: ['Organization', 'Department', 'Asset Class']
+      }
+    ],
+    csv: [
+      'Textbox1',
+      'W114 - Asset Master List',
+      '',
+      'txtOrganization,txtDepartment,txtAssetNumber,txtDescription,txtYear,txtMake,txtModel,txtVIN',
+      'Public Works,Fleet,1001,Pickup,2020,Ford,F-150,1FT123',
+      'Public Works,Fleet,1002,Dump Truck,2018,Mack,Granite,1M2456',
+      ''
+    ].join('\r\n')
+  },
+
+  '/Inventory/W200 - Inventory Report': {
+    parameters: [
+      timeZoneParameter,
+      {
+        label: 'Grouping within Storeroom',
+        controlType: 'select',
+        options: ['Item Category', 'Bin Location']
+      }
+    ],
+    csv: [
+      'Textbox1',
+      'W200 - Inventory Report',
+      '',
+      'txtStoreroom,txtItemCategory,txtItemNumber,txtItemDescription,txtBin,txtQtyOnHand,txtAverageCost,txtTotalValue',
+      'Main,Filters,FIL-100,Oil Filter,A-1,12,$8.50,$102.00',
+      'Main,Tires,TIR-200,Tire 245/75R16,B-4,4,"$1,150.00","$4,600.00"',
+      ''
+    ].join('\r\n')
+  },
+
+  // eslint-disable-next-line no-secrets/no-secrets
+  '/Maintenance/W300n - WorkOrderDetailsByWONumber': {
+    parameters: [
+      timeZoneParameter,
+      { label: 'Beginning Work Order Number', controlType: 'text' },
+      { label: 'Ending Work Order Number', controlType: 'text' }
+    ]
+  },
+
+  '/Maintenance/W398 - Customer Print': {
+    parameters: [],
+    exportTypes: ['PDF', 'Word']
+  },
+
+  '/Maintenance/W399 - Technician Print': {
+    parameters: [],
+    exportTypes: ['PDF', 'Word']
+  },
+
+  '/Part Order Print/W299 - OrderPrint': {
+    parameters: [timeZoneParameter]
+  },
+
+  '/Setup/W603 - Message Logger': {
+    parameters: [
+      timeZoneParameter,
+      { label: 'Start Date', controlType: 'date' },
+      { label: 'End Date', controlType: 'date' }
+    ],
+    csv: [
+      'txtMessageDate,txtMessageType,txtSource,txtUserName,txtMessage',
+      '1/5/2026 6:00:00 AM,Information,Integration,JSMITH,Import complete',
+      '1/5/2026 6:05:30 PM,Error,Integration,JSMITH,"Import failed, retrying"',
+      ''
+    ].join('\r\n')
+  },
+
+  '/Test/W900 - Parameter Test': {
+    parameters: [
+      { label: 'Storeroom', controlType: 'text', allowsNull: true },
+      { label: 'As Of Date', controlType: 'date' },
+      {
+        label: 'Sort Order',
+        controlType: 'select',
+        options: ['Item Number', 'Description']
+      },
+      {
+        label: 'Item Categories',
+        controlType: 'multiSelect',
+        options: ['Brakes', 'Filters', 'Tires']
+      },
+      { label: 'Include Inactive Items', controlType: 'boolean' }
+    ],
+    exportTypes: ['CSV', 'Excel', 'PDF', 'XML']
+  },
+
+  '/Test/W999 - Restricted': {
+    parameters: [],
+    isRestricted: true
+  }
+}
+
+export const mockScheduledReports: MockScheduledReport[] = [
+  {
+    scheduleName: 'Monthly Inventory',
+    reportKey: '/Inventory/W200 - Inventory Report',
+    owner: 'JSMITH',
+    frequency: 'Monthly',
+    nextRunDate: '2/1/2026 6:00:00 AM',
+    hasParameters: true
+  },
+  {
+    scheduleName: 'Archived Asset List',
+    reportKey: '/Assets/W114 - Asset Master List',
+    owner: 'JSMITH',
+    frequency: 'Once',
+    nextRunDate: '',
+    hasParameters: false
+  },
+  {
+    scheduleName: 'Weekly Message Log',
+    reportKey: '/Setup/W603 - Message Logger',
+    owner: 'ADMIN',
+    frequency: 'Weekly',
+    nextRunDate: '1/12/2026 6:00:00 AM',
+    hasParameters: true
+  }
+]
+
+export const mockWorkOrderPrintReportKeys = {
+  customer: '/Maintenance/W398 - Customer Print',
+  technician: '/Maintenance/W399 - Technician Print'
+}
+
+const defaultOptions: MockFasterServerOptions = {
+  userName: 'mock.user',
+  password: 'mock.password',
+  lockedUserName: 'locked.user',
+  showReleaseNotes: true,
+  scheduledReportsPageSize: 2
+}
+
+/**
+ * Escapes text for use in HTML content and attributes.
+ * @param text - The text.
+ * @returns The escaped text.
+ */
+function escapeHtml(text: string): string {
+  return text
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;')
+}
+
+/**
+ * Wraps page content in an HTML document.
+ * @param title - The page title.
+ * @param bodyHtml - The page body.
+ * @returns The HTML document.
+ */
+function toHtmlDocument(title: string, bodyHtml: string): string {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8" /><title>${escapeHtml(title)}</title></head>
+<body>
+${bodyHtml}
+</body>
+</html>`
+}
+
+/**
+ * Gets the id prefix shared by a Report Viewer parameter's controls.
+ * @param parameterIndex - The parameter's position on the page.
+ * @returns The id prefix.
+ */
+function getControlIdPrefix(parameterIndex: number): string {
+  // eslint-disable-next-line @typescript-eslint/no-magic-numbers
+  const controlNumber = (parameterIndex * 2 + 3).toString().padStart(2, '0')
+
+  return `RvDetails_ctl04_ctl${controlNumber}_`
+}
+
+/**
+ * Reads a submitted Report Viewer parameter value.
+ * @param parameter - The report parameter.
+ * @param idPrefix - The id prefix shared by the parameter's controls.
+ * @param query - The submitted form values.
+ * @returns The value, `null` when "NULL" is checked,
+ *          or undefined when the form has not been submitted.
+ */
+function getSubmittedParameterValue(
+  parameter: MockReportParameter,
+  idPrefix: string,
+  query: URLSearchParams
+): string[] | string | null | undefined {
+  if (query.get(`${idPrefix}cbNull`) === 'on') {
+    return null
+  }
+
+  switch (parameter.controlType) {
+    case 'boolean': {
+      return query.get(`${idPrefix}rb`) ?? undefined
+    }
+    case 'multiSelect': {
+      return query.has('rvRendered')
+        ? query.getAll(`${idPrefix}divDropDown`)
+        : undefined
+    }
+    case 'select': {
+      return query.get(`${idPrefix}ddValue`) ?? undefined
+    }
+    default: {
+      return query.get(`${idPrefix}txtValue`) ?? undefined
+    }
+  }
+}
+
+/**
+ * Renders the controls for a Report Viewer parameter,
+ * using the same id suffixes as the Report Viewer.
+ * @param parameter - The report parameter.
+ * @param idPrefix - The id prefix shared by the parameter's controls.
+ * @param value - The current value.
+ * @returns The HTML table row.
+ */
+function renderParameterControls(
+  parameter: MockReportParameter,
+  idPrefix: string,
+  value: string[] | string | null | undefined
+): string {
+  const isNull = value === null
+
+  let promptFor = `${idPrefix}txtValue`
+  let controlHtml = ''
+
+  switch (parameter.controlType) {
+    case 'boolean': {
+      promptFor = `${idPrefix}rbTrue`
+      controlHtml = `<input type="radio" id="${idPrefix}rbTrue" name="${idPrefix}rb" value="True"${value === 'True' ? ' checked' : ''} /><span>True</span>
+        <input type="radio" id="${idPrefix}rbFalse" name="${idPrefix}rb" value="False"${value === 'False' ? ' checked' : ''} /><span>False</span>`
+      break
+    }
+    case 'date': {
+      controlHtml = `<input type="text" id="${idPrefix}txtValue" name="${idPrefix}txtValue" value="${escapeHtml(typeof value === 'string' ? value : '')}"${isNull ? ' disabled' : ''} />
+        <input type="image" id="${idPrefix}ddDropDownButton" alt="Select a value" onclick="return false;" />`
+      break
+    }
+    case 'multiSelect': {
+      const checkedOptions = Array.isArray(value) ? value : []
+
+      const optionsHtml = ['(Select All)', ...(parameter.options ?? [])]
+        .map(
+          (option, optionIndex) =>
+            `<span><input type="checkbox" id="${idPrefix}divDropDown_ctl${optionIndex.toString().padStart(2, '0')}" name="${idPrefix}divDropDown" value="${escapeHtml(option)}"${checkedOptions.includes(option) ? ' checked' : ''} /><label for="${idPrefix}divDropDown_ctl${optionIndex.toString().padStart(2, '0')}">${escapeHtml(option)}</label></span>`
+        )
+        .join('\n')
+
+      controlHtml = `<input type="text" id="${idPrefix}txtValue" readonly value="${escapeHtml(checkedOptions.join(', '))}" onclick="toggleDropDown('${idPrefix}divDropDown')" />
+        <div id="${idPrefix}divDropDown" style="display: none">${optionsHtml}</div>`
+      break
+    }
+    case 'select': {
+      promptFor = `${idPrefix}ddValue`
+
+      const optionsHtml = [
+        '&lt;Select a Value&gt;',
+        ...(parameter.options ?? [])
+      ]
+        .map((option, optionIndex) =>
+          optionIndex === 0
+            ? `<option value="">${option}</option>`
+            : `<option value="${optionIndex}"${value === optionIndex.toString() ? ' selected' : ''}>${escapeHtml(option)}</option>`
+        )
+        .join('')
+
+      controlHtml = `<select id="${idPrefix}ddValue" name="${idPrefix}ddValue">${optionsHtml}</select>`
+      break
+    }
+    default: {
+      controlHtml = `<input type="text" id="${idPrefix}txtValue" name="${idPrefix}txtValue" value="${escapeHtml(typeof value === 'string' ? value : '')}"${isNull ? ' disabled' : ''} />`
+    }
+  }
+
+  const nullHtml =
+    (parameter.allowsNull ?? false)
+      ? `<input type="checkbox" id="${idPrefix}cbNull" name="${idPrefix}cbNull"${isNull ? ' checked' : ''} onclick="toggleNull('${idPrefix}', this.checked)" /><label for="${idPrefix}cbNull">NULL</label>`
+      : ''
+
+  return `<tr>
+    <td><label for="${promptFor}"><span>${escapeHtml(parameter.label)}</span></label></td>
+    <td>${controlHtml} ${nullHtml}</td>
+  </tr>`
+}
+
+/**
+ * Converts a submitted parameter value to the value recorded for tests.
+ * Drop down list values are converted to their option labels.
+ * @param parameter - The report parameter.
+ * @param value - The submitted value.
+ * @returns The recorded value.
+ */
+function toRecordedFilterValue(
+  parameter: MockReportParameter,
+  value: string[] | string | null | undefined
+): string[] | string | null {
+  if (value === undefined) {
+    return ''
+  }
+
+  if (parameter.controlType === 'select' && typeof value === 'string') {
+    return parameter.options?.[Number.parseInt(value, 10) - 1] ?? ''
+  }
+
+  return value
+}
+
+const reportViewerScript = `<script>
+  function toggleDropDown(dropDownId) {
+    const dropDownElement = document.getElementById(dropDownId)
+    dropDownElement.style.display =
+      dropDownElement.style.display === 'none' ? 'block' : 'none'
+  }
+
+  function toggleNull(idPrefix, isNull) {
+    const inputElement = document.getElementById(idPrefix + 'txtValue')
+    if (inputElement !== null) {
+      inputElement.disabled = isNull
+    }
+  }
+
+  function toggleExportMenu() {
+    const menuElement = document.getElementById('RvDetails_ctl05_ctl04_ctl00_Menu')
+    menuElement.style.display =
+      menuElement.style.display === 'none' ? 'block' : 'none'
+  }
+
+  function $find() {
+    return {
+      exportReport: function (format) {
+        if (typeof reportViewerSettings === 'undefined') {
+          alert('The report has not been rendered.')
+          return
+        }
+        window.location.href =
+          reportViewerSettings.ExportUrlBase + encodeURIComponent(format)
+      }
+    }
+  }
+</script>`
+
+/**
+ * Starts a local HTTPS server that mimics the FASTER Web pages used by the exporter.
+ * The server uses a self-signed certificate for "localhost", generated at start-up,
+ * so the exporter needs the `acceptInsecureCerts` option.
+ * @param options - Server options
+ * @returns The server, with its base URL and a record of requests.
+ */
+export async function startMockFasterServer(
+  options: Partial<MockFasterServerOptions> = {}
+): Promise<MockFasterServer> {
+  const serverOptions: MockFasterServerOptions = {
+    ...defaultOptions,
+    ...options
+  }
+
+  const sessionIds = new Set<string>()
+  let loginCount = 0
+
+  const reportSessions = new Map<string, MockRenderedReport>()
+
+  const renderedReports: MockRenderedReport[] = []
+  const exportRequests: MockExportRequest[] = []
+
+  /*
+   * Responses
+   */
+
+  function sendHtml(
+    response: ServerResponse,
+    html: string,
+    statusCode = 200
+  ): void {
+    response.writeHead(statusCode, {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store'
+    })
+    response.end(html)
+  }
+
+  function redirect(response: ServerResponse, location: string): void {
+    response.writeHead(302, { Location: location })
+    response.end()
+  }
+
+  function isLoggedIn(request: IncomingMessage): boolean {
+    const cookies = (request.headers.cookie ?? '').split(';')
+
+    return cookies.some((cookie) => {
+      const [cookieName, cookieValue] = cookie.trim().split('=')
+      return cookieName === sessionCookieName && sessionIds.has(cookieValue)
+    })
+  }
+
+  function renderLoginPage(failureText = ''): string {
+    return toHtmlDocument(
+      'FASTER Web - Sign In',
+      `<form id="form_Signin" method="post" action="/FASTER/Login">
+        <label for="LoginControl_UserName">User Name</label>
+        <input type="text" id="LoginControl_UserName" name="LoginControl$UserName" />
+        <label for="LoginControl_Password">Password</label>
+        <input type="password" id="LoginControl_Password" name="LoginControl$Password" />
+        <span id="LoginControl_FailureText">${escapeHtml(failureText)}</span>
+        <input type="submit" id="LoginControl_SignInButton_input" value="Sign In" />
+      </form>`
+    )
+  }
+
+  async function readFormBody(
+    request: IncomingMessage
+  ): Promise<URLSearchParams> {
+    const chunks: Buffer[] = []
+
+    for await (const chunk of request) {
+      chunks.push(chunk as Buffer)
+    }
+
+    return new URLSearchParams(Buffer.concat(chunks).toString('utf8'))
+  }
+
+  async function handleLogin(
+    request: IncomingMessage,
+    response: ServerResponse
+  ): Promise<void> {
+    const form = await readFormBody(request)
+
+    const userName = form.get('LoginControl$UserName') ?? ''
+    const password = form.get('LoginControl$Password') ?? ''
+
+    if (userName === serverOptions.lockedUserName) {
+      sendHtml(
+        response,
+        renderLoginPage(
+          'Your account has been locked. Contact your administrator.'
+        )
+      )
+      return
+    }
+
+    if (
+      userName !== serverOptions.userName ||
+      password !== serverOptions.password
+    ) {
+      sendHtml(
+        response,
+        renderLoginPage(
+          'Your login attempt was not successful. Please try again.'
+        )
+      )
+      return
+    }
+
+    const sessionId = randomUUID()
+
+    sessionIds.add(sessionId)
+    loginCount += 1
+
+    response.writeHead(302, {
+      'Set-Cookie': `${sessionCookieName}=${sessionId}; Path=/FASTER; Secure; HttpOnly`,
+      Location: serverOptions.showReleaseNotes
+        ? '/FASTER/Release/ReleaseNotes.aspx'
+        : '/FASTER/Domains/Default.aspx'
+    })
+    response.end()
+  }
+
+  function renderReportViewer(requestUrl: URL): string {
+    const reportKey = requestUrl.searchParams.get('R') ?? ''
+    const reportName = reportKey.split('/').at(-1) ?? reportKey
+
+    // eslint-disable-next-line security/detect-object-injection
+    const report = mockReports[reportKey] as MockReport | undefined
+
+    if (report === undefined) {
+      return toHtmlDocument(
+        'Report Viewer',
+        `<div>The item '${escapeHtml(reportKey)}' cannot be found.</div>`
+      )
+    }
+
+    if (report.isRestricted ?? false) {
+      return toHtmlDocument(
+        reportName,
+        '<div class="error">You do not have permissions to access the reports.</div>'
+      )
+    }
+
+    const query = requestUrl.searchParams
+
+    const urlParameters: Record<string, string> = {}
+
+    for (const [key, value] of query) {
+      if (!key.startsWith('RvDetails_') && key !== 'rvRendered') {
+        // eslint-disable-next-line security/detect-object-injection
+        urlParameters[key] = value
+      }
+    }
+
+    const filters: MockRenderedReport['filters'] = {}
+
+    const parameterRowsHtml = report.parameters
+      .map((parameter, parameterIndex) => {
+        const idPrefix = getControlIdPrefix(parameterIndex)
+        const value = getSubmittedParameterValue(parameter, idPrefix, query)
+
+        filters[parameter.label] = toRecordedFilterValue(parameter, value)
+
+        return renderParameterControls(parameter, idPrefix, value)
+      })
+      .join('\n')
+
+    const isRendered =
+      query.get('rvRendered') === 'true' || report.parameters.length === 0
+
+    let reportSettingsScript = ''
+    let reportContentHtml = ''
+
+    if (isRendered) {
+      const reportSessionId = randomUUID()
+
+      const renderedReport: MockRenderedReport = {
+        reportKey,
+        urlParameters,
+        filters
+      }
+
+      reportSessions.set(reportSessionId, renderedReport)
+      renderedReports.push(renderedReport)
+
+      const exportUrlBase = `/FASTER/Reserved.ReportViewerWebControl.axd?ReportSession=${reportSessionId}&Culture=1033&OpType=Export&FileName=${encodeURIComponent(reportName)}&ContentDisposition=AlwaysAttachment&Format=`
+
+      // The Report Viewer escapes ampersands and slashes in its settings.
+      const settingsJson = JSON.stringify({ ExportUrlBase: exportUrlBase })
+        .replaceAll('&', String.raw`\u0026`)
+        .replaceAll('/', String.raw`\/`)
+
+      reportSettingsScript = `<script>var reportViewerSettings = ${settingsJson};</script>`
+
+      reportContentHtml = `<div id="VisibleReportContentRvDetails_ctl09"><h1>${escapeHtml(reportName)}</h1></div>`
+    }
+
+    const hiddenInputsHtml = Object.entries(urlParameters)
+      .map(
+        ([key, value]) =>
+          `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}" />`
+      )
+      .join('\n')
+
+    const exportMenuHtml = (
+      report.exportTypes ??
+      (Object.keys(reportExportTypes) as ReportExportType[])
+    )
+      .map(
+        (exportType) =>
+          // eslint-disable-next-line security/detect-object-injection
+          `<div><a title="${reportViewerExportMenuTitles[exportType]}" href="#" onclick="$find('RvDetails').exportReport('${reportViewerExportFormats[exportType]}'); return false;">${reportViewerExportMenuTitles[exportType]}</a></div>`
+      )
+      .join('\n')
+
+    const parametersHtml =
+      report.parameters.length === 0
+        ? ''
+        : `<form id="ReportViewerForm" method="get" action="/FASTER/Domains/Reports/ReportViewer.aspx">
+          ${hiddenInputsHtml}
+          <input type="hidden" name="rvRendered" value="true" />
+          <table id="ParametersGridRvDetails">${parameterRowsHtml}</table>
+          <a href="#" id="RvDetails_ctl04_ctl00"><input type="submit" id="RvDetails_ctl04_ctl00_input" value="View Report" /></a>
+        </form>`
+
+    return toHtmlDocument(
+      reportName,
+      `${parametersHtml}
+      <div id="RvDetails_ctl05">
+        <a id="RvDetails_ctl05_ctl04_ctl00_ButtonLink" href="#" onclick="toggleExportMenu(); return false;">Export</a>
+        <div id="RvDetails_ctl05_ctl04_ctl00_Menu" style="display: none">${exportMenuHtml}</div>
+      </div>
+      ${reportContentHtml}
+      ${reportViewerScript}
+      ${reportSettingsScript}`
+    )
+  }
+
+  function sendExport(response: ServerResponse, requestUrl: URL): void {
+    const reportSession = reportSessions.get(
+      requestUrl.searchParams.get('ReportSession') ?? ''
+    )
+
+    if (reportSession === undefined) {
+      sendHtml(
+        response,
+        toHtmlDocument('Error', '<div>The report session has expired.</div>'),
+        500
+      )
+      return
+    }
+
+    const exportFormat = requestUrl.searchParams.get('Format') ?? ''
+
+    const exportType = (
+      Object.keys(reportViewerExportFormats) as ReportExportType[]
+    ).find(
+      // eslint-disable-next-line security/detect-object-injection
+      (possibleType) => reportViewerExportFormats[possibleType] === exportFormat
+    )
+
+    // eslint-disable-next-line security/detect-object-injection
+    const report = mockReports[reportSession.reportKey]
+
+    if (
+      exportType === undefined ||
+      !(report.exportTypes?.includes(exportType) ?? true)
+    ) {
+      sendHtml(
+        response,
+        toHtmlDocument(
+          'Error',
+          '<div>The rendering extension is not available.</div>'
+        ),
+        400
+      )
+      return
+    }
+
+    exportRequests.push({
+      reportKey: reportSession.reportKey,
+      exportType
+    })
+
+    const reportName =
+      reportSession.reportKey.split('/').at(-1) ?? reportSession.reportKey
+
+    const exportBuffer =
+      exportType === 'CSV' && report.csv !== undefined
+        ? Buffer.from(report.csv, 'utf8')
+        : Buffer.from(`Mock ${exportType} export of ${reportName}\n`, 'utf8')
+
+    response.writeHead(200, {
+      // eslint-disable-next-line security/detect-object-injection
+      'Content-Type': reportExportContentTypes[exportType],
+      'Content-Length': exportBuffer.byteLength,
+      // eslint-disable-next-line security/detect-object-injection
+      'Content-Disposition': `attachment; filename="${reportName}.${reportExportTypes[exportType]}"`
+    })
+    response.end(exportBuffer)
+  }
+
+  function renderWorkOrder(requestUrl: URL): string {
+    const workOrderNumber = requestUrl.searchParams.get('workOrderID') ?? ''
+
+    const printLinksHtml = Object.entries({
+      CustomerPrintLinkButton: mockWorkOrderPrintReportKeys.customer,
+      WorkOrderPrintLinkButton: mockWorkOrderPrintReportKeys.technician
+    })
+      .map(([buttonId, reportKey]) => {
+        const reportUrl = `/FASTER/Domains/Reports/ReportViewer.aspx?R=${encodeURIComponent(reportKey)}&WorkOrderID=${encodeURIComponent(workOrderNumber)}&ReportType=S&Domain=Maintenance`
+
+        return `<a id="ctl00_ContentPlaceHolder_Content_MasterWorkOrderDetailMenu_${buttonId}" href="#" onclick="${escapeHtml(`window.open('${reportUrl}'); return false;`)}">${buttonId}</a>`
+      })
+      .join('\n')
+
+    return toHtmlDocument(
+      `Work Order ${workOrderNumber}`,
+      `<h1>Work Order ${escapeHtml(workOrderNumber)}</h1>
+      ${printLinksHtml}`
+    )
+  }
+
+  function renderScheduledReports(requestUrl: URL): string {
+    const pageSize = serverOptions.scheduledReportsPageSize
+
+    const pageCount = Math.ceil(mockScheduledReports.length / pageSize)
+
+    const currentPage = Math.min(
+      Math.max(
+        Number.parseInt(requestUrl.searchParams.get('page') ?? '1', 10) || 1,
+        1
+      ),
+      pageCount
+    )
+
+    const pagerLinksHtml = Array.from({ length: pageCount }, (_, pageIndex) => {
+      const pageNumber = pageIndex + 1
+
+      return `<a href="?page=${pageNumber}"${pageNumber === currentPage ? ' class="rgCurrentPage"' : ''}><span>${pageNumber}</span></a>`
+    }).join('')
+
+    const rowsHtml = mockScheduledReports
+      .slice((currentPage - 1) * pageSize, currentPage * pageSize)
+      .map((scheduledReport) => {
+        const reportUrl = `/FASTER/Domains/Reports/ReportViewer.aspx?R=${encodeURIComponent(scheduledReport.reportKey)}&ReportType=S&Parent=Schedule`
+
+        const parameterLinkHtml = scheduledReport.hasParameters
+          ? ` <a href="#" onclick="${escapeHtml(`window.open('${reportUrl}'); return false;`)}">Parameter</a>`
+          : ''
+
+        return `<tr class="rgRow">
+          <td><a href="#" onclick="return false;">Edit</a>${parameterLinkHtml}</td>
+          <td>${escapeHtml(scheduledReport.scheduleName)}</td>
+          <td>${escapeHtml(scheduledReport.reportKey.split('/').at(-1) ?? '')}</td>
+          <td>${escapeHtml(scheduledReport.owner)}</td>
+          <td>${escapeHtml(scheduledReport.frequency)}</td>
+          <td>${escapeHtml(scheduledReport.nextRunDate)}</td>
+        </tr>`
+      })
+      .join('\n')
+
+    return toHtmlDocument(
+      'Scheduled Reports',
+      `<table id="ctl00_ContentPlaceHolder_Content_ScheduleRadDock_C_ScheduleRadGrid_ctl00" class="rgMasterTable">
+        <thead>
+          <tr class="rgPager"><td colspan="6"><div class="rgNumPart">${pagerLinksHtml}</div></td></tr>
+          <tr><th>&nbsp;</th><th>Schedule Name</th><th>Report Name</th><th>Owner</th><th>Frequency</th><th>Next Run Date</th></tr>
+        </thead>
+        <tbody>${rowsHtml}</tbody>
+      </table>`
+    )
+  }
+
+  /*
+   * Routing
+   */
+
+  async function handleRequest(
+    request: IncomingMessage,
+    response: ServerResponse
+  ): Promise<void> {
+    const requestUrl = new URL(request.url ?? '/', 'https://localhost')
+    const requestPath = requestUrl.pathname.toLowerCase().replace(/\/$/, '')
+
+    if (requestPath === '/faster/login' && request.method === 'POST') {
+      await handleLogin(request, response)
+      return
+    }
+
+    if (requestPath === '/faster' || requestPath === '/faster/login') {
+      if (isLoggedIn(request)) {
+        redirect(response, '/FASTER/Domains/Default.aspx')
+      } else {
+        sendHtml(response, renderLoginPage())
+      }
+      return
+    }
+
+    if (!requestPath.startsWith('/faster/')) {
+      sendHtml(response, toHtmlDocument('Not Found', 'Not Found'), 404)
+      return
+    }
+
+    if (!isLoggedIn(request)) {
+      // An expired login shows the login page, even for file downloads.
+      sendHtml(response, renderLoginPage())
+      return
+    }
+
+    switch (requestPath) {
+      case '/faster/release/releasenotes.aspx': {
+        sendHtml(
+          response,
+          toHtmlDocument(
+            'Release Notes',
+            `<h1>Release Notes</h1>
+            <form method="get" action="/FASTER/Domains/Default.aspx">
+              <input type="submit" id="OKRadButon_input" value="OK" />
+            </form>`
+          )
+        )
+        break
+      }
+      case '/faster/domains/default.aspx': {
+        sendHtml(
+          response,
+          toHtmlDocument('FASTER Web', '<h1>Welcome to FASTER Web</h1>')
+        )
+        break
+      }
+      case reportViewerPath: {
+        sendHtml(response, renderReportViewer(requestUrl))
+        break
+      }
+      case '/faster/reserved.reportviewerwebcontrol.axd': {
+        sendExport(response, requestUrl)
+        break
+      }
+      case '/faster/domains/maintenance/workorder/workordermaster.aspx': {
+        sendHtml(response, renderWorkOrder(requestUrl))
+        break
+      }
+      case '/faster/domains/reports/schedule.aspx': {
+        sendHtml(response, renderScheduledReports(requestUrl))
+        break
+      }
+      default: {
+        sendHtml(response, toHtmlDocument('Not Found', 'Not Found'), 404)
+      }
+    }
+  }
+
+  /*
+   * Start the server
+   */
+
+  const certificate = await generateCertificate(
+    [{ name: 'commonName', value: 'localhost' }],
+    {
+      keyType: 'ec',
+      algorithm: 'sha256',
+      notAfterDate: new Date(Date.now() + 86_400_000),
+      extensions: [
+        {
+          name: 'subjectAltName',
+          altNames: [{ type: 2, value: 'localhost' }]
+        }
+      ]
+    }
+  )
+
+  const server = https.createServer(
+    {
+      key: certificate.private,
+      cert: certificate.cert
+    },
+    (request, response) => {
+      handleRequest(request, response).catch((error: unknown) => {
+        sendHtml(response, toHtmlDocument('Error', String(error)), 500)
+      })
+    }
+  )
+
+  // eslint-disable-next-line promise/avoid-new
+  await new Promise<void>((resolve) => {
+    server.listen(0, 'localhost', resolve)
+  })
+
+  const { port } = server.address() as AddressInfo
+
+  return {
+    baseUrl: `https://localhost:${port}/FASTER`,
+    renderedReports,
+    exportRequests,
+
+    loginCount: () => loginCount,
+
+    expireSessions: () => {
+      sessionIds.clear()
+    },
+
+    close: async () => {
+      server.closeAllConnections()
+
+      // eslint-disable-next-line promise/avoid-new
+      await new Promise<void>((resolve) => {
+        server.close(() => {
+          resolve()
+        })
+      })
+    }
+  }
+}
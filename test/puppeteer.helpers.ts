@@ -0,0 +1,69 @@
+import assert from 'node:assert'
+import { describe, it } from 'node:test'
+
+import { filterValueToString, filterValuesMatch } from '../puppeteer.helpers.js'
+
+// "YYYY-MM-DD" dates parsed as UTC fall on the previous day west of UTC.
+process.env.TZ = 'America/Vancouver'
+
+await describe('puppeteer.helpers', async () => {
+  await describe('filterValueToString()', async () => {
+    await it('Formats filter values the way they are typed', () => {
+      assert.strictEqual(filterValueToString('Main Stores'), 'Main Stores')
+      assert.strictEqual(
+        filterValueToString(new Date(2026, 0, 5)),
+        '2026-01-05'
+      )
+      assert.strictEqual(
+        filterValueToString(['Brakes', 'Tires']),
+        'Brakes, Tires'
+      )
+      assert.strictEqual(filterValueToString(true), 'true')
+    })
+  })
+
+  await describe('filterValuesMatch()', async () => {
+    await it('Matches text filters', () => {
+      assert.ok(filterValuesMatch('Main Stores', 'Main Stores'))
+      assert.ok(filterValuesMatch(' Main Stores ', 'Main Stores'))
+      assert.ok(!filterValuesMatch('Other Stores', 'Main Stores'))
+    })
+
+    await it('Matches date filters without shifting the day', () => {
+      const expectedDate = new Date(2026, 0, 31)
+
+      assert.ok(filterValuesMatch('2026-01-31', expectedDate))
+      assert.ok(filterValuesMatch('1/31/2026 12:00:00 AM', expectedDate))
+      assert.ok(!filterValuesMatch('2026-01-30', expectedDate))
+      assert.ok(!filterValuesMatch('', expectedDate))
+
+      assert.ok(filterValuesMatch('1/5/2026', '2026-01-05'))
+      assert.ok(!filterValuesMatch('1/6/2026', '2026-01-05'))
+    })
+
+    await it('Matches drop down list filters', () => {
+      assert.ok(filterValuesMatch('Description', 'Description'))
+      assert.ok(!filterValuesMatch('Item Number', 'Description'))
+    })
+
+    await it('Matches multi-select filters in any order', () => {
+      assert.ok(filterValuesMatch(['Tires', 'Brakes'], ['Brakes', 'Tires']))
+      assert.ok(!filterValuesMatch(['Brakes'], ['Brakes', 'Tires']))
+      assert.ok(!filterValuesMatch(['Brakes', 'Filters'], ['Brakes', 'Tires']))
+      assert.ok(!filterValuesMatch('Brakes', ['Brakes']))
+    })
+
+    await it('Matches true/false and checkbox filters', () => {
+      assert.ok(filterValuesMatch(true, true))
+      assert.ok(filterValuesMatch(false, false))
+      assert.ok(!filterValuesMatch(false, true))
+      assert.ok(!filterValuesMatch('True', true))
+    })
+
+    await it('Matches NULL filters', () => {
+      assert.ok(filterValuesMatch(null, null))
+      assert.ok(!filterValuesMatch('', null))
+      assert.ok(!filterValuesMatch(null, ''))
+    })
+  })
+})
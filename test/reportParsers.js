@@ -0,0 +1,67 @@
+import assert from 'node:assert';
+import { describe, it } from 'node:test';
+import { parseAssetListCsv, parseCsv, parseInventoryCsv, parseMessageLogCsv, parseReportDate, parseReportNumber } from '../reportParsers.js';
+await describe('reportParsers', async () => {
+    await it('Parses quoted CSV values', () => {
+        assert.deepStrictEqual(parseCsv('\uFEFFa,"b, c","d ""e"""\r\n"f\ng",h\r\n'), [
+            ['a', 'b, c', 'd "e"'],
+            ['f\ng', 'h']
+        ]);
+    });
+    await it('Parses report numbers', () => {
+        assert.strictEqual(parseReportNumber('$1,234.50'), 1234.5);
+        assert.strictEqual(parseReportNumber('(5.00)'), -5);
+        assert.strictEqual(parseReportNumber(''), undefined);
+    });
+    await it('Parses report dates', () => {
+        assert.deepStrictEqual(parseReportDate('1/31/2025 2:05:00 PM'), new Date(2025, 0, 31, 14, 5, 0));
+        assert.deepStrictEqual(parseReportDate('2025-01-31T00:30:00'), new Date(2025, 0, 31, 0, 30, 0));
+        assert.strictEqual(parseReportDate('not a date'), undefined);
+    });
+    await it('Parses an asset list with textbox headers and multiple data regions', () => {
+        const csvText = [
+            'Textbox1,Textbox2',
+            'Asset Master List,City',
+            '',
+            'txtOrganization,txtDepartment,txtAssetNumber,Description,Year,Make,Model,VIN,Textbox9',
+            'Public Works,Fleet,1001,Pickup,2020,Ford,F-150,1FT123,x',
+            'Public Works,Fleet,1002,Dump Truck,2018,Mack,Granite,1M2456,',
+            'Public Works,Fleet,,,,,,,',
+            ''
+        ].join('\r\n');
+        const assets = parseAssetListCsv(csvText);
+        assert.strictEqual(assets.length, 2);
+        assert.strictEqual(assets[0].assetNumber, '1001');
+        assert.strictEqual(assets[0].organization, 'Public Works');
+        assert.strictEqual(assets[0].year, 2020);
+        assert.strictEqual(assets[0].serialNumber, '1FT123');
+        assert.strictEqual(assets[0].fields.Textbox9, 'x');
+    });
+    await it('Skips inventory subtotals', () => {
+        const csvText = [
+            'Storeroom,ItemCategory,ItemNumber,Description,QtyOnHand,UnitCost,TotalCost',
+            'Main,Filters,F-100,Oil Filter,10,$5.25,$52.50',
+            'Main,Filters,Total Filters,,10,,$52.50',
+            'Main,Tires,T-200,Tire,4,"$1,200.00","$4,800.00"',
+            'Grand Total,,,,14,,"$4,852.50"'
+        ].join('\n');
+        const inventory = parseInventoryCsv(csvText);
+        assert.deepStrictEqual(inventory.map((item) => item.itemNumber), ['F-100', 'T-200']);
+        assert.strictEqual(inventory[1].unitCost, 1200);
+        assert.strictEqual(inventory[1].quantityOnHand, 4);
+    });
+    await it('Parses a message log', () => {
+        const csvText = [
+            'MessageDate,MessageType,Source,Message,UserName',
+            '1/15/2025 8:30:00 AM,Error,Integration,"Import failed, retrying",fasteruser'
+        ].join('\n');
+        const messages = parseMessageLogCsv(csvText);
+        assert.strictEqual(messages.length, 1);
+        assert.strictEqual(messages[0].message, 'Import failed, retrying');
+        assert.deepStrictEqual(messages[0].messageDate, new Date(2025, 0, 15, 8, 30));
+        assert.strictEqual(messages[0].messageType, 'Error');
+    });
+    await it('Returns no records when no data region matches', () => {
+        assert.deepStrictEqual(parseAssetListCsv('a,b\n1,2'), []);
+    });
+});
@@ -0,0 +1,114 @@
+import assert from 'node:assert'
+import { describe, it } from 'node:test'
+
+import {
+  ExportAbortedError,
+  ExportTimeoutError,
+  FasterInvalidCredentialsError,
+  ReportFilterValueError
+} from '../errors.js'
+import {
+  type RetryAttempt,
+  type RetryPolicy,
+  defaultRetryPolicy,
+  getRetryDelayMillis,
+  withRetries
+} from '../retries.js'
+
+await describe('retries', async () => {
+  const retryPolicy: RetryPolicy = {
+    ...defaultRetryPolicy,
+    maxAttempts: 3,
+    initialDelayMillis: 1
+  }
+
+  await it('Retries transient errors until the step succeeds', async () => {
+    const attempts: RetryAttempt[] = []
+
+    const result = await withRetries(
+      { ...retryPolicy, onAttempt: (attempt) => attempts.push(attempt) },
+      { step: 'navigate', reportKey: '/Inventory/W200 - Inventory Report' },
+      async (attempt) => {
+        if (attempt < 3) {
+          throw new ExportTimeoutError('Navigation timeout')
+        }
+
+        return 'loaded'
+      }
+    )
+
+    assert.strictEqual(result, 'loaded')
+    assert.strictEqual(attempts.length, 2)
+    assert.ok(attempts.every((attempt) => attempt.willRetry))
+    assert.strictEqual(attempts[0].step, 'navigate')
+    assert.strictEqual(
+      attempts[0].reportKey,
+      '/Inventory/W200 - Inventory Report'
+    )
+  })
+
+  await it('Does not retry login or filter errors by default', async () => {
+    let attemptCount = 0
+
+    await assert.rejects(
+      withRetries(retryPolicy, { step: 'login' }, async () => {
+        attemptCount += 1
+        throw new FasterInvalidCredentialsError('Login failed.')
+      }),
+      FasterInvalidCredentialsError
+    )
+
+    assert.strictEqual(attemptCount, 1)
+  })
+
+  await it('Retries the configured error classes', async () => {
+    let attemptCount = 0
+
+    await assert.rejects(
+      withRetries(
+        { ...retryPolicy, retryableErrors: [ReportFilterValueError] },
+        { step: 'filter' },
+        async () => {
+          attemptCount += 1
+          throw new ReportFilterValueError('Value not applied.', 'Start Date')
+        }
+      ),
+      ReportFilterValueError
+    )
+
+    assert.strictEqual(attemptCount, 3)
+  })
+
+  await it('Stops retrying when the signal is aborted', async () => {
+    const abortController = new AbortController()
+    let attemptCount = 0
+
+    await assert.rejects(
+      withRetries(
+        retryPolicy,
+        { step: 'navigate', signal: abortController.signal },
+        async () => {
+          attemptCount += 1
+          abortController.abort()
+          throw new ExportTimeoutError('Navigation timeout')
+        }
+      ),
+      ExportAbortedError
+    )
+
+    assert.strictEqual(attemptCount, 1)
+  })
+
+  await it('Backs off between attempts', () => {
+    const backoffPolicy: RetryPolicy = {
+      ...defaultRetryPolicy,
+      initialDelayMillis: 1000,
+      backoffMultiplier: 3,
+      maxDelayMillis: 5000
+    }
+
+    assert.strictEqual(getRetryDelayMillis(backoffPolicy, 1), 1000)
+    assert.strictEqual(getRetryDelayMillis(backoffPolicy, 2), 3000)
+    assert.strictEqual(getRetryDelayMillis(backoffPolicy, 3), 5000)
+  })
+})
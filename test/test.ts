@@ -9,16 +9,20 @@ import { minutesToMillis } from '@cityssm/to-millis'
 import Debug from 'debug'
 
 import { DEBUG_ENABLE_NAMESPACES } from '../debug.config.js'
-import { FasterReportExporter } from '../index.js'
-
 import {
-  fasterPassword,
-  fasterTenant,
-  fasterUserName,
-  partOrderNumber,
-  timeZone,
-  workOrderNumber
-} from './config.js'
+  type ReportTimeZone,
+  FasterInvalidCredentialsError,
+  FasterReportExporter
+} from '../index.js'
+
+interface TestConfig {
+  fasterTenant: string
+  fasterUserName: string
+  fasterPassword: string
+  partOrderNumber: number
+  workOrderNumber: number
+  timeZone: ReportTimeZone
+}
 
 const doCleanup = true
 
@@ -26,162 +30,359 @@ Debug.enable(DEBUG_ENABLE_NAMESPACES)
 
 const debug = Debug('faster-report-exporter:test')
 
-await describe('node-faster-report-exporter', async () => {
-  const filesToPurgeOnExit: string[] = []
-
-  const reportExporter = new FasterReportExporter(
-    fasterTenant,
-    fasterUserName,
-    fasterPassword,
-    {
-      timeoutMillis: 90_000,
-      showBrowserWindow: true,
-      timeZone
+/**
+ * Loads the FASTER Web tenant used by the live tests.
+ * The config is not committed, so the live tests are skipped without it.
+ * @returns The test config, or `undefined` if "test/config.js" is missing.
+ */
+async function loadTestConfig(): Promise<TestConfig | undefined> {
+  const configModulePath = './config.js'
+
+  try {
+    return (await import(configModulePath)) as TestConfig
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ERR_MODULE_NOT_FOUND') {
+      return undefined
     }
-  )
-
-  after(() => {
-    // eslint-disable-next-line @typescript-eslint/no-unnecessary-condition
-    if (doCleanup) {
-      for (const fileToPurge of filesToPurgeOnExit) {
-        if (fileToPurge !== '' && fs.existsSync(fileToPurge)) {
-          debug(`Purging ${fileToPurge}`)
-          fs.unlinkSync(fileToPurge)
+
+    throw error
+  }
+}
+
+const testConfig = await loadTestConfig()
+
+await describe(
+  'node-faster-report-exporter',
+  {
+    skip: testConfig === undefined ? 'test/config.js is missing' : false
+  },
+  async () => {
+    const {
+      fasterPassword,
+      fasterTenant,
+      fasterUserName,
+      partOrderNumber,
+      timeZone,
+      workOrderNumber
+    } = testConfig as TestConfig
+
+    const filesToPurgeOnExit: string[] = []
+
+    const reportExporter = new FasterReportExporter(
+      fasterTenant,
+      fasterUserName,
+      fasterPassword,
+      {
+        timeoutMillis: 90_000,
+        showBrowserWindow: true,
+        timeZone
+      }
+    )
+
+    after(() => {
+      // eslint-disable-next-line @typescript-eslint/no-unnecessary-condition
+      if (doCleanup) {
+        for (const fileToPurge of filesToPurgeOnExit) {
+          if (fileToPurge !== '' && fs.existsSync(fileToPurge)) {
+            debug(`Purging ${fileToPurge}`)
+            fs.unlinkSync(fileToPurge)
+          }
         }
       }
-    }
-  })
+    })
+
+    await it.skip(
+      'Exports asset list',
+      { timeout: 5 * 60 * 60 * 1000 }, // eslint-disable-line @typescript-eslint/no-magic-numbers
+      async () => {
+        try {
+          const reportPath = await reportExporter.exportAssetList('PDF')
+
+          assert.ok(fs.existsSync(reportPath))
+
+          filesToPurgeOnExit.push(reportPath)
+        } catch (error) {
+          debug(error)
+          assert.fail()
+        }
+      }
+    )
+
+    await it.skip(
+      'Exports inventory',
+      { timeout: 5 * 60 * 60 * 1000 }, // eslint-disable-line @typescript-eslint/no-magic-numbers
+      async () => {
+        try {
+          const reportPath = await reportExporter.exportInventory('PDF')
+
+          assert.ok(fs.existsSync(reportPath))
+
+          filesToPurgeOnExit.push(reportPath)
+        } catch (error) {
+          debug(error)
+          assert.fail()
+        }
+      }
+    )
+
+    await it.skip(
+      'Exports a report by report key',
+      { timeout: minutesToMillis(5) }, // eslint-disable-line @typescript-eslint/no-magic-numbers
+      async () => {
+        try {
+          const reportPath = await reportExporter.exportReport({
+            reportKey: '/Assets/W114 - Asset Master List',
+            domain: 'Assets',
+            filters: {
+              'Time Zone': timeZone,
+              'Primary Grouping': 'Organization',
+              'Secondary Grouping': 'Department'
+            },
+            exportType: 'CSV'
+          })
+
+          assert.ok(fs.existsSync(reportPath))
+
+          filesToPurgeOnExit.push(reportPath)
+        } catch (error) {
+          debug(error)
+          assert.fail()
+        }
+      }
+    )
+
+    await it.skip('Rejects invalid credentials', async () => {
+      const invalidReportExporter = new FasterReportExporter(
+        fasterTenant,
+        fasterUserName,
+        `${fasterPassword}-invalid`,
+        { timeZone }
+      )
+
+      await assert.rejects(
+        invalidReportExporter.exportInventory('PDF'),
+        FasterInvalidCredentialsError
+      )
+    })
+
+    await it.skip('Emits progress events', async () => {
+      const eventNames: string[] = []
+
+      for (const eventName of [
+        'browserLaunched',
+        'loggedIn',
+        'reportPageLoaded',
+        'exportFormatSelected',
+        'downloadStarted',
+        'downloadCompleted',
+        'browserClosed'
+      ] as const) {
+        reportExporter.once(eventName, (event) => {
+          debug(`${eventName}: ${event.durationMillis} ms`)
+          eventNames.push(eventName)
+        })
+      }
 
-  await it.skip(
-    'Exports asset list',
-    { timeout: 5 * 60 * 60 * 1000 }, // eslint-disable-line @typescript-eslint/no-magic-numbers
-    async () => {
+      const reportPath = await reportExporter.exportInventory('CSV')
+      filesToPurgeOnExit.push(reportPath)
+
+      assert.deepStrictEqual(eventNames, [
+        'browserLaunched',
+        'loggedIn',
+        'reportPageLoaded',
+        'exportFormatSelected',
+        'downloadStarted',
+        'downloadCompleted',
+        'browserClosed'
+      ])
+    })
+
+    await it.skip('Describes report parameters', async () => {
+      const parameters = await reportExporter.describeReportParameters(
+        '/Setup/W603 - Message Logger',
+        {
+          ReportType: 'S',
+          Domain: 'Setup',
+          Parent: 'Reports'
+        }
+      )
+
+      debug(parameters)
+
+      assert.ok(
+        parameters.some((parameter) => parameter.label.includes('Start Date'))
+      )
+    })
+
+    await it.skip('Exports a part order to a buffer', async () => {
+      const report = await reportExporter.exportPartOrderPrint(
+        partOrderNumber,
+        {
+          exportType: 'PDF',
+          resultType: 'buffer'
+        }
+      )
+
+      assert.strictEqual(report.contentType, 'application/pdf')
+      assert.strictEqual(report.buffer.byteLength, report.byteSize)
+    })
+
+    await it.skip('Exports a part order', async () => {
       try {
-        const reportPath = await reportExporter.exportAssetList('PDF')
+        const reportPath = await reportExporter.exportPartOrderPrint(
+          partOrderNumber,
+          'Word'
+        )
 
         assert.ok(fs.existsSync(reportPath))
 
         filesToPurgeOnExit.push(reportPath)
-      } catch (error) {
-        debug(error)
+      } catch {
         assert.fail()
       }
-    }
-  )
+    })
+
+    await it.skip(
+      'Exports work order details',
+      { timeout: minutesToMillis(5) }, // eslint-disable-line @typescript-eslint/no-magic-numbers
+      async () => {
+        try {
+          const reportPath = await reportExporter.exportWorkOrderDetails(
+            1,
+            10,
+            'PDF'
+          )
+
+          assert.ok(fs.existsSync(reportPath))
+
+          filesToPurgeOnExit.push(reportPath)
+        } catch (error) {
+          debug(error)
+          assert.fail()
+        }
+      }
+    )
 
-  await it.skip(
-    'Exports inventory',
-    { timeout: 5 * 60 * 60 * 1000 }, // eslint-disable-line @typescript-eslint/no-magic-numbers
-    async () => {
+    await it.skip('Exports a work order customer print', async () => {
       try {
-        const reportPath = await reportExporter.exportInventory('PDF')
+        const reportPath = await reportExporter.exportWorkOrderCustomerPrint(
+          workOrderNumber,
+          'Excel'
+        )
 
         assert.ok(fs.existsSync(reportPath))
 
         filesToPurgeOnExit.push(reportPath)
-      } catch (error) {
-        debug(error)
+      } catch {
         assert.fail()
       }
-    }
-  )
+    })
 
-  await it.skip('Exports a part order', async () => {
-    try {
-      const reportPath = await reportExporter.exportPartOrderPrint(
-        partOrderNumber,
-        'Word'
-      )
-
-      assert.ok(fs.existsSync(reportPath))
-
-      filesToPurgeOnExit.push(reportPath)
-    } catch {
-      assert.fail()
-    }
-  })
-
-  await it.skip(
-    'Exports work order details',
-    { timeout: minutesToMillis(5) }, // eslint-disable-line @typescript-eslint/no-magic-numbers
-    async () => {
+    await it('Exports a work order technician print', async () => {
       try {
-        const reportPath = await reportExporter.exportWorkOrderDetails(
-          1,
-          10,
-          'PDF'
+        const reportPath = await reportExporter.exportWorkOrderTechnicianPrint(
+          workOrderNumber,
+          'XML'
         )
 
         assert.ok(fs.existsSync(reportPath))
 
         filesToPurgeOnExit.push(reportPath)
-      } catch (error) {
-        debug(error)
+      } catch {
         assert.fail()
       }
-    }
-  )
+    })
 
-  await it.skip('Exports a work order customer print', async () => {
-    try {
-      const reportPath = await reportExporter.exportWorkOrderCustomerPrint(
-        workOrderNumber,
-        'Excel'
-      )
+    await it.skip('Exports the message logger', async () => {
+      try {
+        const reportPath = await reportExporter.exportMessageLogger(
+          new Date(2025, 1 - 1, 1),
+          new Date(2025, 3 - 1, 1),
 
-      assert.ok(fs.existsSync(reportPath))
+          'Excel'
+        )
 
-      filesToPurgeOnExit.push(reportPath)
-    } catch {
-      assert.fail()
-    }
-  })
+        assert.ok(fs.existsSync(reportPath))
 
-  await it('Exports a work order technician print', async () => {
-    try {
-      const reportPath = await reportExporter.exportWorkOrderTechnicianPrint(
-        workOrderNumber,
-        'XML'
-      )
+        filesToPurgeOnExit.push(reportPath)
+      } catch {
+        assert.fail()
+      }
+    })
+
+    await it.skip(
+      'Exports multiple reports in one session',
+      { timeout: minutesToMillis(10) }, // eslint-disable-line @typescript-eslint/no-magic-numbers
+      async () => {
+        try {
+          const reportPaths = await reportExporter.withSession(
+            async (sessionReportExporter) => [
+              await sessionReportExporter.exportWorkOrderTechnicianPrint(
+                workOrderNumber
+              ),
+              await sessionReportExporter.exportPartOrderPrint(partOrderNumber)
+            ]
+          )
+
+          assert.strictEqual(reportExporter.hasOpenSession(), false)
+
+          for (const reportPath of reportPaths) {
+            assert.ok(fs.existsSync(reportPath))
+
+            filesToPurgeOnExit.push(reportPath)
+          }
+        } catch (error) {
+          debug(error)
+          assert.fail()
+        }
+      }
+    )
+
+    await it.skip(
+      'Exports a batch of work order technician prints',
+      { timeout: minutesToMillis(10) }, // eslint-disable-line @typescript-eslint/no-magic-numbers
+      async () => {
+        const results = await reportExporter.exportWorkOrderTechnicianPrints(
+          [workOrderNumber, workOrderNumber + 1],
+          { concurrency: 2 }
+        )
 
-      assert.ok(fs.existsSync(reportPath))
+        assert.strictEqual(results.size, 2)
 
-      filesToPurgeOnExit.push(reportPath)
-    } catch {
-      assert.fail()
-    }
-  })
+        for (const result of results.values()) {
+          if (result.success) {
+            assert.ok(fs.existsSync(result.reportPath))
 
-  await it.skip('Exports the message logger', async () => {
-    try {
-      const reportPath = await reportExporter.exportMessageLogger(
-        new Date(2025, 1 - 1, 1),
-        new Date(2025, 3 - 1, 1),
+            filesToPurgeOnExit.push(result.reportPath)
+          } else {
+            debug(result.error)
+          }
+        }
+      }
+    )
 
-        'Excel'
-      )
+    await it.skip('Lists scheduled reports', async () => {
+      const scheduledReports = await reportExporter.listScheduledReports()
 
-      assert.ok(fs.existsSync(reportPath))
+      debug(scheduledReports)
 
-      filesToPurgeOnExit.push(reportPath)
-    } catch {
-      assert.fail()
-    }
-  })
-
-  await it.skip('Exports a scheduled report', async () => {
-    try {
-      const reportPath = await reportExporter.exportScheduledReport(
-        'IntegrationMessageLogger',
-        new Date(2025, 1 - 1, 1),
-        new Date(2025, 3 - 1, 1)
-      )
+      assert.ok(scheduledReports.length > 0)
+    })
 
-      assert.ok(fs.existsSync(reportPath))
+    await it.skip('Exports a scheduled report', async () => {
+      try {
+        const reportPath = await reportExporter.exportScheduledReport(
+          'IntegrationMessageLogger',
+          new Date(2025, 1 - 1, 1),
+          new Date(2025, 3 - 1, 1)
+        )
 
-      filesToPurgeOnExit.push(reportPath)
-    } catch {
-      assert.fail()
-    }
-  })
-})
+        assert.ok(fs.existsSync(reportPath))
+
+        filesToPurgeOnExit.push(reportPath)
+      } catch {
+        assert.fail()
+      }
+    })
+  }
+)
@@ -0,0 +1,85 @@
+import assert from 'node:assert'
+import { describe, it } from 'node:test'
+
+import {
+  delay,
+  mapWithConcurrency,
+  withAbortSignal,
+  withDeadline
+} from '../utilities.js'
+
+await describe('utilities', async () => {
+  await it('Returns the value of a promise that settles before the deadline', async () => {
+    const value = await withDeadline(
+      Promise.resolve('report'),
+      1000,
+      () => new Error('Deadline passed')
+    )
+
+    assert.strictEqual(value, 'report')
+  })
+
+  await it('Rejects when the deadline passes', async () => {
+    await assert.rejects(
+      withDeadline(delay(1000), 10, () => new Error('Deadline passed')),
+      { message: 'Deadline passed' }
+    )
+  })
+
+  await it('Rejects when the signal is aborted', async () => {
+    const abortController = new AbortController()
+
+    const promise = withAbortSignal(
+      delay(1000),
+      abortController.signal,
+      () => new Error('Aborted')
+    )
+
+    abortController.abort()
+
+    await assert.rejects(promise, { message: 'Aborted' })
+  })
+
+  await it('Rejects immediately when the signal is already aborted', async () => {
+    await assert.rejects(
+      withAbortSignal(
+        delay(1000),
+        AbortSignal.abort(),
+        () => new Error('Aborted')
+      ),
+      { message: 'Aborted' }
+    )
+  })
+
+  await it('Maps items in order, with a limited number running at once', async () => {
+    let runningCount = 0
+    let maxRunningCount = 0
+
+    const results = await mapWithConcurrency(
+      [30, 10, 20, 0],
+      2,
+      async (delayMillis) => {
+        runningCount += 1
+        maxRunningCount = Math.max(maxRunningCount, runningCount)
+
+        await delay(delayMillis)
+
+        runningCount -= 1
+
+        return delayMillis * 2
+      }
+    )
+
+    assert.deepStrictEqual(results, [60, 20, 40, 0])
+    assert.strictEqual(maxRunningCount, 2)
+  })
+
+  await it('Rejects a concurrency that is not a positive integer', async () => {
+    for (const concurrency of [0, -1, 1.5, Number.NaN]) {
+      await assert.rejects(
+        mapWithConcurrency([1, 2], concurrency, async (item) => item),
+        RangeError
+      )
+    }
+  })
+})
@@ -1,7 +1,80 @@
-import type { reportExportTypes } from './lookups.js';
+import type { Readable } from 'node:stream';
+import type { reportDomains, reportExportTypes } from './lookups.js';
+export type ReportDomain = (typeof reportDomains)[number];
 export interface ReportParameters extends Record<string, string> {
-    Domain: 'Assets' | 'Inventory' | 'Maintenance' | 'Setup';
+    Domain: ReportDomain;
     ReportType: 'S';
 }
+/**
+ * A report filter value.
+ * - `string` for text inputs and drop down lists, matched by option label.
+ * - `Date` for date inputs.
+ * - `boolean` for true/false options and checkboxes.
+ * - `string[]` for multi-select lists, matched by option labels.
+ * - `null` to check the "NULL" checkbox.
+ */
+export type ReportFilterValue = boolean | Date | string | string[] | null;
+export type ReportFilters = Record<string, ReportFilterValue>;
+export type ReportParameterControlType = 'boolean' | 'checkbox' | 'date' | 'multiSelect' | 'select' | 'text';
+export interface ReportParameterDescription {
+    /** The label on the Report Viewer page, used as the filter key. */
+    label: string;
+    inputId: string;
+    controlType: ReportParameterControlType;
+    /** The current value, usually the default value. */
+    value: ReportFilterValue;
+    /** The option labels for drop down and multi-select lists. */
+    options: string[];
+    /** `true` if the parameter has a "NULL" checkbox. */
+    allowsNull: boolean;
+    /** `true` if the parameter depends on another parameter that is not set. */
+    isDisabled: boolean;
+}
+export interface ScheduledReport {
+    scheduleName: string;
+    /** The report the schedule runs. */
+    reportName: string;
+    owner: string;
+    frequency: string;
+    /** Undefined when the schedule has no next run. */
+    nextRunDate: Date | undefined;
+    /** All values in the grid row, by column header. */
+    columns: Record<string, string>;
+}
 export type ReportTimeZone = 'Atlantic' | 'Central' | 'Eastern' | 'Mountain' | 'Pacific';
 export type ReportExportType = keyof typeof reportExportTypes;
+/**
+ * How a report is exported from the Report Viewer.
+ * - "menu" selects the format from the Report Viewer's export menu,
+ *   and waits for the browser download.
+ * - "exportUrl" requests the Report Viewer's export URL directly,
+ *   using the page's logged in session.
+ */
+export type ReportExportStrategy = 'exportUrl' | 'menu';
+export type ExportResultType = 'buffer' | 'deliveries' | 'path' | 'stream';
+export interface ExportedReportMetadata {
+    exportType: ReportExportType;
+    contentType: string;
+    /** The file name suggested by the Report Viewer. */
+    fileName: string;
+    byteSize: number;
+}
+export interface ExportedReportBuffer extends ExportedReportMetadata {
+    buffer: Buffer;
+}
+export interface ExportedReportStream extends ExportedReportMetadata {
+    stream: Readable;
+}
+/**
+ * Where a copy of a report was delivered.
+ */
+export interface ReportDelivery {
+    /** The name of the destination. */
+    destinationName: string;
+    /** Where the copy was saved, like a file path or URL. */
+    location: string;
+}
+export interface ExportedReportDeliveries extends ExportedReportMetadata {
+    deliveries: ReportDelivery[];
+}
+export type ExportResult<T extends ExportResultType> = T extends 'buffer' ? ExportedReportBuffer : T extends 'deliveries' ? ExportedReportDeliveries : T extends 'stream' ? ExportedReportStream : string;
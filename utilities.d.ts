@@ -5,3 +5,33 @@ export declare const longDelayMillis = 1500;
  * @param delayMillis - Time to wait in milliseconds
  */
 export declare function delay(delayMillis?: number): Promise<void>;
+/**
+ * Checks that a concurrency limit is a positive integer.
+ * @param concurrency - Maximum number of callbacks running at once.
+ */
+export declare function assertValidConcurrency(concurrency: number): void;
+/**
+ * Runs an async callback for each item, with a limited number running at once.
+ * @param items - Items to process.
+ * @param concurrency - Maximum number of callbacks running at once, a positive integer.
+ * @param callback - Async function to run for each item.
+ * @returns The callback results, in the same order as the items.
+ */
+export declare function mapWithConcurrency<T, R>(items: T[], concurrency: number, callback: (item: T) => Promise<R>): Promise<R[]>;
+/**
+ * Waits for a promise, rejecting if it does not settle before a deadline.
+ * @param promise - The promise to wait for.
+ * @param deadlineMillis - Maximum time to wait in milliseconds.
+ * @param createTimeoutError - Creates the error thrown when the deadline passes.
+ * @returns The value of the promise.
+ */
+export declare function withDeadline<T>(promise: Promise<T>, deadlineMillis: number, createTimeoutError: () => Error): Promise<T>;
+/**
+ * Waits for a promise, rejecting as soon as a signal is aborted.
+ * The promise keeps running, so the caller should stop the work it is doing.
+ * @param promise - The promise to wait for.
+ * @param signal - The abort signal. When undefined, the promise is awaited as is.
+ * @param createAbortError - Creates the error thrown when the signal is aborted.
+ * @returns The value of the promise.
+ */
+export declare function withAbortSignal<T>(promise: Promise<T>, signal: AbortSignal | undefined, createAbortError: (signal: AbortSignal) => Error): Promise<T>;
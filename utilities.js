@@ -9,3 +9,96 @@ export const longDelayMillis = 1500;
 export async function delay(delayMillis) {
     await setTimeoutPromise(delayMillis ?? defaultDelayMillis);
 }
+/**
+ * Checks that a concurrency limit is a positive integer.
+ * @param concurrency - Maximum number of callbacks running at once.
+ */
+export function assertValidConcurrency(concurrency) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new RangeError(`Concurrency must be a positive integer, received: ${concurrency}`);
+    }
+}
+/**
+ * Runs an async callback for each item, with a limited number running at once.
+ * @param items - Items to process.
+ * @param concurrency - Maximum number of callbacks running at once, a positive integer.
+ * @param callback - Async function to run for each item.
+ * @returns The callback results, in the same order as the items.
+ */
+export async function mapWithConcurrency(items, concurrency, callback) {
+    assertValidConcurrency(concurrency);
+    const results = [];
+    let nextItemIndex = 0;
+    async function runWorker() {
+        while (nextItemIndex < items.length) {
+            const itemIndex = nextItemIndex;
+            nextItemIndex += 1;
+            // eslint-disable-next-line security/detect-object-injection
+            results[itemIndex] = await callback(items[itemIndex]);
+        }
+    }
+    const workers = [];
+    for (let workerIndex = 0; workerIndex < Math.min(concurrency, items.length); workerIndex += 1) {
+        workers.push(runWorker());
+    }
+    await Promise.all(workers);
+    return results;
+}
+/**
+ * Waits for a promise, rejecting if it does not settle before a deadline.
+ * @param promise - The promise to wait for.
+ * @param deadlineMillis - Maximum time to wait in milliseconds.
+ * @param createTimeoutError - Creates the error thrown when the deadline passes.
+ * @returns The value of the promise.
+ */
+export async function withDeadline(promise, deadlineMillis, createTimeoutError) {
+    // eslint-disable-next-line @typescript-eslint/init-declarations
+    let deadlineTimeout;
+    // eslint-disable-next-line promise/avoid-new
+    const deadlinePromise = new Promise((_resolve, reject) => {
+        deadlineTimeout = setTimeout(() => {
+            reject(createTimeoutError());
+        }, deadlineMillis);
+    });
+    try {
+        return await Promise.race([promise, deadlinePromise]);
+    }
+    finally {
+        clearTimeout(deadlineTimeout);
+    }
+}
+/**
+ * Waits for a promise, rejecting as soon as a signal is aborted.
+ * The promise keeps running, so the caller should stop the work it is doing.
+ * @param promise - The promise to wait for.
+ * @param signal - The abort signal. When undefined, the promise is awaited as is.
+ * @param createAbortError - Creates the error thrown when the signal is aborted.
+ * @returns The value of the promise.
+ */
+export async function withAbortSignal(promise, signal, createAbortError) {
+    if (signal === undefined) {
+        return await promise;
+    }
+    // eslint-disable-next-line @typescript-eslint/init-declarations
+    let abortListener;
+    // eslint-disable-next-line promise/avoid-new
+    const abortPromise = new Promise((_resolve, reject) => {
+        abortListener = () => {
+            reject(createAbortError(signal));
+        };
+        if (signal.aborted) {
+            abortListener();
+        }
+        else {
+            signal.addEventListener('abort', abortListener, { once: true });
+        }
+    });
+    try {
+        return await Promise.race([abortPromise, promise]);
+    }
+    finally {
+        if (abortListener !== undefined) {
+            signal.removeEventListener('abort', abortListener);
+        }
+    }
+}